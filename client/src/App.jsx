@@ -6,6 +6,7 @@ import ChatSidebar from './components/ChatSidebar'
 import LandingPage from './pages/LandingPage'
 import LoginPage from './pages/LoginPage'
 import ClinicianCoachPage from './pages/ClinicianCoachPage'
+import ClinicianTrendsPage from './pages/ClinicianTrendsPage'
 import ClinicianProtectedRoute from './components/ClinicianProtectedRoute'
 import { supabase } from './lib/supabase'
 import './App.css'
@@ -146,16 +147,18 @@ function MainApp() {
     // Removed setSidebarOpen(false) to keep sidebar open on desktop
   }
 
-  const handleUpdateChat = async (chatId, messages) => {
+  const handleUpdateChat = async (chatId, messages, dialogState) => {
     // Determine title from first message
     const newTitle = messages.length > 0 
       ? messages[0].content.substring(0, 30) + (messages[0].content.length > 30 ? '...' : '')
       : 'New Chat'
 
     // Update local state immediately for UI responsiveness
+    // dialogState is only passed once an answer arrives - keep the stored one until then
+    const dialogChanges = dialogState !== undefined ? { dialog_state: dialogState } : {}
     setChats(prev => prev.map(chat => 
       chat.id === chatId 
-        ? { ...chat, messages, title: newTitle }
+        ? { ...chat, messages, title: newTitle, ...dialogChanges }
         : chat
     ))
 
@@ -164,7 +167,7 @@ function MainApp() {
       const title = messages.length > 0 ? messages[0].content.substring(0, 30) + (messages[0].content.length > 30 ? '...' : '') : 'New Chat'
       const { error } = await supabase
         .from('user_chats')
-        .update({ messages, title, updated_at: new Date().toISOString() })
+        .update({ messages, title, ...dialogChanges, updated_at: new Date().toISOString() })
         .eq('id', chatId)
 
       if (error) throw error
@@ -282,6 +285,14 @@ function App() {
             </ClinicianProtectedRoute>
           } 
         />
+        <Route 
+          path="/clinician/trends" 
+          element={
+            <ClinicianProtectedRoute>
+              <ClinicianTrendsPage />
+            </ClinicianProtectedRoute>
+          } 
+        />
         {/* Short alias for clinician coach */}
         <Route 
           path="/coach" 
@@ -0,0 +1,253 @@
+/**
+ * Candidacy Questionnaire Component
+ *
+ * The "am I a candidate?" pre-screening from /api/patient/candidacy/questions,
+ * one question at a time (questions whose `when` doesn't match are skipped).
+ * The result lists the procedures worth discussing at a consultation with the
+ * reasons for each, and the patient can send it to the team with their
+ * contact details - the answers go with the lead (POST /lead `candidacy`).
+ */
+
+import React, { useState, useEffect } from 'react'
+import { ClipboardCheck, ChevronLeft, Loader2 } from 'lucide-react'
+
+/**
+ * Check whether a question applies given the answers so far
+ */
+function isAsked(question, answers) {
+  return Object.entries(question.when || {}).every(([id, values]) => values.includes(answers[id]))
+}
+
+const CandidacyQuestionnaire = ({ apiBase, tenantKey, language = 'en', facts = {}, onEvent }) => {
+  const [questionnaire, setQuestionnaire] = useState(null)
+  const [loadError, setLoadError] = useState(false)
+  const [step, setStep] = useState(0)
+  const [previousSteps, setPreviousSteps] = useState([])
+  const [answers, setAnswers] = useState({})
+  const [ageInput, setAgeInput] = useState(facts.age !== undefined ? String(facts.age) : '')
+  const [result, setResult] = useState(null)
+  const [isChecking, setIsChecking] = useState(false)
+  const [lead, setLead] = useState({ name: '', phone: '', email: '' })
+  const [leadStatus, setLeadStatus] = useState(null) // 'sending' | 'sent' | 'error'
+
+  const tenantHeaders = (headers = {}) => ({ ...headers, ...(tenantKey ? { 'X-Tenant-Key': tenantKey } : {}) })
+
+  useEffect(() => {
+    fetch(`${apiBase}/api/patient/candidacy/questions?language=${encodeURIComponent(language)}`, { headers: tenantHeaders() })
+      .then(response => {
+        if (!response.ok) throw new Error('Request failed')
+        return response.json()
+      })
+      .then(setQuestionnaire)
+      .catch(() => setLoadError(true))
+  }, [apiBase, tenantKey, language])
+
+  if (loadError) {
+    return null
+  }
+
+  const questions = questionnaire?.questions || []
+  const question = questions[step]
+
+  const checkCandidacy = async (finalAnswers) => {
+    setIsChecking(true)
+    try {
+      const response = await fetch(`${apiBase}/api/patient/candidacy`, {
+        method: 'POST',
+        headers: tenantHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ answers: finalAnswers, language })
+      })
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.message || 'Request failed')
+      setResult(data)
+      onEvent('candidacy_complete', { procedures: data.procedures.map(p => p.key), ready: data.ready })
+    } catch (error) {
+      console.error('Error checking candidacy:', error)
+      alert('Sorry, we could not check your answers right now. Please try again.')
+    } finally {
+      setIsChecking(false)
+    }
+  }
+
+  const answer = (value) => {
+    const nextAnswers = { ...answers, [question.id]: value }
+    setAnswers(nextAnswers)
+    if (step === 0 && previousSteps.length === 0) {
+      onEvent('candidacy_start')
+    }
+
+    const next = questions.findIndex((q, i) => i > step && isAsked(q, nextAnswers))
+    if (next === -1) {
+      checkCandidacy(nextAnswers)
+    } else {
+      setPreviousSteps([...previousSteps, step])
+      setStep(next)
+    }
+  }
+
+  const goBack = () => {
+    if (result) {
+      setResult(null)
+      return
+    }
+    setStep(previousSteps[previousSteps.length - 1])
+    setPreviousSteps(previousSteps.slice(0, -1))
+  }
+
+  const submitAge = () => {
+    const age = parseInt(ageInput)
+    if (isNaN(age) || age < question.min || age > question.max) {
+      alert(`Please enter an age from ${question.min} to ${question.max}.`)
+      return
+    }
+    answer(age)
+  }
+
+  const submitLead = async (e) => {
+    e.preventDefault()
+    if (!lead.phone.trim() && !lead.email.trim()) {
+      alert('Please enter a phone number or email so we can reach you.')
+      return
+    }
+    setLeadStatus('sending')
+    try {
+      const response = await fetch(`${apiBase}/api/patient/lead`, {
+        method: 'POST',
+        headers: tenantHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({
+          name: lead.name,
+          phone: lead.phone,
+          email: lead.email,
+          procedure: result.procedures[0]?.key,
+          candidacy: result.answers,
+          source: 'candidacy_check'
+        })
+      })
+      const data = await response.json()
+      if (!data.success) throw new Error(data.message || 'Submission failed')
+      setLeadStatus('sent')
+      onEvent('lead_submitted', { procedure: result.procedures[0]?.key, source: 'candidacy_check' })
+    } catch (error) {
+      console.error('Error submitting lead:', error)
+      setLeadStatus('error')
+    }
+  }
+
+  return (
+    <div className="savings-calculator-inline candidacy-check">
+      <div className="calculator-header">
+        <ClipboardCheck className="w-5 h-5" />
+        <h4>Candidacy Check</h4>
+      </div>
+
+      {!questionnaire ? (
+        <Loader2 className="w-5 h-5 animate-spin" />
+      ) : result ? (
+        <div className="candidacy-result">
+          {result.procedures.length > 0 && (
+            <p className="candidacy-lead-in">
+              {result.ready ? 'Worth discussing at your consultation:' : 'Worth discussing when the time is right:'}
+            </p>
+          )}
+          {result.procedures.map(procedure => (
+            <div key={procedure.key} className="candidacy-procedure">
+              <strong>{procedure.label}</strong>
+              <ul>
+                {procedure.reasons.map(reason => <li key={reason}>{reason}</li>)}
+              </ul>
+            </div>
+          ))}
+          {result.notes.length > 0 && (
+            <ul className="candidacy-notes">
+              {result.notes.map(note => <li key={note}>{note}</li>)}
+            </ul>
+          )}
+          <p className="candidacy-disclaimer">{result.disclaimer}</p>
+
+          {leadStatus === 'sent' ? (
+            <p className="candidacy-sent">✅ Thank you! Our team will reach out to you shortly.</p>
+          ) : (
+            <form className="candidacy-lead-form" onSubmit={submitLead}>
+              <p>Send your answers to our team and we'll reach out to set up your consultation:</p>
+              <input
+                type="text"
+                placeholder="Your Name"
+                value={lead.name}
+                onChange={(e) => setLead({ ...lead, name: e.target.value })}
+              />
+              <input
+                type="tel"
+                placeholder="Phone Number"
+                value={lead.phone}
+                onChange={(e) => setLead({ ...lead, phone: e.target.value })}
+              />
+              <input
+                type="email"
+                placeholder="Email (optional)"
+                value={lead.email}
+                onChange={(e) => setLead({ ...lead, email: e.target.value })}
+              />
+              {leadStatus === 'error' && (
+                <p className="candidacy-error">Something went wrong. Please try again or give us a call.</p>
+              )}
+              <div className="candidacy-actions">
+                <button type="button" className="candidacy-back" onClick={goBack}>
+                  <ChevronLeft className="w-4 h-4" /> Change answers
+                </button>
+                <button type="submit" className="calculate-btn" disabled={leadStatus === 'sending'}>
+                  {leadStatus === 'sending' ? 'Sending...' : 'Send to Our Team'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      ) : (
+        <div className="candidacy-step">
+          <p className="candidacy-progress">Question {previousSteps.length + 1}</p>
+          <p className="candidacy-question">{question.text}</p>
+
+          {question.type === 'number' && (
+            <div className="calculator-row">
+              <input
+                type="number"
+                value={ageInput}
+                onChange={(e) => setAgeInput(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && submitAge()}
+                min={question.min}
+                max={question.max}
+              />
+              <button className="calculate-btn" onClick={submitAge} disabled={isChecking}>Next</button>
+            </div>
+          )}
+
+          {question.type !== 'number' && (
+            <div className="candidacy-options">
+              {(question.type === 'boolean'
+                ? [{ value: true, label: 'Yes' }, { value: false, label: 'No' }]
+                : question.options
+              ).map(option => (
+                <button
+                  key={String(option.value)}
+                  className={`follow-up-chip ${answers[question.id] === option.value ? 'selected' : ''}`}
+                  onClick={() => answer(option.value)}
+                  disabled={isChecking}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {previousSteps.length > 0 && (
+            <button className="candidacy-back" onClick={goBack} disabled={isChecking}>
+              <ChevronLeft className="w-4 h-4" /> Back
+            </button>
+          )}
+          {isChecking && <Loader2 className="w-4 h-4 animate-spin" />}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CandidacyQuestionnaire
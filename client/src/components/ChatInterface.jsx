@@ -1,11 +1,39 @@
 import React, { useState, useEffect, useRef } from 'react'
 import { Send, Loader2, Sparkles, Calculator } from 'lucide-react'
+import SourceCards from './SourceCards'
+import ComparisonTable from './ComparisonTable'
+import CandidacyQuestionnaire from './CandidacyQuestionnaire'
 import './ChatInterface.css'
 
 const API_BASE = import.meta.env.VITE_API_URL || (import.meta.env.DEV 
   ? 'http://localhost:3000' 
   : 'https://pnvgpt.onrender.com')
 
+// Publishable tenant key - selects the clinic whose content answers (default clinic if unset)
+const TENANT_KEY = import.meta.env.VITE_TENANT_KEY
+
+/**
+ * Record a frontend event through /log-event (analytics only - failures are ignored)
+ */
+function trackEvent(event, data = {}) {
+  fetch(`${API_BASE}/log-event`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(TENANT_KEY ? { 'X-Tenant-Key': TENANT_KEY } : {})
+    },
+    body: JSON.stringify({ event, data: { ...data, source: 'chat_app' } })
+  }).catch(() => {})
+}
+
+/**
+ * tel: link for a US phone number ("(210) 585-2020" → "tel:+12105852020")
+ */
+function telHref(phone) {
+  const digits = (phone || '').replace(/\D/g, '')
+  return 'tel:+' + (digits.length === 10 ? '1' + digits : digits)
+}
+
 /**
  * Simple markdown to HTML converter
  * Handles: **bold**, *italic*, bullet points, line breaks
@@ -23,6 +51,9 @@ function renderMarkdown(text) {
   // Links: [text](url) - do this BEFORE escaping breaks the URLs
   // We need to handle this specially since we escaped < and >
   html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+
+  // Citation markers: [1] or [Source 1] → superscript matching the source cards
+  html = html.replace(/\s?\[(?:Source\s*)?(\d+)\]/gi, '<sup class="citation-marker">$1</sup>')
   
   // Bold: **text** or __text__
   html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
@@ -97,6 +128,13 @@ const ChatInterface = ({ chatId, chat, onUpdateChat, onNewChat, isDarkMode }) =>
   const [calcAge, setCalcAge] = useState('')
   const [calcCost, setCalcCost] = useState('')
   const [calcResult, setCalcResult] = useState(null)
+  const [calcProcedure, setCalcProcedure] = useState('lasik')
+  const [calcFinanced, setCalcFinanced] = useState(false)
+  const [savingsProcedures, setSavingsProcedures] = useState(null) // From /savings/assumptions
+  const [clinic, setClinic] = useState(null) // { name, phone } from /api/patient/tenant
+  // Candidacy questionnaire, shown inside the answer to an "am I a candidate?" question
+  const [candidacyMessageIndex, setCandidacyMessageIndex] = useState(null)
+  const [candidacyContext, setCandidacyContext] = useState({ language: 'en', facts: {} })
   const messagesEndRef = useRef(null)
   const inputRef = useRef(null)
   const reflexBufferRef = useRef('')
@@ -114,6 +152,9 @@ const ChatInterface = ({ chatId, chat, onUpdateChat, onNewChat, isDarkMode }) =>
     setCalcAge('')
     setCalcCost('')
     setCalcResult(null)
+    setCalcProcedure('lasik')
+    setCalcFinanced(false)
+    setCandidacyMessageIndex(null)
   }, [chatId, chat])
 
   // Auto-scroll to bottom
@@ -130,6 +171,34 @@ const ChatInterface = ({ chatId, chat, onUpdateChat, onNewChat, isDarkMode }) =>
     }
   }, [calculatorMessageIndex])
 
+  // Scroll to bottom when the candidacy questionnaire appears
+  useEffect(() => {
+    if (candidacyMessageIndex !== null) {
+      scrollToBottom()
+    }
+  }, [candidacyMessageIndex])
+
+  // Load the clinic's procedures for the calculator the first time it appears
+  useEffect(() => {
+    if (calculatorMessageIndex === null || savingsProcedures !== null) return
+    fetch(`${API_BASE}/api/patient/savings/assumptions`, {
+      headers: TENANT_KEY ? { 'X-Tenant-Key': TENANT_KEY } : {}
+    })
+      .then(response => (response.ok ? response.json() : { procedures: [] }))
+      .then(data => setSavingsProcedures(data.procedures || []))
+      .catch(() => setSavingsProcedures([]))
+  }, [calculatorMessageIndex, savingsProcedures])
+
+  // Load the clinic's name and phone once, for the call-to-action links
+  useEffect(() => {
+    fetch(`${API_BASE}/api/patient/tenant`, {
+      headers: TENANT_KEY ? { 'X-Tenant-Key': TENANT_KEY } : {}
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(setClinic)
+      .catch(() => setClinic(null))
+  }, [])
+
   // Focus input on mount
   useEffect(() => {
     inputRef.current?.focus()
@@ -149,8 +218,8 @@ const ChatInterface = ({ chatId, chat, onUpdateChat, onNewChat, isDarkMode }) =>
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }
 
-  const handleSend = async () => {
-    if (!input.trim() || isLoading) return
+  const handleSend = async (text = input) => {
+    if (!text.trim() || isLoading) return
 
     // Clear any running typewriter
     if (typewriterIntervalRef.current) {
@@ -160,7 +229,7 @@ const ChatInterface = ({ chatId, chat, onUpdateChat, onNewChat, isDarkMode }) =>
 
     const userMessage = {
       role: 'user',
-      content: input.trim()
+      content: text.trim()
     }
 
     // Add user message and empty assistant message placeholder
@@ -180,9 +249,14 @@ const ChatInterface = ({ chatId, chat, onUpdateChat, onNewChat, isDarkMode }) =>
       // Use streaming endpoint
       const response = await fetch(`${API_BASE}/ask/stream`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          ...(TENANT_KEY ? { 'X-Tenant-Key': TENANT_KEY } : {})
+        },
         body: JSON.stringify({ 
-          messages: newMessages.map(m => ({ role: m.role, content: m.content }))
+          messages: newMessages.map(m => ({ role: m.role, content: m.content })),
+          // What the assistant last asked - lets the server read "yes" or "45" correctly
+          dialogState: chat?.dialog_state || null
         })
       })
 
@@ -241,15 +315,36 @@ const ChatInterface = ({ chatId, chat, onUpdateChat, onNewChat, isDarkMode }) =>
                       clearInterval(typewriterIntervalRef.current)
                       typewriterIntervalRef.current = null
                       // Final update with complete message
-                      const finalMessages = [...newMessages, { role: 'assistant', content: fullReflexText }]
-                      onUpdateChat(chatId, finalMessages)
+                      const finalMessage = { role: 'assistant', content: fullReflexText }
+                      if (data.suggestions?.length) {
+                        finalMessage.suggestions = data.suggestions
+                        finalMessage.usedFallback = Boolean(data.usedFallback)
+                      }
+                      const finalMessages = [...newMessages, finalMessage]
+                      setMessages(finalMessages)
+                      onUpdateChat(chatId, finalMessages, data.dialogState)
                     }
                   }, typewriterSpeed)
                 } else {
                   // Normal response - final update with complete message
-                  const finalMessages = [...newMessages, { role: 'assistant', content: assistantContent }]
+                  // (grounding may have removed sentences the sources don't support)
+                  if (data.grounding?.correctedAnswer) {
+                    assistantContent = data.grounding.correctedAnswer
+                  }
+                  const finalMessage = { role: 'assistant', content: assistantContent }
+                  if (data.citations?.length) {
+                    finalMessage.citations = data.citations
+                  }
+                  if (data.comparison) {
+                    finalMessage.comparison = data.comparison
+                  }
+                  if (data.suggestions?.length) {
+                    finalMessage.suggestions = data.suggestions
+                    finalMessage.usedFallback = Boolean(data.usedFallback)
+                  }
+                  const finalMessages = [...newMessages, finalMessage]
                   setMessages(finalMessages)
-                  onUpdateChat(chatId, finalMessages)
+                  onUpdateChat(chatId, finalMessages, data.dialogState)
                 }
                 
                 // Show savings calculator attached to this message if context detected
@@ -259,6 +354,20 @@ const ChatInterface = ({ chatId, chat, onUpdateChat, onNewChat, isDarkMode }) =>
                   setCalculatorMessageIndex(newMessages.length)
                   setCalcResult(null) // Reset previous results
                 }
+
+                // Prefill the calculator with what the patient already told us in chat
+                const facts = data.dialogState?.facts || {}
+                if (data.showSavingsCalculator) {
+                  if (facts.age !== undefined) setCalcAge(String(facts.age))
+                  if (facts.annualEyewearCost !== undefined) setCalcCost(String(facts.annualEyewearCost))
+                  if (facts.procedures?.length) setCalcProcedure(facts.procedures[0])
+                }
+
+                // "Am I a candidate?" - offer the questionnaire under this answer (once per chat)
+                if (data.showCandidacyCheck && candidacyMessageIndex === null) {
+                  setCandidacyMessageIndex(newMessages.length)
+                  setCandidacyContext({ language: data.language || 'en', facts })
+                }
               } else if (data.type === 'error') {
                 throw new Error(data.content)
               }
@@ -285,6 +394,17 @@ const ChatInterface = ({ chatId, chat, onUpdateChat, onNewChat, isDarkMode }) =>
     }
   }
 
+  // Follow-up chips send the question straight away
+  const handleSuggestionClick = (suggestion, position, message) => {
+    trackEvent('suggestion_click', {
+      suggestion,
+      position,
+      kind: message.usedFallback ? 'clarify' : 'follow_up',
+      messageCount: messages.length
+    })
+    handleSend(suggestion)
+  }
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault()
@@ -304,7 +424,7 @@ const ChatInterface = ({ chatId, chat, onUpdateChat, onNewChat, isDarkMode }) =>
     inputRef.current?.focus()
   }
 
-  const calculateSavings = () => {
+  const calculateSavings = async () => {
     const age = parseInt(calcAge)
     const annualCost = parseInt(calcCost)
     
@@ -312,12 +432,31 @@ const ChatInterface = ({ chatId, chat, onUpdateChat, onNewChat, isDarkMode }) =>
       alert('Please enter valid numbers for age (18-100) and annual cost.')
       return
     }
-    
-    // Years until 65 * annual cost
-    const yearsUntil65 = Math.max(0, 65 - age)
-    const total = yearsUntil65 * annualCost
-    
-    setCalcResult(total)
+
+    // The server models eyewear spend against the clinic's procedure prices and financing
+    const knownProcedure = (savingsProcedures || []).some(p => p.key === calcProcedure)
+    try {
+      const response = await fetch(`${API_BASE}/api/patient/savings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(TENANT_KEY ? { 'X-Tenant-Key': TENANT_KEY } : {})
+        },
+        body: JSON.stringify({
+          age,
+          annualEyewearCost: annualCost,
+          procedure: knownProcedure ? calcProcedure : undefined,
+          financed: calcFinanced
+        })
+      })
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.message || 'Request failed')
+      setCalcResult(data)
+      trackEvent('calculate_savings', { age, annualCost, procedure: data.procedure.key, financed: calcFinanced, netSavings: data.totals.netSavings })
+    } catch (error) {
+      console.error('Error calculating savings:', error)
+      alert('Sorry, we could not calculate your savings right now. Please try again.')
+    }
   }
 
   const showEmptyState = messages.length === 0 && !isLoading
@@ -349,7 +488,7 @@ const ChatInterface = ({ chatId, chat, onUpdateChat, onNewChat, isDarkMode }) =>
                   disabled={isLoading}
                 />
                 <button
-                  onClick={handleSend}
+                  onClick={() => handleSend()}
                   disabled={!input.trim() || isLoading}
                   className="send-button"
                 >
@@ -406,6 +545,9 @@ const ChatInterface = ({ chatId, chat, onUpdateChat, onNewChat, isDarkMode }) =>
                         {isStreaming && idx === messages.length - 1 && message.content && (
                           <span className="typing-cursor">▋</span>
                         )}
+
+                        <ComparisonTable comparison={message.comparison} />
+                        <SourceCards citations={message.citations} />
                         
                         {/* Savings Calculator - shows INSIDE the message that triggered it */}
                         {calculatorMessageIndex === idx && (
@@ -436,25 +578,104 @@ const ChatInterface = ({ chatId, chat, onUpdateChat, onNewChat, isDarkMode }) =>
                                   min="0"
                                 />
                               </div>
+                              {savingsProcedures?.length > 0 && (
+                                <div className="calculator-row">
+                                  <label>Procedure</label>
+                                  <select
+                                    value={savingsProcedures.some(p => p.key === calcProcedure) ? calcProcedure : savingsProcedures[0].key}
+                                    onChange={(e) => setCalcProcedure(e.target.value)}
+                                  >
+                                    {savingsProcedures.map(p => (
+                                      <option key={p.key} value={p.key}>{p.label}</option>
+                                    ))}
+                                  </select>
+                                </div>
+                              )}
+                              <label className="calculator-check">
+                                <input
+                                  type="checkbox"
+                                  checked={calcFinanced}
+                                  onChange={(e) => setCalcFinanced(e.target.checked)}
+                                />
+                                Pay monthly with financing
+                              </label>
                               <button className="calculate-btn" onClick={calculateSavings}>
                                 {calcResult === null ? 'Calculate My Savings' : 'Recalculate'}
                               </button>
                               {calcResult !== null && (
                                 <div className="savings-result">
-                                  <p>By age 65, your estimated spending on eyewear would be:</p>
-                                  <div className="savings-number">${calcResult.toLocaleString()}</div>
-                                  <p className="savings-subtitle">That's enough to pay for vision correction several times over!</p>
-                                  <a 
-                                    href="tel:2105852020" 
-                                    className="schedule-btn"
-                                  >
-                                    📅 Call to Schedule Consultation
-                                  </a>
+                                  <p>By age {calcResult.eyewear.untilAge}, your estimated spending on eyewear would be:</p>
+                                  <div className="savings-number">${calcResult.totals.eyewearCost.toLocaleString()}</div>
+                                  <p>
+                                    {calcResult.procedure.label} ({calcResult.procedure.eyes === 2 ? 'both eyes' : 'one eye'}):{' '}
+                                    {calcResult.financing
+                                      ? `$${calcResult.financing.monthlyPayment.toLocaleString()}/month for ${calcResult.financing.termMonths} months`
+                                      : `$${calcResult.procedure.totalCost.toLocaleString()}`}
+                                  </p>
+                                  <p>
+                                    {calcResult.breakEven
+                                      ? `Pays for itself in about ${Math.round(calcResult.breakEven.months / 12 * 10) / 10} years (around age ${calcResult.breakEven.age}), then saves you $${calcResult.totals.netSavings.toLocaleString()} by age ${calcResult.eyewear.untilAge}.`
+                                      : `Eyewear alone won't cover the cost before age ${calcResult.eyewear.untilAge} - the value is in the freedom from glasses and contacts.`}
+                                  </p>
+                                  <details className="savings-breakdown">
+                                    <summary>Year-by-year breakdown</summary>
+                                    <table>
+                                      <thead>
+                                        <tr><th>Age</th><th>Eyewear</th><th>Procedure</th><th>Net</th></tr>
+                                      </thead>
+                                      <tbody>
+                                        {calcResult.years.map(row => (
+                                          <tr key={row.year}>
+                                            <td>{row.age}</td>
+                                            <td>${row.cumulativeEyewearCost.toLocaleString()}</td>
+                                            <td>${row.cumulativeProcedureCost.toLocaleString()}</td>
+                                            <td className={row.netSavings >= 0 ? 'savings-positive' : ''}>
+                                              {row.netSavings < 0 ? '-' : ''}${Math.abs(row.netSavings).toLocaleString()}
+                                            </td>
+                                          </tr>
+                                        ))}
+                                      </tbody>
+                                    </table>
+                                  </details>
+                                  {clinic?.phone && (
+                                    <a
+                                      href={telHref(clinic.phone)}
+                                      className="schedule-btn"
+                                    >
+                                      📅 Call {clinic.phone} to Schedule Consultation
+                                    </a>
+                                  )}
                                 </div>
                               )}
                             </div>
                           </div>
                         )}
+
+                        {candidacyMessageIndex === idx && (
+                          <CandidacyQuestionnaire
+                            apiBase={API_BASE}
+                            tenantKey={TENANT_KEY}
+                            language={candidacyContext.language}
+                            facts={candidacyContext.facts}
+                            onEvent={trackEvent}
+                          />
+                        )}
+
+                        {/* Follow-up questions - only under the latest answer */}
+                        {idx === messages.length - 1 && !isStreaming && message.suggestions?.length > 0 && (
+                          <div className="follow-up-chips">
+                            {message.suggestions.map((suggestion, position) => (
+                              <button
+                                key={suggestion}
+                                className="follow-up-chip"
+                                onClick={() => handleSuggestionClick(suggestion, position, message)}
+                                disabled={isLoading}
+                              >
+                                {suggestion}
+                              </button>
+                            ))}
+                          </div>
+                        )}
                       </>
                     ) : (
                       message.content
@@ -483,7 +704,7 @@ const ChatInterface = ({ chatId, chat, onUpdateChat, onNewChat, isDarkMode }) =>
               className="chat-input"
             />
             <button
-              onClick={handleSend}
+              onClick={() => handleSend()}
               disabled={!input.trim() || isLoading}
               className="send-button"
             >
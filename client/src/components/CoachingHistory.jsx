@@ -0,0 +1,352 @@
+/**
+ * Coaching History Component
+ *
+ * Lists the clinician's past coaching sessions from /api/clinician/history
+ * with rubric and date filters and simple pagination.
+ * Selecting a session hands its id to the parent, which reopens it in CoachingResults.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { History, Trash2, ChevronLeft, ChevronRight, Loader2 } from 'lucide-react'
+import { apiRequest } from '../lib/api'
+
+const PAGE_SIZE = 10
+
+const CoachingHistory = ({ rubrics = [], refreshKey = 0, activeSessionId = null, onOpen, disabled = false }) => {
+  const [sessions, setSessions] = useState([])
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 0, total: 0 })
+  const [page, setPage] = useState(1)
+  const [rubricFilter, setRubricFilter] = useState('')
+  const [fromDate, setFromDate] = useState('')
+  const [toDate, setToDate] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [deletingId, setDeletingId] = useState(null)
+  const [error, setError] = useState(null)
+
+  const fetchHistory = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) })
+      if (rubricFilter) params.set('rubricId', rubricFilter)
+      if (fromDate) params.set('from', fromDate)
+      // Include the whole "to" day
+      if (toDate) params.set('to', `${toDate}T23:59:59.999Z`)
+
+      const data = await apiRequest(`/api/clinician/history?${params.toString()}`)
+      setSessions(data.sessions || [])
+      setPagination(data.pagination || { page: 1, totalPages: 0, total: 0 })
+    } catch (err) {
+      console.error('Error fetching coaching history:', err)
+      setError(err.message || 'Failed to load history')
+    } finally {
+      setLoading(false)
+    }
+  }, [page, rubricFilter, fromDate, toDate])
+
+  useEffect(() => {
+    fetchHistory()
+  }, [fetchHistory, refreshKey])
+
+  // Changing a filter goes back to the first page
+  const updateFilter = (setter) => (e) => {
+    setter(e.target.value)
+    setPage(1)
+  }
+
+  const handleDelete = async (e, sessionId) => {
+    e.stopPropagation()
+    if (!window.confirm('Delete this coaching session? This cannot be undone.')) return
+
+    setDeletingId(sessionId)
+    try {
+      await apiRequest(`/api/clinician/history/${sessionId}`, { method: 'DELETE' })
+      await fetchHistory()
+    } catch (err) {
+      console.error('Error deleting coaching session:', err)
+      setError(err.message || 'Failed to delete session')
+    } finally {
+      setDeletingId(null)
+    }
+  }
+
+  const formatDate = (iso) => new Date(iso).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  })
+
+  const getScoreColor = (value) => {
+    if (value >= 80) return '#22c55e'
+    if (value >= 60) return '#eab308'
+    if (value >= 40) return '#f97316'
+    return '#ef4444'
+  }
+
+  return (
+    <div className="coaching-history">
+      <div className="history-header">
+        <History className="w-4 h-4" />
+        <span>Past Sessions</span>
+        {pagination.total > 0 && <span className="history-count">{pagination.total}</span>}
+      </div>
+
+      <div className="history-filters">
+        <select
+          value={rubricFilter}
+          onChange={updateFilter(setRubricFilter)}
+          className="history-filter"
+        >
+          <option value="">All rubrics</option>
+          {rubrics.map(rubric => (
+            <option key={rubric.id} value={rubric.id}>{rubric.title}</option>
+          ))}
+        </select>
+        <div className="history-dates">
+          <input
+            type="date"
+            value={fromDate}
+            onChange={updateFilter(setFromDate)}
+            className="history-filter"
+            aria-label="From date"
+          />
+          <input
+            type="date"
+            value={toDate}
+            onChange={updateFilter(setToDate)}
+            className="history-filter"
+            aria-label="To date"
+          />
+        </div>
+      </div>
+
+      {error && <div className="history-error">{error}</div>}
+
+      {loading && sessions.length === 0 && (
+        <div className="history-empty">
+          <Loader2 className="w-4 h-4 animate-spin" /> Loading...
+        </div>
+      )}
+
+      {!loading && !error && sessions.length === 0 && (
+        <div className="history-empty">No coaching sessions yet.</div>
+      )}
+
+      <ul className="history-list">
+        {sessions.map(session => (
+          <li key={session.id}>
+            <button
+              className={`history-item ${session.id === activeSessionId ? 'active' : ''}`}
+              onClick={() => onOpen && onOpen(session.id)}
+              disabled={disabled}
+            >
+              <span className="history-score" style={{ color: getScoreColor(session.score.overall) }}>
+                {session.score.overall}
+              </span>
+              <span className="history-info">
+                <span className="history-rubric">{session.rubricTitle || session.rubricId || 'Unknown rubric'}</span>
+                <span className="history-date">{formatDate(session.createdAt)}</span>
+              </span>
+              <span
+                className="history-delete"
+                role="button"
+                title="Delete session"
+                onClick={(e) => handleDelete(e, session.id)}
+              >
+                {deletingId === session.id
+                  ? <Loader2 className="w-4 h-4 animate-spin" />
+                  : <Trash2 className="w-4 h-4" />}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {pagination.totalPages > 1 && (
+        <div className="history-pagination">
+          <button onClick={() => setPage(page - 1)} disabled={page <= 1 || loading}>
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <span>Page {pagination.page} of {pagination.totalPages}</span>
+          <button onClick={() => setPage(page + 1)} disabled={page >= pagination.totalPages || loading}>
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      <style>{`
+        .coaching-history {
+          display: flex;
+          flex-direction: column;
+          gap: 0.75rem;
+        }
+
+        .history-header {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          font-size: 0.9rem;
+          font-weight: 500;
+          color: rgba(255, 255, 255, 0.8);
+        }
+
+        .history-count {
+          margin-left: auto;
+          padding: 0.1rem 0.5rem;
+          background: rgba(59, 130, 246, 0.2);
+          border-radius: 999px;
+          font-size: 0.75rem;
+          color: #93c5fd;
+        }
+
+        .history-filters {
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+        }
+
+        .history-dates {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 0.5rem;
+        }
+
+        .history-filter {
+          width: 100%;
+          padding: 0.5rem 0.75rem;
+          background: rgba(255, 255, 255, 0.05);
+          border: 1px solid rgba(255, 255, 255, 0.15);
+          border-radius: 6px;
+          color: white;
+          font-size: 0.85rem;
+          color-scheme: dark;
+        }
+
+        .history-filter option {
+          background: #1a1a2e;
+          color: white;
+        }
+
+        .history-error {
+          padding: 0.5rem 0.75rem;
+          background: rgba(239, 68, 68, 0.15);
+          border-radius: 6px;
+          color: #fca5a5;
+          font-size: 0.85rem;
+        }
+
+        .history-empty {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          padding: 0.75rem 0;
+          font-size: 0.85rem;
+          color: rgba(255, 255, 255, 0.5);
+        }
+
+        .history-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          display: flex;
+          flex-direction: column;
+          gap: 0.375rem;
+        }
+
+        .history-item {
+          width: 100%;
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+          padding: 0.625rem 0.75rem;
+          background: rgba(255, 255, 255, 0.03);
+          border: 1px solid rgba(255, 255, 255, 0.08);
+          border-radius: 8px;
+          color: white;
+          text-align: left;
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+
+        .history-item:hover:not(:disabled) {
+          background: rgba(255, 255, 255, 0.08);
+        }
+
+        .history-item.active {
+          border-color: #3b82f6;
+          background: rgba(59, 130, 246, 0.1);
+        }
+
+        .history-item:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .history-score {
+          min-width: 2rem;
+          font-size: 1.1rem;
+          font-weight: 700;
+        }
+
+        .history-info {
+          flex: 1;
+          display: flex;
+          flex-direction: column;
+          min-width: 0;
+        }
+
+        .history-rubric {
+          font-size: 0.85rem;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .history-date {
+          font-size: 0.75rem;
+          color: rgba(255, 255, 255, 0.5);
+        }
+
+        .history-delete {
+          display: flex;
+          padding: 0.25rem;
+          border-radius: 4px;
+          color: rgba(255, 255, 255, 0.4);
+        }
+
+        .history-delete:hover {
+          color: #fca5a5;
+          background: rgba(239, 68, 68, 0.15);
+        }
+
+        .history-pagination {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          font-size: 0.8rem;
+          color: rgba(255, 255, 255, 0.6);
+        }
+
+        .history-pagination button {
+          display: flex;
+          padding: 0.25rem 0.5rem;
+          background: rgba(255, 255, 255, 0.05);
+          border: 1px solid rgba(255, 255, 255, 0.15);
+          border-radius: 6px;
+          color: white;
+          cursor: pointer;
+        }
+
+        .history-pagination button:disabled {
+          opacity: 0.4;
+          cursor: not-allowed;
+        }
+      `}</style>
+    </div>
+  )
+}
+
+export default CoachingHistory
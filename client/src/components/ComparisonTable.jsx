@@ -0,0 +1,75 @@
+/**
+ * Comparison Table Component
+ *
+ * Renders the `comparison` object from /ask and /ask/stream for questions that
+ * compare procedures: one column per procedure, one row per attribute, and a
+ * source number on every cell that expands to the FAQ excerpt it came from.
+ */
+
+import React, { useState } from 'react'
+import { Columns } from 'lucide-react'
+
+const ComparisonTable = ({ comparison }) => {
+  const [openSource, setOpenSource] = useState(null)
+
+  if (!comparison || !comparison.rows || comparison.rows.length === 0) return null
+
+  const sources = new Map((comparison.sources || []).map(source => [source.number, source]))
+  const activeSource = openSource !== null ? sources.get(openSource) : null
+
+  return (
+    <div className="comparison-table">
+      <div className="source-cards-label">
+        <Columns className="w-4 h-4" />
+        {comparison.procedures.join(' vs ')}
+      </div>
+      <div className="comparison-table-scroll">
+        <table>
+          <thead>
+            <tr>
+              <th></th>
+              {comparison.procedures.map(procedure => (
+                <th key={procedure}>{procedure}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {comparison.rows.map(row => (
+              <tr key={row.key}>
+                <th scope="row">{row.label}</th>
+                {row.cells.map(cell => (
+                  <td key={cell.procedure}>
+                    {cell.value ? (
+                      <>
+                        {cell.value}
+                        {sources.has(cell.source) && (
+                          <button
+                            className={`comparison-source ${openSource === cell.source ? 'open' : ''}`}
+                            onClick={() => setOpenSource(openSource === cell.source ? null : cell.source)}
+                            aria-label={`Source ${cell.source}`}
+                          >
+                            {cell.source}
+                          </button>
+                        )}
+                      </>
+                    ) : (
+                      <span className="comparison-empty">—</span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {activeSource && (
+        <div className="comparison-source-body">
+          <strong>{activeSource.heading || activeSource.filename}</strong>
+          <p>{activeSource.excerpt}</p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ComparisonTable
@@ -0,0 +1,70 @@
+/**
+ * Source Cards Component
+ *
+ * Renders the `citations` array from /ask and /ask/stream under an answer:
+ * one card per [n] marker with the FAQ heading and file, expandable to the
+ * excerpt the statement came from (and a link when the server sets a url).
+ */
+
+import React, { useState } from 'react'
+import { BookOpen, ChevronDown, ExternalLink } from 'lucide-react'
+
+/**
+ * Turn a content filename into a readable title ("09-lasik-basics.md" → "Lasik Basics")
+ */
+function formatFilename(filename) {
+  return (filename || '')
+    .replace(/\.md$/, '')
+    .replace(/^\d+-/, '')
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ')
+}
+
+const SourceCards = ({ citations = [] }) => {
+  const [openNumber, setOpenNumber] = useState(null)
+
+  if (!citations || citations.length === 0) return null
+
+  return (
+    <div className="source-cards">
+      <div className="source-cards-label">
+        <BookOpen className="w-4 h-4" />
+        Sources
+      </div>
+      {citations.map(citation => {
+        const isOpen = openNumber === citation.number
+        return (
+          <div key={citation.number} className={`source-card ${isOpen ? 'open' : ''}`}>
+            <button
+              className="source-card-header"
+              onClick={() => setOpenNumber(isOpen ? null : citation.number)}
+              aria-expanded={isOpen}
+            >
+              <span className="source-card-number">{citation.number}</span>
+              <span className="source-card-title">
+                {citation.heading || formatFilename(citation.filename)}
+                {citation.heading && (
+                  <span className="source-card-file">{formatFilename(citation.filename)}</span>
+                )}
+              </span>
+              <ChevronDown className="w-4 h-4 source-card-chevron" />
+            </button>
+            {isOpen && (
+              <div className="source-card-body">
+                <p>{citation.excerpt}</p>
+                {citation.url && (
+                  <a href={citation.url} target="_blank" rel="noopener noreferrer">
+                    Read the full FAQ <ExternalLink className="w-3 h-3" />
+                  </a>
+                )}
+              </div>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default SourceCards
@@ -6,6 +6,9 @@
  * 2. Optionally select a rubric
  * 3. Transcribe and/or analyze
  * 4. View coaching feedback
+ * 5. Reopen past sessions from the history panel
+ * 
+ * Score trends across sessions live on ClinicianTrendsPage.
  */
 
 import React, { useState, useEffect } from 'react'
@@ -17,10 +20,12 @@ import {
   Loader2,
   RefreshCw,
   FileText,
-  Zap
+  Zap,
+  TrendingUp
 } from 'lucide-react'
 import AudioRecorder from '../components/AudioRecorder'
 import CoachingResults from '../components/CoachingResults'
+import CoachingHistory from '../components/CoachingHistory'
 import { apiRequest, apiUpload } from '../lib/api'
 import { supabase } from '../lib/supabase'
 import './ClinicianCoachPage.css'
@@ -35,12 +40,15 @@ const ClinicianCoachPage = () => {
   const [selectedRubric, setSelectedRubric] = useState('')
   const [transcript, setTranscript] = useState('')
   const [analysisResult, setAnalysisResult] = useState(null)
+  const [activeSessionId, setActiveSessionId] = useState(null)
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0)
   
   // Loading states
   const [loadingRubrics, setLoadingRubrics] = useState(true)
   const [transcribing, setTranscribing] = useState(false)
   const [analyzing, setAnalyzing] = useState(false)
   const [runningFullCoach, setRunningFullCoach] = useState(false)
+  const [loadingSession, setLoadingSession] = useState(false)
   
   // Errors
   const [error, setError] = useState(null)
@@ -76,6 +84,7 @@ const ClinicianCoachPage = () => {
     if (file) {
       setTranscript('')
       setAnalysisResult(null)
+      setActiveSessionId(null)
       setError(null)
     }
   }
@@ -130,6 +139,8 @@ const ClinicianCoachPage = () => {
 
       if (result.success) {
         setAnalysisResult(result.result)
+        setActiveSessionId(result.sessionId || null)
+        setHistoryRefreshKey(key => key + 1)
       } else {
         throw new Error(result.error || 'Analysis failed')
       }
@@ -165,6 +176,8 @@ const ClinicianCoachPage = () => {
       if (result.success) {
         setTranscript(result.transcript)
         setAnalysisResult(result.analysis)
+        setActiveSessionId(result.sessionId || null)
+        setHistoryRefreshKey(key => key + 1)
       } else {
         throw new Error(result.error || 'Coaching analysis failed')
       }
@@ -176,11 +189,35 @@ const ClinicianCoachPage = () => {
     }
   }
 
+  // Reopen a past session from history
+  const handleOpenSession = async (sessionId) => {
+    setError(null)
+    setLoadingSession(true)
+
+    try {
+      const result = await apiRequest(`/api/clinician/history/${sessionId}`)
+
+      if (result.success) {
+        setTranscript(result.session.transcript)
+        setAnalysisResult(result.session.analysis)
+        setActiveSessionId(result.session.id)
+      } else {
+        throw new Error(result.error || 'Failed to load session')
+      }
+    } catch (err) {
+      console.error('Error loading coaching session:', err)
+      setError(err.message || 'Failed to load session')
+    } finally {
+      setLoadingSession(false)
+    }
+  }
+
   // Reset everything
   const handleReset = () => {
     setAudioFile(null)
     setTranscript('')
     setAnalysisResult(null)
+    setActiveSessionId(null)
     setError(null)
     setSelectedRubric('')
   }
@@ -191,7 +228,7 @@ const ClinicianCoachPage = () => {
     navigate('/login')
   }
 
-  const isProcessing = transcribing || analyzing || runningFullCoach
+  const isProcessing = transcribing || analyzing || runningFullCoach || loadingSession
 
   return (
     <div className="clinician-coach-page">
@@ -210,6 +247,10 @@ const ClinicianCoachPage = () => {
           {user && (
             <span className="user-email">{user.email}</span>
           )}
+          <button className="logout-btn progress-btn" onClick={() => navigate('/clinician/trends')}>
+            <TrendingUp className="w-4 h-4" />
+            Progress
+          </button>
           <button className="logout-btn" onClick={handleLogout}>
             Logout
           </button>
@@ -324,6 +365,17 @@ const ClinicianCoachPage = () => {
             </div>
           )}
 
+          {/* Past Sessions */}
+          <div className="panel-section history-section">
+            <CoachingHistory
+              rubrics={rubrics}
+              refreshKey={historyRefreshKey}
+              activeSessionId={activeSessionId}
+              onOpen={handleOpenSession}
+              disabled={isProcessing}
+            />
+          </div>
+
           {/* Transcript Preview (if step-by-step) */}
           {transcript && !analysisResult && (
             <div className="panel-section transcript-preview">
@@ -353,6 +405,7 @@ const ClinicianCoachPage = () => {
                 {runningFullCoach && 'Transcribing and analyzing your consultation...'}
                 {transcribing && 'Transcribing audio...'}
                 {analyzing && 'Analyzing transcript...'}
+                {loadingSession && 'Loading past session...'}
               </p>
               <p className="processing-hint">This may take a minute for longer recordings.</p>
             </div>
@@ -0,0 +1,361 @@
+/**
+ * Clinician Trends Page
+ *
+ * Progress dashboard built from saved coaching sessions:
+ * 1. Score trend over time (overall, must-say coverage, safety)
+ * 2. Must-not-say violations per period
+ * 3. Items the clinician keeps missing
+ * 4. Per-clinician summaries (admins only)
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useNavigate } from 'react-router-dom'
+import {
+  ArrowLeft,
+  TrendingUp,
+  TrendingDown,
+  Minus,
+  Loader2,
+  AlertTriangle,
+  ListChecks,
+  Users
+} from 'lucide-react'
+import { apiRequest, checkUserRole } from '../lib/api'
+import './ClinicianCoachPage.css'
+import './ClinicianTrendsPage.css'
+
+const SERIES = [
+  { key: 'overall', label: 'Overall', color: '#a855f7' },
+  { key: 'coverage', label: 'Coverage', color: '#3b82f6' },
+  { key: 'safety', label: 'Safety', color: '#22c55e' }
+]
+
+const CHART_WIDTH = 640
+const CHART_HEIGHT = 220
+const CHART_PADDING = 32
+
+/**
+ * Inline SVG line chart of scores (0-100) per period
+ */
+const ScoreChart = ({ series }) => {
+  if (series.length === 0) return null
+
+  const innerWidth = CHART_WIDTH - CHART_PADDING * 2
+  const innerHeight = CHART_HEIGHT - CHART_PADDING * 2
+  const xFor = (index) => CHART_PADDING + (series.length === 1 ? innerWidth / 2 : (index / (series.length - 1)) * innerWidth)
+  const yFor = (value) => CHART_PADDING + innerHeight - (value / 100) * innerHeight
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="trend-chart" role="img" aria-label="Score trend">
+      {[0, 25, 50, 75, 100].map(tick => (
+        <g key={tick}>
+          <line x1={CHART_PADDING} x2={CHART_WIDTH - CHART_PADDING} y1={yFor(tick)} y2={yFor(tick)} className="chart-grid" />
+          <text x={CHART_PADDING - 6} y={yFor(tick) + 4} className="chart-label" textAnchor="end">{tick}</text>
+        </g>
+      ))}
+
+      {SERIES.map(({ key, color }) => {
+        const points = series
+          .map((point, index) => point[key] === null ? null : `${xFor(index)},${yFor(point[key])}`)
+          .filter(Boolean)
+        return (
+          <g key={key}>
+            <polyline points={points.join(' ')} fill="none" stroke={color} strokeWidth="2" />
+            {series.map((point, index) => point[key] !== null && (
+              <circle key={index} cx={xFor(index)} cy={yFor(point[key])} r="3" fill={color}>
+                <title>{`${point.period}: ${point[key]}`}</title>
+              </circle>
+            ))}
+          </g>
+        )
+      })}
+
+      {series.map((point, index) => (
+        <text key={point.period} x={xFor(index)} y={CHART_HEIGHT - 8} className="chart-label" textAnchor="middle">
+          {point.period.slice(5)}
+        </text>
+      ))}
+    </svg>
+  )
+}
+
+const ChangeBadge = ({ value }) => {
+  if (value === null || value === undefined) return null
+  const Icon = value > 0 ? TrendingUp : value < 0 ? TrendingDown : Minus
+  const className = value > 0 ? 'up' : value < 0 ? 'down' : 'flat'
+  return (
+    <span className={`change-badge ${className}`}>
+      <Icon className="w-3 h-3" />
+      {value > 0 ? '+' : ''}{value}
+    </span>
+  )
+}
+
+const ClinicianTrendsPage = () => {
+  const navigate = useNavigate()
+
+  const [isAdmin, setIsAdmin] = useState(false)
+  const [rubrics, setRubrics] = useState([])
+  const [clinicians, setClinicians] = useState([])
+  const [report, setReport] = useState(null)
+
+  // Filters
+  const [groupBy, setGroupBy] = useState('week')
+  const [rubricFilter, setRubricFilter] = useState('')
+  const [clinicianFilter, setClinicianFilter] = useState('')
+  const [fromDate, setFromDate] = useState('')
+  const [toDate, setToDate] = useState('')
+
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    checkUserRole().then(({ role }) => setIsAdmin(role === 'admin'))
+    apiRequest('/api/clinician/rubrics')
+      .then(data => setRubrics(data.rubrics || []))
+      .catch(err => console.error('Error fetching rubrics:', err))
+  }, [])
+
+  const fetchTrends = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      const params = new URLSearchParams({ interval: groupBy })
+      if (rubricFilter) params.set('rubricId', rubricFilter)
+      if (clinicianFilter) params.set('userId', clinicianFilter)
+      if (fromDate) params.set('from', fromDate)
+      // Include the whole "to" day
+      if (toDate) params.set('to', `${toDate}T23:59:59.999Z`)
+
+      const data = await apiRequest(`/api/clinician/trends?${params.toString()}`)
+      setReport(data)
+      // Keep the clinician picker populated while one clinician is selected
+      if (data.clinicians) setClinicians(data.clinicians)
+    } catch (err) {
+      console.error('Error fetching trends:', err)
+      setError(err.message || 'Failed to load trends')
+    } finally {
+      setLoading(false)
+    }
+  }, [groupBy, rubricFilter, clinicianFilter, fromDate, toDate])
+
+  useEffect(() => {
+    fetchTrends()
+  }, [fetchTrends])
+
+  const formatDate = (iso) => iso ? new Date(iso).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  }) : '—'
+
+  const clinicianLabel = (clinician) => clinician.fullName || clinician.email || clinician.id.slice(0, 8)
+
+  const summary = report?.summary
+  const series = report?.series || []
+  const maxViolations = Math.max(1, ...series.map(point => point.violations))
+
+  return (
+    <div className="clinician-coach-page">
+      {/* Header */}
+      <header className="coach-header">
+        <div className="header-left">
+          <button className="back-btn" onClick={() => navigate('/clinician/coach')}>
+            <ArrowLeft className="w-5 h-5" />
+          </button>
+          <div className="header-title">
+            <TrendingUp className="w-6 h-6" />
+            <h1>{isAdmin ? 'Team Progress' : 'My Progress'}</h1>
+          </div>
+        </div>
+      </header>
+
+      <main className="trends-main">
+        {/* Filters */}
+        <div className="trends-filters">
+          <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className="trends-filter">
+            <option value="day">Daily</option>
+            <option value="week">Weekly</option>
+            <option value="month">Monthly</option>
+          </select>
+          <select value={rubricFilter} onChange={(e) => setRubricFilter(e.target.value)} className="trends-filter">
+            <option value="">All rubrics</option>
+            {rubrics.map(rubric => (
+              <option key={rubric.id} value={rubric.id}>{rubric.title}</option>
+            ))}
+          </select>
+          {isAdmin && (
+            <select value={clinicianFilter} onChange={(e) => setClinicianFilter(e.target.value)} className="trends-filter">
+              <option value="">All clinicians</option>
+              {clinicians.map(clinician => (
+                <option key={clinician.id} value={clinician.id}>{clinicianLabel(clinician)}</option>
+              ))}
+            </select>
+          )}
+          <input
+            type="date"
+            value={fromDate}
+            onChange={(e) => setFromDate(e.target.value)}
+            className="trends-filter"
+            aria-label="From date"
+          />
+          <input
+            type="date"
+            value={toDate}
+            onChange={(e) => setToDate(e.target.value)}
+            className="trends-filter"
+            aria-label="To date"
+          />
+          {loading && <Loader2 className="w-5 h-5 animate-spin" />}
+        </div>
+
+        {error && (
+          <div className="error-message">
+            {error}
+          </div>
+        )}
+
+        {summary && summary.sessions === 0 && !loading && (
+          <div className="trends-empty">
+            No coaching sessions in this range yet. Run a coaching session to start tracking progress.
+          </div>
+        )}
+
+        {summary && summary.sessions > 0 && (
+          <>
+            {/* Summary cards */}
+            <div className="trends-cards">
+              <div className="trends-card">
+                <span className="card-label">Sessions</span>
+                <span className="card-value">{summary.sessions}</span>
+                <span className="card-hint">{formatDate(summary.firstSessionAt)} – {formatDate(summary.lastSessionAt)}</span>
+              </div>
+              {SERIES.map(({ key, label, color }) => (
+                <div className="trends-card" key={key}>
+                  <span className="card-label">Avg {label}</span>
+                  <span className="card-value" style={{ color }}>{summary.averages[key] ?? '—'}</span>
+                  <ChangeBadge value={summary.change?.[key]} />
+                </div>
+              ))}
+              <div className="trends-card">
+                <span className="card-label">Violations</span>
+                <span className="card-value" style={{ color: summary.totalViolations > 0 ? '#ef4444' : '#22c55e' }}>
+                  {summary.totalViolations}
+                </span>
+              </div>
+            </div>
+
+            {/* Score trend */}
+            <section className="trends-section">
+              <div className="panel-header">
+                <TrendingUp className="w-5 h-5" />
+                <h2>Score Trend</h2>
+                <div className="chart-legend">
+                  {SERIES.map(({ key, label, color }) => (
+                    <span key={key}><i style={{ background: color }} />{label}</span>
+                  ))}
+                </div>
+              </div>
+              <ScoreChart series={series} />
+
+              <div className="violation-bars">
+                {series.map(point => (
+                  <div key={point.period} className="violation-bar" title={`${point.period}: ${point.violations} violation(s) in ${point.sessions} session(s)`}>
+                    <div className="violation-fill" style={{ height: `${(point.violations / maxViolations) * 100}%` }} />
+                  </div>
+                ))}
+              </div>
+              <p className="section-hint">Must-not-say violations per period</p>
+            </section>
+
+            <div className="trends-columns">
+              {/* Recurring missed items */}
+              <section className="trends-section">
+                <div className="panel-header">
+                  <ListChecks className="w-5 h-5" />
+                  <h2>Recurring Missed Items</h2>
+                </div>
+                {report.recurringMissedItems.length === 0 ? (
+                  <p className="section-hint">Nothing has been missed more than once.</p>
+                ) : (
+                  <ul className="recurring-list">
+                    {report.recurringMissedItems.map(entry => (
+                      <li key={`${entry.source}-${entry.item}`}>
+                        <span className="recurring-item">{entry.item}</span>
+                        <span className={`source-badge ${entry.source}`}>{entry.source}</span>
+                        <span className="recurring-count">{entry.count}× ({entry.share}%)</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+
+              {/* Recurring violations */}
+              <section className="trends-section">
+                <div className="panel-header">
+                  <AlertTriangle className="w-5 h-5" />
+                  <h2>Recurring Violations</h2>
+                </div>
+                {report.recurringViolations.length === 0 ? (
+                  <p className="section-hint">No repeated must-not-say violations.</p>
+                ) : (
+                  <ul className="recurring-list">
+                    {report.recurringViolations.map(entry => (
+                      <li key={entry.item}>
+                        <span className="recurring-item">{entry.item}</span>
+                        <span className="recurring-count">{entry.count}× ({entry.share}%)</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+            </div>
+          </>
+        )}
+
+        {/* Per-clinician summaries (admin) */}
+        {isAdmin && clinicians.length > 0 && (
+          <section className="trends-section">
+            <div className="panel-header">
+              <Users className="w-5 h-5" />
+              <h2>Clinicians</h2>
+            </div>
+            <table className="clinicians-table">
+              <thead>
+                <tr>
+                  <th>Clinician</th>
+                  <th>Sessions</th>
+                  <th>Overall</th>
+                  <th>Coverage</th>
+                  <th>Safety</th>
+                  <th>Violations</th>
+                  <th>Last session</th>
+                </tr>
+              </thead>
+              <tbody>
+                {clinicians.map(clinician => (
+                  <tr
+                    key={clinician.id}
+                    className={clinician.id === clinicianFilter ? 'active' : ''}
+                    onClick={() => setClinicianFilter(clinician.id === clinicianFilter ? '' : clinician.id)}
+                  >
+                    <td>{clinicianLabel(clinician)}</td>
+                    <td>{clinician.sessions}</td>
+                    <td>{clinician.averages.overall ?? '—'} <ChangeBadge value={clinician.change?.overall} /></td>
+                    <td>{clinician.averages.coverage ?? '—'}</td>
+                    <td>{clinician.averages.safety ?? '—'}</td>
+                    <td>{clinician.totalViolations}</td>
+                    <td>{formatDate(clinician.lastSessionAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        )}
+      </main>
+    </div>
+  )
+}
+
+export default ClinicianTrendsPage
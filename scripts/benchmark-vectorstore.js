@@ -0,0 +1,270 @@
+/**
+ * Vector Store Benchmark
+ *
+ * Compares the local store's HNSW index against the brute-force cosine scan
+ * the store used before (plain arrays, collection.json) on the same vectors:
+ *   - build: time to insert every vector into the graph
+ *   - latency: mean / p50 / p95 per query for brute force, the exact float32
+ *     scan and HNSW at several efSearch values
+ *   - recall@k: share of the true top k (from brute force) that HNSW returns
+ *   - storage: size and load time of pretty-printed JSON vs float32 binary
+ *
+ * Vectors are synthetic and clustered (seeded, so runs are comparable), or with
+ * --store the embeddings already in the configured vector store with slightly
+ * perturbed copies as queries. The store itself is only read.
+ *
+ * Run with: npm run bench:vectors [-- --docs 5000] [--dims 1536] [--queries 200]
+ *           [--k 10] [--ef 16,32,64,128] [--store] [--out results.json]
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { getVectorStore } = require('../server/vectorstores');
+const { cosineSimilarity } = require('../server/vectorstores/localVectorStore');
+const { createHnswIndex, insertNode, searchHnsw, normalizeVector, dot } = require('../server/hnsw-index');
+
+const CLUSTER_SIZE = 50; // Synthetic documents per topic
+const CLUSTER_SPREAD = 1.0; // Noise relative to the cluster center
+const QUERY_NOISE = 0.05; // Perturbation of --store queries
+
+/**
+ * Parse command line flags
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} { docs, dims, queries, k, ef, store, out }
+ */
+function parseArgs(argv) {
+  const args = { docs: 5000, dims: 1536, queries: 200, k: 10, ef: [16, 32, 64, 128], store: false, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--docs') args.docs = parseInt(argv[++i], 10);
+    else if (argv[i] === '--dims') args.dims = parseInt(argv[++i], 10);
+    else if (argv[i] === '--queries') args.queries = parseInt(argv[++i], 10);
+    else if (argv[i] === '--k') args.k = parseInt(argv[++i], 10);
+    else if (argv[i] === '--ef') args.ef = argv[++i].split(',').map(value => parseInt(value, 10));
+    else if (argv[i] === '--store') args.store = true;
+    else if (argv[i] === '--out') args.out = argv[++i];
+  }
+  return args;
+}
+
+/**
+ * Seeded random generators (mulberry32, Box-Muller for the normal draws)
+ * @param {number} seed - Seed
+ * @returns {Object} { uniform, gaussian }
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const uniform = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const gaussian = () => Math.sqrt(-2 * Math.log(1 - uniform())) * Math.cos(2 * Math.PI * uniform());
+  return { uniform, gaussian };
+}
+
+/**
+ * Add scaled noise to a vector
+ * @param {Array<number>} vector - Vector
+ * @param {number} scale - Noise scale (relative to a unit vector)
+ * @param {Function} gaussian - Normal generator
+ * @returns {Array<number>} Noisy vector
+ */
+function perturb(vector, scale, gaussian) {
+  const sigma = scale / Math.sqrt(vector.length);
+  return vector.map(value => value + gaussian() * sigma);
+}
+
+/**
+ * Build a clustered synthetic data set, like chunks grouped by topic
+ * @param {Object} args - Parsed flags
+ * @returns {Object} { vectors, queries } as plain arrays
+ */
+function syntheticDataSet(args) {
+  const { uniform, gaussian } = createRandom(42);
+  const centers = Array.from({ length: Math.ceil(args.docs / CLUSTER_SIZE) },
+    () => Array.from(normalizeVector(Array.from({ length: args.dims }, gaussian))));
+  const sample = () => perturb(centers[Math.floor(uniform() * centers.length)], CLUSTER_SPREAD, gaussian);
+
+  return {
+    vectors: Array.from({ length: args.docs }, sample),
+    queries: Array.from({ length: args.queries }, sample)
+  };
+}
+
+/**
+ * Use the embeddings in the configured vector store as the data set
+ * @param {Object} args - Parsed flags
+ * @returns {Promise<Object>} { vectors, queries } as plain arrays
+ */
+async function storeDataSet(args) {
+  const documents = await getVectorStore().get();
+  if (documents.length === 0) {
+    throw new Error('The vector store is empty - run npm run index first');
+  }
+  const { gaussian } = createRandom(42);
+  const vectors = documents.map(doc => doc.embedding);
+  return {
+    vectors,
+    queries: Array.from({ length: args.queries }, (_, i) => perturb(vectors[i % vectors.length], QUERY_NOISE, gaussian))
+  };
+}
+
+/**
+ * Time a function over every query
+ * @param {Array} queries - Queries
+ * @param {Function} search - query → array of slots
+ * @returns {Object} { results, meanMs, p50Ms, p95Ms }
+ */
+function timeQueries(queries, search) {
+  const timings = [];
+  const results = queries.map(query => {
+    const start = performance.now();
+    const result = search(query);
+    timings.push(performance.now() - start);
+    return result;
+  });
+
+  const sorted = timings.slice().sort((a, b) => a - b);
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+  return {
+    results,
+    meanMs: timings.reduce((sum, ms) => sum + ms, 0) / timings.length,
+    p50Ms: percentile(0.5),
+    p95Ms: percentile(0.95)
+  };
+}
+
+/**
+ * Share of the true top k that a search returned, averaged over queries
+ * @param {Array<Array<number>>} truth - True top k slots per query
+ * @param {Array<Array<number>>} results - Returned slots per query
+ * @returns {number} recall@k
+ */
+function recallAtK(truth, results) {
+  const total = truth.reduce((sum, expected, i) => {
+    const returned = new Set(results[i]);
+    return sum + expected.filter(slot => returned.has(slot)).length / expected.length;
+  }, 0);
+  return total / truth.length;
+}
+
+/**
+ * Time writing and reading vectors in each on-disk format
+ * @param {Array<Array<number>>} vectors - Plain vectors
+ * @param {Float32Array} packed - The same vectors, normalized and packed
+ * @returns {Promise<Object>} { json, float32 } with { bytes, loadMs }
+ */
+async function benchmarkStorage(vectors, packed) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vector-bench-'));
+  try {
+    const jsonFile = path.join(dir, 'collection.json');
+    const binaryFile = path.join(dir, 'vectors.f32');
+    await fs.writeFile(jsonFile, JSON.stringify(vectors.map((embedding, i) => ({ id: `doc-${i}`, embedding })), null, 2));
+    await fs.writeFile(binaryFile, Buffer.from(packed.buffer, packed.byteOffset, packed.byteLength));
+
+    let start = performance.now();
+    JSON.parse(await fs.readFile(jsonFile, 'utf-8'));
+    const jsonLoadMs = performance.now() - start;
+
+    start = performance.now();
+    const bytes = await fs.readFile(binaryFile);
+    new Uint8Array(new Float32Array(bytes.byteLength / 4).buffer).set(bytes);
+    const binaryLoadMs = performance.now() - start;
+
+    return {
+      json: { bytes: (await fs.stat(jsonFile)).size, loadMs: jsonLoadMs },
+      float32: { bytes: (await fs.stat(binaryFile)).size, loadMs: binaryLoadMs }
+    };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Format a row of the results table
+ */
+function row(label, timing, recall) {
+  const ms = value => value.toFixed(3).padStart(10);
+  const recallText = recall === null ? '         -' : recall.toFixed(3).padStart(10);
+  return `   ${label.padEnd(22)}${ms(timing.meanMs)}${ms(timing.p50Ms)}${ms(timing.p95Ms)}${recallText}`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { vectors, queries } = args.store ? await storeDataSet(args) : syntheticDataSet(args);
+  const dims = vectors[0].length;
+  const k = Math.min(args.k, vectors.length);
+
+  console.log(`\n🔍 Benchmarking ${vectors.length} vectors x ${dims} dims, ${queries.length} queries, k=${k}`);
+  console.log(`   Data: ${args.store ? `${getVectorStore().name} vector store` : 'synthetic clusters'}\n`);
+
+  // Pack normalized vectors the way the store keeps them
+  const packed = new Float32Array(vectors.length * dims);
+  vectors.forEach((vector, slot) => packed.set(normalizeVector(vector), slot * dims));
+  const getVector = slot => packed.subarray(slot * dims, (slot + 1) * dims);
+  const packedQueries = queries.map(query => normalizeVector(query));
+
+  const index = createHnswIndex({ dimensions: dims });
+  const buildStart = performance.now();
+  for (let slot = 0; slot < vectors.length; slot++) {
+    insertNode(index, getVector, slot);
+  }
+  const buildMs = performance.now() - buildStart;
+  console.log(`🧠 HNSW build: ${(buildMs / 1000).toFixed(2)}s (${(buildMs / vectors.length).toFixed(2)} ms per insert)\n`);
+
+  // Previous store: cosine over plain arrays, every document, every query
+  const bruteForce = timeQueries(queries, query => vectors
+    .map((vector, slot) => ({ slot, similarity: cosineSimilarity(query, vector) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k)
+    .map(match => match.slot));
+  const truth = bruteForce.results;
+
+  const exact = timeQueries(packedQueries, query => {
+    const scored = [];
+    for (let slot = 0; slot < vectors.length; slot++) {
+      scored.push({ slot, score: dot(query, getVector(slot)) });
+    }
+    return scored.sort((a, b) => b.score - a.score).slice(0, k).map(match => match.slot);
+  });
+
+  const hnsw = args.ef.map(ef => ({
+    ef,
+    ...timeQueries(packedQueries, query => searchHnsw(index, getVector, query, k, { ef }).map(match => match.slot))
+  }));
+
+  console.log(`   ${'search'.padEnd(22)}${'mean ms'.padStart(10)}${'p50 ms'.padStart(10)}${'p95 ms'.padStart(10)}${`recall@${k}`.padStart(10)}`);
+  console.log(row('brute force (before)', bruteForce, null));
+  console.log(row('exact float32 scan', exact, recallAtK(truth, exact.results)));
+  for (const run of hnsw) {
+    console.log(row(`hnsw ef=${run.ef}`, run, recallAtK(truth, run.results)));
+  }
+
+  const storage = await benchmarkStorage(vectors, packed);
+  const mb = bytes => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  console.log('\n💾 Storage (vectors only):');
+  console.log(`   JSON (collection.json)   ${mb(storage.json.bytes).padStart(10)}   load ${storage.json.loadMs.toFixed(0)} ms`);
+  console.log(`   float32 (vectors.f32)    ${mb(storage.float32.bytes).padStart(10)}   load ${storage.float32.loadMs.toFixed(0)} ms\n`);
+
+  if (args.out) {
+    const summary = ({ meanMs, p50Ms, p95Ms }) => ({ meanMs, p50Ms, p95Ms });
+    await fs.writeFile(args.out, JSON.stringify({
+      createdAt: new Date().toISOString(),
+      config: { documents: vectors.length, dimensions: dims, queries: queries.length, k, data: args.store ? 'store' : 'synthetic', m: index.m, efConstruction: index.efConstruction },
+      buildMs,
+      bruteForce: summary(bruteForce),
+      exact: { ...summary(exact), recall: recallAtK(truth, exact.results) },
+      hnsw: hnsw.map(run => ({ ef: run.ef, ...summary(run), recall: recallAtK(truth, run.results) })),
+      storage
+    }, null, 2));
+    console.log(`💾 Results written to ${args.out}\n`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Benchmark failed:', error.message);
+  process.exit(1);
+});
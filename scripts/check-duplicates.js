@@ -1,23 +1,93 @@
 /**
  * Content Quality Checker
- * 
- * Scans content files for:
- * - Duplicate/similar chunks (potential redundancy)
- * - Helps identify potential contradictions
- * 
- * Run with: node scripts/check-duplicates.js
+ *
+ * Scans content files before they are published for:
+ * - Duplicates: chunks in different files with cosine similarity >= DUPLICATE_THRESHOLD
+ * - Numeric conflicts: prices, durations (compared in days), percentages and
+ *   diopter ranges stated in similar sentences about the same procedure, in
+ *   different files, whose values do not overlap
+ * - Contradictions: similar chunk pairs (and every pair with a numeric
+ *   conflict) are judged by the chat model (LLM_PROVIDER / LLM_CHAT_MODEL)
+ * - Staleness: expired and soon-to-expire files (front matter expires); files
+ *   nobody has reviewed yet (no last_reviewed) are only counted
+ *
+ * Chunks come from the same chunker and front matter as scripts/index.js.
+ * Files tagged with different procedures (e.g. [icl] and [cataract]) are
+ * never compared - their numbers are expected to differ.
+ *
+ * Writes a JSON and an HTML report. Exits 1 when publishing should be blocked:
+ * a contradiction the judge confirmed, a numeric conflict it could not rule on
+ * (--no-llm or an unusable judge response), or invalid front matter.
+ *
+ * Run with: npm run check [-- --out report.json] [--html report.html] [--no-llm] [--max-pairs 40]
  */
 
 const fs = require('fs').promises;
 const path = require('path');
-const { OpenAI } = require('openai');
+const { embedTexts, chatCompletion, getModel, getProviderName } = require('../server/providers');
+const { readContentMetadata, isExpired, GENERAL_PROCEDURE } = require('../server/front-matter');
+const { extractClaims } = require('../server/services/groundingService');
+const { detectBuyingIntent } = require('../server/rag');
+const { CONTENT_DIR, chunkMarkdown } = require('./index');
 require('dotenv').config();
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const CONTENT_DIR = path.join(__dirname, '../content');
+const REPORTS_DIR = path.join(__dirname, '../content-reports');
+const REPORT_VERSION = 1;
+
+const DUPLICATE_THRESHOLD = 0.85; // Very similar - probably redundant
+const JUDGE_THRESHOLD = 0.75; // Similar enough to say something about the same thing
+const DEFAULT_MAX_PAIRS = 40; // Judge calls per run
+const EXPIRY_WARNING_DAYS = 30;
+const CONTEXT_OVERLAP = 0.5; // Share of the shorter sentence's terms the other must have
+const MIN_SHARED_TERMS = 2;
+const DURATION_SCALE_GAP = 10; // Durations further apart than this are about different things
+const MAX_JUDGE_CHARS = 1500;
+const EMBED_BATCH_SIZE = 50;
+
+// Fact types compared across files (plain numbers and acuity lines are too ambiguous)
+const FACT_TYPES = ['price', 'duration', 'percentage', 'prescription'];
+const DAYS_PER_UNIT = {
+  second: 1 / 86400, minute: 1 / 1440, hour: 1 / 24, day: 1, week: 7, month: 30, year: 365
+};
+
+const STOPWORDS = new Set([
+  'about', 'after', 'again', 'also', 'around', 'been', 'before', 'being', 'both', 'cannot', 'could',
+  'does', 'doing', 'done', 'during', 'each', 'either', 'even', 'ever', 'every', 'from',
+  'have', 'having', 'here', 'into', 'just', 'least', 'like', 'make', 'many', 'more', 'most',
+  'much', 'must', 'need', 'only', 'other', 'over', 'same', 'should', 'some', 'such', 'take', 'takes', 'than',
+  'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through',
+  'typically', 'usually', 'very', 'were', 'what', 'when', 'where', 'which', 'while', 'will',
+  'with', 'within', 'would', 'your', 'yours', 'generally', 'recommend', 'patients', 'patient'
+]);
+
+const SYSTEM_PROMPT = `You review the patient FAQ of a refractive surgery practice for contradictions.
+You are shown two passages from different files. Decide whether they state facts that cannot both be
+true for the same procedure and situation - different prices, recovery times, restrictions,
+eligibility limits or outcomes. Differences explained by different procedures, patients or time
+points are not contradictions, and neither is one passage giving more detail than the other.
+Respond with JSON only: {"contradiction": true|false, "claims": ["<claim from passage A>", "<conflicting claim from passage B>"], "explanation": "<one sentence>"}`;
+
+/**
+ * Parse command line flags
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} { out, html, llm, maxPairs }
+ */
+function parseArgs(argv) {
+  const args = { out: null, html: null, llm: true, maxPairs: DEFAULT_MAX_PAIRS };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--html') args.html = argv[++i];
+    else if (argv[i] === '--no-llm') args.llm = false;
+    else if (argv[i] === '--max-pairs') args.maxPairs = Math.max(0, parseInt(argv[++i], 10) || 0);
+  }
+  return args;
+}
 
 /**
  * Calculate cosine similarity between two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector
+ * @returns {number} Similarity
  */
 function cosineSimilarity(a, b) {
   let dot = 0, normA = 0, normB = 0;
@@ -30,110 +100,594 @@ function cosineSimilarity(a, b) {
 }
 
 /**
- * Simple text chunking (matches index.js logic)
+ * Check whether two procedure lists can describe the same thing
+ * @param {Array<string>} a - Procedures
+ * @param {Array<string>} b - Procedures
+ * @returns {boolean} True if either is general or they share a procedure
  */
-function chunkText(text, size = 300, overlap = 50) {
-  const words = text.split(/\s+/);
+function proceduresOverlap(a, b) {
+  return a.includes(GENERAL_PROCEDURE) || b.includes(GENERAL_PROCEDURE) || a.some(p => b.includes(p));
+}
+
+/**
+ * Load and chunk the content files
+ * Files with invalid front matter are reported and skipped.
+ * @param {string} contentDir - Directory to read
+ * @returns {Promise<Object>} { files: [{ filename, metadata }], chunks, errors: [{ filename, error }] }
+ */
+async function loadContent(contentDir = CONTENT_DIR) {
+  const filenames = (await fs.readdir(contentDir)).filter(f => f.endsWith('.md')).sort();
+  const files = [];
   const chunks = [];
-  let i = 0;
-  while (i < words.length) {
-    const chunk = words.slice(i, i + size).join(' ').trim();
-    if (chunk.length > 0) chunks.push(chunk);
-    i += size - overlap;
+  const errors = [];
+
+  for (const filename of filenames) {
+    const content = await fs.readFile(path.join(contentDir, filename), 'utf-8');
+    let frontMatter;
+    try {
+      frontMatter = readContentMetadata(content);
+    } catch (error) {
+      errors.push({ filename, error: error.message });
+      continue;
+    }
+
+    files.push({ filename, metadata: frontMatter.metadata });
+    chunkMarkdown(frontMatter.body).forEach((chunk, chunkId) => {
+      chunks.push({
+        filename,
+        chunkId,
+        headingPath: chunk.headingPath.join(' > '),
+        text: chunk.text,
+        procedures: frontMatter.metadata.procedures
+      });
+    });
   }
-  return chunks;
+
+  return { files, chunks, errors };
 }
 
-async function main() {
-  console.log('\n🔍 Content Quality Check\n');
-  console.log('='.repeat(50));
-
-  // Load all content files
-  const files = await fs.readdir(CONTENT_DIR);
-  const mdFiles = files.filter(f => f.endsWith('.md'));
-  
-  const allChunks = [];
-  
-  for (const file of mdFiles) {
-    const content = await fs.readFile(path.join(CONTENT_DIR, file), 'utf-8');
-    const text = content.replace(/[#*_`]/g, ' ').replace(/\s+/g, ' ').trim();
-    const chunks = chunkText(text);
-    
-    chunks.forEach((chunk, idx) => {
-      allChunks.push({
-        file,
-        chunkIdx: idx,
-        text: chunk.substring(0, 200) + '...', // Preview
-        fullText: chunk
+/**
+ * Find files that are expired or expire soon
+ * A file without an expires date never goes stale.
+ * @param {Array} files - From loadContent()
+ * @param {Date} [now] - Current time
+ * @returns {Array} [{ filename, status: 'expired'|'expiring', lastReviewed, expires }]
+ */
+function findStaleFiles(files, now = new Date()) {
+  const warnFrom = new Date(now.getTime() + EXPIRY_WARNING_DAYS * 86400000).toISOString().slice(0, 10);
+  const stale = [];
+
+  for (const { filename, metadata } of files) {
+    let status = null;
+    if (isExpired(metadata, now)) status = 'expired';
+    else if (metadata.expires && metadata.expires <= warnFrom) status = 'expiring';
+
+    if (status) {
+      stale.push({ filename, status, lastReviewed: metadata.lastReviewed || null, expires: metadata.expires || null });
+    }
+  }
+
+  return stale;
+}
+
+/**
+ * Reduce a sentence to the words that say what a number is about
+ * @param {string} sentence - Sentence
+ * @returns {Set<string>} Terms
+ */
+function contextTerms(sentence) {
+  const words = sentence.toLowerCase().match(/[a-z]{4,}/g) || [];
+  return new Set(words.filter(word => !STOPWORDS.has(word) && !DAYS_PER_UNIT[word.replace(/s$/, '')]));
+}
+
+/**
+ * Widen a fact's range for bounds stated in words ("under 10 minutes" is 0-10)
+ * @param {string} before - Sentence text before the claim
+ * @param {number} min - Lowest stated value
+ * @param {number} max - Highest stated value
+ * @returns {Object} { min, max }
+ */
+function applyBounds(before, min, max) {
+  if (/(?:under|less than|up to|within|no more than|at most)\s*(?:about\s*)?$/i.test(before)) {
+    return { min: 0, max };
+  }
+  if (/(?:over|more than|at least|longer than)\s*(?:about\s*)?$/i.test(before)) {
+    return { min, max: Infinity };
+  }
+  return { min, max };
+}
+
+/**
+ * Extract the comparable numeric facts from a chunk
+ * Durations are converted to days so "one week" and "7 days" agree. A fact is
+ * about the procedures its sentence names, else its section heading's, else
+ * its file's.
+ * @param {Object} chunk - From loadContent()
+ * @returns {Array} [{ filename, chunkId, sentence, text, kind, min, max, procedures, terms }]
+ */
+function extractFacts(chunk) {
+  const facts = [];
+  const sentences = chunk.text.split(/(?<=[.!?])\s+(?=\S)/).filter(Boolean);
+  const headingProcedures = detectBuyingIntent(chunk.headingPath || '').proceduresMentioned;
+
+  for (const sentence of sentences) {
+    const mentioned = detectBuyingIntent(sentence).proceduresMentioned;
+    const procedures = mentioned.length > 0 ? mentioned
+      : headingProcedures.length > 0 ? headingProcedures : chunk.procedures;
+
+    for (const claim of extractClaims(sentence)) {
+      if (!FACT_TYPES.includes(claim.type) || (claim.type === 'duration' && !claim.unit)) {
+        continue;
+      }
+      const at = sentence.indexOf(claim.text);
+      // Ages ("21-45 years old") are not durations
+      if (claim.type === 'duration' && /^\s*(?:old|of age)\b/i.test(sentence.slice(at + claim.text.length))) {
+        continue;
+      }
+
+      const scale = claim.type === 'duration' ? DAYS_PER_UNIT[claim.unit] : 1;
+      const values = claim.values.map(value => value * scale);
+      facts.push({
+        filename: chunk.filename,
+        chunkId: chunk.chunkId,
+        sentence: sentence.trim(),
+        text: claim.text,
+        kind: claim.type,
+        ...applyBounds(sentence.slice(0, Math.max(at, 0)), Math.min(...values), Math.max(...values)),
+        procedures,
+        terms: contextTerms(sentence)
       });
-    });
+    }
   }
 
-  console.log(`\n📊 Loaded ${allChunks.length} chunks from ${mdFiles.length} files\n`);
+  return facts;
+}
 
-  // Generate embeddings for all chunks
-  console.log('🧠 Generating embeddings...');
-  const embeddings = [];
-  
-  const batchSize = 50;
-  for (let i = 0; i < allChunks.length; i += batchSize) {
-    const batch = allChunks.slice(i, i + batchSize);
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: batch.map(c => c.fullText)
-    });
-    embeddings.push(...response.data.map(d => d.embedding));
+/**
+ * Check whether two facts' ranges overlap
+ * @param {Object} a - Fact
+ * @param {Object} b - Fact
+ * @returns {boolean} True if both can be true
+ */
+function rangesOverlap(a, b) {
+  return a.min <= b.max && b.min <= a.max;
+}
+
+/**
+ * Check whether two durations are far enough apart to be about different
+ * things (minutes in the chair vs weeks of recovery)
+ * @param {Object} a - Fact
+ * @param {Object} b - Fact
+ * @returns {boolean} True if more than DURATION_SCALE_GAP times apart
+ */
+function differentScale(a, b) {
+  const low = Math.max(Math.min(a.max, b.max), Number.MIN_VALUE);
+  const high = Math.min(Math.max(a.min, b.min), Number.MAX_VALUE);
+  return high / low > DURATION_SCALE_GAP;
+}
+
+/**
+ * Find facts in different files about the same thing whose values disagree
+ * Two facts are about the same thing when they are the same kind, their
+ * procedures overlap and their sentences share most of their terms. A
+ * sentence that also states the other value ("1 day, 1 week and 1-2 months")
+ * agrees with it.
+ * @param {Array} facts - From extractFacts()
+ * @returns {Array} [{ a, b, kind, sharedTerms }] (a/b without their term sets)
+ */
+function findNumericConflicts(facts) {
+  const conflicts = [];
+  const seen = new Set();
+  const bySentence = new Map();
+  for (const fact of facts) {
+    const key = `${fact.filename}|${fact.sentence}|${fact.kind}`;
+    if (!bySentence.has(key)) bySentence.set(key, []);
+    bySentence.get(key).push(fact);
+  }
+  const statedIn = (fact, other) => bySentence.get(`${other.filename}|${other.sentence}|${other.kind}`)
+    .some(candidate => rangesOverlap(fact, candidate));
+
+  for (let i = 0; i < facts.length; i++) {
+    for (let j = i + 1; j < facts.length; j++) {
+      const a = facts[i];
+      const b = facts[j];
+      if (a.filename === b.filename || a.kind !== b.kind || !proceduresOverlap(a.procedures, b.procedures)) {
+        continue;
+      }
+      if (rangesOverlap(a, b) || statedIn(a, b) || statedIn(b, a)) {
+        continue;
+      }
+      if (a.kind === 'duration' && differentScale(a, b)) {
+        continue;
+      }
+
+      const shared = [...a.terms].filter(term => b.terms.has(term));
+      if (shared.length < MIN_SHARED_TERMS || shared.length / Math.min(a.terms.size, b.terms.size) < CONTEXT_OVERLAP) {
+        continue;
+      }
+
+      // One entry per pair of sentences
+      const key = [`${a.filename}|${a.sentence}`, `${b.filename}|${b.sentence}`].sort().join('||');
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      const strip = ({ terms, ...fact }) => fact;
+      conflicts.push({ kind: a.kind, a: strip(a), b: strip(b), sharedTerms: shared });
+    }
   }
 
-  // Find similar pairs
-  console.log('\n🔄 Checking for similar content...\n');
-  
-  const SIMILARITY_THRESHOLD = 0.85; // Very similar
-  const duplicates = [];
+  return conflicts;
+}
 
-  for (let i = 0; i < allChunks.length; i++) {
-    for (let j = i + 1; j < allChunks.length; j++) {
-      // Skip chunks from same file
-      if (allChunks[i].file === allChunks[j].file) continue;
-      
+/**
+ * Embed every chunk
+ * @param {Array} chunks - From loadContent()
+ * @returns {Promise<Array<Array<number>>>} Embeddings, in chunk order
+ */
+async function embedChunks(chunks) {
+  const embeddings = [];
+  for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+    const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+    embeddings.push(...await embedTexts(batch.map(chunk => chunk.text)));
+  }
+  return embeddings;
+}
+
+/**
+ * Score every cross-file chunk pair that could describe the same thing
+ * @param {Array} chunks - From loadContent()
+ * @param {Array<Array<number>>} embeddings - From embedChunks()
+ * @returns {Array} [{ i, j, similarity }] sorted by similarity, for pairs >= JUDGE_THRESHOLD
+ */
+function findSimilarPairs(chunks, embeddings) {
+  const pairs = [];
+  for (let i = 0; i < chunks.length; i++) {
+    for (let j = i + 1; j < chunks.length; j++) {
+      if (chunks[i].filename === chunks[j].filename || !proceduresOverlap(chunks[i].procedures, chunks[j].procedures)) {
+        continue;
+      }
       const similarity = cosineSimilarity(embeddings[i], embeddings[j]);
-      
-      if (similarity >= SIMILARITY_THRESHOLD) {
-        duplicates.push({
-          similarity: similarity.toFixed(3),
-          chunk1: allChunks[i],
-          chunk2: allChunks[j]
-        });
+      if (similarity >= JUDGE_THRESHOLD) {
+        pairs.push({ i, j, similarity });
       }
     }
   }
+  return pairs.sort((x, y) => y.similarity - x.similarity);
+}
 
-  // Report findings
-  if (duplicates.length === 0) {
-    console.log('✅ No highly similar content found across files!');
-    console.log('   Your content appears to be well-organized.\n');
-  } else {
-    console.log(`⚠️  Found ${duplicates.length} potentially redundant content pairs:\n`);
-    
-    duplicates.sort((a, b) => parseFloat(b.similarity) - parseFloat(a.similarity));
-    
-    duplicates.slice(0, 10).forEach((dup, idx) => {
-      console.log(`${idx + 1}. Similarity: ${dup.similarity}`);
-      console.log(`   📄 ${dup.chunk1.file} (chunk ${dup.chunk1.chunkIdx})`);
-      console.log(`   📄 ${dup.chunk2.file} (chunk ${dup.chunk2.chunkIdx})`);
-      console.log(`   Preview 1: "${dup.chunk1.text.substring(0, 100)}..."`);
-      console.log(`   Preview 2: "${dup.chunk2.text.substring(0, 100)}..."`);
-      console.log('');
-    });
+/**
+ * Ask the chat model whether two passages contradict each other
+ * @param {Object} a - Chunk
+ * @param {Object} b - Chunk
+ * @returns {Promise<Object>} { contradiction, claims, explanation }
+ * @throws {Error} If the response is not the expected JSON
+ */
+async function judgePair(a, b) {
+  const passage = chunk => chunk.text.replace(/\s+/g, ' ').trim().substring(0, MAX_JUDGE_CHARS);
+  const completion = await chatCompletion({
+    messages: [
+      { role: 'system', content: SYSTEM_PROMPT },
+      {
+        role: 'user',
+        content: `Passage A (${a.filename}, procedures: ${a.procedures.join(', ')}):\n${passage(a)}\n\n` +
+          `Passage B (${b.filename}, procedures: ${b.procedures.join(', ')}):\n${passage(b)}`
+      }
+    ],
+    temperature: 0,
+    maxTokens: 300,
+    responseFormat: 'json'
+  });
+
+  let parsed;
+  try {
+    parsed = JSON.parse(completion.content);
+  } catch (error) {
+    throw new Error(`Judge returned invalid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed.contradiction !== 'boolean') {
+    throw new Error('Judge response has no boolean "contradiction"');
+  }
+
+  return {
+    contradiction: parsed.contradiction,
+    claims: Array.isArray(parsed.claims) ? parsed.claims.map(String) : [],
+    explanation: typeof parsed.explanation === 'string' ? parsed.explanation : ''
+  };
+}
+
+/**
+ * Describe a chunk for the report
+ * @param {Object} chunk - Chunk
+ * @returns {Object} { filename, chunkId, headingPath, preview }
+ */
+function describeChunk(chunk) {
+  return {
+    filename: chunk.filename,
+    chunkId: chunk.chunkId,
+    headingPath: chunk.headingPath,
+    preview: chunk.text.replace(/\s+/g, ' ').trim().substring(0, 200)
+  };
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the report as a standalone HTML page
+ * @param {Object} report - JSON report
+ * @returns {string} HTML
+ */
+function renderHtml(report) {
+  const { summary } = report;
+  const chunkLabel = chunk => `${escapeHtml(chunk.filename)} #${chunk.chunkId}${chunk.headingPath ? ` - ${escapeHtml(chunk.headingPath)}` : ''}`;
+  const section = (title, rows, render) => `
+  <h2>${escapeHtml(title)} (${rows.length})</h2>
+  ${rows.length === 0 ? '<p class="empty">None</p>' : rows.map(render).join('\n')}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Content Quality Report</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 960px; margin: 0 auto; padding: 20px; color: #1f2937; }
+    h1 { margin-bottom: 4px; }
+    .meta { color: #6b7280; font-size: 14px; }
+    .status { padding: 12px 16px; border-radius: 8px; font-weight: 600; margin: 16px 0; }
+    .status.blocked { background: #fee2e2; color: #991b1b; }
+    .status.ok { background: #dcfce7; color: #166534; }
+    .summary td { padding: 2px 16px 2px 0; }
+    .item { border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px 16px; margin-bottom: 12px; }
+    .item.blocking { border-left: 4px solid #dc2626; }
+    .source { font-size: 13px; color: #4b5563; margin-top: 8px; }
+    .quote { background: #f9fafb; padding: 6px 10px; border-radius: 4px; margin-top: 4px; }
+    .empty { color: #9ca3af; }
+  </style>
+</head>
+<body>
+  <h1>Content Quality Report</h1>
+  <p class="meta">${escapeHtml(report.runAt)} · ${escapeHtml(report.config.chatProvider)} / ${escapeHtml(report.config.chatModel)} · judge ${report.config.llm ? 'on' : 'off'}</p>
+  <div class="status ${summary.blocking ? 'blocked' : 'ok'}">${summary.blocking ? `Publishing blocked: ${summary.blocking} issue(s)` : 'No blocking issues'}</div>
+  <table class="summary">
+    <tr><td>Files / chunks</td><td>${summary.files} / ${summary.chunks}</td></tr>
+    <tr><td>Contradictions (judged)</td><td>${summary.contradictions} of ${summary.judgedPairs} pairs</td></tr>
+    <tr><td>Numeric conflicts</td><td>${summary.numericConflicts} (${summary.unresolvedNumericConflicts} not ruled on)</td></tr>
+    <tr><td>Near-duplicates</td><td>${summary.duplicates}</td></tr>
+    <tr><td>Stale files</td><td>${summary.stale} (${summary.unreviewed} never reviewed)</td></tr>
+    <tr><td>Front matter errors</td><td>${summary.errors}</td></tr>
+  </table>
+  ${section('Front matter errors', report.errors, e => `
+  <div class="item blocking"><strong>${escapeHtml(e.filename)}</strong>: ${escapeHtml(e.error)}</div>`)}
+  ${section('Contradictions', report.contradictions, c => `
+  <div class="item blocking">
+    <div>${escapeHtml(c.explanation || 'The judge found these passages contradict each other.')}</div>
+    ${c.claims.map(claim => `<div class="quote">${escapeHtml(claim)}</div>`).join('')}
+    <div class="source">${chunkLabel(c.a)} ↔ ${chunkLabel(c.b)} · similarity ${c.similarity.toFixed(3)}</div>
+  </div>`)}
+  ${section('Numeric conflicts', report.numericConflicts, n => `
+  <div class="item${n.verdict === 'unresolved' ? ' blocking' : ''}">
+    <div><strong>${escapeHtml(n.kind)}</strong>: ${escapeHtml(n.a.text)} vs ${escapeHtml(n.b.text)} · ${escapeHtml(n.verdict)}</div>
+    <div class="quote">${escapeHtml(n.a.filename)}: ${escapeHtml(n.a.sentence)}</div>
+    <div class="quote">${escapeHtml(n.b.filename)}: ${escapeHtml(n.b.sentence)}</div>
+  </div>`)}
+  ${section('Near-duplicates', report.duplicates, d => `
+  <div class="item">
+    <div class="source">${chunkLabel(d.a)} ↔ ${chunkLabel(d.b)} · similarity ${d.similarity.toFixed(3)}</div>
+    <div class="quote">${escapeHtml(d.a.preview)}</div>
+    <div class="quote">${escapeHtml(d.b.preview)}</div>
+  </div>`)}
+  ${section('Stale files', report.stale, s => `
+  <div class="item"><strong>${escapeHtml(s.filename)}</strong>: ${escapeHtml(s.status)} · reviewed ${escapeHtml(s.lastReviewed || '-')} · expires ${escapeHtml(s.expires || '-')}</div>`)}
+  ${section('Pairs the judge could not rule on', report.unjudged, u => `
+  <div class="item"><div class="source">${chunkLabel(u.a)} ↔ ${chunkLabel(u.b)}</div><div>${escapeHtml(u.error)}</div></div>`)}
+</body>
+</html>
+`;
+}
+
+/**
+ * Run every check and build the report
+ * @param {Object} args - From parseArgs(), plus contentDir to check another directory
+ * @returns {Promise<Object>} JSON report
+ */
+async function runChecks(args) {
+  const { files, chunks, errors } = await loadContent(args.contentDir);
+  console.log(`\n📊 Loaded ${chunks.length} chunks from ${files.length} files`);
+  errors.forEach(e => console.log(`   ❌ ${e.filename}: ${e.error}`));
+
+  const stale = findStaleFiles(files);
+  const unreviewed = files.filter(file => !file.metadata.lastReviewed).length;
+
+  const facts = chunks.flatMap(extractFacts);
+  const numericConflicts = findNumericConflicts(facts);
+  console.log(`🔢 ${facts.length} numeric facts, ${numericConflicts.length} cross-file conflicts`);
+
+  console.log('🧠 Generating embeddings...');
+  const embeddings = await embedChunks(chunks);
+  const similarPairs = findSimilarPairs(chunks, embeddings);
+  const indexOf = new Map(chunks.map((chunk, i) => [`${chunk.filename}#${chunk.chunkId}`, i]));
+
+  const duplicates = similarPairs
+    .filter(pair => pair.similarity >= DUPLICATE_THRESHOLD)
+    .map(pair => ({ similarity: pair.similarity, a: describeChunk(chunks[pair.i]), b: describeChunk(chunks[pair.j]) }));
+
+  // Pairs with a numeric conflict are judged first, then the most similar
+  const toJudge = new Map();
+  for (const conflict of numericConflicts) {
+    const i = indexOf.get(`${conflict.a.filename}#${conflict.a.chunkId}`);
+    const j = indexOf.get(`${conflict.b.filename}#${conflict.b.chunkId}`);
+    const key = `${Math.min(i, j)}:${Math.max(i, j)}`;
+    if (!toJudge.has(key)) {
+      toJudge.set(key, { i, j, similarity: cosineSimilarity(embeddings[i], embeddings[j]) });
+    }
+  }
+  similarPairs.forEach(pair => !toJudge.has(`${pair.i}:${pair.j}`) && toJudge.set(`${pair.i}:${pair.j}`, pair));
+  const judgeQueue = args.llm ? [...toJudge.entries()].slice(0, args.maxPairs) : [];
+
+  const verdicts = new Map();
+  const contradictions = [];
+  const unjudged = [];
+  if (judgeQueue.length > 0) {
+    console.log(`⚖️  Judging ${judgeQueue.length} of ${toJudge.size} candidate pairs...`);
+  }
+  for (const [key, pair] of judgeQueue) {
+    const a = chunks[pair.i];
+    const b = chunks[pair.j];
+    try {
+      const verdict = await judgePair(a, b);
+      verdicts.set(key, verdict.contradiction);
+      if (verdict.contradiction) {
+        contradictions.push({ similarity: pair.similarity, a: describeChunk(a), b: describeChunk(b), claims: verdict.claims, explanation: verdict.explanation });
+      }
+    } catch (error) {
+      unjudged.push({ a: describeChunk(a), b: describeChunk(b), error: error.message });
+    }
+  }
+
+  // A conflict the judge ruled out is reported but does not block
+  for (const conflict of numericConflicts) {
+    const i = indexOf.get(`${conflict.a.filename}#${conflict.a.chunkId}`);
+    const j = indexOf.get(`${conflict.b.filename}#${conflict.b.chunkId}`);
+    const verdict = verdicts.get(`${Math.min(i, j)}:${Math.max(i, j)}`);
+    conflict.verdict = verdict === undefined ? 'unresolved' : verdict ? 'contradiction' : 'ruled out';
+  }
+  const unresolved = numericConflicts.filter(conflict => conflict.verdict === 'unresolved').length;
+
+  return {
+    version: REPORT_VERSION,
+    runAt: new Date().toISOString(),
+    config: {
+      llm: args.llm,
+      maxPairs: args.maxPairs,
+      chatProvider: getProviderName('chat'),
+      chatModel: getModel('chat'),
+      embeddingProvider: getProviderName('embedding'),
+      embeddingModel: getModel('embedding'),
+      duplicateThreshold: DUPLICATE_THRESHOLD,
+      judgeThreshold: JUDGE_THRESHOLD,
+      expiryWarningDays: EXPIRY_WARNING_DAYS
+    },
+    summary: {
+      files: files.length,
+      chunks: chunks.length,
+      facts: facts.length,
+      duplicates: duplicates.length,
+      candidatePairs: toJudge.size,
+      judgedPairs: judgeQueue.length - unjudged.length,
+      contradictions: contradictions.length,
+      numericConflicts: numericConflicts.length,
+      unresolvedNumericConflicts: unresolved,
+      stale: stale.length,
+      unreviewed,
+      errors: errors.length,
+      blocking: contradictions.length + unresolved + errors.length
+    },
+    contradictions,
+    numericConflicts,
+    duplicates,
+    stale,
+    unjudged,
+    errors
+  };
+}
 
-    console.log('\n💡 Recommendation:');
-    console.log('   Review these pairs and consolidate similar content');
-    console.log('   into a single authoritative source.\n');
+/**
+ * Print the findings
+ * @param {Object} report - JSON report
+ */
+function printReport(report) {
+  const { summary } = report;
+  console.log('\n' + '='.repeat(50));
+
+  report.contradictions.forEach((c, idx) => {
+    console.log(`\n❌ ${idx + 1}. Contradiction: ${c.a.filename} ↔ ${c.b.filename}`);
+    if (c.explanation) console.log(`   ${c.explanation}`);
+    c.claims.forEach(claim => console.log(`   • "${claim}"`));
+  });
+
+  report.numericConflicts.forEach((n, idx) => {
+    const icon = n.verdict === 'unresolved' ? '⚠️ ' : n.verdict === 'contradiction' ? '❌' : '✓';
+    console.log(`\n${icon} ${idx + 1}. ${n.kind}: "${n.a.text}" vs "${n.b.text}" (${n.verdict})`);
+    console.log(`   📄 ${n.a.filename}: ${n.a.sentence.substring(0, 120)}`);
+    console.log(`   📄 ${n.b.filename}: ${n.b.sentence.substring(0, 120)}`);
+  });
+
+  report.duplicates.slice(0, 10).forEach((d, idx) => {
+    console.log(`\n🔄 ${idx + 1}. Similarity ${d.similarity.toFixed(3)}: ${d.a.filename} (chunk ${d.a.chunkId}) ↔ ${d.b.filename} (chunk ${d.b.chunkId})`);
+  });
+  if (report.duplicates.length > 10) {
+    console.log(`\n   ... and ${report.duplicates.length - 10} more near-duplicates (see the report)`);
   }
 
-  console.log('='.repeat(50));
-  console.log('Done!\n');
+  report.stale.forEach(s => {
+    console.log(`\n🗓️  ${s.filename}: ${s.status}${s.expires ? ` (expires ${s.expires})` : ''}`);
+  });
+
+  if (report.unjudged.length > 0) {
+    console.log(`\n⚠️  The judge could not rule on ${report.unjudged.length} pairs: ${report.unjudged[0].error}`);
+  }
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`Contradictions: ${summary.contradictions} (${summary.judgedPairs} pairs judged)`);
+  console.log(`Numeric conflicts: ${summary.numericConflicts} (${summary.unresolvedNumericConflicts} not ruled on)`);
+  console.log(`Near-duplicates: ${summary.duplicates}`);
+  console.log(`Stale files: ${summary.stale} (${summary.unreviewed} never reviewed)`);
+  console.log(`Front matter errors: ${summary.errors}`);
+}
+
+/**
+ * Main check function
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  console.log('\n🔍 Content Quality Check');
+
+  const report = await runChecks(args);
+  printReport(report);
+
+  const stamp = report.runAt.replace(/[:.]/g, '-');
+  const outPath = args.out || path.join(REPORTS_DIR, `content-check-${stamp}.json`);
+  const htmlPath = args.html || outPath.replace(/\.json$/, '') + '.html';
+  await fs.mkdir(path.dirname(outPath), { recursive: true });
+  await fs.mkdir(path.dirname(htmlPath), { recursive: true });
+  await fs.writeFile(outPath, JSON.stringify(report, null, 2) + '\n', 'utf-8');
+  await fs.writeFile(htmlPath, renderHtml(report), 'utf-8');
+  console.log(`\n💾 Report written to ${path.relative(process.cwd(), outPath)} and ${path.relative(process.cwd(), htmlPath)}`);
+
+  if (report.summary.blocking > 0) {
+    console.log(`\n❌ ${report.summary.blocking} blocking issue(s) - fix them before publishing\n`);
+    process.exit(1);
+  }
+  console.log('\n✅ No blocking issues\n');
 }
 
-main().catch(console.error);
+if (require.main === module) {
+  main().catch(error => {
+    console.error('\n❌ Content check failed:', error.message);
+    process.exit(1);
+  });
+}
 
+module.exports = {
+  parseArgs,
+  loadContent,
+  findStaleFiles,
+  extractFacts,
+  findNumericConflicts,
+  judgePair,
+  runChecks,
+  renderHtml
+};
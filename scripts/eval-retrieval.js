@@ -0,0 +1,297 @@
+/**
+ * Retrieval Evaluation Script
+ *
+ * Runs every question in the golden set (tests/fixtures/retrieval-golden.json)
+ * through retrieveRelevant() against the current index and reports:
+ *   - recall@k: share of expected files/sections found in the top k candidates
+ *   - MRR: mean reciprocal rank of the first relevant candidate
+ *   - threshold pass rate: questions where a relevant chunk passed the
+ *     similarity threshold (i.e. actually reached the LLM)
+ *   - retrieved rate: questions that got any chunk at all (no fallback)
+ *
+ * Results are written as JSON so runs against different index builds or
+ * settings (TOP_K_RESULTS, SIMILARITY_THRESHOLD, CHUNK_SIZE, RETRIEVAL_MODE, RERANKER)
+ * can be diffed.
+ *
+ * Run with: npm run eval:retrieval [-- --out file.json] [--compare previous.json] [--verbose]
+ * Offline: LLM_PROVIDER=mock npm run index && LLM_PROVIDER=mock npm run eval:retrieval
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { retrieveRelevant } = require('../server/rag');
+const { getVectorStore } = require('../server/vectorstores');
+const { getModel, getProviderName } = require('../server/providers');
+const { CHUNK_SIZE, CHUNK_OVERLAP } = require('./index');
+require('dotenv').config();
+
+const GOLDEN_SET_PATH = path.join(__dirname, '../tests/fixtures/retrieval-golden.json');
+const RESULTS_DIR = path.join(__dirname, '../eval-results');
+const RESULT_VERSION = 1;
+const K_VALUES = [1, 3, 5, 10];
+
+/**
+ * Parse command line flags
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} { out, compare, verbose }
+ */
+function parseArgs(argv) {
+  const args = { out: null, compare: null, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--compare') args.compare = argv[++i];
+    else if (argv[i] === '--verbose') args.verbose = true;
+  }
+  return args;
+}
+
+/**
+ * Reduce text to lowercase letters and digits for heading matching
+ * (chunk text is rendered markdown, so quotes may come back as entities)
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  return String(text || '')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Resolve each expected target to the chunk ids that satisfy it
+ * @param {Array} questions - Golden questions
+ * @returns {Promise<Map>} "file#section" -> Set of chunk ids
+ */
+async function resolveTargets(questions) {
+  const documentsByFile = new Map();
+  const targets = new Map();
+
+  for (const question of questions) {
+    for (const target of question.expected) {
+      const key = targetKey(target);
+      if (targets.has(key)) continue;
+
+      if (!documentsByFile.has(target.file)) {
+        documentsByFile.set(target.file, await getVectorStore().get({ where: { filename: target.file } }));
+      }
+      const heading = target.section ? normalize(target.section) : null;
+      const ids = documentsByFile.get(target.file)
+        .filter(doc => !heading || normalize(doc.document).includes(heading))
+        .map(doc => doc.id);
+
+      if (ids.length === 0) {
+        console.warn(`⚠️  No indexed chunk matches ${key} - is the golden set out of date?`);
+      }
+      targets.set(key, new Set(ids));
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Key for an expected target
+ * @param {Object} target - { file, section? }
+ * @returns {string} Key
+ */
+function targetKey(target) {
+  return target.section ? `${target.file}#${target.section}` : target.file;
+}
+
+/**
+ * Run retrieval with the pipeline's console logging muted
+ * @param {string} question - Question
+ * @param {boolean} verbose - Keep the logs
+ * @returns {Promise<Object>} retrieveRelevant() result
+ */
+async function retrieveQuietly(question, verbose) {
+  if (verbose) {
+    return retrieveRelevant(question);
+  }
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await retrieveRelevant(question);
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Score one question
+ * @param {Object} question - Golden question
+ * @param {Object} retrieval - retrieveRelevant() result
+ * @param {Map} targets - Resolved targets
+ * @returns {Object} Per-question result
+ */
+function scoreQuestion(question, retrieval, targets) {
+  const ranked = retrieval.debugInfo.allResults;
+  const passedIds = new Set(retrieval.chunks.map(chunk => chunk.id));
+  const expected = question.expected.map(target => ({ key: targetKey(target), ids: targets.get(targetKey(target)) }));
+  const isRelevant = id => expected.some(target => target.ids.has(id));
+
+  // Rank (1-based) at which each target is first found
+  const targetRanks = expected.map(target => {
+    const index = ranked.findIndex(result => target.ids.has(result.id));
+    return index === -1 ? null : index + 1;
+  });
+
+  const recall = {};
+  for (const k of K_VALUES) {
+    const found = targetRanks.filter(rank => rank !== null && rank <= k).length;
+    recall[`@${k}`] = parseFloat((found / expected.length).toFixed(4));
+  }
+
+  const firstRelevant = ranked.findIndex(result => isRelevant(result.id));
+  const firstRelevantRank = firstRelevant === -1 ? null : firstRelevant + 1;
+
+  return {
+    id: question.id,
+    question: question.question,
+    expected: expected.map(target => target.key),
+    firstRelevantRank,
+    reciprocalRank: firstRelevantRank ? parseFloat((1 / firstRelevantRank).toFixed(4)) : 0,
+    recall,
+    thresholdPass: Array.from(passedIds).some(isRelevant),
+    retrievedCount: retrieval.chunks.length,
+    ranked: ranked.map(result => ({
+      id: result.id,
+      similarity: result.similarity,
+      passedThreshold: result.passedThreshold,
+      relevant: isRelevant(result.id)
+    }))
+  };
+}
+
+/**
+ * Average the per-question results
+ * @param {Array} results - Per-question results
+ * @returns {Object} Summary metrics
+ */
+function summarize(results) {
+  const mean = values => values.length === 0 ? 0 : parseFloat((values.reduce((a, b) => a + b, 0) / values.length).toFixed(4));
+
+  const recall = {};
+  for (const k of K_VALUES) {
+    recall[`@${k}`] = mean(results.map(r => r.recall[`@${k}`]));
+  }
+
+  return {
+    questions: results.length,
+    recall,
+    mrr: mean(results.map(r => r.reciprocalRank)),
+    thresholdPassRate: mean(results.map(r => (r.thresholdPass ? 1 : 0))),
+    retrievedRate: mean(results.map(r => (r.retrievedCount > 0 ? 1 : 0))),
+    misses: results.filter(r => r.firstRelevantRank === null).map(r => r.id)
+  };
+}
+
+/**
+ * Print a summary, with deltas against a previous run if given
+ * @param {Object} summary - Summary metrics
+ * @param {Object|null} previous - Previous result file
+ */
+function printSummary(summary, previous) {
+  const rows = [
+    ...K_VALUES.map(k => [`recall@${k}`, summary.recall[`@${k}`], previous?.summary.recall[`@${k}`]]),
+    ['MRR', summary.mrr, previous?.summary.mrr],
+    ['threshold pass rate', summary.thresholdPassRate, previous?.summary.thresholdPassRate],
+    ['retrieved rate', summary.retrievedRate, previous?.summary.retrievedRate]
+  ];
+
+  console.log('');
+  for (const [label, value, before] of rows) {
+    let line = `   ${label.padEnd(20)} ${value.toFixed(3)}`;
+    if (before !== undefined) {
+      const delta = value - before;
+      line += `   (${delta >= 0 ? '+' : ''}${delta.toFixed(3)} vs ${before.toFixed(3)})`;
+    }
+    console.log(line);
+  }
+}
+
+/**
+ * List questions whose first relevant rank changed since a previous run
+ * @param {Array} results - Current per-question results
+ * @param {Object} previous - Previous result file
+ */
+function printChanges(results, previous) {
+  const before = new Map(previous.results.map(r => [r.id, r]));
+  const changes = results.filter(r => before.has(r.id) && before.get(r.id).firstRelevantRank !== r.firstRelevantRank);
+
+  if (changes.length === 0) {
+    console.log('\n   No per-question rank changes');
+    return;
+  }
+
+  console.log(`\n   ${changes.length} question(s) changed rank:`);
+  for (const r of changes) {
+    const from = before.get(r.id).firstRelevantRank ?? 'miss';
+    const to = r.firstRelevantRank ?? 'miss';
+    console.log(`   ${from === 'miss' || (to !== 'miss' && to < from) ? '⬆️ ' : '⬇️ '} ${r.id}: ${from} → ${to}`);
+  }
+}
+
+/**
+ * Main evaluation function
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const golden = JSON.parse(await fs.readFile(GOLDEN_SET_PATH, 'utf-8'));
+  const previous = args.compare ? JSON.parse(await fs.readFile(args.compare, 'utf-8')) : null;
+
+  console.log(`\n🔍 Evaluating retrieval on ${golden.questions.length} golden questions\n`);
+
+  const targets = await resolveTargets(golden.questions);
+  const results = [];
+  let debugInfo = null;
+
+  for (const question of golden.questions) {
+    const retrieval = await retrieveQuietly(question.question, args.verbose);
+    debugInfo = retrieval.debugInfo;
+    const result = scoreQuestion(question, retrieval, targets);
+    results.push(result);
+    console.log(`   ${result.thresholdPass ? '✓' : result.firstRelevantRank ? '~' : '✗'} ${question.id} (rank ${result.firstRelevantRank ?? '-'})`);
+  }
+
+  const summary = summarize(results);
+  const output = {
+    version: RESULT_VERSION,
+    runAt: new Date().toISOString(),
+    config: {
+      vectorStore: getVectorStore().name,
+      retrievalMode: debugInfo?.retrievalMode || null,
+      reranker: debugInfo?.reranker ? debugInfo.reranker.name : 'none',
+      similarityThreshold: debugInfo?.threshold ?? null,
+      topK: debugInfo?.topK ?? null,
+      chunkSize: CHUNK_SIZE,
+      chunkOverlap: CHUNK_OVERLAP,
+      embeddingProvider: getProviderName('embedding'),
+      embeddingModel: getModel('embedding'),
+      indexedChunks: await getVectorStore().count()
+    },
+    summary,
+    results
+  };
+
+  printSummary(summary, previous);
+  if (previous) {
+    printChanges(results, previous);
+  }
+
+  const outPath = args.out || path.join(RESULTS_DIR, `retrieval-${output.runAt.replace(/[:.]/g, '-')}.json`);
+  await fs.mkdir(path.dirname(outPath), { recursive: true });
+  await fs.writeFile(outPath, JSON.stringify(output, null, 2) + '\n', 'utf-8');
+  console.log(`\n💾 Results written to ${path.relative(process.cwd(), outPath)}\n`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('\n❌ Retrieval evaluation failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { normalize, scoreQuestion, summarize };
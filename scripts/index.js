@@ -2,52 +2,67 @@
  * Indexing Script for FAQ Content
  * 
  * This script:
- * 1. Loads all markdown files from /content/
- * 2. Parses and chunks the content
- * 3. Generates embeddings using OpenAI
- * 4. Stores vectors in ChromaDB
+ * 1. Loads all markdown files for every tenant: /content/ for the default
+ *    tenant, /content/<contentNamespace>/ for the others (see tenantService)
+ * 2. Parses and chunks the content along its headings (each chunk records
+ *    its heading path, e.g. "ICL FAQs > How are ICLs different than LASIK?")
+ *    and stores the file's front matter (procedures, audience, topic, review
+ *    and expiry dates - see server/front-matter.js) with every chunk
+ * 3. Compares the chunks with the stored index through its manifest of
+ *    per-chunk content hashes (metadata.contentHash + embeddingModel)
+ * 4. Generates embeddings only for new or changed text - an unchanged
+ *    chunk keeps its embedding, even if it moved to a different id
+ * 5. Applies the adds, updates and deletes in one atomic swap, so the
+ *    assistant never sees an empty or half-built index
+ * 6. Builds the keyword index for hybrid search (BM25 file locally;
+ *    on Supabase the full-text column from migration 007 updates itself)
+ * 7. Bumps the content index version, which invalidates the answer cache
  * 
- * Run with: npm run index
+ * Run with: npm run index [-- --dry-run]
+ * --dry-run prints the planned adds, updates and deletes without embedding or writing anything.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
-const { OpenAI } = require('openai');
+const crypto = require('crypto');
 const MarkdownIt = require('markdown-it');
-const { isSupabaseConfigured } = require('../server/supabase');
-// Use Supabase vector store if configured, otherwise fall back to local
-const vectorStore = require('../server/vectorstore-supabase');
-const { addDocuments, deleteCollection } = vectorStore;
+const { isSupabaseConfigured, getSupabase } = require('../server/supabase');
+const { embedText, embedTexts, getModel, getProviderName } = require('../server/providers');
+const { getVectorStore } = require('../server/vectorstores');
+const { invalidateAnswerCache } = require('../server/services/answerCacheService');
+const { DEFAULT_TENANT_ID, listTenants } = require('../server/services/tenantService');
+const { readContentMetadata, isExpired } = require('../server/front-matter');
 require('dotenv').config();
 
-// Initialize clients
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 const md = new MarkdownIt();
 
 // Configuration
 const CONTENT_DIR = path.join(__dirname, '../content');
-const EMBEDDING_MODEL = 'text-embedding-3-small';
 const COLLECTION_NAME = process.env.CHROMA_COLLECTION_NAME || 'faq_collection';
 const CHUNK_SIZE = 300; // Target words per chunk
-const CHUNK_OVERLAP = 50; // Overlap words between chunks
+const CHUNK_OVERLAP = 50; // Max overlap words (whole sentences) when a long section is split
+
+// Where each vector store keeps its keyword index (Chroma has none)
+const KEYWORD_INDEX_LABELS = {
+  local: 'local BM25 (vector-store/lexical-index.json)',
+  supabase: 'Postgres full-text (content_tsv)'
+};
 
 /**
  * Load all markdown files from content directory
+ * @param {string} contentDir - Directory to read (default /content/)
  * @returns {Promise<Array>} Array of {filename, content} objects
  */
-async function loadMarkdownFiles() {
+async function loadMarkdownFiles(contentDir = CONTENT_DIR) {
   try {
-    const files = await fs.readdir(CONTENT_DIR);
+    const files = await fs.readdir(contentDir);
     const markdownFiles = files.filter(f => f.endsWith('.md'));
 
     console.log(`📂 Found ${markdownFiles.length} markdown files`);
 
     const fileContents = [];
     for (const filename of markdownFiles) {
-      const filepath = path.join(CONTENT_DIR, filename);
+      const filepath = path.join(contentDir, filename);
       const content = await fs.readFile(filepath, 'utf-8');
       fileContents.push({
         filename: filename,
@@ -64,86 +79,349 @@ async function loadMarkdownFiles() {
 }
 
 /**
- * Parse markdown and extract clean text
- * @param {string} markdown - Raw markdown content
- * @returns {string} Clean text without markdown syntax
+ * Merge admin-managed documents from the content_sources table
+ * Active rows replace (or add to) files on disk; inactive rows hide them.
+ * @param {Array} files - Array of {filename, content} loaded from disk
+ * @returns {Promise<Array>} Merged array of {filename, content} objects
  */
-function parseMarkdown(markdown) {
-  // Convert markdown to HTML
-  const html = md.render(markdown);
-  
-  // Remove HTML tags to get plain text
-  const text = html
+async function applyContentSources(files) {
+  const supabase = isSupabaseConfigured() ? getSupabase() : null;
+  if (!supabase) {
+    return files;
+  }
+
+  const { data, error } = await supabase
+    .from('content_sources')
+    .select('filename, content, is_active');
+
+  if (error) {
+    console.warn(`⚠️  Could not load content_sources: ${error.message}`);
+    return files;
+  }
+
+  const byName = new Map(files.map(f => [f.filename, f]));
+  for (const row of data || []) {
+    if (row.is_active) {
+      byName.set(row.filename, { filename: row.filename, content: row.content });
+      console.log(`   ✓ Loaded from content_sources: ${row.filename}`);
+    } else {
+      byName.delete(row.filename);
+    }
+  }
+
+  return Array.from(byName.values());
+}
+
+/**
+ * Content directory of a tenant
+ * @param {Object} tenant - Tenant from tenantService
+ * @returns {string} /content/ or /content/<contentNamespace>/
+ */
+function tenantContentDir(tenant) {
+  return tenant.contentNamespace ? path.join(CONTENT_DIR, tenant.contentNamespace) : CONTENT_DIR;
+}
+
+/**
+ * Load one tenant's markdown files
+ * The content_sources table (admin-managed documents) belongs to the default tenant.
+ * @param {Object} tenant - Tenant from tenantService
+ * @returns {Promise<Array>} Array of {filename, content, tenantId} objects
+ */
+async function loadTenantFiles(tenant) {
+  const contentDir = tenantContentDir(tenant);
+  let files;
+
+  try {
+    await fs.access(contentDir);
+    files = await loadMarkdownFiles(contentDir);
+  } catch (error) {
+    console.warn(`⚠️  No content directory for tenant ${tenant.id} (${path.relative(process.cwd(), contentDir)})`);
+    files = [];
+  }
+
+  if (tenant.id === DEFAULT_TENANT_ID) {
+    files = await applyContentSources(files);
+  }
+
+  return files.map(file => ({ ...file, tenantId: tenant.id }));
+}
+
+/**
+ * Strip rendered HTML down to plain text
+ * @param {string} html - Rendered markdown
+ * @returns {string} Plain text with normalized whitespace
+ */
+function htmlToText(html) {
+  return html
     .replace(/<[^>]*>/g, ' ')  // Remove HTML tags
     .replace(/&nbsp;/g, ' ')    // Replace nbsp
     .replace(/&amp;/g, '&')     // Replace amp
     .replace(/&lt;/g, '<')      // Replace lt
     .replace(/&gt;/g, '>')      // Replace gt
+    .replace(/&quot;/g, '"')    // Replace quot
+    .replace(/&#39;/g, '\'')    // Replace apostrophe
     .replace(/\s+/g, ' ')       // Normalize whitespace
     .trim();
-  
-  return text;
 }
 
 /**
- * Split text into overlapping chunks
- * @param {string} text - Text to chunk
+ * Parse markdown and extract clean text
+ * @param {string} markdown - Raw markdown content
+ * @returns {string} Clean text without markdown syntax
+ */
+function parseMarkdown(markdown) {
+  return htmlToText(md.render(markdown));
+}
+
+/**
+ * Group the markdown-it token stream into sections: a heading plus the
+ * blocks (paragraphs, lists, tables, ...) up to the next heading
+ * @param {string} markdown - Raw markdown content
+ * @returns {Array} [{ heading, path, blocks }] - path is the heading trail (H1 > H2 > H3);
+ *   text before the first heading becomes a section with heading null
+ */
+function parseSections(markdown) {
+  const tokens = md.parse(markdown, {});
+  const sections = [];
+  const trail = [];
+  let current = { heading: null, path: [], blocks: [] };
+
+  let i = 0;
+  while (i < tokens.length) {
+    const token = tokens[i];
+
+    if (token.type === 'heading_open') {
+      const heading = parseMarkdown(tokens[i + 1].content);
+      const level = Number(token.tag.slice(1));
+      trail.length = Math.min(trail.length, level - 1);
+      trail[level - 1] = heading;
+
+      if (current.heading !== null || current.blocks.length > 0) {
+        sections.push(current);
+      }
+      current = { heading, path: trail.filter(Boolean), blocks: [] };
+      i += 3; // heading_open, inline, heading_close
+      continue;
+    }
+
+    // Render each top-level block on its own so block boundaries survive
+    let end = i;
+    if (token.nesting === 1) {
+      let depth = 0;
+      for (; end < tokens.length; end++) {
+        depth += tokens[end].nesting;
+        if (depth === 0) break;
+      }
+    }
+    const text = htmlToText(md.renderer.render(tokens.slice(i, end + 1), md.options, {}));
+    if (text) {
+      current.blocks.push(text);
+    }
+    i = end + 1;
+  }
+
+  if (current.heading !== null || current.blocks.length > 0) {
+    sections.push(current);
+  }
+  return sections;
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - Plain text
+ * @returns {Array<string>} Sentences
+ */
+function splitSentences(text) {
+  return text.split(/(?<=[.!?])\s+(?=\S)/).filter(Boolean);
+}
+
+/**
+ * Count words
+ * @param {string} text - Text
+ * @returns {number} Word count
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Split a section that is too long for one chunk at sentence boundaries.
+ * Each piece repeats the heading so the question stays with its answer, and
+ * starts with the last sentences of the previous piece (up to `overlap` words).
+ * @param {Object} section - From parseSections()
+ * @param {number} chunkSize - Target words per chunk
+ * @param {number} overlap - Overlap words between pieces
+ * @returns {Array<string>} Body text of each piece (heading not included)
+ */
+function splitSection(section, chunkSize, overlap) {
+  const budget = chunkSize - (section.heading ? countWords(section.heading) : 0);
+
+  // Sentences are the unit; a "sentence" longer than a whole chunk (e.g. a
+  // list without punctuation) falls back to word windows
+  const sentences = section.blocks.flatMap(splitSentences).flatMap(sentence => {
+    const words = sentence.split(/\s+/);
+    if (words.length <= budget) return [sentence];
+    const windows = [];
+    for (let i = 0; i < words.length; i += budget) {
+      windows.push(words.slice(i, i + budget).join(' '));
+    }
+    return windows;
+  });
+
+  const pieces = [];
+  let piece = [];
+  let pieceWords = 0;
+
+  for (const sentence of sentences) {
+    const words = countWords(sentence);
+    if (pieceWords + words > budget && piece.length > 0) {
+      pieces.push(piece);
+
+      // Carry whole trailing sentences over as overlap
+      const carried = [];
+      let carriedWords = 0;
+      for (let j = piece.length - 1; j >= 0; j--) {
+        const sentenceWords = countWords(piece[j]);
+        if (carriedWords + sentenceWords > overlap || carriedWords + sentenceWords + words > budget) break;
+        carried.unshift(piece[j]);
+        carriedWords += sentenceWords;
+      }
+      piece = carried;
+      pieceWords = carriedWords;
+    }
+    piece.push(sentence);
+    pieceWords += words;
+  }
+  if (piece.length > 0) {
+    pieces.push(piece);
+  }
+
+  return pieces.map(sentencesInPiece => sentencesInPiece.join(' '));
+}
+
+/**
+ * Chunk markdown along its structure: whole sections (heading + answer) are
+ * packed into chunks of up to `chunkSize` words and never cut in half; a
+ * section longer than that is split at sentence boundaries with `overlap`
+ * words of whole sentences carried into the next piece.
+ * @param {string} markdown - Raw markdown content
  * @param {number} chunkSize - Target words per chunk
- * @param {number} overlap - Overlap words between chunks
- * @returns {Array<string>} Array of text chunks
+ * @param {number} overlap - Overlap words when a section is split
+ * @returns {Array} [{ text, headingPath, sections: [{ heading, path, offset }] }] -
+ *   offset is where that section starts inside the chunk text
  */
-function chunkText(text, chunkSize = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
-  const words = text.split(/\s+/);
+function chunkMarkdown(markdown, chunkSize = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
   const chunks = [];
-  
-  let i = 0;
-  while (i < words.length) {
-    const chunk = words.slice(i, i + chunkSize).join(' ');
-    if (chunk.trim().length > 0) {
-      chunks.push(chunk.trim());
+  let current = null;
+
+  const flush = () => {
+    if (current) {
+      chunks.push({ text: current.text, headingPath: current.headingPath, sections: current.sections });
     }
-    
-    // Move forward by (chunkSize - overlap) to create overlap
-    i += chunkSize - overlap;
-    
-    // Ensure we don't create tiny chunks at the end
-    if (i < words.length && i + chunkSize > words.length) {
-      // If remaining words are less than half chunk size, include in last chunk
-      if (words.length - i < chunkSize / 2 && chunks.length > 0) {
-        break;
+    current = null;
+  };
+
+  const append = (section, body) => {
+    const text = [section.heading, body].filter(Boolean).join(' ');
+    if (!current) {
+      current = { text: '', headingPath: section.path, sections: [], hasBody: false };
+    }
+    if (body && !current.hasBody) {
+      // Chunk is labelled with the first section that has content
+      current.headingPath = section.path;
+      current.hasBody = true;
+    }
+    const offset = current.text ? current.text.length + 1 : 0;
+    current.text = current.text ? `${current.text} ${text}` : text;
+    if (section.heading) {
+      current.sections.push({ heading: section.heading, path: section.path, offset });
+    }
+  };
+
+  for (const section of parseSections(markdown)) {
+    const body = section.blocks.join(' ');
+    const words = countWords([section.heading, body].filter(Boolean).join(' '));
+
+    if (words > chunkSize) {
+      // A bare title heading ("# ICL FAQs") stays with the section under it
+      if (current && current.hasBody) flush();
+      for (const piece of splitSection(section, chunkSize, overlap)) {
+        append(section, piece);
+        flush();
       }
+      continue;
     }
+
+    if (current && countWords(current.text) + words > chunkSize) {
+      flush();
+    }
+    append(section, body);
   }
-  
+  flush();
+
   return chunks;
 }
 
+/**
+ * Hash chunk text for the index manifest
+ * @param {string} text - Chunk text
+ * @returns {string} sha256 hex digest
+ */
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Identify the embedding model, so a model change re-embeds everything
+ * @returns {string} "provider:model"
+ */
+function embeddingModelId() {
+  return `${getProviderName('embedding')}:${getModel('embedding')}`;
+}
+
 /**
  * Process a single markdown file into chunks
- * @param {Object} file - File object with filename and content
+ * @param {Object} file - File object with filename, content and tenantId (default tenant if omitted)
  * @returns {Array} Array of chunk objects
+ * @throws {Error} If the file's front matter is invalid
  */
 function processFile(file) {
   const { filename, content } = file;
+  const tenantId = file.tenantId || DEFAULT_TENANT_ID;
+  // Filenames repeat across tenants; the default tenant keeps its original ids
+  const idPrefix = tenantId === DEFAULT_TENANT_ID ? '' : `${tenantId}:`;
+
+  let frontMatter;
+  try {
+    frontMatter = readContentMetadata(content);
+  } catch (error) {
+    throw new Error(`${idPrefix}${filename}: ${error.message}`);
+  }
+  if (isExpired(frontMatter.metadata)) {
+    console.warn(`   ⚠️  ${idPrefix}${filename} expired on ${frontMatter.metadata.expires} - only used when no current content matches until it is reviewed`);
+  }
   
-  // Parse markdown to plain text
-  const text = parseMarkdown(content);
-  
-  // Split into chunks
-  const chunks = chunkText(text);
+  // Split into structure-aware chunks
+  const chunks = chunkMarkdown(frontMatter.body);
   
   // Create chunk objects with metadata
-  const chunkObjects = chunks.map((chunkText, idx) => ({
-    id: `${filename.replace('.md', '')}_chunk_${idx}`,
-    text: chunkText,
+  const chunkObjects = chunks.map((chunk, idx) => ({
+    id: `${idPrefix}${filename.replace('.md', '')}_chunk_${idx}`,
+    text: chunk.text,
     metadata: {
+      tenantId,
       filename: filename,
       chunkId: idx,
-      totalChunks: chunks.length
+      totalChunks: chunks.length,
+      headingPath: chunk.headingPath,
+      sections: chunk.sections,
+      ...frontMatter.metadata,
+      contentHash: hashText(chunk.text),
+      embeddingModel: embeddingModelId()
     }
   }));
   
-  console.log(`   ✓ Processed ${filename}: ${chunks.length} chunks`);
+  console.log(`   ✓ Processed ${idPrefix}${filename}: ${chunks.length} chunks`);
   return chunkObjects;
 }
 
@@ -154,12 +432,7 @@ function processFile(file) {
  */
 async function generateEmbedding(text) {
   try {
-    const response = await openai.embeddings.create({
-      model: EMBEDDING_MODEL,
-      input: text,
-      encoding_format: 'float'
-    });
-    return response.data[0].embedding;
+    return await embedText(text);
   } catch (error) {
     console.error('❌ Error generating embedding:', error.message);
     throw error;
@@ -172,7 +445,7 @@ async function generateEmbedding(text) {
  * @returns {Promise<Array>} Array of embeddings
  */
 async function generateEmbeddings(chunks) {
-  console.log(`🧠 Generating embeddings for ${chunks.length} chunks...`);
+  console.log(`🧠 Generating embeddings for ${chunks.length} chunks (${getProviderName('embedding')}: ${getModel('embedding')})...`);
   
   const embeddings = [];
   const batchSize = 100; // OpenAI allows up to 2048, but we'll use smaller batches
@@ -182,13 +455,7 @@ async function generateEmbeddings(chunks) {
     const texts = batch.map(c => c.text);
     
     try {
-      const response = await openai.embeddings.create({
-        model: EMBEDDING_MODEL,
-        input: texts,
-        encoding_format: 'float'
-      });
-      
-      const batchEmbeddings = response.data.map(d => d.embedding);
+      const batchEmbeddings = await embedTexts(texts);
       embeddings.push(...batchEmbeddings);
       
       console.log(`   ✓ Embedded ${Math.min(i + batchSize, chunks.length)}/${chunks.length} chunks`);
@@ -202,54 +469,155 @@ async function generateEmbeddings(chunks) {
 }
 
 /**
- * Initialize or reset local vector store
+ * Index stored chunks by content hash, so an unchanged text can reuse its
+ * embedding wherever it ends up
+ * @param {Array} existingDocs - Stored documents {id, document, embedding, metadata}
+ * @returns {Map} "hash|model" -> embedding
  */
-async function initializeCollection() {
-  try {
-    // Delete existing collection
-    await deleteCollection();
-    console.log(`✅ Vector store ready: ${COLLECTION_NAME}`);
-    return true;
-  } catch (error) {
-    console.error('❌ Error initializing collection:', error.message);
-    throw error;
+function buildEmbeddingCache(existingDocs) {
+  const cache = new Map();
+  for (const doc of existingDocs) {
+    if (!doc.embedding) continue;
+    const hash = doc.metadata.contentHash || hashText(doc.document);
+    // Chunks indexed before the manifest have no model recorded - assume the current one
+    const model = doc.metadata.embeddingModel || embeddingModelId();
+    cache.set(`${hash}|${model}`, doc.embedding);
   }
+  return cache;
 }
 
 /**
- * Add chunks with embeddings to local vector store
- * @param {Array} chunks - Chunk objects
- * @param {Array} embeddings - Embedding vectors
+ * Compare freshly chunked content against what is stored
+ * @param {Array} existingDocs - Stored documents {id, document, embedding, metadata}
+ * @param {Array} newChunks - Chunks from processFile {id, text, metadata}
+ * @returns {Object} { toEmbed, toRefresh, unchanged, toDelete } - toRefresh chunks carry
+ *   a reused embedding (same text, new metadata or a new id)
  */
-async function addToVectorStore(chunks, embeddings) {
-  try {
-    // Format documents for storage
-    const documents = chunks.map((chunk, idx) => ({
-      id: chunk.id,
-      document: chunk.text,
-      embedding: embeddings[idx],
-      metadata: chunk.metadata
-    }));
-    
-    await addDocuments(documents);
-    console.log(`✅ Added ${chunks.length} chunks to vector store`);
-  } catch (error) {
-    console.error('❌ Error adding to vector store:', error.message);
-    throw error;
+function planChunkChanges(existingDocs, newChunks) {
+  const existingById = new Map(existingDocs.map(doc => [doc.id, doc]));
+  const embeddingCache = buildEmbeddingCache(existingDocs);
+  const newIds = new Set(newChunks.map(chunk => chunk.id));
+
+  const toEmbed = [];
+  const toRefresh = [];
+  const unchanged = [];
+
+  for (const chunk of newChunks) {
+    const existing = existingById.get(chunk.id);
+    const embedding = embeddingCache.get(`${chunk.metadata.contentHash}|${chunk.metadata.embeddingModel}`);
+
+    if (!embedding) {
+      toEmbed.push(chunk);
+    } else if (existing && existing.document === chunk.text &&
+               JSON.stringify(existing.metadata) === JSON.stringify(chunk.metadata)) {
+      unchanged.push(chunk);
+    } else {
+      // Same text, different metadata (e.g. totalChunks) or id - keep the embedding
+      toRefresh.push({ ...chunk, embedding });
+    }
+  }
+
+  const toDelete = existingDocs
+    .filter(doc => !newIds.has(doc.id))
+    .map(doc => doc.id);
+
+  return { toEmbed, toRefresh, unchanged, toDelete };
+}
+
+/**
+ * Describe a plan in terms of ids: what is added, updated and deleted
+ * @param {Array} existingDocs - Stored documents
+ * @param {Object} plan - From planChunkChanges()
+ * @returns {Object} { added, updated, removed, unchanged, embedded, reused } -
+ *   added/updated are [{ id, embed }], embed false when the embedding is reused
+ */
+function summarizePlan(existingDocs, plan) {
+  const existingById = new Map(existingDocs.map(doc => [doc.id, doc]));
+  const changes = [
+    ...plan.toEmbed.map(chunk => ({ chunk, embed: true })),
+    ...plan.toRefresh.map(chunk => ({ chunk, embed: false }))
+  ].sort((a, b) => a.chunk.id.localeCompare(b.chunk.id, undefined, { numeric: true }));
+
+  return {
+    added: changes.filter(c => !existingById.has(c.chunk.id)).map(c => ({ id: c.chunk.id, embed: c.embed })),
+    updated: changes.filter(c => existingById.has(c.chunk.id)).map(c => ({ id: c.chunk.id, embed: c.embed })),
+    removed: plan.toDelete,
+    unchanged: plan.unchanged.length,
+    embedded: plan.toEmbed.length,
+    reused: plan.toRefresh.length
+  };
+}
+
+/**
+ * Print a plan summary
+ * @param {Object} summary - From summarizePlan()
+ * @param {boolean} verbose - List every id
+ */
+function printPlan(summary, verbose) {
+  console.log(`   ➕ Add:       ${summary.added.length}`);
+  console.log(`   ✏️  Update:    ${summary.updated.length}`);
+  console.log(`   🗑️  Delete:    ${summary.removed.length}`);
+  console.log(`   ✓  Unchanged: ${summary.unchanged}`);
+  console.log(`   🧠 To embed:  ${summary.embedded} (${summary.reused} embeddings reused)`);
+
+  if (verbose) {
+    const label = change => `${change.id}${change.embed ? '' : ' (embedding reused)'}`;
+    summary.added.forEach(change => console.log(`      + ${label(change)}`));
+    summary.updated.forEach(change => console.log(`      ~ ${label(change)}`));
+    summary.removed.forEach(id => console.log(`      - ${id}`));
   }
 }
 
+/**
+ * Embed what the plan needs and apply it to the vector store in one swap
+ * @param {Object} plan - From planChunkChanges()
+ * @returns {Promise<Object>} { upserted, deleted }
+ */
+async function applyPlan(plan) {
+  const upserts = plan.toRefresh.map(chunk => ({
+    id: chunk.id,
+    document: chunk.text,
+    embedding: chunk.embedding,
+    metadata: chunk.metadata
+  }));
+
+  if (plan.toEmbed.length > 0) {
+    const embeddings = await generateEmbeddings(plan.toEmbed);
+    plan.toEmbed.forEach((chunk, idx) => {
+      upserts.push({
+        id: chunk.id,
+        document: chunk.text,
+        embedding: embeddings[idx],
+        metadata: chunk.metadata
+      });
+    });
+  }
+
+  if (upserts.length > 0 || plan.toDelete.length > 0) {
+    await getVectorStore().applyChanges({ upserts, deleteIds: plan.toDelete });
+  }
+
+  return { upserted: upserts.length, deleted: plan.toDelete.length };
+}
+
 /**
  * Main indexing function
  */
 async function main() {
-  console.log('\n🚀 Starting FAQ Indexing Process\n');
+  const dryRun = process.argv.includes('--dry-run');
+
+  console.log(`\n🚀 Starting FAQ Indexing Process${dryRun ? ' (dry run)' : ''}\n`);
   console.log('='.repeat(50));
   
   try {
-    // Step 1: Load markdown files
+    // Step 1: Load markdown files for every tenant
     console.log('\n📖 Step 1: Loading markdown files...');
-    const files = await loadMarkdownFiles();
+    const tenants = await listTenants();
+    let files = [];
+    for (const tenant of tenants) {
+      console.log(`\n🏥 Tenant ${tenant.id} (${tenant.name})`);
+      files = files.concat(await loadTenantFiles(tenant));
+    }
     
     if (files.length === 0) {
       console.log('⚠️  No markdown files found in /content/ directory');
@@ -266,25 +634,41 @@ async function main() {
     
     console.log(`\n📊 Total chunks created: ${allChunks.length}`);
     
-    // Step 3: Generate embeddings
-    console.log('\n🧠 Step 3: Generating embeddings...');
-    const embeddings = await generateEmbeddings(allChunks);
+    // Step 3: Compare with the stored index (Supabase or local)
+    const store = getVectorStore();
+    console.log(`\n🔍 Step 3: Comparing with the ${store.name} index...`);
+    const existingDocs = await store.get();
+    const plan = planChunkChanges(existingDocs, allChunks);
+    const summary = summarizePlan(existingDocs, plan);
+    printPlan(summary, dryRun);
+
+    if (dryRun) {
+      console.log('\n🔍 Dry run - nothing was embedded or written\n');
+      return;
+    }
+
+    if (plan.toEmbed.length === 0 && plan.toRefresh.length === 0 && plan.toDelete.length === 0) {
+      console.log('\n✅ Index is already up to date\n');
+      return;
+    }
     
-    // Step 4: Initialize vector store (Supabase or local)
-    const storeType = isSupabaseConfigured() ? 'Supabase pgvector' : 'local JSON';
-    console.log(`\n💾 Step 4: Initializing ${storeType} vector store...`);
-    await initializeCollection();
+    // Step 4: Embed new text and swap the changes in
+    console.log('\n🧠 Step 4: Embedding changed chunks and updating the vector store...');
+    const { upserted, deleted } = await applyPlan(plan);
     
-    // Step 5: Add chunks to vector store
-    console.log('\n📥 Step 5: Adding chunks to vector database...');
-    await addToVectorStore(allChunks, embeddings);
+    // Cached answers were generated from the old content
+    await invalidateAnswerCache();
     
     // Success!
     console.log('\n' + '='.repeat(50));
     console.log('✅ Indexing completed successfully!');
     console.log(`\n📊 Summary:`);
+    console.log(`   - Tenants: ${tenants.length}`);
     console.log(`   - Files processed: ${files.length}`);
     console.log(`   - Total chunks: ${allChunks.length}`);
+    console.log(`   - Upserted: ${upserted} (${summary.embedded} embedded, ${summary.reused} reused), deleted: ${deleted}`);
+    console.log(`   - Vector store: ${store.name}`);
+    console.log(`   - Keyword index: ${KEYWORD_INDEX_LABELS[store.name] || 'none'}`);
     console.log(`   - Collection: ${COLLECTION_NAME}`);
     console.log(`\n🎉 Your FAQ assistant is ready to use!`);
     console.log(`   Run: npm start\n`);
@@ -302,13 +686,21 @@ if (require.main === module) {
 }
 
 module.exports = {
+  CONTENT_DIR,
+  CHUNK_SIZE,
+  CHUNK_OVERLAP,
   loadMarkdownFiles,
+  applyContentSources,
+  tenantContentDir,
+  loadTenantFiles,
   parseMarkdown,
-  chunkText,
+  parseSections,
+  chunkMarkdown,
   processFile,
   generateEmbedding,
   generateEmbeddings,
-  initializeCollection,
-  addToVectorStore
+  planChunkChanges,
+  summarizePlan,
+  applyPlan
 };
 
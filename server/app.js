@@ -25,6 +25,7 @@ const { requireAuth, optionalAuth, createUser, updateUserRole, getUserByEmail }
 // Import route modules
 const patientRoutes = require('./routes/patient.routes');
 const clinicianRoutes = require('./routes/clinician.routes');
+const adminRoutes = require('./routes/admin.routes');
 
 // Initialize Express app
 const app = express();
@@ -115,6 +116,13 @@ app.use('/', patientRoutes);  // Backward compatibility - keep /ask, /health, et
  */
 app.use('/api/clinician', clinicianRoutes);
 
+/**
+ * Mount Admin Routes
+ * 
+ * Content and savings calculator management under '/admin' (admin role required per route).
+ */
+app.use('/admin', adminRoutes);
+
 // ============================================================================
 // ROOT ENDPOINT
 // ============================================================================
@@ -134,8 +142,14 @@ app.get('/', (req, res) => {
       status: '/status',
       ask: 'POST /ask',
       askStream: 'POST /ask/stream',
+      askVoice: 'POST /ask/voice',
+      askTranslate: 'POST /ask/translate',
       lead: 'POST /lead',
       logEvent: 'POST /log-event',
+      savings: 'POST /api/patient/savings',
+      candidacy: 'POST /api/patient/candidacy',
+      adminContent: '/admin/content',
+      adminSavings: '/admin/savings/:tenantId',
       // New API structure
       patientApi: '/api/patient/*',
       clinicianApi: '/api/clinician/*'
@@ -264,41 +278,6 @@ app.get('/admin/dashboard', requireAuth(['admin']), async (req, res) => {
   }
 });
 
-/**
- * POST /admin/content - Update FAQ content via UI (future)
- */
-app.post('/admin/content', (req, res) => {
-  res.status(501).json({
-    message: 'Content management feature coming soon',
-    implemented: false
-  });
-});
-
-// ============================================================================
-// FUTURE FEATURE PLACEHOLDERS
-// ============================================================================
-
-/**
- * POST /ask/voice - Voice mode with Whisper (future)
- * Note: This is patient-facing voice. Clinician transcription is at /api/clinician/transcribe
- */
-app.post('/ask/voice', (req, res) => {
-  res.status(501).json({
-    message: 'Voice mode feature coming soon',
-    implemented: false
-  });
-});
-
-/**
- * POST /ask/translate - Multilingual support (future)
- */
-app.post('/ask/translate', (req, res) => {
-  res.status(501).json({
-    message: 'Translation feature coming soon',
-    implemented: false
-  });
-});
-
 // ============================================================================
 // ERROR HANDLING
 // ============================================================================
@@ -0,0 +1,189 @@
+/**
+ * Content Front Matter
+ *
+ * Content files start with a YAML front matter block describing them:
+ *
+ *   ---
+ *   procedures: [icl]           # lasik, prk, smile, icl, cataract, rle - or general
+ *   audience: patients          # patients, post-op or staff (staff files never reach patients)
+ *   topic: icl
+ *   last_reviewed: 2026-10-19   # set once a person has reviewed the file
+ *   expires: 2027-10-19         # from this date answers skip the file while current content matches
+ *   ---
+ *
+ * The indexer strips the block before chunking and stores the fields on every
+ * chunk of the file (metadata.procedures, audience, topic, lastReviewed,
+ * expires), so retrieval can filter or boost by procedure and filter by
+ * audience and expiry. A file without front matter is general patient content
+ * that never expires.
+ *
+ * Only the YAML this needs is supported: `key: value`, `key: [a, b]` and
+ * `- item` lists, with optional quotes and # comments.
+ */
+
+// Procedures content can be tagged with (same names as detectBuyingIntent in rag.js)
+const CONTENT_PROCEDURES = ['lasik', 'prk', 'smile', 'icl', 'cataract', 'rle'];
+// Content about every procedure (or none in particular)
+const GENERAL_PROCEDURE = 'general';
+const AUDIENCES = ['patients', 'post-op', 'staff'];
+// Audiences the patient chat and widget answer from
+const PATIENT_AUDIENCES = ['patients', 'post-op'];
+const DEFAULT_AUDIENCE = 'patients';
+
+const FRONT_MATTER_PATTERN = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a scalar value: strip quotes and trailing comments
+ * @param {string} raw - Raw value text
+ * @returns {string} Value
+ */
+function parseScalar(raw) {
+  const value = raw.trim();
+  const quoted = value.match(/^(["'])(.*?)\1\s*(?:#.*)?$/);
+  if (quoted) {
+    return quoted[2];
+  }
+  return value.replace(/(?:^|\s+)#.*$/, '').trim();
+}
+
+/**
+ * Parse the YAML inside a front matter block
+ * @param {string} yaml - Block contents (without the --- lines)
+ * @returns {Object} { key: string | Array<string> }
+ * @throws {Error} On lines that are not key/value pairs or list items
+ */
+function parseYaml(yaml) {
+  const attributes = {};
+  let listKey = null;
+
+  yaml.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) {
+      return;
+    }
+
+    const item = line.match(/^\s+-\s*(.*)$/);
+    if (item) {
+      if (!listKey) {
+        throw new Error(`Front matter line ${i + 2}: list item without a key`);
+      }
+      attributes[listKey].push(parseScalar(item[1]));
+      return;
+    }
+
+    const pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+    if (!pair) {
+      throw new Error(`Front matter line ${i + 2}: expected "key: value", got "${line.trim()}"`);
+    }
+
+    const [, key, rawValue] = pair;
+    const value = parseScalar(rawValue);
+    listKey = null;
+    if (value === '') {
+      // Block list ("key:" followed by "- item" lines)
+      attributes[key] = [];
+      listKey = key;
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      attributes[key] = value.slice(1, -1).split(',').map(parseScalar).filter(Boolean);
+    } else {
+      attributes[key] = value;
+    }
+  });
+
+  return attributes;
+}
+
+/**
+ * Split markdown into its front matter and body
+ * @param {string} markdown - Raw markdown content
+ * @returns {Object} { attributes, body } - attributes is {} without front matter
+ * @throws {Error} If the front matter is malformed
+ */
+function parseFrontMatter(markdown) {
+  const match = markdown.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { attributes: {}, body: markdown };
+  }
+  return { attributes: parseYaml(match[1]), body: markdown.slice(match[0].length) };
+}
+
+/**
+ * Validate a YYYY-MM-DD date
+ * @param {string} key - Attribute name (for the error)
+ * @param {*} value - Attribute value
+ * @returns {string|undefined} Date, or undefined if not set
+ * @throws {Error} If the value is not a valid date
+ */
+function parseDate(key, value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  // Round-tripping rejects dates that do not exist (2027-02-30)
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value) ||
+      Number.isNaN(Date.parse(value)) || new Date(value).toISOString().slice(0, 10) !== value) {
+    throw new Error(`Front matter "${key}" must be a YYYY-MM-DD date`);
+  }
+  return value;
+}
+
+/**
+ * Read the chunk metadata a file's front matter declares
+ * @param {string} markdown - Raw markdown content
+ * @returns {Object} { metadata: { procedures, audience, topic?, lastReviewed?, expires? }, body }
+ * @throws {Error} If the front matter is malformed or has invalid values
+ */
+function readContentMetadata(markdown) {
+  const { attributes, body } = parseFrontMatter(markdown);
+
+  let procedures = attributes.procedures === undefined ? [GENERAL_PROCEDURE] : attributes.procedures;
+  if (typeof procedures === 'string') {
+    procedures = [procedures];
+  }
+  const known = [...CONTENT_PROCEDURES, GENERAL_PROCEDURE];
+  const unknown = procedures.map(p => p.toLowerCase()).filter(p => !known.includes(p));
+  if (procedures.length === 0 || unknown.length > 0) {
+    throw new Error(`Front matter "procedures" must list ${known.join(', ')}${unknown.length > 0 ? ` (got ${unknown.join(', ')})` : ''}`);
+  }
+
+  if (attributes.audience !== undefined && !AUDIENCES.includes(attributes.audience)) {
+    throw new Error(`Front matter "audience" must be one of ${AUDIENCES.join(', ')}`);
+  }
+  if (attributes.topic !== undefined && typeof attributes.topic !== 'string') {
+    throw new Error('Front matter "topic" must be a single value');
+  }
+
+  const metadata = {
+    procedures: [...new Set(procedures.map(p => p.toLowerCase()))],
+    audience: attributes.audience || DEFAULT_AUDIENCE,
+    topic: attributes.topic,
+    lastReviewed: parseDate('last_reviewed', attributes.last_reviewed),
+    expires: parseDate('expires', attributes.expires)
+  };
+  if (metadata.lastReviewed && metadata.expires && metadata.expires <= metadata.lastReviewed) {
+    throw new Error('Front matter "expires" must be after "last_reviewed"');
+  }
+
+  // Leave unset fields out of chunk metadata
+  Object.keys(metadata).forEach(key => metadata[key] === undefined && delete metadata[key]);
+  return { metadata, body };
+}
+
+/**
+ * Check whether content has expired
+ * @param {Object} metadata - Chunk metadata
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True from the expiry date on
+ */
+function isExpired(metadata, now = new Date()) {
+  return Boolean(metadata && metadata.expires) && metadata.expires <= now.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  CONTENT_PROCEDURES,
+  GENERAL_PROCEDURE,
+  AUDIENCES,
+  PATIENT_AUDIENCES,
+  parseFrontMatter,
+  readContentMetadata,
+  isExpired
+};
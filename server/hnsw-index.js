@@ -0,0 +1,309 @@
+/**
+ * HNSW Approximate Nearest Neighbor Index
+ *
+ * In-process Hierarchical Navigable Small World graph (Malkov & Yashunin)
+ * over the local vector store's normalized float32 vectors. Distance is
+ * 1 - dot product, i.e. cosine distance for unit vectors.
+ *
+ * The index is a plain object so it can be saved as JSON next to the vectors
+ * (see vectorstore.js); nodes are vector slots, and vectors are read through a
+ * getVector(slot) callback so the graph never copies them. Nodes are only ever
+ * added - the store skips deleted slots when searching and rebuilds the graph
+ * once enough of them pile up.
+ *
+ * Node levels come from a seeded PRNG, so the same inserts build the same graph.
+ */
+
+const INDEX_VERSION = 1;
+const DEFAULT_M = 16; // Links per node on upper levels (2M on level 0)
+const DEFAULT_EF_CONSTRUCTION = 100; // Candidate list size while inserting
+const DEFAULT_SEED = 0x5eed;
+
+/**
+ * Create an empty index
+ * @param {Object} options - Index options
+ * @param {number} options.dimensions - Vector dimensions
+ * @param {number} [options.m] - Links per node
+ * @param {number} [options.efConstruction] - Candidate list size while inserting
+ * @returns {Object} Index
+ */
+function createHnswIndex({ dimensions, m = DEFAULT_M, efConstruction = DEFAULT_EF_CONSTRUCTION }) {
+  return {
+    version: INDEX_VERSION,
+    dimensions,
+    m,
+    efConstruction,
+    entryPoint: -1,
+    maxLevel: -1,
+    rngState: DEFAULT_SEED,
+    levels: [], // slot → top level of the node
+    neighbors: [] // slot → [level 0 links, level 1 links, ...]
+  };
+}
+
+/**
+ * Dot product of two vectors
+ * @param {Float32Array} a - Vector
+ * @param {Float32Array} b - Vector
+ * @returns {number} Dot product
+ */
+function dot(a, b) {
+  // Unrolled by four - this loop is nearly all of the index's time
+  const length = a.length;
+  const tail = length % 4;
+  let s0 = 0;
+  let s1 = 0;
+  let s2 = 0;
+  let s3 = 0;
+  for (let i = 0; i < length - tail; i += 4) {
+    s0 += a[i] * b[i];
+    s1 += a[i + 1] * b[i + 1];
+    s2 += a[i + 2] * b[i + 2];
+    s3 += a[i + 3] * b[i + 3];
+  }
+  for (let i = length - tail; i < length; i++) {
+    s0 += a[i] * b[i];
+  }
+  return s0 + s1 + s2 + s3;
+}
+
+/**
+ * Scale a vector to unit length (zero vectors stay zero)
+ * @param {ArrayLike<number>} vector - Vector
+ * @returns {Float32Array} Unit vector
+ */
+function normalizeVector(vector) {
+  const normalized = Float32Array.from(vector);
+  const norm = Math.sqrt(dot(normalized, normalized));
+  if (norm > 0) {
+    for (let i = 0; i < normalized.length; i++) {
+      normalized[i] /= norm;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Draw the next number from the index's PRNG (mulberry32)
+ * @param {Object} index - Index (its rngState advances)
+ * @returns {number} Number in [0, 1)
+ */
+function nextRandom(index) {
+  index.rngState = (index.rngState + 0x6d2b79f5) >>> 0;
+  let t = index.rngState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Binary heap of { slot, distance }
+ * @param {boolean} maxFirst - True for a max-heap (farthest on top)
+ * @returns {Object} { push, pop, peek, size, toArray }
+ */
+function createHeap(maxFirst) {
+  const items = [];
+  const before = (a, b) => (maxFirst ? a.distance > b.distance : a.distance < b.distance);
+
+  return {
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!before(items[i], items[parent])) break;
+        [items[i], items[parent]] = [items[parent], items[i]];
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let first = i;
+          if (left < items.length && before(items[left], items[first])) first = left;
+          if (right < items.length && before(items[right], items[first])) first = right;
+          if (first === i) break;
+          [items[i], items[first]] = [items[first], items[i]];
+          i = first;
+        }
+      }
+      return top;
+    },
+    peek() {
+      return items[0];
+    },
+    size() {
+      return items.length;
+    },
+    toArray() {
+      return items.slice();
+    }
+  };
+}
+
+/**
+ * Best-first search of one graph level
+ * @param {Object} index - Index
+ * @param {Function} getVector - slot → Float32Array
+ * @param {Float32Array} query - Unit query vector
+ * @param {Array<Object>} entryPoints - [{ slot, distance }]
+ * @param {number} ef - Candidate list size
+ * @param {number} level - Graph level
+ * @returns {Array<Object>} Up to ef { slot, distance }, closest first
+ */
+function searchLevel(index, getVector, query, entryPoints, ef, level) {
+  const visited = new Set(entryPoints.map(entry => entry.slot));
+  const candidates = createHeap(false);
+  const results = createHeap(true);
+  for (const entry of entryPoints) {
+    candidates.push(entry);
+    results.push(entry);
+  }
+
+  while (candidates.size() > 0) {
+    const closest = candidates.pop();
+    if (results.size() >= ef && closest.distance > results.peek().distance) {
+      break;
+    }
+
+    for (const neighbor of index.neighbors[closest.slot][level] || []) {
+      if (visited.has(neighbor)) continue;
+      visited.add(neighbor);
+
+      const distance = 1 - dot(query, getVector(neighbor));
+      if (results.size() < ef || distance < results.peek().distance) {
+        candidates.push({ slot: neighbor, distance });
+        results.push({ slot: neighbor, distance });
+        if (results.size() > ef) {
+          results.pop();
+        }
+      }
+    }
+  }
+
+  return results.toArray().sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Pick diverse neighbors: skip a candidate that is closer to an already
+ * picked neighbor than to the base node, then top up with the closest skipped
+ * @param {Function} getVector - slot → Float32Array
+ * @param {Array<Object>} candidates - { slot, distance } to the base node, closest first
+ * @param {number} count - Neighbors to keep
+ * @returns {Array<number>} Slots
+ */
+function selectNeighbors(getVector, candidates, count) {
+  const selected = [];
+  const skipped = [];
+
+  for (const candidate of candidates) {
+    if (selected.length >= count) break;
+    const vector = getVector(candidate.slot);
+    const diverse = selected.every(picked => 1 - dot(vector, getVector(picked.slot)) > candidate.distance);
+    (diverse ? selected : skipped).push(candidate);
+  }
+  for (const candidate of skipped) {
+    if (selected.length >= count) break;
+    selected.push(candidate);
+  }
+  return selected.map(candidate => candidate.slot);
+}
+
+/**
+ * Greedy descent from the entry point down to (but not including) a level
+ * @param {Object} index - Index
+ * @param {Function} getVector - slot → Float32Array
+ * @param {Float32Array} query - Unit query vector
+ * @param {number} toLevel - Level to stop above
+ * @returns {Object} Closest { slot, distance } found
+ */
+function descend(index, getVector, query, toLevel) {
+  let closest = { slot: index.entryPoint, distance: 1 - dot(query, getVector(index.entryPoint)) };
+  for (let level = index.maxLevel; level > toLevel; level--) {
+    closest = searchLevel(index, getVector, query, [closest], 1, level)[0];
+  }
+  return closest;
+}
+
+/**
+ * Add a vector slot to the index
+ * @param {Object} index - Index (modified in place)
+ * @param {Function} getVector - slot → Float32Array (unit vectors)
+ * @param {number} slot - Slot of the new vector (slots are added in order)
+ */
+function insertNode(index, getVector, slot) {
+  const vector = getVector(slot);
+  const level = Math.floor(-Math.log(1 - nextRandom(index)) / Math.log(index.m));
+  index.levels[slot] = level;
+  index.neighbors[slot] = Array.from({ length: level + 1 }, () => []);
+
+  if (index.entryPoint === -1) {
+    index.entryPoint = slot;
+    index.maxLevel = level;
+    return;
+  }
+
+  let entryPoints = [descend(index, getVector, vector, level)];
+  for (let current = Math.min(level, index.maxLevel); current >= 0; current--) {
+    const maxLinks = current === 0 ? index.m * 2 : index.m;
+    const candidates = searchLevel(index, getVector, vector, entryPoints, index.efConstruction, current);
+    const links = selectNeighbors(getVector, candidates, index.m);
+    index.neighbors[slot][current] = links;
+
+    // Link back; a neighbor over its limit keeps its closest links (cheaper than
+    // re-running the diversity heuristic, and recall holds up in the benchmark)
+    for (const neighbor of links) {
+      const neighborLinks = index.neighbors[neighbor][current];
+      neighborLinks.push(slot);
+      if (neighborLinks.length > maxLinks) {
+        const neighborVector = getVector(neighbor);
+        const ranked = neighborLinks
+          .map(other => ({ slot: other, distance: 1 - dot(neighborVector, getVector(other)) }))
+          .sort((a, b) => a.distance - b.distance);
+        index.neighbors[neighbor][current] = ranked.slice(0, maxLinks).map(other => other.slot);
+      }
+    }
+    entryPoints = candidates;
+  }
+
+  if (level > index.maxLevel) {
+    index.entryPoint = slot;
+    index.maxLevel = level;
+  }
+}
+
+/**
+ * Find the nearest accepted slots to a query
+ * @param {Object} index - Index
+ * @param {Function} getVector - slot → Float32Array
+ * @param {Float32Array} query - Unit query vector
+ * @param {number} k - Results wanted
+ * @param {Object} [options] - Search options
+ * @param {number} [options.ef] - Candidate list size (higher = better recall, slower)
+ * @param {Function} [options.accept] - slot → boolean (deleted or out-of-scope slots are skipped)
+ * @returns {Array<Object>} Up to k { slot, distance }, closest first
+ */
+function searchHnsw(index, getVector, query, k, { ef = 64, accept = () => true } = {}) {
+  if (index.entryPoint === -1 || k <= 0) {
+    return [];
+  }
+
+  const entry = descend(index, getVector, query, 0);
+  return searchLevel(index, getVector, query, [entry], Math.max(ef, k), 0)
+    .filter(result => accept(result.slot))
+    .slice(0, k);
+}
+
+module.exports = {
+  createHnswIndex,
+  insertNode,
+  searchHnsw,
+  normalizeVector,
+  dot
+};
@@ -0,0 +1,209 @@
+/**
+ * Lexical (BM25) Index
+ *
+ * Keyword index over content chunks, used alongside vector search so short
+ * queries like prescriptions ("-7.5 with astigmatism") and brand names
+ * ("EVO", "CTAK") still find the chunks that mention them literally.
+ *
+ * The local backend keeps the index in vector-store/lexical-index.json,
+ * rebuilt whenever the collection changes. The Supabase backend uses a
+ * Postgres full-text index instead (see migration 007).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const LEXICAL_INDEX_FILE = path.join(__dirname, '../vector-store/lexical-index.json');
+const INDEX_VERSION = 1;
+
+// BM25 parameters (standard defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Words too common to say anything about relevance
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for',
+  'from', 'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of',
+  'on', 'or', 'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'would', 'you', 'your', 'about', 'am', 'any', 'could', 'should',
+  'get', 'i\'m', 'our', 'us', 'also', 'just', 'been', 'were', 'into', 'not', 'no'
+]);
+
+/**
+ * Normalize a numeric token so "-7.50", "-7.5" and "7.5" all match
+ * @param {string} token - Numeric token
+ * @returns {string} Normalized number
+ */
+function normalizeNumber(token) {
+  const value = Math.abs(parseFloat(token));
+  return isNaN(value) ? token : String(value);
+}
+
+/**
+ * Light stemming so simple plurals match ("surgeries" / "surgery", "lenses" / "lens")
+ * @param {string} word - Lowercase word
+ * @returns {string} Stemmed word
+ */
+function stem(word) {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+  if (word.endsWith('ses') || word.endsWith('xes')) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into index terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms (lowercased, stemmed, stopwords removed)
+ */
+function tokenize(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const tokens = text.toLowerCase().match(/[-+]?\d+(?:\.\d+)?|[a-z][a-z0-9']*/g) || [];
+  const terms = [];
+
+  for (const token of tokens) {
+    if (/^[-+]?\d/.test(token)) {
+      terms.push(normalizeNumber(token));
+      continue;
+    }
+    const word = token.replace(/'s$/, '').replace(/'/g, '');
+    if (word.length < 2 || STOPWORDS.has(word)) continue;
+    terms.push(stem(word));
+  }
+
+  return terms;
+}
+
+/**
+ * Build a BM25 index from documents
+ * @param {Array} documents - Array of {id, document}
+ * @returns {Object} Serializable index
+ */
+function buildLexicalIndex(documents) {
+  const docs = [];
+  const postings = {};
+  let totalLength = 0;
+
+  documents.forEach((doc, docIndex) => {
+    const terms = tokenize(doc.document);
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+
+    for (const [term, count] of frequencies) {
+      if (!postings[term]) postings[term] = [];
+      postings[term].push([docIndex, count]);
+    }
+
+    docs.push({ id: doc.id, length: terms.length });
+    totalLength += terms.length;
+  });
+
+  return {
+    version: INDEX_VERSION,
+    docCount: docs.length,
+    avgDocLength: docs.length > 0 ? totalLength / docs.length : 0,
+    docs,
+    postings
+  };
+}
+
+/**
+ * Score documents against a query with BM25
+ * @param {Object} index - Index from buildLexicalIndex()
+ * @param {string} queryText - Raw query
+ * @param {number} nResults - Number of results to return
+ * @param {Function} [filter] - (id) => boolean, documents to consider
+ * @returns {Array} [{ id, score, matchedTerms }] sorted by score, only documents with a match
+ */
+function searchLexicalIndex(index, queryText, nResults = 5, filter = null) {
+  if (!index || index.docCount === 0) return [];
+
+  const queryTerms = Array.from(new Set(tokenize(queryText)));
+  const scores = new Map();
+
+  for (const term of queryTerms) {
+    const termPostings = index.postings[term];
+    if (!termPostings) continue;
+
+    // BM25 idf (the +1 keeps it positive for very common terms)
+    const idf = Math.log(1 + (index.docCount - termPostings.length + 0.5) / (termPostings.length + 0.5));
+
+    for (const [docIndex, tf] of termPostings) {
+      const docLength = index.docs[docIndex].length;
+      const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (docLength / (index.avgDocLength || 1)));
+      const termScore = idf * ((tf * (BM25_K1 + 1)) / norm);
+
+      const entry = scores.get(docIndex) || { score: 0, matchedTerms: [] };
+      entry.score += termScore;
+      entry.matchedTerms.push(term);
+      scores.set(docIndex, entry);
+    }
+  }
+
+  return Array.from(scores.entries())
+    .map(([docIndex, { score, matchedTerms }]) => ({
+      id: index.docs[docIndex].id,
+      score,
+      matchedTerms
+    }))
+    .filter(match => !filter || filter(match.id))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, nResults);
+}
+
+/**
+ * Save the index next to the local vector store
+ * @param {Object} index - Index from buildLexicalIndex()
+ * @param {string} [file] - Index file (defaults to vector-store/lexical-index.json)
+ */
+async function saveLexicalIndex(index, file = LEXICAL_INDEX_FILE) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(index), 'utf-8');
+  await fs.rename(tempFile, file);
+}
+
+/**
+ * Load the saved index
+ * @param {string} [file] - Index file (defaults to vector-store/lexical-index.json)
+ * @returns {Promise<Object|null>} Index, or null if missing or from an older version
+ */
+async function loadLexicalIndex(file = LEXICAL_INDEX_FILE) {
+  try {
+    const index = JSON.parse(await fs.readFile(file, 'utf-8'));
+    return index.version === INDEX_VERSION ? index : null;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete the saved index
+ * @param {string} [file] - Index file (defaults to vector-store/lexical-index.json)
+ */
+async function deleteLexicalIndex(file = LEXICAL_INDEX_FILE) {
+  try {
+    await fs.unlink(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  tokenize,
+  buildLexicalIndex,
+  searchLexicalIndex,
+  saveLexicalIndex,
+  loadLexicalIndex,
+  deleteLexicalIndex
+};
@@ -14,18 +14,41 @@
 
 require('dotenv').config();
 
-const CLINIC_PHONE = process.env.CLINIC_PHONE || '(210) 585-2020';
-const CLINIC_NAME = process.env.CLINIC_NAME || 'our clinic';
+const { SUPPORTED_LANGUAGES, localize } = require('./services/languageService');
+const { getDefaultTenant, fillTenantCopy } = require('./services/tenantService');
+
+// Callers that pass no tenant get the clinic from CLINIC_NAME / CLINIC_PHONE
+const DEFAULT_TENANT = getDefaultTenant();
+const CLINIC_PHONE = DEFAULT_TENANT.phone;
+const CLINIC_NAME = DEFAULT_TENANT.name;
 
 /**
- * Generates the complete prompt with safety rules and retrieved context
- * @param {string} userQuestion - The question asked by the user
- * @param {string} retrievedText - The relevant text chunks retrieved from the vector database
- * @returns {string} The complete prompt for the LLM
+ * Instruction telling the model which language to answer in
+ * @param {string} language - Language code
+ * @param {Object} tenant - Clinic the answer is for (default: the CLINIC_* tenant)
+ * @returns {string} Prompt section (empty for English)
  */
-function generatePrompt(userQuestion, retrievedText) {
-  // TODO: User memory (DB): when ready, accept userMemory, inject "User Memory:\n${userMemory}" before "User Question:".
-  return `You are a friendly, conversational assistant for ${CLINIC_NAME} helping patients understand their refractive surgery procedures.
+function getLanguageInstruction(language = 'en', tenant = DEFAULT_TENANT) {
+  if (!language || language === 'en') {
+    return '';
+  }
+
+  const languageName = SUPPORTED_LANGUAGES[language] || language;
+  return `
+
+LANGUAGE (CRITICAL):
+The patient is writing in ${languageName}. Write your ENTIRE answer in natural, warm ${languageName}, even though the clinic's information is in English. Keep procedure names (LASIK, PRK, SMILE, ICL, EVO), prices, and the phone number ${tenant.phone} exactly as written. All safety rules still apply.`;
+}
+
+/**
+ * Generates the clinic knowledge and safety rules that open every answer prompt
+ * (also what groundingService may check an answer's numbers against, besides the chunks)
+ * @param {string} language - Language code to answer in (default 'en')
+ * @param {Object} tenant - Clinic the answer is for (default: the CLINIC_* tenant)
+ * @returns {string} Rules section of the prompt
+ */
+function getClinicRules(language = 'en', tenant = DEFAULT_TENANT) {
+  return `You are a friendly, conversational assistant for ${tenant.name} helping patients understand their refractive surgery procedures.
 
 YOUR APPROACH:
 - Be warm, natural, and conversational - like talking to a friend who needs guidance
@@ -43,7 +66,7 @@ You may answer using:
 
 If the answer is not supported by either source, say you're not sure and direct the patient to call the office.
 
-1. Use only the two sources above. If neither supports the answer, say you're not sure and direct the patient to call our office at ${CLINIC_PHONE}.
+1. Use only the two sources above. If neither supports the answer, say you're not sure and direct the patient to call our office at ${tenant.phone}.
 
 2. Language style:
    - Use conversational, friendly language (avoid robotic responses)
@@ -66,15 +89,15 @@ If the answer is not supported by either source, say you're not sure and direct
    - Do NOT discuss kickbacks or financial arrangements beyond the post-op care explanation above
 
 6. **ALWAYS DIRECT TO US (CRITICAL - BUSINESS GPT):**
-   - You represent ${CLINIC_NAME}. The goal is to convert leads and direct patients to the practice—you replace staff who answer these questions by phone.
-   - **NEVER** say "consult an eye care professional," "see an optometrist," "talk to your doctor," or any generic "go see someone" advice. **ALWAYS** direct to **us**: "Come in for a consultation," "Call our office at ${CLINIC_PHONE}," "We can check that during your visit with us," "Schedule with us to find out."
+   - You represent ${tenant.name}. The goal is to convert leads and direct patients to the practice—you replace staff who answer these questions by phone.
+   - **NEVER** say "consult an eye care professional," "see an optometrist," "talk to your doctor," or any generic "go see someone" advice. **ALWAYS** direct to **us**: "Come in for a consultation," "Call our office at ${tenant.phone}," "We can check that during your visit with us," "Schedule with us to find out."
    - When someone asks how to know if they have a cataract (or similar): we do the exam. Say we'll check during a consultation, invite them to call or schedule, and avoid any wording that sends them elsewhere.
 
 7. For symptoms or concerns, warmly redirect:
-   "I'd recommend calling our office at ${CLINIC_PHONE} to discuss that—we can give you personalized guidance."
+   "I'd recommend calling our office at ${tenant.phone} to discuss that—we can give you personalized guidance."
 
 8. For emergencies, respond immediately:
-   "Please call our office right away at ${CLINIC_PHONE} or seek immediate medical attention."
+   "Please call our office right away at ${tenant.phone} or seek immediate medical attention."
 
 9. Comparisons:
    - Use facts from the retrieved info to explain differences naturally
@@ -95,21 +118,25 @@ If the answer is not supported by either source, say you're not sure and direct
      
      The best way to know which is right for you is a consultation!"
 
-11. **BE CONCISE - CRITICAL**: Keep responses SHORT and to the point. Aim for 1-3 sentences for simple questions, 3-4 sentences maximum for complex topics. Avoid lengthy explanations unless absolutely necessary. Be direct and helpful, not verbose.
+11. CITE YOUR SOURCES:
+   - After each sentence that uses the Retrieved Information, add the number of the source it came from in square brackets, before the period: "Recovery usually takes a day or two [2]."
+   - Use the numbers from the "[Source N: ...]" labels. Cite two sources as [1][3]. Don't cite the clinic rules in this prompt, and don't add a list of sources at the end.
 
-12. CONVERSION & NEXT STEPS:
+12. **BE CONCISE - CRITICAL**: Keep responses SHORT and to the point. Aim for 1-3 sentences for simple questions, 3-4 sentences maximum for complex topics. Avoid lengthy explanations unless absolutely necessary. Be direct and helpful, not verbose.
+
+13. CONVERSION & NEXT STEPS:
    - **GATHER INFO FIRST**: Before giving procedure or candidacy advice, ask for their **age** if you don't know it. Do NOT skip straight to "schedule a consultation." Tailor your answer once you know their age.
    - **PACING IS KEY**: Do NOT suggest a consultation in every response! That feels pushy.
      * Suggest it ONCE early in the conversation (after the first or second substantive question)
      * Then WAIT at least 4-5 responses before mentioning it again
      * Only bring it up again if they ask about candidacy, pricing, or next steps
-   - When you DO suggest it, keep it brief and natural: "If you'd like, you can schedule a consultation to learn more. Call us at ${CLINIC_PHONE} or schedule online!"
+   - When you DO suggest it, keep it brief and natural: "If you'd like, you can schedule a consultation to learn more. Call us at ${tenant.phone} or schedule online!"
    - Make it feel easy and low-pressure: "It takes a little over an hour, and there's no obligation."
    - SAVINGS CALCULATOR NUDGE:
      * If the user is asking about LASIK cost, expensive procedures, or shows hesitation about the investment, you can say:
        "By the way, if you share your age and how often you typically buy new glasses or contacts, I can help you calculate how much you could save over the long run with vision correction!"
 
-13. GROUND RULES & SPECIFIC KNOWLEDGE (CRITICAL):
+14. GROUND RULES & SPECIFIC KNOWLEDGE (CRITICAL):
     
     **TONE & CONTEXT:**
     - **NO "BIG DEAL" LANGUAGE**: NEVER call these procedures "big decisions" or make them sound scary/intimidating. Keep it casual and positive!
@@ -189,9 +216,22 @@ If the answer is not supported by either source, say you're not sure and direct
     - "Really?" / "Are you sure?" / "Hmm" → They're SKEPTICAL. Reassure them with facts, offer more details, ask what specific concerns they have.
     - "Ok" / "I see" / "Got it" → They understood. Ask a follow-up question to keep the conversation going: "What other questions do you have?" or ask for their age if you don't have it yet.
     - "Idk" / "Not sure" / "Maybe" → They're UNCERTAIN. Help them by asking clarifying questions: "What's making you hesitant?" or "Would it help if I explained more about X?"
-    - "Thanks" / "Thank you" → Wrap up warmly but offer next steps: "You're welcome! If you'd like to take the next step, you can schedule a consultation at (210) 585-2020."
+    - "Thanks" / "Thank you" → Wrap up warmly but offer next steps: "You're welcome! If you'd like to take the next step, you can schedule a consultation at ${tenant.phone}."
     
-    NEVER abandon the conversation with a generic fallback when context makes their meaning clear.
+    NEVER abandon the conversation with a generic fallback when context makes their meaning clear.${getLanguageInstruction(language, tenant)}`;
+}
+
+/**
+ * Generates the complete prompt with safety rules and retrieved context
+ * @param {string} userQuestion - The question asked by the user
+ * @param {string} retrievedText - The relevant text chunks retrieved from the vector database
+ * @param {string} language - Language code to answer in (default 'en')
+ * @param {Object} tenant - Clinic the answer is for (default: the CLINIC_* tenant)
+ * @returns {string} The complete prompt for the LLM
+ */
+function generatePrompt(userQuestion, retrievedText, language = 'en', tenant = DEFAULT_TENANT) {
+  // TODO: User memory (DB): when ready, accept userMemory, inject "User Memory:\n${userMemory}" before "User Question:".
+  return `${getClinicRules(language, tenant)}
 
 User Question:
 ${userQuestion}
@@ -204,10 +244,11 @@ Now answer their question conversationally using the information above. Make the
 
 /**
  * Generates a system message for conversation context
+ * @param {Object} tenant - Clinic the answer is for (default: the CLINIC_* tenant)
  * @returns {string} System message
  */
-function getSystemMessage() {
-  return `You are a helpful FAQ assistant for ${CLINIC_NAME}. You provide accurate information based solely on the practice's approved content. You never invent information and always direct patients to call the office when you're unsure.`;
+function getSystemMessage(tenant = DEFAULT_TENANT) {
+  return `You are a helpful FAQ assistant for ${tenant.name}. You provide accurate information based solely on the practice's approved content. You never invent information and always direct patients to call the office when you're unsure.`;
 }
 
 /**
@@ -222,10 +263,15 @@ function hasRelevantInformation(retrievedText) {
 
 /**
  * Generates the fallback response when no information is found
+ * @param {string} language - Language code (default 'en')
+ * @param {Object} tenant - Clinic the answer is for (default: the CLINIC_* tenant)
  * @returns {string} The fallback message
  */
-function getFallbackResponse() {
-  return `I'm not sure about that. Could you try rephrasing your question more specifically? Or feel free to call our office at ${CLINIC_PHONE} for personalized guidance.`;
+function getFallbackResponse(language = 'en', tenant = DEFAULT_TENANT) {
+  return localize(language, {
+    en: `I'm not sure about that. Could you try rephrasing your question more specifically? Or feel free to call our office at ${tenant.phone} for personalized guidance.`,
+    es: `No estoy seguro de eso. ¿Podría reformular su pregunta de forma más específica? O llame a nuestra oficina al ${tenant.phone} para recibir orientación personalizada.`
+  });
 }
 
 /**
@@ -266,16 +312,34 @@ function isAffirmative(query) {
 
 /**
  * Gets the scheduling response when user says "yes" or similar
+ * @param {string} language - Language code (default 'en')
+ * @param {Object} tenant - Clinic the answer is for (default: the CLINIC_* tenant)
  * @returns {string} Scheduling call-to-action response
  */
-function getSchedulingResponse() {
-  return `Perfect! Let's get you scheduled for a consultation. You have two easy options:
+function getSchedulingResponse(language = 'en', tenant = DEFAULT_TENANT) {
+  // Tenants can word this themselves (booking lead times and channels differ per practice);
+  // a language they haven't written falls back to the built-in copy in that language
+  const customCopy = tenant.scheduling && tenant.scheduling[language];
+  if (customCopy) {
+    return fillTenantCopy(customCopy, tenant);
+  }
+
+  return localize(language, {
+    en: `Perfect! Let's get you scheduled for a consultation. You have two easy options:
 
-📞 **Call us directly**: ${CLINIC_PHONE} - We can usually get you in within a week!
+📞 **Call us directly**: ${tenant.phone} - We can usually get you in within a week!
 
 📅 **Request a callback**: Click the "Schedule Consultation" button and we'll reach out within 24 hours to find a time that works for you.
 
-Which works better for you?`;
+Which works better for you?`,
+    es: `¡Perfecto! Vamos a programar su consulta. Tiene dos opciones fáciles:
+
+📞 **Llámenos directamente**: ${tenant.phone} - ¡Normalmente podemos atenderle en menos de una semana!
+
+📅 **Solicite una llamada**: Haga clic en el botón "Schedule Consultation" y le llamaremos dentro de 24 horas para encontrar un horario que le funcione.
+
+¿Qué opción prefiere?`
+  });
 }
 
 /**
@@ -300,10 +364,11 @@ function isObjection(query) {
 
 /**
  * Gets the objection handling response - gently probes for the real concern
- * @param {string} query - The user's objection
+ * @param {string} query - The user's objection (in English)
+ * @param {string} language - Language code to respond in (default 'en')
  * @returns {string} Empathetic response that addresses concerns
  */
-function getObjectionResponse(query) {
+function getObjectionResponse(query, language = 'en') {
   const lowerQuery = query.toLowerCase();
   
   // Check if they explicitly mentioned cost concerns
@@ -317,32 +382,58 @@ function getObjectionResponse(query) {
                         lowerQuery.includes('anxious') || lowerQuery.includes('fear');
   
   if (isCostConcern) {
-    return `I completely understand - a few thousand dollars is a lot for anybody! But let me share something that might help:
+    return localize(language, {
+      en: `I completely understand - a few thousand dollars is a lot for anybody! But let me share something that might help:
 
 If you're spending around $180 on contacts every 90 days plus $500/year on glasses, that's over **$17,000 over 20 years**. Vision correction typically pays for itself in just a few years.
 
-Plus, we offer **financing options** starting around $150/month, and you can use **HSA/FSA funds**. The consultation has no obligation - would you like to at least find out what your options are?`;
+Plus, we offer **financing options** starting around $150/month, and you can use **HSA/FSA funds**. The consultation has no obligation - would you like to at least find out what your options are?`,
+      es: `¡Lo entiendo perfectamente! Unos miles de dólares es mucho dinero para cualquiera. Pero permítame compartir algo que podría ayudar:
+
+Si gasta alrededor de $180 en lentes de contacto cada 90 días más $500 al año en anteojos, eso es más de **$17,000 en 20 años**. La corrección de la vista normalmente se paga sola en solo unos pocos años.
+
+Además, ofrecemos **opciones de financiamiento** desde unos $150 al mes, y puede usar **fondos HSA/FSA**. La consulta no tiene ningún compromiso - ¿le gustaría al menos conocer sus opciones?`
+    });
   }
   
   if (isFearConcern) {
-    return `Those feelings are completely normal! Almost everyone feels nervous when thinking about someone working on their eyes. But I want to reassure you:
+    return localize(language, {
+      en: `Those feelings are completely normal! Almost everyone feels nervous when thinking about someone working on their eyes. But I want to reassure you:
 
 • The procedures are **incredibly safe** - our surgeons have performed thousands of them
 • You'll be **extremely comfortable** the whole time with relaxing medication
 • Most procedures are **over in under 10 minutes** - people often say it was done before they realized it started!
 • Many of our **staff have had the procedures themselves**, so we truly understand
 
-The consultation is no-pressure. It might help just to come in, meet the team, and see the facility. Would that help ease your mind?`;
+The consultation is no-pressure. It might help just to come in, meet the team, and see the facility. Would that help ease your mind?`,
+      es: `¡Esos sentimientos son completamente normales! Casi todos se ponen nerviosos al pensar en que alguien trabaje en sus ojos. Pero quiero tranquilizarle:
+
+• Los procedimientos son **increíblemente seguros** - nuestros cirujanos han realizado miles de ellos
+• Estará **muy cómodo** todo el tiempo gracias a medicamentos relajantes
+• La mayoría de los procedimientos **terminan en menos de 10 minutos** - ¡muchas personas dicen que terminó antes de darse cuenta de que había empezado!
+• Muchos de nuestros **empleados se han hecho estos procedimientos**, así que realmente le entendemos
+
+La consulta es sin presión. Podría ayudarle venir, conocer al equipo y ver las instalaciones. ¿Eso le daría más tranquilidad?`
+    });
   }
   
   // General objection - probe for the reason
-  return `That's completely okay! There's no pressure at all. I'm curious though - is there something specific holding you back?
+  return localize(language, {
+    en: `That's completely okay! There's no pressure at all. I'm curious though - is there something specific holding you back?
 
 • Feeling a bit **nervous** about the procedure?
 • Wondering about the **cost** or payment options?
 • Just need **more time** to think it over?
 
-Whatever it is, I'm here to help address any concerns. What's on your mind?`;
+Whatever it is, I'm here to help address any concerns. What's on your mind?`,
+    es: `¡No hay ningún problema! No hay ninguna presión. Pero me da curiosidad - ¿hay algo específico que le detiene?
+
+• ¿Se siente un poco **nervioso** por el procedimiento?
+• ¿Tiene dudas sobre el **costo** o las opciones de pago?
+• ¿Solo necesita **más tiempo** para pensarlo?
+
+Sea lo que sea, estoy aquí para ayudarle con cualquier inquietud. ¿Qué tiene en mente?`
+  });
 }
 
 /**
@@ -410,27 +501,40 @@ function isStatement(query) {
 
 /**
  * Generates a natural greeting response
- * @param {string} query - User's greeting
+ * @param {string} query - User's greeting (in English)
+ * @param {string} language - Language code to respond in (default 'en')
  * @returns {string} Natural greeting response
  */
-function getGreetingResponse(query) {
+function getGreetingResponse(query, language = 'en') {
   const lowerQuery = query.toLowerCase().trim();
   
   if (lowerQuery.includes('thank')) {
-    return "You're so welcome! Happy to help. Is there anything else you'd like to know?";
+    return localize(language, {
+      en: "You're so welcome! Happy to help. Is there anything else you'd like to know?",
+      es: "¡Con mucho gusto! Es un placer ayudarle. ¿Hay algo más que le gustaría saber?"
+    });
   }
   
   if (lowerQuery.includes('bye') || lowerQuery.includes('goodbye') || lowerQuery.includes('see ya') || lowerQuery.includes('cya')) {
-    return "Have an amazing day! Feel free to come back anytime if you have more questions. We're here to help! 😊";
+    return localize(language, {
+      en: "Have an amazing day! Feel free to come back anytime if you have more questions. We're here to help! 😊",
+      es: "¡Que tenga un excelente día! Vuelva cuando quiera si tiene más preguntas. ¡Estamos aquí para ayudarle! 😊"
+    });
   }
   
   // Casual greetings (sup, yo, what's up)
   if (lowerQuery === 'sup' || lowerQuery === 'yo' || lowerQuery.includes('what\'s up') || lowerQuery.includes('whats up') || lowerQuery.includes('what\'s good')) {
-    return "Hey there! 👋 I'm here to help answer any questions you have about vision correction procedures like LASIK, SMILE, ICL, or cataract surgery. What's on your mind?";
+    return localize(language, {
+      en: "Hey there! 👋 I'm here to help answer any questions you have about vision correction procedures like LASIK, SMILE, ICL, or cataract surgery. What's on your mind?",
+      es: "¡Hola! 👋 Estoy aquí para responder cualquier pregunta sobre procedimientos de corrección de la vista como LASIK, SMILE, ICL o cirugía de cataratas. ¿Qué tiene en mente?"
+    });
   }
   
   // Default friendly greeting
-  return "Hey! 👋 Great to meet you! I'm here to help answer all your questions about vision correction procedures—whether you're curious about LASIK, SMILE, ICL, cataract surgery, recovery, costs, or anything else. What would you like to know?";
+  return localize(language, {
+    en: "Hey! 👋 Great to meet you! I'm here to help answer all your questions about vision correction procedures—whether you're curious about LASIK, SMILE, ICL, cataract surgery, recovery, costs, or anything else. What would you like to know?",
+    es: "¡Hola! 👋 ¡Mucho gusto! Estoy aquí para responder todas sus preguntas sobre procedimientos de corrección de la vista—ya sea sobre LASIK, SMILE, ICL, cirugía de cataratas, recuperación, costos o cualquier otra cosa. ¿Qué le gustaría saber?"
+  });
 }
 
 /**
@@ -438,9 +542,11 @@ function getGreetingResponse(query) {
  * Uses GPT to understand context and guide users naturally
  * @param {string} statement - User's statement
  * @param {Array} conversationHistory - Previous messages
+ * @param {string} language - Language code to respond in (default 'en')
+ * @param {Object} tenant - Clinic the answer is for (default: the CLINIC_* tenant)
  * @returns {string} System prompt for conversational mode
  */
-function getConversationalPrompt(statement, conversationHistory) {
+function getConversationalPrompt(statement, conversationHistory, language = 'en', tenant = DEFAULT_TENANT) {
   const lowerStatement = statement.toLowerCase();
   const isFearConcern = lowerStatement.includes('nervous') || lowerStatement.includes('worried') || 
                         lowerStatement.includes('scared') || lowerStatement.includes('afraid') || 
@@ -474,7 +580,7 @@ function getConversationalPrompt(statement, conversationHistory) {
 - Show immediate empathy and concern ("I'm sorry to hear you're experiencing discomfort/pain")
 - ASK CLARIFYING QUESTIONS before giving advice:
   * What type of surgery/procedure did you have?
-  * Was it done here at ${CLINIC_NAME}?
+  * Was it done here at ${tenant.name}?
   * When exactly was the procedure? (today, yesterday, last week?)
   * What specific symptoms are you experiencing?
 - Keep initial response brief (2-3 sentences)
@@ -502,7 +608,7 @@ function getConversationalPrompt(statement, conversationHistory) {
 - Mention financing options (HSA/FSA) if relevant`;
   }
 
-  return `You are a friendly, helpful assistant for ${CLINIC_NAME}, a refractive surgery practice.
+  return `You are a friendly, helpful assistant for ${tenant.name}, a refractive surgery practice.
 
 The user just made a statement or shared context (not a direct question): "${statement}"
 
@@ -520,7 +626,7 @@ ${!isVagueMedicalStatement && !isFearConcern && !isFinancialConcern ? `Examples:
 - "I was told I need cataract surgery" → "I'd be happy to help! What would you like to know about cataract surgery? I can answer questions about the procedure, recovery, costs, or anything else."
 - "My doctor said I'm a good candidate" → "That's great news! Do you have any questions about the procedure, what to expect, or next steps?"` : ''}
 
-Keep responses warm, empathetic, and encouraging but **BRIEF** (1-2 sentences for clarifying questions, 2-3 sentences maximum for fear/financial concerns).`;
+Keep responses warm, empathetic, and encouraging but **BRIEF** (1-2 sentences for clarifying questions, 2-3 sentences maximum for fear/financial concerns).${getLanguageInstruction(language, tenant)}`;
 }
 
 /**
@@ -559,14 +665,44 @@ function hasAgeMentioned(query) {
 
 /**
  * Gets the age-request response for reader questions
+ * @param {string} language - Language code (default 'en')
  * @returns {string} Response asking for age
  */
-function getAgeRequestResponse() {
-  return `That's a great question! To give you the most accurate answer about reading glasses and what options might work best for you, can you tell me how old you are? The strategies we use can vary depending on your age.`;
+function getAgeRequestResponse(language = 'en') {
+  return localize(language, {
+    en: `That's a great question! To give you the most accurate answer about reading glasses and what options might work best for you, can you tell me how old you are? The strategies we use can vary depending on your age.`,
+    es: `¡Excelente pregunta! Para darle la respuesta más precisa sobre los anteojos para leer y las opciones que mejor le podrían funcionar, ¿me puede decir cuántos años tiene? Las estrategias que usamos pueden variar según su edad.`
+  });
+}
+
+/**
+ * Gets the reply when the patient answers the savings calculator in chat
+ * @param {Object} facts - Dialog state facts ({ age, annualEyewearCost })
+ * @param {string} language - Language code (default 'en')
+ * @returns {string} Acknowledgement, asking for whichever input is still missing
+ */
+function getCalculatorFactsResponse(facts, language = 'en') {
+  if (facts.age === undefined) {
+    return localize(language, {
+      en: `Thanks! I've added $${facts.annualEyewearCost} a year to the savings calculator. How old are you? That sets how many years of glasses and contacts you'd skip.`,
+      es: `¡Gracias! Agregué $${facts.annualEyewearCost} al año a la calculadora de ahorros. ¿Cuántos años tiene? Eso define cuántos años de anteojos y lentes de contacto se ahorraría.`
+    });
+  }
+  if (facts.annualEyewearCost === undefined) {
+    return localize(language, {
+      en: `Thanks! I've put ${facts.age} into the savings calculator. About how much do you spend on glasses and contacts each year?`,
+      es: `¡Gracias! Puse ${facts.age} en la calculadora de ahorros. ¿Aproximadamente cuánto gasta al año en anteojos y lentes de contacto?`
+    });
+  }
+  return localize(language, {
+    en: `Thanks! I've filled in the savings calculator with age ${facts.age} and $${facts.annualEyewearCost} a year on glasses and contacts - tap "Calculate My Savings" to see your estimate.`,
+    es: `¡Gracias! Llené la calculadora de ahorros con ${facts.age} años y $${facts.annualEyewearCost} al año en anteojos y lentes de contacto - toque "Calculate My Savings" para ver su estimado.`
+  });
 }
 
 module.exports = {
   generatePrompt,
+  getClinicRules,
   getSystemMessage,
   hasRelevantInformation,
   getFallbackResponse,
@@ -581,6 +717,8 @@ module.exports = {
   isReaderQuestion,
   hasAgeMentioned,
   getAgeRequestResponse,
+  getCalculatorFactsResponse,
+  getLanguageInstruction,
   CLINIC_PHONE,
   CLINIC_NAME
 };
@@ -0,0 +1,212 @@
+/**
+ * Model Provider Layer
+ *
+ * Single entry point for every LLM, embedding and transcription call in the
+ * app (patient RAG, translation, clinician coaching, Whisper, indexing scripts).
+ *
+ * Providers, selected by environment:
+ *   - 'openai' (default): OpenAI or any OpenAI-compatible server (OPENAI_BASE_URL)
+ *   - 'ollama': local model server speaking the Ollama HTTP API (OLLAMA_BASE_URL)
+ *   - 'mock': deterministic, offline - no network or API key needed (CI)
+ *
+ * Environment:
+ *   LLM_PROVIDER            - provider for chat (and the default for the others)
+ *   EMBEDDING_PROVIDER      - override for embeddings
+ *   TRANSCRIPTION_PROVIDER  - override for speech-to-text (ollama has none, so
+ *                             it defaults to openai when LLM_PROVIDER=ollama)
+ *   LLM_CHAT_MODEL / LLM_EMBEDDING_MODEL / LLM_TRANSCRIPTION_MODEL
+ *                           - model names (defaults depend on the provider)
+ *
+ * A provider is { name, defaultModels, checkConfiguration(), chat(), chatStream(),
+ * embed(), transcribe(), ping() }. Tests can swap one in with setProvider().
+ */
+
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createOllamaProvider } = require('./ollamaProvider');
+const { createMockProvider } = require('./mockProvider');
+require('dotenv').config();
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  ollama: createOllamaProvider,
+  mock: createMockProvider
+};
+
+const CAPABILITIES = ['chat', 'embedding', 'transcription'];
+
+const MODEL_ENV = {
+  chat: 'LLM_CHAT_MODEL',
+  embedding: 'LLM_EMBEDDING_MODEL',
+  transcription: 'LLM_TRANSCRIPTION_MODEL'
+};
+
+// One provider instance per name, plus per-capability overrides from setProvider()
+const instances = new Map();
+const overrides = {};
+
+/**
+ * Get the configured provider name for a capability
+ * @param {string} capability - 'chat' | 'embedding' | 'transcription'
+ * @returns {string} Provider name
+ */
+function getProviderName(capability = 'chat') {
+  const base = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+
+  if (capability === 'embedding' && process.env.EMBEDDING_PROVIDER) {
+    return process.env.EMBEDDING_PROVIDER.toLowerCase();
+  }
+  if (capability === 'transcription') {
+    if (process.env.TRANSCRIPTION_PROVIDER) {
+      return process.env.TRANSCRIPTION_PROVIDER.toLowerCase();
+    }
+    if (base === 'ollama') {
+      return 'openai';
+    }
+  }
+  return base;
+}
+
+/**
+ * Get the provider for a capability
+ * @param {string} [capability='chat'] - 'chat' | 'embedding' | 'transcription'
+ * @returns {Object} Provider
+ */
+function getProvider(capability = 'chat') {
+  if (overrides[capability]) {
+    return overrides[capability];
+  }
+
+  let name = getProviderName(capability);
+  if (!PROVIDERS[name]) {
+    console.warn(`⚠️  Unknown model provider "${name}" for ${capability}, using openai`);
+    name = 'openai';
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, PROVIDERS[name]());
+  }
+  return instances.get(name);
+}
+
+/**
+ * Replace the provider for one or all capabilities (for tests or alternate backends)
+ * @param {Object|null} provider - Provider object, or null to go back to the env-configured one
+ * @param {string} [capability] - Capability to replace; all of them when omitted
+ */
+function setProvider(provider, capability) {
+  for (const cap of capability ? [capability] : CAPABILITIES) {
+    overrides[cap] = provider;
+  }
+}
+
+/**
+ * Get the model name used for a capability
+ * @param {string} [capability='chat'] - 'chat' | 'embedding' | 'transcription'
+ * @returns {string} Model name
+ */
+function getModel(capability = 'chat') {
+  return process.env[MODEL_ENV[capability]] || getProvider(capability).defaultModels[capability];
+}
+
+/**
+ * Run a chat completion
+ *
+ * @param {Object} options - Completion options
+ * @param {Array} options.messages - [{ role, content }]
+ * @param {string} [options.model] - Model (defaults to getModel('chat'))
+ * @param {number} [options.temperature] - Sampling temperature
+ * @param {number} [options.maxTokens] - Max completion tokens
+ * @param {number} [options.topP] - Nucleus sampling
+ * @param {string} [options.responseFormat] - 'json' to force a JSON object
+ * @returns {Promise<Object>} { content, usage: { promptTokens, completionTokens, totalTokens }, model }
+ */
+async function chatCompletion(options) {
+  const model = options.model || getModel('chat');
+  const result = await getProvider('chat').chat({ ...options, model });
+  return { ...result, model: result.model || model };
+}
+
+/**
+ * Stream a chat completion
+ * @param {Object} options - Same as chatCompletion()
+ * @returns {AsyncGenerator<string>} Content deltas
+ */
+function streamChatCompletion(options) {
+  return getProvider('chat').chatStream({ ...options, model: options.model || getModel('chat') });
+}
+
+/**
+ * Embed several texts
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<Array<number>>>} One vector per text
+ */
+async function embedTexts(texts) {
+  if (texts.length === 0) return [];
+  return getProvider('embedding').embed(texts, { model: getModel('embedding') });
+}
+
+/**
+ * Embed one text
+ * @param {string} text - Text to embed
+ * @returns {Promise<Array<number>>} Embedding vector
+ */
+async function embedText(text) {
+  const [embedding] = await embedTexts([text]);
+  return embedding;
+}
+
+/**
+ * Transcribe audio
+ *
+ * @param {Object} options - Audio details
+ * @param {Buffer} options.buffer - Audio file buffer
+ * @param {string} options.filename - Filename with extension
+ * @param {string} options.mimetype - Audio MIME type
+ * @param {string|null} [options.language] - ISO-639-1 hint (null to auto-detect)
+ * @returns {Promise<string>} Transcript text
+ */
+async function transcribeAudio(options) {
+  return getProvider('transcription').transcribe({ ...options, model: getModel('transcription') });
+}
+
+/**
+ * Check a capability's provider configuration
+ * @param {string} [capability='chat'] - 'chat' | 'embedding' | 'transcription'
+ * @returns {Object} { configured, provider, model, error? }
+ */
+function checkConfiguration(capability = 'chat') {
+  const provider = getProvider(capability);
+  return {
+    ...provider.checkConfiguration(),
+    provider: provider.name,
+    model: getModel(capability)
+  };
+}
+
+/**
+ * Check that the chat provider is reachable
+ * @returns {Promise<Object>} { ok, provider, error? }
+ */
+async function healthCheck() {
+  const provider = getProvider('chat');
+  try {
+    await provider.ping();
+    return { ok: true, provider: provider.name };
+  } catch (error) {
+    return { ok: false, provider: provider.name, error: error.message };
+  }
+}
+
+module.exports = {
+  getProvider,
+  getProviderName,
+  setProvider,
+  getModel,
+  chatCompletion,
+  streamChatCompletion,
+  embedText,
+  embedTexts,
+  transcribeAudio,
+  checkConfiguration,
+  healthCheck
+};
@@ -0,0 +1,157 @@
+/**
+ * Mock Provider
+ *
+ * Deterministic, offline stand-in for a real model so the RAG and coaching
+ * pipelines can run in CI with no network and no API key.
+ *
+ * - Embeddings: hashed bag-of-words vectors, so texts sharing words are
+ *   similar and retrieval still returns sensible chunks
+ * - Chat: extractive - when the prompt carries "Retrieved Information:",
+ *   answers with the first sentences of the first source, cited as [1]; otherwise echoes the
+ *   quoted question (or the whole message), which keeps query rewriting and
+ *   translation as no-ops. JSON requests get a small JSON object.
+ * - Transcription: LLM_MOCK_TRANSCRIPT or a fixed consultation snippet
+ *
+ * Pass { reply } to createMockProvider() to script chat responses in tests.
+ */
+
+const { tokenize } = require('../lexical-index');
+
+const EMBEDDING_DIMENSIONS = 1536; // Same as text-embedding-3-small / the Supabase schema
+const MAX_ECHO_LENGTH = 500;
+
+const DEFAULT_MODELS = {
+  chat: 'mock-chat',
+  embedding: 'mock-embedding',
+  transcription: 'mock-transcription'
+};
+
+const DEFAULT_TRANSCRIPT = 'Counselor: Thanks for coming in today. What brings you in? ' +
+  'Patient: I am tired of my glasses and wanted to ask about LASIK, the recovery time and the cost.';
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned hash
+ */
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Deterministic embedding: hashed term counts (unigrams + bigrams), L2-normalized
+ * @param {string} text - Text to embed
+ * @returns {Array<number>} Embedding vector
+ */
+function mockEmbedding(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  const terms = tokenize(text);
+  const features = terms.concat(terms.slice(1).map((term, i) => `${terms[i]} ${term}`));
+
+  for (const feature of features) {
+    const h = hash(feature);
+    // Sign bit spreads collisions out instead of always adding
+    vector[h % EMBEDDING_DIMENSIONS] += (h & 0x80000000) ? -1 : 1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  if (norm === 0) {
+    // Empty/stopword-only text still needs a valid (non-zero) vector
+    vector[0] = 1;
+    return vector;
+  }
+  return vector.map(v => v / norm);
+}
+
+/**
+ * Default chat reply (see header)
+ * @param {Array} messages - Chat messages
+ * @param {Object} options - Chat options
+ * @returns {string} Reply
+ */
+function defaultReply(messages, options) {
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  const content = lastUser ? String(lastUser.content) : '';
+
+  if (options.responseFormat === 'json') {
+    return JSON.stringify({ mock: true, summary: 'Mock response (LLM_PROVIDER=mock).' });
+  }
+
+  const contextMatch = content.match(/Retrieved Information:\s*(?:\[Source[^\]]*\]\s*)?([\s\S]*?)(?:\n\s*---|\n\n|$)/);
+  if (contextMatch && contextMatch[1].trim()) {
+    const sentences = contextMatch[1].replace(/\s+/g, ' ').trim().match(/[^.!?]+[.!?]+/g) || [contextMatch[1].trim()];
+    return sentences.slice(0, 2).map(sentence => sentence.trim()).join(' ').replace(/([.!?]+)?$/, ' [1]$1');
+  }
+
+  const quoted = content.match(/"([^"]{2,})"/);
+  return (quoted ? quoted[1] : content).trim().substring(0, MAX_ECHO_LENGTH);
+}
+
+/**
+ * Rough token count for usage reporting
+ * @param {string} text - Text
+ * @returns {number} Approximate tokens
+ */
+function countTokens(text) {
+  return Math.ceil(String(text || '').split(/\s+/).filter(Boolean).length * 1.3);
+}
+
+/**
+ * Create the mock provider
+ * @param {Object} [options] - Mock options
+ * @param {Function} [options.reply] - (messages, chatOptions) => string, replaces the default reply
+ * @param {string} [options.transcript] - Transcript returned by transcribe()
+ * @returns {Object} Provider
+ */
+function createMockProvider({ reply = defaultReply, transcript } = {}) {
+  async function chat(options) {
+    const content = await reply(options.messages || [], options);
+    const promptTokens = countTokens((options.messages || []).map(m => m.content).join(' '));
+    const completionTokens = countTokens(content);
+
+    return {
+      content,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+      model: options.model || DEFAULT_MODELS.chat
+    };
+  }
+
+  return {
+    name: 'mock',
+    defaultModels: DEFAULT_MODELS,
+
+    checkConfiguration() {
+      return { configured: true };
+    },
+
+    chat,
+
+    async *chatStream(options) {
+      const { content } = await chat(options);
+      // Stream word by word, keeping the spaces
+      for (const piece of content.match(/\S+\s*/g) || []) {
+        yield piece;
+      }
+    },
+
+    async embed(texts) {
+      return texts.map(mockEmbedding);
+    },
+
+    async transcribe({ buffer }) {
+      if (!buffer || buffer.length === 0) {
+        throw new Error('Empty audio upload');
+      }
+      return transcript || process.env.LLM_MOCK_TRANSCRIPT || DEFAULT_TRANSCRIPT;
+    },
+
+    async ping() {}
+  };
+}
+
+module.exports = { createMockProvider, mockEmbedding };
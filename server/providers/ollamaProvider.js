@@ -0,0 +1,149 @@
+/**
+ * Local HTTP Provider (Ollama API)
+ *
+ * Chat and embeddings from a model server on your own machine, using the
+ * Ollama HTTP API (/api/chat, /api/embed) at OLLAMA_BASE_URL.
+ * llama.cpp's server speaks the OpenAI API instead - point OPENAI_BASE_URL
+ * at it and use the openai provider.
+ *
+ * Transcription is not available; pair this with TRANSCRIPTION_PROVIDER=openai or mock.
+ *
+ * Note: embedding models differ in dimension (nomic-embed-text is 768) - the
+ * Supabase content_chunks table is VECTOR(1536), so use the local vector
+ * store or adjust the column when embedding with a local model.
+ */
+
+const { fetch } = require('undici');
+require('dotenv').config();
+
+const DEFAULT_MODELS = {
+  chat: 'llama3.1',
+  embedding: 'nomic-embed-text',
+  transcription: null
+};
+
+/**
+ * Get the server base URL without a trailing slash
+ * @returns {string} Base URL
+ */
+function getBaseUrl() {
+  return (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+}
+
+/**
+ * POST JSON to the local server
+ * @param {string} endpoint - API path (e.g. /api/chat)
+ * @param {Object} body - Request body
+ * @returns {Promise<Response>} Successful response
+ */
+async function post(endpoint, body) {
+  const response = await fetch(`${getBaseUrl()}${endpoint}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`Local model server error: ${response.status} - ${errorText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * Build an /api/chat request body
+ * @param {Object} options - Chat options
+ * @param {boolean} stream - Whether to stream
+ * @returns {Object} Request body
+ */
+function buildChatRequest({ messages, model, temperature, maxTokens, topP, responseFormat }, stream) {
+  return {
+    model: model || DEFAULT_MODELS.chat,
+    messages,
+    stream,
+    ...(responseFormat === 'json' ? { format: 'json' } : {}),
+    options: {
+      ...(temperature !== undefined ? { temperature } : {}),
+      ...(maxTokens !== undefined ? { num_predict: maxTokens } : {}),
+      ...(topP !== undefined ? { top_p: topP } : {})
+    }
+  };
+}
+
+/**
+ * Create the local HTTP provider
+ * @returns {Object} Provider
+ */
+function createOllamaProvider() {
+  return {
+    name: 'ollama',
+    defaultModels: DEFAULT_MODELS,
+
+    checkConfiguration() {
+      return { configured: true, baseUrl: getBaseUrl() };
+    },
+
+    async chat(options) {
+      const response = await post('/api/chat', buildChatRequest(options, false));
+      const data = await response.json();
+      const promptTokens = data.prompt_eval_count ?? null;
+      const completionTokens = data.eval_count ?? null;
+
+      return {
+        content: data.message?.content || '',
+        usage: {
+          promptTokens,
+          completionTokens,
+          totalTokens: promptTokens !== null && completionTokens !== null ? promptTokens + completionTokens : null
+        },
+        model: data.model
+      };
+    },
+
+    async *chatStream(options) {
+      const response = await post('/api/chat', buildChatRequest(options, true));
+      const decoder = new TextDecoder();
+      let buffered = '';
+
+      // Newline-delimited JSON, one object per token batch
+      for await (const bytes of response.body) {
+        buffered += decoder.decode(bytes, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          const event = JSON.parse(line);
+          if (event.message?.content) {
+            yield event.message.content;
+          }
+        }
+      }
+    },
+
+    async embed(texts, { model } = {}) {
+      const response = await post('/api/embed', {
+        model: model || DEFAULT_MODELS.embedding,
+        input: texts
+      });
+      const data = await response.json();
+      return data.embeddings;
+    },
+
+    async transcribe() {
+      throw new Error('Transcription is not supported by the ollama provider. Set TRANSCRIPTION_PROVIDER=openai.');
+    },
+
+    async ping() {
+      const response = await fetch(`${getBaseUrl()}/api/tags`);
+      if (!response.ok) {
+        throw new Error(`Local model server error: ${response.status}`);
+      }
+    }
+  };
+}
+
+module.exports = { createOllamaProvider };
@@ -0,0 +1,121 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Chat, embeddings and transcription through the OpenAI SDK.
+ * Works against api.openai.com or any OpenAI-compatible server
+ * (llama.cpp server, vLLM, LM Studio, ...) by setting OPENAI_BASE_URL.
+ */
+
+const { OpenAI, toFile } = require('openai');
+require('dotenv').config();
+
+const DEFAULT_MODELS = {
+  chat: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  embedding: 'text-embedding-3-small',
+  transcription: 'whisper-1'
+};
+
+/**
+ * Map our usage shape from an OpenAI usage object
+ * @param {Object} usage - OpenAI usage ({ prompt_tokens, completion_tokens, total_tokens })
+ * @returns {Object|null} { promptTokens, completionTokens, totalTokens }
+ */
+function mapUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens ?? null,
+    completionTokens: usage.completion_tokens ?? null,
+    totalTokens: usage.total_tokens ?? null
+  };
+}
+
+/**
+ * Create the OpenAI-compatible provider
+ * @returns {Object} Provider
+ */
+function createOpenAIProvider() {
+  let client = null;
+
+  // Created on first use so a missing key only fails the calls that need it
+  function getClient() {
+    if (!client) {
+      client = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: process.env.OPENAI_BASE_URL || undefined
+      });
+    }
+    return client;
+  }
+
+  function buildRequest({ messages, model, temperature, maxTokens, topP, responseFormat }) {
+    return {
+      model: model || DEFAULT_MODELS.chat,
+      messages,
+      ...(temperature !== undefined ? { temperature } : {}),
+      ...(maxTokens !== undefined ? { max_tokens: maxTokens } : {}),
+      ...(topP !== undefined ? { top_p: topP } : {}),
+      ...(responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {})
+    };
+  }
+
+  return {
+    name: 'openai',
+    defaultModels: DEFAULT_MODELS,
+
+    checkConfiguration() {
+      // Local OpenAI-compatible servers usually don't need a key
+      if (!process.env.OPENAI_API_KEY && !process.env.OPENAI_BASE_URL) {
+        return { configured: false, error: 'OPENAI_API_KEY environment variable not set' };
+      }
+      return { configured: true };
+    },
+
+    async chat(options) {
+      const completion = await getClient().chat.completions.create(buildRequest(options));
+      if (!completion.choices || !completion.choices[0] || !completion.choices[0].message) {
+        throw new Error('Invalid response structure from OpenAI');
+      }
+      return {
+        content: completion.choices[0].message.content || '',
+        usage: mapUsage(completion.usage),
+        model: completion.model
+      };
+    },
+
+    async *chatStream(options) {
+      const stream = await getClient().chat.completions.create({ ...buildRequest(options), stream: true });
+      for await (const chunk of stream) {
+        const content = chunk.choices[0]?.delta?.content;
+        if (content) {
+          yield content;
+        }
+      }
+    },
+
+    async embed(texts, { model } = {}) {
+      const response = await getClient().embeddings.create({
+        model: model || DEFAULT_MODELS.embedding,
+        input: texts,
+        encoding_format: 'float'
+      });
+      return response.data.map(d => d.embedding);
+    },
+
+    async transcribe({ buffer, filename, mimetype, language, model }) {
+      const transcription = await getClient().audio.transcriptions.create({
+        file: await toFile(buffer, filename, { type: mimetype }),
+        model: model || DEFAULT_MODELS.transcription,
+        response_format: 'text',
+        temperature: 0.3,
+        ...(language ? { language } : {})
+      });
+      return typeof transcription === 'string' ? transcription : transcription.text || '';
+    },
+
+    async ping() {
+      await getClient().models.list();
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
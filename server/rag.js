@@ -2,30 +2,57 @@
  * RAG (Retrieval-Augmented Generation) Logic
  * 
  * Handles:
- * - Text embedding with OpenAI
- * - Vector search with ChromaDB
- * - Answer generation with GPT-4o-mini
+ * - Text embedding (via the model provider layer in ./providers)
+ * - Hybrid vector + keyword search
+ * - Answer generation (gpt-4o-mini by default)
+ * - Answering in the patient's language (retrieval always runs in English)
+ * - Multi-clinic tenancy (retrieval, prompts and the answer cache are scoped to options.tenant)
  */
 
-const { OpenAI } = require('openai');
-// Use Supabase vector store if configured, otherwise fall back to local
-const { querySimilar, getCount, healthCheck: vectorHealthCheck } = require('./vectorstore-supabase');
-const { generatePrompt, getFallbackResponse, hasRelevantInformation, isGreeting, getGreetingResponse, isAffirmative, getSchedulingResponse, isObjection, getObjectionResponse, isStatement, getConversationalPrompt, isReaderQuestion, hasAgeMentioned, getAgeRequestResponse } = require('./prompt');
+const { chatCompletion, streamChatCompletion, embedText: embedWithProvider, healthCheck: providerHealthCheck } = require('./providers');
+const { getVectorStore } = require('./vectorstores');
+const { generatePrompt, getClinicRules, getFallbackResponse, hasRelevantInformation, isGreeting, getGreetingResponse, getSchedulingResponse, isObjection, getObjectionResponse, isStatement, getConversationalPrompt, isReaderQuestion, hasAgeMentioned, getAgeRequestResponse, getCalculatorFactsResponse, getLanguageInstruction } = require('./prompt');
+const { resolveLanguage, translateToEnglish } = require('./services/languageService');
+const { verifyAnswer } = require('./services/groundingService');
+const { buildCitations } = require('./services/citationService');
+const { COMPARABLE_PROCEDURES, buildComparison } = require('./services/comparisonService');
+const { suggestFollowUps } = require('./services/followUpService');
+const { lookupAnswer, storeAnswer } = require('./services/answerCacheService');
+const { DEFAULT_TENANT_ID, getDefaultTenant } = require('./services/tenantService');
+const { beginDialogTurn, endDialogTurn } = require('./services/dialogStateService');
+const { getReranker, getRerankerName, rerank } = require('./rerankers');
+const { GENERAL_PROCEDURE, PATIENT_AUDIENCES, isExpired } = require('./front-matter');
 require('dotenv').config();
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 // Configuration
-const EMBEDDING_MODEL = 'text-embedding-3-small';
-const GPT_MODEL = 'gpt-4o-mini';
 const COLLECTION_NAME = process.env.CHROMA_COLLECTION_NAME || 'faq_collection';
 const TOP_K_RESULTS = 5; // Increased from 3 to better find relevant content
 const SIMILARITY_THRESHOLD = 0.25; // Lowered from 0.3 to catch more relevant matches
 const COUNSELING_THRESHOLD = 0.20; // Lower threshold for counseling/emotional concerns
-const PRESCRIPTION_THRESHOLD = 0.12; // Even lower threshold for prescriptions/measurements (very short queries)
+
+// Hybrid retrieval: vector (cosine) and keyword (BM25 / full-text) results fused with
+// reciprocal rank fusion. Set RETRIEVAL_MODE=vector to use cosine similarity only.
+const RETRIEVAL_MODE = (process.env.RETRIEVAL_MODE || 'hybrid').toLowerCase() === 'vector' ? 'vector' : 'hybrid';
+const CANDIDATE_K = 20; // Candidates pulled from each retriever before fusion
+const RRF_K = 60; // Standard RRF damping constant
+const KEYWORD_TOP_N = 3; // The best keyword hits are kept even below the similarity threshold...
+const KEYWORD_MIN_SIMILARITY = 0.10; // ...as long as they are not semantically unrelated
+const DEBUG_RESULTS_LIMIT = 10; // Fused candidates listed in debugInfo.allResults
+
+// Procedure scoping from content front matter: procedures named in the question
+// filter the search to their chunks plus general content; procedures the
+// conversation is about (dialog state) only boost matching chunks
+const PROCEDURE_BOOST = 0.25; // Fused-score bonus for chunks about the conversation's procedures
+
+// Comparison questions ("LASIK vs SMILE vs ICL") search each procedure separately
+const COMPARISON_CHUNKS_PER_PROCEDURE = 3; // Chunks kept per procedure (at least TOP_K_RESULTS in total)
+const COMPARISON_SEARCH_TERMS = 'procedure recovery cost candidacy pain enhancement'; // The comparison table's rows
+
+// Second-stage reranking (RERANKER=llm|cross-encoder|mock, see server/rerankers)
+const RERANK_CANDIDATES = parseInt(process.env.RERANK_CANDIDATES, 10) || 20; // Fused candidates sent to the reranker
+const RERANK_MIN_SCORE = Number.isFinite(parseFloat(process.env.RERANK_MIN_SCORE))
+  ? parseFloat(process.env.RERANK_MIN_SCORE)
+  : 0.3; // Reranked chunks below this never reach the prompt
 
 // Buying intent signals for conversion tracking
 const BUYING_SIGNALS = [
@@ -138,12 +165,12 @@ async function initializeCollection() {
   }
 
   try {
-    const count = await getCount();
+    const count = await getVectorStore().count();
     if (count === 0) {
       console.error(`❌ Vector store is empty. Please run 'npm run index' first.`);
       throw new Error('Vector database not initialized. Run indexing script first.');
     }
-    console.log(`✅ Connected to local vector store: ${count} documents`);
+    console.log(`✅ Connected to ${getVectorStore().name} vector store: ${count} documents`);
     initialized = true;
     return true;
   } catch (error) {
@@ -153,19 +180,13 @@ async function initializeCollection() {
 }
 
 /**
- * Generate embeddings for text using OpenAI
+ * Generate embeddings for text with the configured embedding provider
  * @param {string} text - Text to embed
  * @returns {Promise<Array<number>>} Embedding vector
  */
 async function embedText(text) {
   try {
-    const response = await openai.embeddings.create({
-      model: EMBEDDING_MODEL,
-      input: text.trim(),
-      encoding_format: 'float'
-    });
-
-    return response.data[0].embedding;
+    return await embedWithProvider(text.trim());
   } catch (error) {
     console.error('❌ Error generating embedding:', error.message);
     throw error;
@@ -175,7 +196,8 @@ async function embedText(text) {
 /**
  * Detect if a query is asking for comparison between procedures
  * @param {string} query - User's question
- * @returns {Array|null} Array of [procedure1, procedure2] or null if not a comparison
+ * @returns {Array|null} Canonical names of the two or more procedures compared ('LASIK', 'SMILE', ...),
+ *   or null if not a comparison
  */
 function detectComparisonQuery(query) {
   const lowerQuery = query.toLowerCase();
@@ -194,31 +216,56 @@ function detectComparisonQuery(query) {
     return null;
   }
   
-  // Procedure names to detect
-  const procedures = [
-    { names: ['lasik'], canonical: 'LASIK' },
-    { names: ['prk'], canonical: 'PRK' },
-    { names: ['smile', 'lalex'], canonical: 'SMILE' },
-    { names: ['icl', 'evo'], canonical: 'ICL' },
-    { names: ['cataract'], canonical: 'cataract surgery' }
-  ];
-  
   // Find which procedures are mentioned
-  const mentionedProcedures = [];
-  for (const proc of procedures) {
-    if (proc.names.some(name => lowerQuery.includes(name))) {
-      mentionedProcedures.push(proc.canonical);
-    }
-  }
+  const mentionedProcedures = COMPARABLE_PROCEDURES
+    .filter(proc => proc.names.some(name => lowerQuery.includes(name)))
+    .map(proc => proc.canonical);
   
-  // Return if we found exactly 2 procedures to compare
-  if (mentionedProcedures.length === 2) {
+  // Any number of procedures can be compared ("LASIK vs SMILE vs ICL")
+  if (mentionedProcedures.length >= 2) {
     return mentionedProcedures;
   }
   
   return null;
 }
 
+// "Am I a candidate?" phrasings that get the pre-screening questionnaire
+const CANDIDACY_PATTERNS = [
+  /\b(am i|would i be|could i be|will i be|i'?m not sure i'?m)\b.{0,20}\b(candidate|eligible|qualified)\b/,
+  /\b(do|would|could|will|can) i (qualify|be approved)\b/,
+  /\bqualify for\b.{0,30}\?/,
+  /\b(can|could) i (get|have|do)\b.{0,20}\b(lasik|prk|smile|icl|evo|rle|lens replacement|vision correction|eye surgery)\b/,
+  /\b(am i|i'?m) too (old|young)\b/,
+  /\bright procedure for me\b|\bwhich procedure (is|would be) (right|best) for me\b/
+];
+
+/**
+ * Detect if the patient is asking whether they are a candidate
+ * @param {string} query - User's question (English)
+ * @returns {boolean} True if the candidacy questionnaire should be offered
+ */
+function detectCandidacyQuestion(query) {
+  const lowerQuery = query.toLowerCase();
+  return CANDIDACY_PATTERNS.some(pattern => pattern.test(lowerQuery));
+}
+
+/**
+ * Plan the per-procedure searches of a comparison question
+ * Each search is scoped to its procedure's content (plus general content), so
+ * every procedure in the table gets chunks of its own.
+ * @param {Array<string>} comparisonProcedures - From detectComparisonQuery()
+ * @returns {Array} [{ procedure, query, scope }]
+ */
+function comparisonSearches(comparisonProcedures) {
+  return COMPARABLE_PROCEDURES
+    .filter(proc => comparisonProcedures.includes(proc.canonical))
+    .map(proc => ({
+      procedure: proc.canonical,
+      query: `${proc.canonical} ${COMPARISON_SEARCH_TERMS}`,
+      scope: { filter: [proc.key], boost: null }
+    }));
+}
+
 /**
  * Enhance vague queries using conversation history
  * @param {string} query - User's question
@@ -271,10 +318,9 @@ Examples:
 - "how much does this cost" → "How much does LASIK cost?"
 - After discussing recovery, "what about PRK" → "What is PRK recovery like compared to LASIK?"
 
-Output ONLY the rewritten question, nothing else.`;
+Output ONLY the rewritten question in English, nothing else.`;
 
-    const completion = await openai.chat.completions.create({
-      model: GPT_MODEL,
+    const completion = await chatCompletion({
       messages: [
         {
           role: 'system',
@@ -286,10 +332,10 @@ Output ONLY the rewritten question, nothing else.`;
         }
       ],
       temperature: 0.3,
-      max_tokens: 60
+      maxTokens: 60
     });
 
-    const enhancedQuery = completion.choices[0].message.content.trim();
+    const enhancedQuery = completion.content.trim();
     console.log(`🔍 Enhanced query: "${query}" → "${enhancedQuery}"`);
     return enhancedQuery;
   } catch (error) {
@@ -299,43 +345,328 @@ Output ONLY the rewritten question, nothing else.`;
 }
 
 /**
- * Retrieve chunks for a single query
+ * Fuse ranked result lists with reciprocal rank fusion
+ * @param {Array<Array<string>>} rankings - Lists of ids, best first
+ * @returns {Map} id → fused score
+ */
+function reciprocalRankFusion(rankings) {
+  const scores = new Map();
+  for (const ids of rankings) {
+    ids.forEach((id, index) => {
+      scores.set(id, (scores.get(id) || 0) + 1 / (RRF_K + index + 1));
+    });
+  }
+  return scores;
+}
+
+/**
+ * Decide which procedures retrieval is scoped to
+ * @param {string} query - User's question
+ * @param {Array<string>} conversationProcedures - Procedures the conversation is about (dialogState.facts.procedures)
+ * @returns {Object} { filter, boost } - procedure lists, or null
+ */
+function getRetrievalScope(query, conversationProcedures = []) {
+  const mentioned = detectBuyingIntent(query).proceduresMentioned;
+  if (mentioned.length > 0) {
+    return { filter: mentioned, boost: null };
+  }
+  return { filter: null, boost: conversationProcedures.length > 0 ? conversationProcedures : null };
+}
+
+/**
+ * Run vector and keyword search for one query and fuse the results
+ * Only patient-facing content that has not expired is searched (staff files never
+ * are). If no current content matches, expired content is searched with a warning
+ * rather than answering from nothing; a procedure filter that matches nothing (an
+ * index built before front matter) falls back to searching all of the tenant's content.
  * @param {string} searchQuery - Search query string
- * @returns {Promise<Array>} Array of chunks with similarity scores
+ * @param {string} tenantId - Only this tenant's chunks are searched
+ * @param {Object} [scope] - From getRetrievalScope()
+ * @returns {Promise<Array>} Candidates sorted by fused score:
+ *   { id, text, metadata, similarity, vectorRank, keywordRank, keywordScore, fusedScore }
+ *   (similarity/vectorRank are null for keyword-only hits, keyword fields null for vector-only hits)
  */
-async function searchChunks(searchQuery) {
+async function hybridSearch(searchQuery, tenantId, scope = {}) {
+  const store = getVectorStore();
   const queryEmbedding = await embedText(searchQuery);
-  const results = await querySimilar(queryEmbedding, TOP_K_RESULTS);
-  
-  const chunks = [];
-  if (results.documents && results.documents[0]) {
-    for (let i = 0; i < results.documents[0].length; i++) {
-      const metadata = results.metadatas[0][i];
-      const distance = results.distances[0][i];
-      const similarity = 1 - distance;
-
-      if (similarity >= SIMILARITY_THRESHOLD) {
-        chunks.push({
-          id: results.ids[0][i],
-          text: results.documents[0][i],
-          filename: metadata.filename || 'unknown',
-          chunkId: metadata.chunkId || '',
-          similarity: similarity.toFixed(4)
-        });
+  const search = async where => {
+    const [vector, keyword] = await Promise.all([
+      store.query(queryEmbedding, { nResults: CANDIDATE_K, where }),
+      RETRIEVAL_MODE === 'hybrid' && store.search
+        ? store.search(searchQuery, { nResults: CANDIDATE_K, where }).catch(error => {
+          console.error('❌ Keyword search failed, using vector results only:', error.message);
+          return [];
+        })
+        : []
+    ]);
+    return [vector, keyword];
+  };
+  const searchCurrent = async where => {
+    const results = await search({ ...where, expires: { after: new Date().toISOString().slice(0, 10) } });
+    if (results[0].length > 0) {
+      return results;
+    }
+    const withExpired = await search(where);
+    const expired = withExpired[0].filter(result => isExpired(result.metadata));
+    if (expired.length < withExpired[0].length) {
+      console.warn('⚠️  The vector store does not support the expiry filter yet - run migration 015 (Supabase) or re-index (Chroma)');
+    } else if (expired.length > 0) {
+      const files = [...new Set(expired.map(result => result.metadata.filename))];
+      console.warn(`⚠️  Only expired content matched - answering from it anyway; review ${files.join(', ')}`);
+    }
+    return withExpired;
+  };
+
+  const audienceScope = { tenantId, audience: PATIENT_AUDIENCES };
+  let [vectorResults, keywordResults] = await searchCurrent({
+    ...audienceScope,
+    procedures: scope.filter ? [...scope.filter, GENERAL_PROCEDURE] : undefined
+  });
+  if (scope.filter && vectorResults.length === 0) {
+    console.warn(`⚠️  No chunks tagged for ${scope.filter.join(', ')}, searching all content`);
+    [vectorResults, keywordResults] = await searchCurrent(audienceScope);
+  }
+
+  const candidates = new Map();
+  vectorResults.forEach((result, i) => {
+    candidates.set(result.id, {
+      id: result.id,
+      text: result.document,
+      metadata: result.metadata || {},
+      similarity: 1 - result.distance,
+      vectorRank: i + 1,
+      keywordRank: null,
+      keywordScore: null
+    });
+  });
+
+  keywordResults.forEach((result, i) => {
+    const candidate = candidates.get(result.id) || {
+      id: result.id,
+      text: result.document,
+      metadata: result.metadata || {},
+      similarity: null,
+      vectorRank: null
+    };
+    candidate.keywordRank = i + 1;
+    candidate.keywordScore = result.score;
+    candidates.set(result.id, candidate);
+  });
+
+  const vectorIds = vectorResults.map(result => result.id);
+  const keywordIds = keywordResults.map(result => result.id);
+  const fusedScores = reciprocalRankFusion([vectorIds, keywordIds]);
+  const boosted = candidate => Boolean(scope.boost) &&
+    (candidate.metadata.procedures || []).some(procedure => scope.boost.includes(procedure));
+  return Array.from(candidates.values())
+    .map(candidate => ({
+      ...candidate,
+      fusedScore: fusedScores.get(candidate.id) * (boosted(candidate) ? 1 + PROCEDURE_BOOST : 1)
+    }))
+    .sort((a, b) => b.fusedScore - a.fusedScore);
+}
+
+/**
+ * Check whether a fused candidate is relevant enough to use
+ * @param {Object} candidate - Candidate from hybridSearch()
+ * @param {number} threshold - Similarity threshold for vector matches
+ * @returns {boolean} True if the candidate should be used
+ */
+function passesRetrievalThreshold(candidate, threshold) {
+  if (candidate.similarity !== null && candidate.similarity >= threshold) {
+    return true;
+  }
+  // Strong keyword hit (exact prescription, brand name) that embeddings undersell
+  return candidate.keywordRank !== null &&
+    candidate.keywordRank <= KEYWORD_TOP_N &&
+    (candidate.similarity === null || candidate.similarity >= KEYWORD_MIN_SIMILARITY);
+}
+
+/**
+ * Convert a fused candidate into the chunk shape used by the prompt and API
+ * @param {Object} candidate - Candidate from hybridSearch()
+ * @returns {Object} Chunk
+ */
+function toChunk(candidate) {
+  return {
+    id: candidate.id,
+    text: candidate.text,
+    filename: candidate.metadata.filename || 'unknown',
+    chunkId: candidate.metadata.chunkId || '',
+    headingPath: candidate.metadata.headingPath || [],
+    sections: candidate.metadata.sections || [],
+    procedures: candidate.metadata.procedures || [],
+    similarity: candidate.similarity !== null ? candidate.similarity.toFixed(4) : null,
+    keywordRank: candidate.keywordRank,
+    fusedScore: parseFloat(candidate.fusedScore.toFixed(5)),
+    rerankScore: candidate.rerankScore !== undefined ? parseFloat(candidate.rerankScore.toFixed(4)) : null
+  };
+}
+
+/**
+ * Format retrieved chunks as the numbered sources in the prompt
+ * (the numbers are the ones the model cites as [n])
+ * @param {Array} chunks - Chunks from toChunk()
+ * @returns {string} Sources text
+ */
+function formatSources(chunks) {
+  return chunks
+    .map((chunk, idx) => {
+      const label = [chunk.filename, ...chunk.headingPath].join(' > ').replace(/[[\]]/g, '');
+      return `[Source ${idx + 1}: ${label}]\n${chunk.text}`;
+    })
+    .join('\n\n---\n\n');
+}
+
+/**
+ * Check whether the model answered with the fallback (didn't have enough info)
+ * @param {string} answer - Answer text
+ * @returns {boolean} True if it's a fallback answer
+ */
+function isFallbackAnswer(answer) {
+  return answer.includes("I'm not sure about that") || answer.includes('please call our office') ||
+         answer.includes('No estoy seguro de eso');
+}
+
+/**
+ * Pick the part of a RAG answer that is stored in the answer cache
+ * Only grounded answers to standalone questions are cached - never fallbacks
+ * or answers whose claims the sources don't support.
+ * @param {Object} result - { answer, chunks, citations, grounding, comparison, model }
+ * @returns {Object|null} Cache entry, or null if the answer should not be cached
+ */
+function toCacheableAnswer(result) {
+  const grounding = result.grounding || null;
+  if (!result.chunks || result.chunks.length === 0 || isFallbackAnswer(result.answer) ||
+      (grounding && (grounding.usedFallback || grounding.verdict === 'unsupported'))) {
+    return null;
+  }
+
+  return {
+    answer: result.answer,
+    chunks: result.chunks,
+    citations: result.citations || [],
+    grounding,
+    comparison: result.comparison || null,
+    model: result.model || null
+  };
+}
+
+/**
+ * Convert a fused candidate into a debugInfo.allResults entry
+ * @param {Object} candidate - Candidate from hybridSearch()
+ * @param {number} threshold - Effective similarity threshold
+ * @returns {Object} Debug entry
+ */
+function toDebugResult(candidate, threshold) {
+  return {
+    id: candidate.id,
+    filename: candidate.metadata.filename || 'unknown',
+    chunkId: candidate.metadata.chunkId || '',
+    similarity: candidate.similarity !== null ? parseFloat(candidate.similarity.toFixed(4)) : null,
+    vectorRank: candidate.vectorRank,
+    keywordRank: candidate.keywordRank,
+    keywordScore: candidate.keywordScore !== null ? parseFloat(candidate.keywordScore.toFixed(4)) : null,
+    fusedScore: parseFloat(candidate.fusedScore.toFixed(5)),
+    passedThreshold: passesRetrievalThreshold(candidate, threshold),
+    effectiveThreshold: threshold
+  };
+}
+
+/**
+ * Over-fetch candidates and order them by reranker score
+ * Comparison queries pool the per-procedure searches with the question's own
+ * results; the reranker then judges every candidate against the question itself.
+ * @param {Object} reranker - Reranker from getReranker()
+ * @param {string} searchQuery - Search query (after context enhancement)
+ * @param {Array|null} comparisonProcedures - Procedures being compared, if any
+ * @param {string} tenantId - Tenant whose content is searched
+ * @param {Object} scope - From getRetrievalScope()
+ * @returns {Promise<Object>} { chunks, allResults, reranker }
+ */
+async function retrieveReranked(reranker, searchQuery, comparisonProcedures, tenantId, scope) {
+  const searches = [{ query: searchQuery, scope }];
+  if (comparisonProcedures) {
+    searches.push(...comparisonSearches(comparisonProcedures));
+  }
+  const limit = comparisonProcedures
+    ? Math.max(TOP_K_RESULTS, comparisonProcedures.length * COMPARISON_CHUNKS_PER_PROCEDURE)
+    : TOP_K_RESULTS;
+
+  const pool = new Map();
+  for (const search of searches) {
+    for (const candidate of await hybridSearch(search.query, tenantId, search.scope)) {
+      if (!pool.has(candidate.id)) {
+        pool.set(candidate.id, candidate);
       }
     }
   }
-  
-  return chunks;
+  const candidates = Array.from(pool.values())
+    .sort((a, b) => b.fusedScore - a.fusedScore)
+    .slice(0, RERANK_CANDIDATES);
+
+  const rerankStart = Date.now();
+  const scores = await rerank(reranker, searchQuery, candidates.map(candidate => candidate.text));
+  const ranked = candidates
+    .map((candidate, i) => ({ ...candidate, rerankScore: scores[i] }))
+    .sort((a, b) => b.rerankScore - a.rerankScore || b.fusedScore - a.fusedScore);
+
+  const chunks = ranked
+    .filter(candidate => candidate.rerankScore >= RERANK_MIN_SCORE)
+    .slice(0, limit)
+    .map(toChunk);
+
+  // Same entries as the fused ranking, in rerank order, with the score that decided it
+  const allResults = ranked.slice(0, DEBUG_RESULTS_LIMIT).map((candidate, i) => ({
+    ...toDebugResult(candidate, SIMILARITY_THRESHOLD),
+    passedThreshold: candidate.rerankScore >= RERANK_MIN_SCORE,
+    effectiveThreshold: null,
+    rerankScore: parseFloat(candidate.rerankScore.toFixed(4)),
+    rerankRank: i + 1
+  }));
+
+  return {
+    chunks,
+    allResults,
+    reranker: {
+      name: reranker.name,
+      candidates: candidates.length,
+      minScore: RERANK_MIN_SCORE,
+      latencyMs: Date.now() - rerankStart
+    }
+  };
+}
+
+/**
+ * Retrieve chunks for a single query
+ * @param {string} searchQuery - Search query string
+ * @param {string} tenantId - Tenant whose content is searched
+ * @param {Object} scope - From getRetrievalScope()
+ * @returns {Promise<Array>} Array of chunks that passed the threshold, best first
+ */
+async function searchChunks(searchQuery, tenantId, scope) {
+  const candidates = await hybridSearch(searchQuery, tenantId, scope);
+  return candidates
+    .filter(candidate => passesRetrievalThreshold(candidate, SIMILARITY_THRESHOLD))
+    .map(toChunk);
 }
 
 /**
  * Retrieve most relevant chunks from vector database
  * @param {string} query - User's question
  * @param {Array} conversationHistory - Previous messages for context enhancement
- * @returns {Promise<Array>} Array of relevant chunks with metadata
+ * @param {Object} options - Optional settings
+ * @param {string} options.tenantId - Tenant whose content is searched (default tenant if omitted)
+ * @param {Array<string>} options.procedures - Procedures the conversation is about (dialogState.facts.procedures)
+ * @returns {Promise<Object>} { chunks, comparisonProcedures, debugInfo } - chunks are the relevant chunks with metadata
  */
-async function retrieveRelevant(query, conversationHistory = []) {
+async function retrieveRelevant(query, conversationHistory = [], options = {}) {
+  const tenantId = options.tenantId || DEFAULT_TENANT_ID;
+  const scope = getRetrievalScope(query, options.procedures);
+  if (scope.filter || scope.boost) {
+    console.log(`🔍 Procedure scope: ${scope.filter ? `filter ${scope.filter.join(', ')} + general` : `boost ${scope.boost.join(', ')}`}`);
+  }
+
   try {
     // Ensure vector store is initialized
     if (!initialized) {
@@ -350,96 +681,87 @@ async function retrieveRelevant(query, conversationHistory = []) {
     
     let chunks = [];
     let allResults = [];
-    
-    if (comparisonProcedures) {
+    let rerankInfo = null;
+
+    // Second stage: a reranker picks the chunks; if it fails, the thresholds below still work
+    const reranker = getReranker();
+    if (reranker) {
+      try {
+        const reranked = await retrieveReranked(reranker, enhancedQuery, comparisonProcedures, tenantId, scope);
+        ({ chunks, allResults } = reranked);
+        rerankInfo = reranked.reranker;
+        console.log(`📚 Reranked ${rerankInfo.candidates} candidates with ${rerankInfo.name}: kept ${chunks.length} (min score ${RERANK_MIN_SCORE}, ${rerankInfo.latencyMs}ms)`);
+      } catch (error) {
+        console.warn(`⚠️  Reranker ${reranker.name} failed, using fused ranking: ${error.message}`);
+      }
+    }
+
+    if (!rerankInfo && comparisonProcedures) {
       // For comparison queries, search for each procedure separately and combine results
       console.log(`🔄 Detected comparison: ${comparisonProcedures.join(' vs ')}`);
       
-      const [proc1, proc2] = comparisonProcedures;
-      const chunks1 = await searchChunks(`${proc1} procedure benefits features characteristics`);
-      const chunks2 = await searchChunks(`${proc2} procedure benefits features characteristics`);
+      const perProcedure = [];
+      for (const search of comparisonSearches(comparisonProcedures)) {
+        perProcedure.push((await searchChunks(search.query, tenantId, search.scope)).slice(0, COMPARISON_CHUNKS_PER_PROCEDURE));
+      }
       
-      // Combine and deduplicate chunks
+      // Take the procedures' best chunks in turn so each one is represented, skipping duplicates
       const seenIds = new Set();
-      const combinedChunks = [...chunks1, ...chunks2].filter(chunk => {
-        if (seenIds.has(chunk.id)) {
-          return false;
+      for (let rank = 0; rank < COMPARISON_CHUNKS_PER_PROCEDURE; rank++) {
+        for (const procedureChunks of perProcedure) {
+          const chunk = procedureChunks[rank];
+          if (chunk && !seenIds.has(chunk.id)) {
+            seenIds.add(chunk.id);
+            chunks.push(chunk);
+          }
         }
-        seenIds.add(chunk.id);
-        return true;
-      });
-      
-      // Sort by similarity and take top results
-      chunks = combinedChunks
-        .sort((a, b) => parseFloat(b.similarity) - parseFloat(a.similarity))
-        .slice(0, TOP_K_RESULTS);
+      }
       
       allResults = chunks.map(c => ({
+        id: c.id,
         filename: c.filename,
         chunkId: c.chunkId,
-        similarity: parseFloat(c.similarity),
+        similarity: c.similarity !== null ? parseFloat(c.similarity) : null,
+        keywordRank: c.keywordRank,
+        fusedScore: c.fusedScore,
         passedThreshold: true
       }));
       
-      console.log(`📚 Retrieved ${chunks.length} chunks for comparison (${chunks1.length} + ${chunks2.length})`);
-    } else {
+      console.log(`📚 Retrieved ${chunks.length} chunks for comparison (${perProcedure.map(list => list.length).join(' + ')})`);
+    } else if (!rerankInfo) {
       // Normal single query search
-      const queryEmbedding = await embedText(enhancedQuery);
-      const results = await querySimilar(queryEmbedding, TOP_K_RESULTS);
-
-      if (results.documents && results.documents[0]) {
-        // Check if this is an emotional/financial concern query (check both original and enhanced query)
-        const lowerQuery = query.toLowerCase();
-        const isEmotionalQuery = lowerQuery.includes('nervous') || lowerQuery.includes('worried') || 
-                                 lowerQuery.includes('scared') || lowerQuery.includes('afraid') || 
-                                 lowerQuery.includes('anxious') || lowerQuery.includes('fear') ||
-                                 lowerQuery.includes('responding to fear'); // Check for enhanced query keywords
-        const isFinancialQuery = lowerQuery.includes('expensive') || lowerQuery.includes('too much') || 
-                                 lowerQuery.includes('afford') || lowerQuery.includes('cost too much') ||
-                                 lowerQuery.includes('responding to financial'); // Check for enhanced query keywords
-        const isPrescriptionQuery = lowerQuery.match(/([-+]?[0-9](\.[0-9]+)?)/) || 
-                                    lowerQuery.includes('astigmatism') || lowerQuery.includes('minus') || 
-                                    lowerQuery.includes('plus') || lowerQuery.includes('diopter') ||
-                                    lowerQuery.includes('prescription');
-        const isCounselingQuery = isEmotionalQuery || isFinancialQuery;
-        
-        console.log(`🔍 Query analysis: emotional=${isEmotionalQuery}, financial=${isFinancialQuery}, prescription=${!!isPrescriptionQuery}, counseling=${isCounselingQuery}`);
-        
-        for (let i = 0; i < results.documents[0].length; i++) {
-          const metadata = results.metadatas[0][i];
-          const distance = results.distances[0][i];
-          const similarity = 1 - distance;
-          
-          // Use lower threshold for counseling strategies content or counseling-related queries
-          // Use even lower threshold for prescriptions (very short queries)
-          const isCounselingContent = metadata.filename && metadata.filename.includes('counseling');
-          let effectiveThreshold = SIMILARITY_THRESHOLD;
-          
-          if (isCounselingContent || isCounselingQuery) {
-            effectiveThreshold = COUNSELING_THRESHOLD;
-          } else if (isPrescriptionQuery) {
-            effectiveThreshold = PRESCRIPTION_THRESHOLD;
-          }
+      const candidates = await hybridSearch(enhancedQuery, tenantId, scope);
+
+      // Check if this is an emotional/financial concern query (check both original and enhanced query)
+      const lowerQuery = query.toLowerCase();
+      const isEmotionalQuery = lowerQuery.includes('nervous') || lowerQuery.includes('worried') || 
+                               lowerQuery.includes('scared') || lowerQuery.includes('afraid') || 
+                               lowerQuery.includes('anxious') || lowerQuery.includes('fear') ||
+                               lowerQuery.includes('responding to fear'); // Check for enhanced query keywords
+      const isFinancialQuery = lowerQuery.includes('expensive') || lowerQuery.includes('too much') || 
+                               lowerQuery.includes('afford') || lowerQuery.includes('cost too much') ||
+                               lowerQuery.includes('responding to financial'); // Check for enhanced query keywords
+      const isCounselingQuery = isEmotionalQuery || isFinancialQuery;
+      
+      console.log(`🔍 Query analysis: emotional=${isEmotionalQuery}, financial=${isFinancialQuery}, counseling=${isCounselingQuery}, mode=${RETRIEVAL_MODE}`);
+      
+      for (const candidate of candidates) {
+        // Use lower threshold for counseling strategies content or counseling-related queries.
+        // Short keyword-heavy queries (prescriptions, brand names) are handled by the keyword
+        // half of hybrid search instead of a special threshold.
+        const filename = candidate.metadata.filename;
+        const isCounselingContent = filename && filename.includes('counseling');
+        const effectiveThreshold = (isCounselingContent || isCounselingQuery)
+          ? COUNSELING_THRESHOLD
+          : SIMILARITY_THRESHOLD;
+
+        const debugResult = toDebugResult(candidate, effectiveThreshold);
+        if (allResults.length < DEBUG_RESULTS_LIMIT) {
+          allResults.push(debugResult);
+        }
 
-          const chunkInfo = {
-            filename: metadata.filename || 'unknown',
-            chunkId: metadata.chunkId || '',
-            similarity: parseFloat(similarity.toFixed(4)),
-            passedThreshold: similarity >= effectiveThreshold,
-            effectiveThreshold: effectiveThreshold
-          };
-
-          allResults.push(chunkInfo);
-
-          if (similarity >= effectiveThreshold) {
-            chunks.push({
-              id: results.ids[0][i],
-              text: results.documents[0][i],
-              filename: metadata.filename || 'unknown',
-              chunkId: metadata.chunkId || '',
-              similarity: similarity.toFixed(4)
-            });
-          }
+        if (debugResult.passedThreshold && chunks.length < TOP_K_RESULTS) {
+          chunks.push(toChunk(candidate));
         }
       }
 
@@ -449,12 +771,16 @@ async function retrieveRelevant(query, conversationHistory = []) {
     // Return both chunks and debug info
     return {
       chunks: chunks,
+      comparisonProcedures: comparisonProcedures, // Canonical names when the question compares procedures, else null
       debugInfo: {
         allResults: allResults,
         threshold: SIMILARITY_THRESHOLD,
         topK: TOP_K_RESULTS,
+        retrievalMode: RETRIEVAL_MODE,
         enhancedQuery: enhancedQuery !== query ? enhancedQuery : null,
-        isComparison: !!comparisonProcedures
+        isComparison: !!comparisonProcedures,
+        procedureScope: scope, // { filter, boost } procedure lists (null when unused)
+        reranker: rerankInfo // { name, candidates, minScore, latencyMs }, or null without reranking
       }
     };
   } catch (error) {
@@ -467,9 +793,10 @@ async function retrieveRelevant(query, conversationHistory = []) {
  * Generate smart question suggestions based on retrieved chunks
  * @param {string} vaguQuestion - The vague question user asked
  * @param {Array} chunks - Retrieved chunks that have context
+ * @param {string} language - Language code to write the suggestions in (default 'en')
  * @returns {Promise<Array<string>>} Array of 3 suggested questions
  */
-async function generateSuggestions(vagueQuestion, chunks) {
+async function generateSuggestions(vagueQuestion, chunks, language = 'en') {
   try {
     // If no chunks, return generic suggestions
     if (!chunks || chunks.length === 0) {
@@ -493,13 +820,14 @@ Based on the following relevant content from our FAQ database, generate exactly
 Content:
 ${contextText}
 
+${getLanguageInstruction(language)}
+
 Generate 3 questions in this exact format (one per line, no numbering, no extra text):
 Question 1
 Question 2
 Question 3`;
 
-    const completion = await openai.chat.completions.create({
-      model: GPT_MODEL,
+    const completion = await chatCompletion({
       messages: [
         {
           role: 'system',
@@ -511,10 +839,10 @@ Question 3`;
         }
       ],
       temperature: 0.7,
-      max_tokens: 150
+      maxTokens: 150
     });
 
-    const response = completion.choices[0].message.content.trim();
+    const response = completion.content.trim();
     const suggestions = response
       .split('\n')
       .map(q => q.trim())
@@ -546,23 +874,25 @@ Question 3`;
  * @param {string} question - User's question
  * @param {Array} chunks - Retrieved relevant chunks
  * @param {Array} conversationHistory - Previous messages for context
+ * @param {string} language - Language code to answer in (default 'en')
+ * @param {Object} tenant - Clinic answering (default tenant if omitted)
  * @returns {Promise<Object>} Generated answer and metadata
  */
-async function generateAnswerFromChunks(question, chunks, conversationHistory = []) {
+async function generateAnswerFromChunks(question, chunks, conversationHistory = [], language = 'en', tenant = getDefaultTenant()) {
   try {
     // If no relevant chunks found but we have conversation history, use conversational mode
     if (!chunks || chunks.length === 0) {
       if (conversationHistory && conversationHistory.length > 0) {
-        const conversationalResponse = await handleConversationalMode(question, conversationHistory);
+        const conversationalResponse = await handleConversationalMode(question, conversationHistory, language, tenant);
         return {
           answer: conversationalResponse,
           chunks: [],
           usedFallback: false
         };
       }
-      const suggestions = await generateSuggestions(question, []);
+      const suggestions = await generateSuggestions(question, [], language);
       return {
-        answer: getFallbackResponse(),
+        answer: getFallbackResponse(language, tenant),
         chunks: [],
         usedFallback: true,
         suggestions: suggestions
@@ -570,23 +900,21 @@ async function generateAnswerFromChunks(question, chunks, conversationHistory =
     }
 
     // Combine chunk texts
-    const retrievedText = chunks
-      .map((chunk, idx) => `[Source ${idx + 1}: ${chunk.filename}]\n${chunk.text}`)
-      .join('\n\n---\n\n');
+    const retrievedText = formatSources(chunks);
 
     // Check if we have relevant information
     if (!hasRelevantInformation(retrievedText)) {
       if (conversationHistory && conversationHistory.length > 0) {
-        const conversationalResponse = await handleConversationalMode(question, conversationHistory);
+        const conversationalResponse = await handleConversationalMode(question, conversationHistory, language, tenant);
         return {
           answer: conversationalResponse,
           chunks: [],
           usedFallback: false
         };
       }
-      const suggestions = await generateSuggestions(question, chunks);
+      const suggestions = await generateSuggestions(question, chunks, language);
       return {
-        answer: getFallbackResponse(),
+        answer: getFallbackResponse(language, tenant),
         chunks: chunks,
         usedFallback: true,
         suggestions: suggestions
@@ -594,7 +922,7 @@ async function generateAnswerFromChunks(question, chunks, conversationHistory =
     }
 
     // Generate prompt with safety rules
-    const fullPrompt = generatePrompt(question, retrievedText);
+    const fullPrompt = generatePrompt(question, retrievedText, language, tenant);
 
     // Build messages array like ChatGPT
     const messages = [
@@ -620,24 +948,29 @@ async function generateAnswerFromChunks(question, chunks, conversationHistory =
       content: fullPrompt
     });
 
-    // Call GPT-4o-mini
-    const completion = await openai.chat.completions.create({
-      model: GPT_MODEL,
+    // Call the chat model
+    const completion = await chatCompletion({
       messages: messages,
       temperature: 0.6, // Slightly higher for more natural, conversational responses
-      max_tokens: 400, // Allow longer, more complete responses
-      top_p: 0.9
+      maxTokens: 400, // Allow longer, more complete responses
+      topP: 0.9
     });
 
-    const answer = completion.choices[0].message.content.trim();
+    // Check every price, duration and limit against the retrieved chunks
+    const { answer, grounding } = verifyAnswer(completion.content.trim(), chunks, {
+      question,
+      conversationHistory,
+      additionalSources: [getClinicRules(language, tenant)], // The clinic rules in the prompt are an allowed source too
+      fallback: getFallbackResponse(language, tenant)
+    });
 
     // Check if GPT returned a fallback response (didn't have enough info to answer)
-    const isFallback = answer.includes("I'm not sure about that") || answer.includes("please call our office");
+    const isFallback = isFallbackAnswer(answer) || Boolean(grounding && grounding.usedFallback);
     
     // If it's a fallback, generate suggestions
     let suggestions = null;
     if (isFallback) {
-      suggestions = await generateSuggestions(question, chunks);
+      suggestions = await generateSuggestions(question, chunks, language);
     }
 
     return {
@@ -645,8 +978,10 @@ async function generateAnswerFromChunks(question, chunks, conversationHistory =
       chunks: chunks,
       usedFallback: isFallback,
       suggestions: suggestions,
-      model: GPT_MODEL,
-      tokensUsed: completion.usage.total_tokens
+      citations: buildCitations(answer, chunks),
+      grounding: grounding,
+      model: completion.model,
+      tokensUsed: completion.usage?.totalTokens ?? null
     };
   } catch (error) {
     console.error('❌ Error generating answer:', error.message);
@@ -659,14 +994,16 @@ async function generateAnswerFromChunks(question, chunks, conversationHistory =
  * Uses GPT to understand and guide users without RAG
  * @param {string} statement - User's statement
  * @param {Array} conversationHistory - Previous messages
+ * @param {string} language - Language code to respond in (default 'en')
+ * @param {Object} tenant - Clinic answering (default tenant if omitted)
  * @returns {Promise<string>} Conversational response
  */
-async function handleConversationalMode(statement, conversationHistory = []) {
+async function handleConversationalMode(statement, conversationHistory = [], language = 'en', tenant = getDefaultTenant()) {
   try {
     const messages = [
       {
         role: 'system',
-        content: getConversationalPrompt(statement, conversationHistory)
+        content: getConversationalPrompt(statement, conversationHistory, language, tenant)
       }
     ];
 
@@ -686,28 +1023,45 @@ async function handleConversationalMode(statement, conversationHistory = []) {
       content: statement
     });
 
-    const completion = await openai.chat.completions.create({
-      model: GPT_MODEL,
+    const completion = await chatCompletion({
       messages: messages,
       temperature: 0.7, // Higher temperature for natural conversation
-      max_tokens: 150
+      maxTokens: 150
     });
 
-    return completion.choices[0].message.content.trim();
+    return completion.content.trim();
   } catch (error) {
     console.error('❌ Error in conversational mode:', error.message);
-    return "I'd be happy to help! What questions do you have about refractive surgery procedures, recovery, or costs?";
+    return language === 'es'
+      ? '¡Con gusto le ayudo! ¿Qué preguntas tiene sobre los procedimientos de cirugía refractiva, la recuperación o los costos?'
+      : "I'd be happy to help! What questions do you have about refractive surgery procedures, recovery, or costs?";
   }
 }
 
+/**
+ * Add the patient's age to a reader question
+ * @param {string} question - Reader question
+ * @param {number} age - Age from the dialog state
+ * @returns {string} Question with the age appended
+ */
+function withAge(question, age) {
+  return `${question} (I'm ${age} years old)`;
+}
+
 /**
  * Main RAG pipeline: embed query → retrieve → generate answer
  * @param {string} question - User's question
  * @param {Array} conversationHistory - Previous messages for context
- * @returns {Promise<Object>} Complete response with answer and metadata
+ * @param {Object} options - Optional settings
+ * @param {string} options.language - Language code to answer in (auto-detected if omitted)
+ * @param {Object} options.tenant - Clinic the patient is talking to (default tenant if omitted)
+ * @param {Object} options.dialogState - Dialog state returned with the previous answer (rebuilt from history if omitted)
+ * @returns {Promise<Object>} Complete response with answer, metadata and the next dialogState
  */
-async function generateAnswer(question, conversationHistory = []) {
+async function generateAnswer(question, conversationHistory = [], options = {}) {
   const startTime = Date.now();
+  const language = resolveLanguage(question, conversationHistory, options.language);
+  const tenant = options.tenant || getDefaultTenant();
 
   try {
     // Validate input
@@ -715,36 +1069,75 @@ async function generateAnswer(question, conversationHistory = []) {
       throw new Error('Question cannot be empty');
     }
 
+    // Intent detection and retrieval run on English; the answer is written in the patient's language
+    let englishQuestion = await translateToEnglish(question, language.code);
+    language.translatedQuestion = englishQuestion !== question ? englishQuestion : null;
+
+    // Short replies ("yes", "no", "45") are read against what we asked last
+    const { state: dialogState, pending, reply } = beginDialogTurn(
+      options.dialogState, conversationHistory, englishQuestion, detectBuyingIntent(englishQuestion).proceduresMentioned
+    );
+
     // Check if it's a greeting or small talk - respond naturally without searching
-    if (isGreeting(question)) {
-      const greetingResponse = getGreetingResponse(question);
+    if (isGreeting(englishQuestion)) {
+      const greetingResponse = getGreetingResponse(englishQuestion, language.code);
       return {
         answer: greetingResponse,
         chunks: [],
         usedFallback: false,
         isGreeting: true,
         responseTime: Date.now() - startTime,
-        buyingIntent: detectBuyingIntent(question)
+        buyingIntent: detectBuyingIntent(englishQuestion),
+        language,
+        dialogState: endDialogTurn(dialogState, { answer: greetingResponse })
       };
     }
 
-    // MANDATORY: Check if it's a reader question - MUST ask for age first if not provided
-    if (isReaderQuestion(question) && !hasAgeMentioned(question)) {
-      const ageRequestResponse = getAgeRequestResponse();
+    // "45" after we asked for their age answers the reader question that prompted it
+    if (reply && reply.type === 'age') {
+      englishQuestion = withAge(pending.question, reply.age);
+      question = englishQuestion;
+    }
+
+    // Savings calculator inputs typed into the chat ("I'm 40", "about $600 a year")
+    if (reply && reply.type === 'calculator') {
+      const calculatorResponse = getCalculatorFactsResponse(dialogState.facts, language.code);
       return {
-        answer: ageRequestResponse,
+        answer: calculatorResponse,
         chunks: [],
         usedFallback: false,
-        requiresAge: true,
         responseTime: Date.now() - startTime,
-        buyingIntent: detectBuyingIntent(question)
+        buyingIntent: detectBuyingIntent(englishQuestion),
+        showSavingsCalculator: true,
+        language,
+        dialogState: endDialogTurn(dialogState, { answer: calculatorResponse, showSavingsCalculator: true })
       };
     }
 
-    // Check if it's an affirmative response (yes, sure, ok) - likely responding to scheduling question
+    // MANDATORY: Check if it's a reader question - MUST ask for age first if not provided
+    if (isReaderQuestion(englishQuestion) && !hasAgeMentioned(englishQuestion)) {
+      if (dialogState.facts.age === undefined) {
+        const ageRequestResponse = getAgeRequestResponse(language.code);
+        return {
+          answer: ageRequestResponse,
+          chunks: [],
+          usedFallback: false,
+          requiresAge: true,
+          responseTime: Date.now() - startTime,
+          buyingIntent: detectBuyingIntent(englishQuestion),
+          language,
+          dialogState: endDialogTurn(dialogState, { pending: { type: 'age', question: englishQuestion } })
+        };
+      }
+      // They told us earlier in the conversation
+      englishQuestion = withAge(englishQuestion, dialogState.facts.age);
+      question = withAge(question, dialogState.facts.age);
+    }
+
+    // "Yes" to a scheduling question, or an explicit booking request
     // This is a HIGH INTENT signal - give them clear scheduling next steps!
-    if (isAffirmative(question)) {
-      const schedulingResponse = getSchedulingResponse();
+    if (reply && reply.type === 'schedule') {
+      const schedulingResponse = getSchedulingResponse(language.code, tenant);
       return {
         answer: schedulingResponse,
         chunks: [],
@@ -755,16 +1148,18 @@ async function generateAnswer(question, conversationHistory = []) {
           hasBuyingIntent: true,
           isHighIntent: true,
           signals: ['affirmative_response'],
-          proceduresMentioned: [],
+          proceduresMentioned: dialogState.facts.procedures || [],
           intentScore: 5 // Highest intent!
-        }
+        },
+        language,
+        dialogState: endDialogTurn(dialogState, { answer: schedulingResponse })
       };
     }
 
-    // Check if it's an objection (no, not sure, scared, too expensive)
+    // Check if it's an objection ("no" to a scheduling question, scared, too expensive)
     // This is where we employ counseling strategies to address concerns
-    if (isObjection(question)) {
-      const objectionResponse = getObjectionResponse(question);
+    if (isObjection(englishQuestion) && (!reply || reply.type === 'decline')) {
+      const objectionResponse = getObjectionResponse(englishQuestion, language.code);
       return {
         answer: objectionResponse,
         chunks: [],
@@ -775,14 +1170,31 @@ async function generateAnswer(question, conversationHistory = []) {
           hasBuyingIntent: true, // They're still engaged!
           isHighIntent: false,
           signals: ['objection_response'],
-          proceduresMentioned: [],
+          proceduresMentioned: dialogState.facts.procedures || [],
           intentScore: 2 // Medium intent - they have concerns but are still talking
-        }
+        },
+        language,
+        dialogState: endDialogTurn(dialogState, { answer: objectionResponse })
+      };
+    }
+
+    // "Yes"/"no" to something other than scheduling - let the conversation decide what it means
+    if (reply && reply.type === 'ambiguous') {
+      const conversationalResponse = await handleConversationalMode(question, conversationHistory, language.code, tenant);
+      return {
+        answer: conversationalResponse,
+        chunks: [],
+        usedFallback: false,
+        isConversational: true,
+        responseTime: Date.now() - startTime,
+        buyingIntent: detectBuyingIntent(englishQuestion),
+        language,
+        dialogState: endDialogTurn(dialogState, { answer: conversationalResponse })
       };
     }
 
     // Check if it's a statement (not a question) - but first try RAG for emotional/financial concerns
-    const lowerQuestion = question.toLowerCase();
+    const lowerQuestion = englishQuestion.toLowerCase();
     const isEmotionalConcern = lowerQuestion.includes('nervous') || lowerQuestion.includes('worried') || 
                                lowerQuestion.includes('scared') || lowerQuestion.includes('afraid') || 
                                lowerQuestion.includes('anxious') || lowerQuestion.includes('fear');
@@ -798,41 +1210,86 @@ async function generateAnswer(question, conversationHistory = []) {
                                   lowerQuestion.includes('prescription');
     
     // For emotional or financial concerns, try RAG first to get counseling strategies
-    if (isStatement(question) && !isEmotionalConcern && !isFinancialConcern && !isPrescriptionConcern) {
-      const conversationalResponse = await handleConversationalMode(question, conversationHistory);
+    if (isStatement(englishQuestion) && !isEmotionalConcern && !isFinancialConcern && !isPrescriptionConcern) {
+      const conversationalResponse = await handleConversationalMode(question, conversationHistory, language.code, tenant);
       return {
         answer: conversationalResponse,
         chunks: [],
         usedFallback: false,
         isConversational: true,
         responseTime: Date.now() - startTime,
-        buyingIntent: detectBuyingIntent(question)
+        buyingIntent: detectBuyingIntent(englishQuestion),
+        language,
+        dialogState: endDialogTurn(dialogState, { answer: conversationalResponse })
       };
     }
     
     // For specific concerns, enhance the query to find better chunks
-    let searchQuery = question;
+    let searchQuery = englishQuestion;
     if (isEmotionalConcern) {
-      searchQuery = question + ' responding to fear nervousness concerns reassurance';
+      searchQuery = englishQuestion + ' responding to fear nervousness concerns reassurance';
     } else if (isFinancialConcern) {
-      searchQuery = question + ' responding to financial concerns expensive cost affordability';
+      searchQuery = englishQuestion + ' responding to financial concerns expensive cost affordability';
     } else if (isPrescriptionConcern) {
-      searchQuery = question + ' high prescription limits candidacy treatable range';
+      searchQuery = englishQuestion + ' high prescription limits candidacy treatable range';
+    }
+
+    // Detect buying intent for analytics and CTA suggestions
+    const buyingIntent = detectBuyingIntent(englishQuestion);
+
+    // Repeat questions come from the answer cache. Standalone questions only -
+    // a follow-up's answer depends on the conversation before it.
+    const cacheProbe = conversationHistory.length === 0 ? await lookupAnswer(englishQuestion, language.code, tenant.id) : null;
+    if (cacheProbe && cacheProbe.hit) {
+      const cached = cacheProbe.hit.response;
+      console.log(`💾 Answer cache hit (${cacheProbe.hit.match}, similarity ${cacheProbe.hit.similarity})`);
+      const showSavingsCalculator = detectSavingsContext(englishQuestion, cached.answer);
+      const suggestions = await suggestFollowUps(englishQuestion, cached.chunks, { conversationHistory, language: language.code, tenantId: tenant.id });
+      return {
+        ...cached,
+        usedFallback: false,
+        suggestions: suggestions,
+        tokensUsed: 0,
+        responseTime: Date.now() - startTime,
+        debugInfo: null,
+        buyingIntent: buyingIntent,
+        showSavingsCalculator: showSavingsCalculator,
+        showCandidacyCheck: detectCandidacyQuestion(englishQuestion),
+        language: language,
+        cache: { hit: true, match: cacheProbe.hit.match, similarity: cacheProbe.hit.similarity, cachedQuestion: cacheProbe.hit.cachedQuestion },
+        dialogState: endDialogTurn(dialogState, { answer: cached.answer, showSavingsCalculator })
+      };
     }
 
     // Retrieve relevant chunks (use enhanced query for emotional/financial concerns)
-    const retrievalResult = await retrieveRelevant(searchQuery || question, conversationHistory);
+    const retrievalResult = await retrieveRelevant(searchQuery || englishQuestion, conversationHistory, {
+      tenantId: tenant.id,
+      procedures: dialogState.facts.procedures
+    });
     const chunks = retrievalResult.chunks;
     const debugInfo = retrievalResult.debugInfo;
-
-    // Detect buying intent for analytics and CTA suggestions
-    const buyingIntent = detectBuyingIntent(question);
     
-    // Generate answer with conversation context
-    const result = await generateAnswerFromChunks(question, chunks, conversationHistory);
+    // Generate answer with conversation context (and the table for comparison questions
+    // and the follow-up questions, alongside it)
+    const [result, comparison, followUps] = await Promise.all([
+      generateAnswerFromChunks(question, chunks, conversationHistory, language.code, tenant),
+      retrievalResult.comparisonProcedures
+        ? buildComparison(englishQuestion, retrievalResult.comparisonProcedures, chunks, language.code)
+        : null,
+      suggestFollowUps(englishQuestion, chunks, { conversationHistory, language: language.code, tenantId: tenant.id })
+    ]);
+    result.comparison = result.usedFallback ? null : comparison;
+    if (!result.usedFallback && result.chunks.length > 0) {
+      result.suggestions = followUps; // Fallbacks keep the clarifying questions from generateSuggestions()
+    }
+
+    const cacheable = cacheProbe && !result.usedFallback ? toCacheableAnswer(result) : null;
+    if (cacheable) {
+      storeAnswer(englishQuestion, cacheProbe, cacheable); // Never throws - no need to wait
+    }
 
     // Detect if we should show the savings calculator nudge
-    const showSavingsCalculator = detectSavingsContext(question, result.answer);
+    const showSavingsCalculator = detectSavingsContext(englishQuestion, result.answer);
 
     // Calculate response time
     const responseTime = Date.now() - startTime;
@@ -842,18 +1299,23 @@ async function generateAnswer(question, conversationHistory = []) {
       responseTime: responseTime,
       debugInfo: debugInfo, // Include similarity scores and chunk details
       buyingIntent: buyingIntent, // Include buying intent for frontend CTAs
-      showSavingsCalculator: showSavingsCalculator
+      showSavingsCalculator: showSavingsCalculator,
+      showCandidacyCheck: detectCandidacyQuestion(englishQuestion), // Offer the pre-screening questionnaire
+      language: language,
+      cache: cacheProbe && cacheProbe.indexVersion ? { hit: false, stored: Boolean(cacheable) } : null,
+      dialogState: endDialogTurn(dialogState, { answer: result.answer, showSavingsCalculator })
     };
   } catch (error) {
     console.error('❌ RAG pipeline error:', error.message);
     
     // Return fallback response on error
     return {
-      answer: getFallbackResponse(),
+      answer: getFallbackResponse(language.code, tenant),
       chunks: [],
       usedFallback: true,
       error: error.message,
-      responseTime: Date.now() - startTime
+      responseTime: Date.now() - startTime,
+      language
     };
   }
 }
@@ -864,30 +1326,35 @@ async function generateAnswer(question, conversationHistory = []) {
  */
 async function healthCheck() {
   const status = {
-    openai: false,
+    llm: false,
     vectorStore: false,
     collection: false
   };
 
-  try {
-    // Check OpenAI
-    await openai.models.list();
-    status.openai = true;
-  } catch (error) {
-    console.error('OpenAI health check failed:', error.message);
+  // Check the chat model provider
+  const llmStatus = await providerHealthCheck();
+  status.llm = llmStatus.ok;
+  status.llmProvider = llmStatus.provider;
+  if (!llmStatus.ok) {
+    console.error('LLM health check failed:', llmStatus.error);
   }
 
   try {
-    // Check vector store (Supabase or local)
-    const vectorStatus = await vectorHealthCheck();
+    // Check the configured vector store
+    const vectorStatus = await getVectorStore().health();
     status.vectorStore = vectorStatus.connected;
     status.vectorProvider = vectorStatus.provider;
     status.collection = vectorStatus.documentCount > 0;
     status.documentCount = vectorStatus.documentCount;
+    if (!vectorStatus.connected) {
+      console.error('Vector store health check failed:', vectorStatus.error);
+    }
   } catch (error) {
     console.error('Vector store health check failed:', error.message);
   }
 
+  status.reranker = getRerankerName();
+
   // Legacy field for backwards compatibility
   status.chromadb = status.vectorStore;
 
@@ -899,10 +1366,16 @@ async function healthCheck() {
  * Yields chunks of text as they're generated
  * @param {string} question - User's question
  * @param {Array} conversationHistory - Previous messages for context
- * @returns {AsyncGenerator} Yields text chunks
+ * @param {Object} options - Optional settings
+ * @param {string} options.language - Language code to answer in (auto-detected if omitted)
+ * @param {Object} options.tenant - Clinic the patient is talking to (default tenant if omitted)
+ * @param {Object} options.dialogState - Dialog state returned with the previous answer (rebuilt from history if omitted)
+ * @returns {AsyncGenerator} Yields text chunks; the done frame carries the next dialogState
  */
-async function* generateAnswerStream(question, conversationHistory = []) {
+async function* generateAnswerStream(question, conversationHistory = [], options = {}) {
   const startTime = Date.now();
+  const language = resolveLanguage(question, conversationHistory, options.language);
+  const tenant = options.tenant || getDefaultTenant();
 
   try {
     // Validate input
@@ -911,41 +1384,75 @@ async function* generateAnswerStream(question, conversationHistory = []) {
       return;
     }
 
+    // Intent detection and retrieval run on English; the answer is written in the patient's language
+    let englishQuestion = await translateToEnglish(question, language.code);
+
+    // Short replies are read against what we asked last (see generateAnswer)
+    const { state: dialogState, pending, reply } = beginDialogTurn(
+      options.dialogState, conversationHistory, englishQuestion, detectBuyingIntent(englishQuestion).proceduresMentioned
+    );
+
     // Check if it's a greeting - respond immediately (reflex → typewriter on client)
-    if (isGreeting(question)) {
-      const greetingResponse = getGreetingResponse(question);
+    if (isGreeting(englishQuestion)) {
+      const greetingResponse = getGreetingResponse(englishQuestion, language.code);
       yield { type: 'reflex_content', content: greetingResponse };
-      yield { type: 'done', reflex: true, responseTime: Date.now() - startTime };
+      yield { type: 'done', reflex: true, responseTime: Date.now() - startTime, language: language.code, dialogState: endDialogTurn(dialogState, { answer: greetingResponse }) };
       return;
     }
 
-    // MANDATORY: Check if it's a reader question - MUST ask for age first if not provided
-    if (isReaderQuestion(question) && !hasAgeMentioned(question)) {
-      const ageRequestResponse = getAgeRequestResponse();
-      yield { type: 'reflex_content', content: ageRequestResponse };
-      yield { type: 'done', reflex: true, responseTime: Date.now() - startTime, requiresAge: true };
+    // "45" after we asked for their age answers the reader question that prompted it
+    if (reply && reply.type === 'age') {
+      englishQuestion = withAge(pending.question, reply.age);
+      question = englishQuestion;
+    }
+
+    // Savings calculator inputs typed into the chat
+    if (reply && reply.type === 'calculator') {
+      const calculatorResponse = getCalculatorFactsResponse(dialogState.facts, language.code);
+      yield { type: 'reflex_content', content: calculatorResponse };
+      yield { type: 'done', reflex: true, responseTime: Date.now() - startTime, showSavingsCalculator: true, language: language.code, dialogState: endDialogTurn(dialogState, { answer: calculatorResponse, showSavingsCalculator: true }) };
       return;
     }
 
-    // Check if it's an affirmative response (yes, sure, ok) - give scheduling next steps
-    if (isAffirmative(question)) {
-      const schedulingResponse = getSchedulingResponse();
+    // MANDATORY: Check if it's a reader question - MUST ask for age first if not provided
+    if (isReaderQuestion(englishQuestion) && !hasAgeMentioned(englishQuestion)) {
+      if (dialogState.facts.age === undefined) {
+        const ageRequestResponse = getAgeRequestResponse(language.code);
+        yield { type: 'reflex_content', content: ageRequestResponse };
+        yield { type: 'done', reflex: true, responseTime: Date.now() - startTime, requiresAge: true, language: language.code, dialogState: endDialogTurn(dialogState, { pending: { type: 'age', question: englishQuestion } }) };
+        return;
+      }
+      englishQuestion = withAge(englishQuestion, dialogState.facts.age);
+      question = withAge(question, dialogState.facts.age);
+    }
+
+    // "Yes" to a scheduling question, or an explicit booking request - give scheduling next steps
+    if (reply && reply.type === 'schedule') {
+      const schedulingResponse = getSchedulingResponse(language.code, tenant);
       yield { type: 'reflex_content', content: schedulingResponse };
-      yield { type: 'done', reflex: true, responseTime: Date.now() - startTime, isAffirmative: true };
+      yield { type: 'done', reflex: true, responseTime: Date.now() - startTime, isAffirmative: true, language: language.code, dialogState: endDialogTurn(dialogState, { answer: schedulingResponse }) };
       return;
     }
 
-    // Check if it's an objection (no, not sure, scared, too expensive) - address concerns
-    if (isObjection(question)) {
-      const objectionResponse = getObjectionResponse(question);
+    // Check if it's an objection ("no" to a scheduling question, scared, too expensive) - address concerns
+    if (isObjection(englishQuestion) && (!reply || reply.type === 'decline')) {
+      const objectionResponse = getObjectionResponse(englishQuestion, language.code);
       yield { type: 'reflex_content', content: objectionResponse };
-      yield { type: 'done', reflex: true, responseTime: Date.now() - startTime, isObjection: true };
+      yield { type: 'done', reflex: true, responseTime: Date.now() - startTime, isObjection: true, language: language.code, dialogState: endDialogTurn(dialogState, { answer: objectionResponse }) };
+      return;
+    }
+
+    // "Yes"/"no" to something other than scheduling - let the conversation decide what it means
+    if (reply && reply.type === 'ambiguous') {
+      const conversationalResponse = await handleConversationalMode(question, conversationHistory, language.code, tenant);
+      yield { type: 'reflex_content', content: conversationalResponse };
+      yield { type: 'done', reflex: true, responseTime: Date.now() - startTime, language: language.code, dialogState: endDialogTurn(dialogState, { answer: conversationalResponse }) };
       return;
     }
 
     // Check if it's a statement - use conversational mode
     // But first check for emotional/financial concerns that should use RAG
-    const lowerQuestion = question.toLowerCase();
+    const lowerQuestion = englishQuestion.toLowerCase();
     const isEmotionalConcern = lowerQuestion.includes('nervous') || lowerQuestion.includes('worried') || 
                                lowerQuestion.includes('scared') || lowerQuestion.includes('afraid');
     const isFinancialConcern = lowerQuestion.includes('expensive') || lowerQuestion.includes('too much') || 
@@ -958,25 +1465,53 @@ async function* generateAnswerStream(question, conversationHistory = []) {
                                   lowerQuestion.includes('plus') || lowerQuestion.includes('diopter') ||
                                   lowerQuestion.includes('prescription');
     
-    if (isStatement(question) && !isEmotionalConcern && !isFinancialConcern && !isPrescriptionConcern) {
-      const conversationalResponse = await handleConversationalMode(question, conversationHistory);
+    if (isStatement(englishQuestion) && !isEmotionalConcern && !isFinancialConcern && !isPrescriptionConcern) {
+      const conversationalResponse = await handleConversationalMode(question, conversationHistory, language.code, tenant);
       yield { type: 'reflex_content', content: conversationalResponse };
-      yield { type: 'done', reflex: true, responseTime: Date.now() - startTime };
+      yield { type: 'done', reflex: true, responseTime: Date.now() - startTime, language: language.code, dialogState: endDialogTurn(dialogState, { answer: conversationalResponse }) };
       return;
     }
 
     // Prepare enhanced search query
-    let searchQuery = question;
+    let searchQuery = englishQuestion;
     if (isEmotionalConcern) {
-      searchQuery = question + ' responding to fear nervousness concerns reassurance';
+      searchQuery = englishQuestion + ' responding to fear nervousness concerns reassurance';
     } else if (isFinancialConcern) {
-      searchQuery = question + ' responding to financial concerns expensive cost affordability';
+      searchQuery = englishQuestion + ' responding to financial concerns expensive cost affordability';
     } else if (isPrescriptionConcern) {
-      searchQuery = question + ' high prescription limits candidacy treatable range';
+      searchQuery = englishQuestion + ' high prescription limits candidacy treatable range';
+    }
+
+    // Repeat standalone questions come from the answer cache (see generateAnswer)
+    const cacheProbe = conversationHistory.length === 0 ? await lookupAnswer(englishQuestion, language.code, tenant.id) : null;
+    if (cacheProbe && cacheProbe.hit) {
+      const cached = cacheProbe.hit.response;
+      console.log(`💾 Answer cache hit (${cacheProbe.hit.match}, similarity ${cacheProbe.hit.similarity})`);
+      const showSavingsCalculator = detectSavingsContext(englishQuestion, cached.answer);
+      yield { type: 'content', content: cached.answer };
+      yield {
+        type: 'done',
+        chunks: cached.chunks.length,
+        citations: cached.citations,
+        grounding: cached.grounding,
+        comparison: cached.comparison || null,
+        suggestions: await suggestFollowUps(englishQuestion, cached.chunks, { conversationHistory, language: language.code, tenantId: tenant.id }),
+        responseTime: Date.now() - startTime,
+        buyingIntent: detectBuyingIntent(englishQuestion),
+        showSavingsCalculator: showSavingsCalculator,
+        showCandidacyCheck: detectCandidacyQuestion(englishQuestion),
+        language: language.code,
+        cache: { hit: true, match: cacheProbe.hit.match, similarity: cacheProbe.hit.similarity },
+        dialogState: endDialogTurn(dialogState, { answer: cached.answer, showSavingsCalculator })
+      };
+      return;
     }
 
     // Retrieve relevant chunks
-    const retrievalResult = await retrieveRelevant(searchQuery, conversationHistory);
+    const retrievalResult = await retrieveRelevant(searchQuery, conversationHistory, {
+      tenantId: tenant.id,
+      procedures: dialogState.facts.procedures
+    });
     const chunks = retrievalResult.chunks;
 
     // If no relevant chunks but we have conversation history, use conversational mode
@@ -984,37 +1519,37 @@ async function* generateAnswerStream(question, conversationHistory = []) {
     if (!chunks || chunks.length === 0) {
       if (conversationHistory && conversationHistory.length > 0) {
         // Use conversational mode with context
-        const conversationalResponse = await handleConversationalMode(question, conversationHistory);
+        const conversationalResponse = await handleConversationalMode(question, conversationHistory, language.code, tenant);
         yield { type: 'reflex_content', content: conversationalResponse };
-        yield { type: 'done', reflex: true, responseTime: Date.now() - startTime };
+        yield { type: 'done', reflex: true, responseTime: Date.now() - startTime, showCandidacyCheck: detectCandidacyQuestion(englishQuestion), language: language.code, dialogState: endDialogTurn(dialogState, { answer: conversationalResponse }) };
         return;
       }
-      yield { type: 'reflex_content', content: getFallbackResponse() };
-      yield { type: 'done', reflex: true, usedFallback: true, responseTime: Date.now() - startTime };
+      const suggestions = await generateSuggestions(question, [], language.code);
+      yield { type: 'reflex_content', content: getFallbackResponse(language.code, tenant) };
+      yield { type: 'done', reflex: true, usedFallback: true, suggestions, responseTime: Date.now() - startTime, showCandidacyCheck: detectCandidacyQuestion(englishQuestion), language: language.code, dialogState: endDialogTurn(dialogState) };
       return;
     }
 
     // Combine chunk texts
-    const retrievedText = chunks
-      .map((chunk, idx) => `[Source ${idx + 1}: ${chunk.filename}]\n${chunk.text}`)
-      .join('\n\n---\n\n');
+    const retrievedText = formatSources(chunks);
 
     // Check if we have relevant information
     if (!hasRelevantInformation(retrievedText)) {
       if (conversationHistory && conversationHistory.length > 0) {
         // Use conversational mode with context
-        const conversationalResponse = await handleConversationalMode(question, conversationHistory);
+        const conversationalResponse = await handleConversationalMode(question, conversationHistory, language.code, tenant);
         yield { type: 'reflex_content', content: conversationalResponse };
-        yield { type: 'done', responseTime: Date.now() - startTime, reflex: true };
+        yield { type: 'done', responseTime: Date.now() - startTime, reflex: true, showCandidacyCheck: detectCandidacyQuestion(englishQuestion), language: language.code, dialogState: endDialogTurn(dialogState, { answer: conversationalResponse }) };
         return;
       }
-      yield { type: 'reflex_content', content: getFallbackResponse() };
-      yield { type: 'done', usedFallback: true, responseTime: Date.now() - startTime, reflex: true };
+      const suggestions = await generateSuggestions(question, chunks, language.code);
+      yield { type: 'reflex_content', content: getFallbackResponse(language.code, tenant) };
+      yield { type: 'done', usedFallback: true, suggestions, responseTime: Date.now() - startTime, reflex: true, showCandidacyCheck: detectCandidacyQuestion(englishQuestion), language: language.code, dialogState: endDialogTurn(dialogState) };
       return;
     }
 
     // Generate prompt with safety rules
-    const fullPrompt = generatePrompt(question, retrievedText);
+    const fullPrompt = generatePrompt(question, retrievedText, language.code, tenant);
 
     // Build messages array
     const messages = [
@@ -1036,47 +1571,81 @@ async function* generateAnswerStream(question, conversationHistory = []) {
 
     messages.push({ role: 'user', content: fullPrompt });
 
-    // Call OpenAI with streaming
-    const stream = await openai.chat.completions.create({
-      model: GPT_MODEL,
+    // The comparison table and follow-up questions are built while the answer streams
+    // and ride on the done frame
+    const comparisonPromise = retrievalResult.comparisonProcedures
+      ? buildComparison(englishQuestion, retrievalResult.comparisonProcedures, chunks, language.code)
+      : Promise.resolve(null);
+    const followUpsPromise = suggestFollowUps(englishQuestion, chunks, { conversationHistory, language: language.code, tenantId: tenant.id });
+
+    // Stream from the chat provider
+    const stream = streamChatCompletion({
       messages: messages,
       temperature: 0.6, // More natural, conversational responses
-      max_tokens: 400, // Allow longer, more complete responses
-      stream: true // Enable streaming!
+      maxTokens: 400 // Allow longer, more complete responses
     });
 
     // Yield each chunk as it arrives
     let fullAnswer = '';
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content;
-      if (content) {
-        fullAnswer += content;
-        yield { type: 'content', content: content };
-      }
+    for await (const content of stream) {
+      fullAnswer += content;
+      yield { type: 'content', content: content };
+    }
+
+    // Verify after the fact - the text is already on screen, so the verdict (and any
+    // corrected answer) rides on the final frame for the client to apply
+    const { answer: verifiedAnswer, grounding } = verifyAnswer(fullAnswer.trim(), chunks, {
+      question,
+      conversationHistory,
+      additionalSources: [getClinicRules(language.code, tenant)],
+      fallback: getFallbackResponse(language.code, tenant)
+    });
+
+    const citations = buildCitations(verifiedAnswer, chunks);
+    const answeredFromContent = !(grounding && grounding.usedFallback);
+    const comparison = answeredFromContent ? await comparisonPromise : null;
+    const suggestions = answeredFromContent ? await followUpsPromise : await generateSuggestions(question, chunks, language.code);
+    const cacheable = cacheProbe ? toCacheableAnswer({ answer: verifiedAnswer, chunks, citations, grounding, comparison }) : null;
+    if (cacheable) {
+      storeAnswer(englishQuestion, cacheProbe, cacheable);
     }
 
     // Signal completion
+    const showSavingsCalculator = detectSavingsContext(englishQuestion, verifiedAnswer);
     yield { 
       type: 'done', 
       chunks: chunks.length,
+      citations: citations,
+      grounding: grounding,
+      comparison: comparison,
+      suggestions: suggestions,
       responseTime: Date.now() - startTime,
-      buyingIntent: detectBuyingIntent(question),
-      showSavingsCalculator: detectSavingsContext(question, fullAnswer)
+      buyingIntent: detectBuyingIntent(englishQuestion),
+      showSavingsCalculator: showSavingsCalculator,
+      showCandidacyCheck: detectCandidacyQuestion(englishQuestion),
+      language: language.code,
+      dialogState: endDialogTurn(dialogState, { answer: verifiedAnswer, showSavingsCalculator })
     };
 
   } catch (error) {
     console.error('❌ Streaming error:', error.message);
-    yield { type: 'error', content: getFallbackResponse() };
+    yield { type: 'error', content: getFallbackResponse(language.code, tenant) };
   }
 }
 
 module.exports = {
   embedText,
   retrieveRelevant,
+  getRetrievalScope,
   generateAnswer,
   generateAnswerFromChunks,
   generateAnswerStream,
   initializeCollection,
-  healthCheck
+  healthCheck,
+  // Intent heuristics (exported for tests/intent-classifiers.js)
+  detectBuyingIntent,
+  detectComparisonQuery,
+  detectSavingsContext,
+  detectCandidacyQuestion
 };
 
@@ -0,0 +1,62 @@
+/**
+ * Local Cross-Encoder Reranker
+ *
+ * Scores query/passage pairs with a cross-encoder model (e.g.
+ * BAAI/bge-reranker-base) served on your own machine by Hugging Face
+ * text-embeddings-inference, which exposes POST /rerank:
+ *
+ *   docker run -p 8080:80 ghcr.io/huggingface/text-embeddings-inference:cpu-latest \
+ *     --model-id BAAI/bge-reranker-base
+ *
+ * RERANKER_URL points at the server (default http://localhost:8080).
+ * Scores come back already normalized to [0, 1].
+ */
+
+const { fetch } = require('undici');
+require('dotenv').config();
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Get the server base URL without a trailing slash
+ * @returns {string} Base URL
+ */
+function getBaseUrl() {
+  return (process.env.RERANKER_URL || 'http://localhost:8080').replace(/\/+$/, '');
+}
+
+/**
+ * Create the cross-encoder reranker
+ * @returns {Object} Reranker
+ */
+function createCrossEncoderReranker() {
+  return {
+    name: 'cross-encoder',
+
+    async rerank(query, texts) {
+      const response = await fetch(`${getBaseUrl()}/rerank`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query, texts, truncate: true }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Reranker server error: ${response.status} - ${errorText}`);
+      }
+
+      // [{ index, score }], sorted by score - put the scores back in input order
+      const results = await response.json();
+      const scores = texts.map(() => 0);
+      for (const result of results) {
+        if (Number.isInteger(result.index) && result.index >= 0 && result.index < texts.length) {
+          scores[result.index] = result.score;
+        }
+      }
+      return scores;
+    }
+  };
+}
+
+module.exports = { createCrossEncoderReranker };
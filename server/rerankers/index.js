@@ -0,0 +1,100 @@
+/**
+ * Reranker Layer
+ *
+ * Second retrieval stage. Hybrid search over-fetches candidates, a reranker
+ * scores every (query, chunk) pair, and retrieval keeps the best-scoring
+ * chunks instead of trimming the fused ranking with similarity thresholds.
+ *
+ * Rerankers, selected by RERANKER:
+ *   - 'none' (default): fused ranking and similarity thresholds only
+ *   - 'llm': the chat model (see server/providers) judges all candidates in one JSON call
+ *   - 'cross-encoder': a local cross-encoder served over HTTP at RERANKER_URL
+ *   - 'mock': deterministic query-term overlap, no network (CI/tests)
+ *
+ * A reranker is { name, rerank(query, texts) }, where
+ * rerank() resolves to one score in [0, 1] per text, in order. Tests can swap
+ * one in with setReranker().
+ */
+
+const { createLlmReranker } = require('./llmReranker');
+const { createCrossEncoderReranker } = require('./crossEncoderReranker');
+const { createMockReranker } = require('./mockReranker');
+require('dotenv').config();
+
+const RERANKERS = {
+  llm: createLlmReranker,
+  'cross-encoder': createCrossEncoderReranker,
+  mock: createMockReranker
+};
+
+// One reranker instance per name, plus an override from setReranker()
+const instances = new Map();
+let override;
+
+/**
+ * Get the configured reranker name
+ * @returns {string} 'none' | 'llm' | 'cross-encoder' | 'mock'
+ */
+function getRerankerName() {
+  if (override !== undefined) {
+    return override ? override.name : 'none';
+  }
+  return (process.env.RERANKER || 'none').toLowerCase();
+}
+
+/**
+ * Get the configured reranker
+ * @returns {Object|null} Reranker, or null when reranking is off
+ */
+function getReranker() {
+  if (override !== undefined) {
+    return override;
+  }
+
+  const name = getRerankerName();
+  if (name === 'none' || name === 'off' || name === '') {
+    return null;
+  }
+  if (!RERANKERS[name]) {
+    console.warn(`⚠️  Unknown reranker "${name}", reranking disabled`);
+    return null;
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, RERANKERS[name]());
+  }
+  return instances.get(name);
+}
+
+/**
+ * Replace the configured reranker (for tests or alternate backends)
+ * @param {Object|null|undefined} reranker - Reranker, null to turn reranking off,
+ *   or undefined to go back to the env-configured one
+ */
+function setReranker(reranker) {
+  override = reranker;
+}
+
+/**
+ * Score texts against a query with a reranker
+ * @param {Object} reranker - Reranker from getReranker()
+ * @param {string} query - Search query
+ * @param {Array<string>} texts - Candidate texts
+ * @returns {Promise<Array<number>>} One score in [0, 1] per text
+ */
+async function rerank(reranker, query, texts) {
+  if (texts.length === 0) return [];
+
+  const scores = await reranker.rerank(query, texts);
+  if (!Array.isArray(scores) || scores.length !== texts.length) {
+    throw new Error(`${reranker.name} reranker returned ${Array.isArray(scores) ? scores.length : 'no'} scores for ${texts.length} texts`);
+  }
+  return scores.map(score => (Number.isFinite(score) ? Math.min(1, Math.max(0, score)) : 0));
+}
+
+module.exports = {
+  getRerankerName,
+  getReranker,
+  setReranker,
+  rerank
+};
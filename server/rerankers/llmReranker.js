@@ -0,0 +1,59 @@
+/**
+ * LLM Judge Reranker
+ *
+ * Asks the chat model (LLM_PROVIDER / LLM_CHAT_MODEL, or RERANKER_MODEL) to
+ * rate how well each candidate passage answers the question, 0-10, in one
+ * JSON call per retrieval. Costs one extra completion per question - roughly
+ * RERANK_CANDIDATES x 150 prompt tokens.
+ */
+
+const { chatCompletion } = require('../providers');
+require('dotenv').config();
+
+const MAX_PASSAGE_CHARS = 700;
+
+const SYSTEM_PROMPT = `You grade search results for a refractive surgery practice's FAQ assistant.
+For each numbered passage, rate from 0 to 10 how directly it helps answer the patient's question:
+10 = answers it directly, 5 = related background, 0 = unrelated.
+Respond with JSON only: {"scores": [<one integer per passage, in order>]}`;
+
+/**
+ * Create the LLM judge reranker
+ * @returns {Object} Reranker
+ */
+function createLlmReranker() {
+  return {
+    name: 'llm',
+
+    async rerank(query, texts) {
+      const passages = texts
+        .map((text, i) => `[${i + 1}] ${text.replace(/\s+/g, ' ').trim().substring(0, MAX_PASSAGE_CHARS)}`)
+        .join('\n\n');
+
+      const completion = await chatCompletion({
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: `Question: ${query}\n\nPassages:\n${passages}` }
+        ],
+        ...(process.env.RERANKER_MODEL ? { model: process.env.RERANKER_MODEL } : {}),
+        temperature: 0,
+        maxTokens: 20 + texts.length * 4,
+        responseFormat: 'json'
+      });
+
+      let parsed;
+      try {
+        parsed = JSON.parse(completion.content);
+      } catch (error) {
+        throw new Error(`LLM reranker returned invalid JSON: ${error.message}`);
+      }
+      if (!parsed || !Array.isArray(parsed.scores)) {
+        throw new Error('LLM reranker response has no "scores" array');
+      }
+
+      return parsed.scores.map(score => Number(score) / 10);
+    }
+  };
+}
+
+module.exports = { createLlmReranker };
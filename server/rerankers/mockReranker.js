@@ -0,0 +1,34 @@
+/**
+ * Mock Reranker
+ *
+ * Deterministic, offline stand-in for a real reranker: the score is the share
+ * of the query's terms (stemmed, stopwords removed - see lexical-index) that
+ * appear in the text. Good enough to exercise the reranking stage in CI.
+ */
+
+const { tokenize } = require('../lexical-index');
+
+/**
+ * Create the mock reranker
+ * @returns {Object} Reranker
+ */
+function createMockReranker() {
+  return {
+    name: 'mock',
+
+    async rerank(query, texts) {
+      const queryTerms = Array.from(new Set(tokenize(query)));
+      if (queryTerms.length === 0) {
+        return texts.map(() => 0);
+      }
+
+      return texts.map(text => {
+        const textTerms = new Set(tokenize(text));
+        const matched = queryTerms.filter(term => textTerms.has(term)).length;
+        return matched / queryTerms.length;
+      });
+    }
+  };
+}
+
+module.exports = { createMockReranker };
@@ -0,0 +1,334 @@
+/**
+ * Admin Routes
+ *
+ * Admin-only content management for the patient FAQ knowledge base.
+ * These routes are mounted on '/admin/'.
+ *
+ * Endpoints:
+ * - GET    /content - List content sources
+ * - GET    /content/:filename - Get one source's markdown
+ * - POST   /content - Create a source and index it
+ * - POST   /content/preview - Show how markdown would be chunked (no embedding)
+ * - PUT    /content/:filename - Replace a source and re-embed changed chunks
+ * - DELETE /content/:filename - Remove a source and its chunks
+ * - POST   /content/:filename/reindex - Re-sync a source's chunks without editing it
+ * - GET    /savings/:tenantId - A clinic's savings calculator assumptions
+ * - PUT    /savings/:tenantId - Replace a clinic's savings calculator overrides
+ *
+ * Authentication:
+ * - All routes require a valid Supabase JWT token with role 'admin'
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { requireAuth } = require('../auth');
+const {
+  isValidFilename,
+  validateContent,
+  listSources,
+  getSource,
+  saveSource,
+  removeSource,
+  previewChunks,
+  syncSourceChunks
+} = require('../services/contentService');
+const { getTenant } = require('../services/tenantService');
+const {
+  DEFAULT_SAVINGS_ASSUMPTIONS,
+  validateAssumptions,
+  mergeAssumptions,
+  getAssumptionOverrides,
+  saveAssumptionOverrides
+} = require('../services/savingsService');
+
+const requireAdmin = requireAuth(['admin']);
+
+/**
+ * Reject requests whose :filename param is not a plain markdown filename
+ */
+function validateFilenameParam(req, res, next) {
+  if (!isValidFilename(req.params.filename)) {
+    return res.status(400).json({
+      error: 'Invalid filename',
+      message: 'Filename must be a markdown file name like "20-new-topic.md"'
+    });
+  }
+  next();
+}
+
+/**
+ * Reject requests whose :tenantId param is not a known tenant
+ */
+async function validateTenantParam(req, res, next) {
+  try {
+    if (!(await getTenant(req.params.tenantId))) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `No tenant "${req.params.tenantId}"`
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /content - List all content sources
+ *
+ * Response: { success: true, sources: [{ filename, isActive, size, lastIndexed, updatedAt, storage }] }
+ */
+router.get('/content', requireAdmin, async (req, res) => {
+  try {
+    const sources = await listSources();
+    res.json({ success: true, sources, count: sources.length });
+  } catch (error) {
+    console.error('❌ Error listing content sources:', error);
+    res.status(500).json({
+      error: 'Failed to list content',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /content/preview - Chunk markdown without saving or embedding
+ *
+ * Body: { content: "markdown", filename?: "11-icl-faqs.md" }
+ * Response: { success: true, chunks: [...], plan: { added, changed, unchanged, removed } }
+ */
+router.post('/content/preview', requireAdmin, async (req, res) => {
+  try {
+    const { content, filename = 'preview.md' } = req.body;
+
+    const contentError = validateContent(content);
+    if (contentError) {
+      return res.status(400).json({ error: 'Invalid content', message: contentError });
+    }
+    if (!isValidFilename(filename)) {
+      return res.status(400).json({ error: 'Invalid filename', message: 'Filename must end in .md and contain no path' });
+    }
+
+    const preview = await previewChunks(filename, content);
+    res.json({ success: true, filename, ...preview });
+  } catch (error) {
+    console.error('❌ Error previewing content:', error);
+    res.status(500).json({
+      error: 'Failed to preview content',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /content/:filename - Get a single source
+ *
+ * Response: { success: true, source: { filename, content, isActive, lastIndexed, updatedAt, storage } }
+ */
+router.get('/content/:filename', requireAdmin, validateFilenameParam, async (req, res) => {
+  try {
+    const source = await getSource(req.params.filename);
+    if (!source) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `No content source named ${req.params.filename}`
+      });
+    }
+    res.json({ success: true, source });
+  } catch (error) {
+    console.error(`❌ Error loading content ${req.params.filename}:`, error);
+    res.status(500).json({
+      error: 'Failed to load content',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /content - Create a new source and index it
+ *
+ * Body: { filename: "20-new-topic.md", content: "markdown" }
+ * Response: { success: true, filename, indexing: { embedded, refreshed, unchanged, removed } }
+ */
+router.post('/content', requireAdmin, async (req, res) => {
+  try {
+    const { filename, content } = req.body;
+
+    if (!isValidFilename(filename)) {
+      return res.status(400).json({ error: 'Invalid filename', message: 'Filename must end in .md and contain no path' });
+    }
+    const contentError = validateContent(content);
+    if (contentError) {
+      return res.status(400).json({ error: 'Invalid content', message: contentError });
+    }
+
+    if (await getSource(filename)) {
+      return res.status(409).json({
+        error: 'Already exists',
+        message: `${filename} already exists. Use PUT /admin/content/${filename} to update it.`
+      });
+    }
+
+    await saveSource(filename, content);
+    const indexing = await syncSourceChunks(filename, content);
+
+    console.log(`📝 [Admin ${req.user.email}] Created content ${filename}`);
+    res.status(201).json({ success: true, filename, indexing });
+  } catch (error) {
+    console.error('❌ Error creating content:', error);
+    res.status(500).json({
+      error: 'Failed to create content',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /content/:filename - Replace a source's markdown and re-embed changed chunks
+ *
+ * Body: { content: "markdown" }
+ * Response: { success: true, filename, indexing: { embedded, refreshed, unchanged, removed } }
+ */
+router.put('/content/:filename', requireAdmin, validateFilenameParam, async (req, res) => {
+  try {
+    const { filename } = req.params;
+    const { content } = req.body;
+
+    const contentError = validateContent(content);
+    if (contentError) {
+      return res.status(400).json({ error: 'Invalid content', message: contentError });
+    }
+
+    if (!(await getSource(filename))) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `No content source named ${filename}`
+      });
+    }
+
+    await saveSource(filename, content);
+    const indexing = await syncSourceChunks(filename, content);
+
+    console.log(`📝 [Admin ${req.user.email}] Updated content ${filename}`);
+    res.json({ success: true, filename, indexing });
+  } catch (error) {
+    console.error(`❌ Error updating content ${req.params.filename}:`, error);
+    res.status(500).json({
+      error: 'Failed to update content',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /content/:filename - Remove a source and all of its chunks
+ *
+ * Response: { success: true, filename, indexing: { removed } }
+ */
+router.delete('/content/:filename', requireAdmin, validateFilenameParam, async (req, res) => {
+  try {
+    const { filename } = req.params;
+
+    if (!(await getSource(filename))) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `No content source named ${filename}`
+      });
+    }
+
+    await removeSource(filename);
+    const indexing = await syncSourceChunks(filename, null);
+
+    console.log(`🗑️  [Admin ${req.user.email}] Deleted content ${filename}`);
+    res.json({ success: true, filename, indexing });
+  } catch (error) {
+    console.error(`❌ Error deleting content ${req.params.filename}:`, error);
+    res.status(500).json({
+      error: 'Failed to delete content',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /content/:filename/reindex - Re-sync chunks for an existing source
+ *
+ * Response: { success: true, filename, indexing: { embedded, refreshed, unchanged, removed } }
+ */
+router.post('/content/:filename/reindex', requireAdmin, validateFilenameParam, async (req, res) => {
+  try {
+    const { filename } = req.params;
+    const source = await getSource(filename);
+
+    if (!source) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `No content source named ${filename}`
+      });
+    }
+
+    const indexing = await syncSourceChunks(filename, source.content);
+    res.json({ success: true, filename, indexing });
+  } catch (error) {
+    console.error(`❌ Error re-indexing content ${req.params.filename}:`, error);
+    res.status(500).json({
+      error: 'Failed to re-index content',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /savings/:tenantId - A clinic's savings calculator assumptions
+ *
+ * Response: { success: true, overrides, assumptions, defaults } - assumptions are the
+ * defaults with the clinic's overrides applied
+ */
+router.get('/savings/:tenantId', requireAdmin, validateTenantParam, async (req, res) => {
+  try {
+    const overrides = await getAssumptionOverrides(req.params.tenantId);
+    res.json({
+      success: true,
+      overrides,
+      assumptions: mergeAssumptions(validateAssumptions(overrides) ? {} : overrides),
+      defaults: DEFAULT_SAVINGS_ASSUMPTIONS
+    });
+  } catch (error) {
+    console.error('❌ Error loading savings assumptions:', error);
+    res.status(500).json({
+      error: 'Failed to load savings assumptions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /savings/:tenantId - Replace a clinic's savings calculator overrides
+ *
+ * Body: { assumptions: { annualEyewearCost?, eyewearUntilAge?, eyewearInflation?, financing?, procedures? } }
+ * Only the values given override the defaults; `procedures.<key>: null` removes a procedure
+ * and a new key adds one (label and pricePerEye required).
+ * Response: { success: true, overrides, assumptions }
+ */
+router.put('/savings/:tenantId', requireAdmin, validateTenantParam, async (req, res) => {
+  try {
+    const { assumptions: overrides } = req.body;
+
+    const assumptionsError = validateAssumptions(overrides);
+    if (assumptionsError) {
+      return res.status(400).json({ error: 'Invalid assumptions', message: assumptionsError });
+    }
+
+    const assumptions = await saveAssumptionOverrides(req.params.tenantId, overrides);
+    res.json({ success: true, overrides, assumptions });
+  } catch (error) {
+    console.error('❌ Error saving savings assumptions:', error);
+    res.status(500).json({
+      error: 'Failed to save savings assumptions',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -13,6 +13,10 @@
  * - POST /transcribe - Transcribe consult audio via Whisper
  * - POST /analyze - Analyze transcript against coaching rubrics
  * - POST /coach - Combined: transcribe + analyze in one call
+ * - GET /history - List past coaching sessions (paginated, filterable)
+ * - GET /history/:id - Get one past session with transcript and analysis
+ * - DELETE /history/:id - Delete a past session
+ * - GET /trends - Score trends and recurring missed items over time
  * 
  * Authentication:
  * - All routes require a valid Supabase JWT token
@@ -35,6 +39,8 @@ const router = express.Router();
 
 const { getSupabase } = require('../supabase');
 const { requireAuth } = require('../auth');
+const { saveSession, listSessions, getSession, deleteSession } = require('../services/coachingHistoryService');
+const { getScoreTrends, INTERVALS } = require('../services/coachingTrendsService');
 const { transcribeAudioBuffer, checkConfiguration: checkWhisperConfig } = require('../services/whisperService');
 const { listRubrics, loadRubric, listChecklists, loadChecklist, checkDirectories } = require('../coach/rubricLoader');
 const { analyzeTranscript, checkConfiguration: checkCoachConfig } = require('../services/clinicianCoachService');
@@ -358,44 +364,24 @@ router.post('/coach', upload.single('audio'), handleMulterError, async (req, res
     
     console.log(`✅ Analysis complete (${analysisTime}ms) - Total: ${totalTime}ms, Score: ${analysisResult.score.overall}/100`);
 
-    // Save to database if user is authenticated
-    if (req.user && req.user.id) {
-      try {
-        const supabase = getSupabase();
-        if (supabase) {
-          const { error: saveError } = await supabase
-            .from('coaching_sessions')
-            .insert({
-              user_id: req.user.id,
-              transcript: transcriptionResult.transcript,
-              analysis_result: analysisResult,
-              rubric_id: analysisResult.rubricId,
-              score_overall: analysisResult.score.overall,
-              score_coverage: analysisResult.score.coverageScore,
-              score_safety: analysisResult.score.safetyScore,
-              metadata: {
-                source: 'coach_endpoint',
-                filename: req.file.originalname,
-                transcriptionTime,
-                analysisTime,
-                totalTime
-              }
-            });
-          
-          if (saveError) {
-            console.error('⚠️ Failed to save coaching session:', saveError);
-          } else {
-            console.log('💾 Coaching session saved to database');
-          }
-        }
-      } catch (dbError) {
-        console.error('⚠️ Database error saving coaching session:', dbError);
+    // Save to coaching history
+    const sessionId = await saveSession({
+      userId: req.user.id,
+      transcript: transcriptionResult.transcript,
+      analysis: analysisResult,
+      source: 'coach_endpoint',
+      metadata: {
+        filename: req.file.originalname,
+        transcriptionTime,
+        analysisTime,
+        totalTime
       }
-    }
+    });
 
     // Return combined result
     res.json({
       success: true,
+      sessionId,
       transcript: transcriptionResult.transcript,
       analysis: analysisResult,
       meta: {
@@ -560,40 +546,20 @@ router.post('/analyze', async (req, res) => {
     // Return successful analysis
     console.log(`✅ Analysis complete - Score: ${result.score.overall}/100`);
     
-    // Save to database if user is authenticated
-    if (req.user && req.user.id) {
-      try {
-        const supabase = getSupabase();
-        if (supabase) {
-          const { error: saveError } = await supabase
-            .from('coaching_sessions')
-            .insert({
-              user_id: req.user.id,
-              transcript: transcript,
-              analysis_result: result,
-              rubric_id: result.rubricId,
-              score_overall: result.score.overall,
-              score_coverage: result.score.coverageScore,
-              score_safety: result.score.safetyScore,
-              metadata: {
-                source: 'analyze_endpoint',
-                charCount: transcript.length
-              }
-            });
-          
-          if (saveError) {
-            console.error('⚠️ Failed to save coaching session:', saveError);
-          } else {
-            console.log('💾 Coaching session saved to database');
-          }
-        }
-      } catch (dbError) {
-        console.error('⚠️ Database error saving coaching session:', dbError);
+    // Save to coaching history
+    const sessionId = await saveSession({
+      userId: req.user.id,
+      transcript,
+      analysis: result,
+      source: 'analyze_endpoint',
+      metadata: {
+        charCount: transcript.length
       }
-    }
+    });
     
     res.json({
       success: true,
+      sessionId,
       result
     });
 
@@ -737,20 +703,260 @@ router.get('/checklists/:id', async (req, res) => {
 });
 
 // ============================================================================
-// HISTORY ENDPOINT (NOT YET IMPLEMENTED)
+// HISTORY ENDPOINTS
+// ============================================================================
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Reject history requests when Supabase is not configured
+ */
+function requireHistoryStore(req, res, next) {
+  if (!getSupabase()) {
+    return res.status(503).json({
+      success: false,
+      error: 'History unavailable',
+      message: 'Coaching history requires Supabase to be configured'
+    });
+  }
+  next();
+}
+
+/**
+ * Validate the :id param is a session UUID
+ */
+function validateSessionId(req, res, next) {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid session id',
+      message: 'Session id must be a UUID'
+    });
+  }
+  next();
+}
+
+/**
+ * GET /history - List the clinician's past coaching sessions
+ * 
+ * Query params (all optional):
+ *   - page: 1-based page number (default 1)
+ *   - pageSize: sessions per page (default 20, max 100)
+ *   - from: ISO date - only sessions on/after this date
+ *   - to: ISO date - only sessions on/before this date
+ *   - rubricId: only sessions scored with this rubric
+ * 
+ * Response:
+ *   {
+ *     success: true,
+ *     sessions: [{ id, rubricId, rubricTitle, score, source, tokensUsed, createdAt }],
+ *     pagination: { page, pageSize, total, totalPages }
+ *   }
+ */
+router.get('/history', requireHistoryStore, async (req, res) => {
+  try {
+    const { page, pageSize, from, to, rubricId } = req.query;
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date',
+          message: `"${name}" must be an ISO date (e.g. 2025-01-31)`
+        });
+      }
+    }
+
+    const result = await listSessions({
+      userId: req.user.id,
+      page,
+      pageSize,
+      from: from ? new Date(from).toISOString() : undefined,
+      to: to ? new Date(to).toISOString() : undefined,
+      rubricId
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing coaching history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load history',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /history/:id - Get one past session
+ * 
+ * Response:
+ *   {
+ *     success: true,
+ *     session: { id, rubricId, rubricTitle, score, createdAt, transcript, analysis, metadata }
+ *   }
+ * 
+ * `analysis` has the same shape as the /analyze `result`, so it can be
+ * passed straight to the CoachingResults component.
+ */
+router.get('/history/:id', requireHistoryStore, validateSessionId, async (req, res) => {
+  try {
+    const session = await getSession(req.user.id, req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+        message: `No coaching session found with id: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      session
+    });
+
+  } catch (error) {
+    console.error(`❌ Error loading coaching session ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load session',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /history/:id - Delete a past session
+ * 
+ * Response:
+ *   { success: true, id }
+ */
+router.delete('/history/:id', requireHistoryStore, validateSessionId, async (req, res) => {
+  try {
+    const deleted = await deleteSession(req.user.id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+        message: `No coaching session found with id: ${req.params.id}`
+      });
+    }
+
+    console.log(`🗑️  [Clinician ${req.user.email}] Deleted coaching session ${req.params.id}`);
+    res.json({
+      success: true,
+      id: req.params.id
+    });
+
+  } catch (error) {
+    console.error(`❌ Error deleting coaching session ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete session',
+      message: error.message
+    });
+  }
+});
+
+// ============================================================================
+// TRENDS ENDPOINT
 // ============================================================================
 
 /**
- * GET /history - Get clinician's past analyses (future)
+ * GET /trends - Score trends across coaching sessions
+ * 
+ * Clinicians always see their own sessions. Admins see every clinician:
+ * without userId the report covers the whole team, with userId it covers
+ * one clinician, and either way `clinicians` lists per-clinician summaries.
+ * 
+ * Query params (all optional):
+ *   - userId: clinician to report on (admins only)
+ *   - from / to: ISO date range
+ *   - rubricId: only sessions scored with this rubric
+ *   - interval: 'day' | 'week' | 'month' (default 'week')
  * 
- * Status: NOT IMPLEMENTED
+ * Response:
+ *   {
+ *     success: true,
+ *     scope: { userId, isAdmin },
+ *     interval: 'week',
+ *     summary: { sessions, averages: { overall, coverage, safety }, totalViolations, change, ... },
+ *     series: [{ period, sessions, overall, coverage, safety, mustSayHit, mustSayTotal, violations }],
+ *     recurringMissedItems: [{ item, count, share, lastSeen, source: 'checklist'|'coach' }],
+ *     recurringViolations: [{ item, count, share, lastSeen }],
+ *     clinicians?: [{ id, email, fullName, sessions, averages, change, lastSessionAt, ... }]
+ *   }
  */
-router.get('/history', async (req, res) => {
-  res.status(501).json({
-    error: 'Not Implemented',
-    message: 'Analysis history feature is under development',
-    endpoint: '/api/clinician/history'
-  });
+router.get('/trends', requireHistoryStore, async (req, res) => {
+  try {
+    const { userId, from, to, rubricId, interval = 'week' } = req.query;
+    const isAdmin = req.user.role === 'admin';
+
+    if (userId && !isAdmin && userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Clinicians can only view their own trends'
+      });
+    }
+
+    if (userId && !UUID_PATTERN.test(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user id',
+        message: 'userId must be a UUID'
+      });
+    }
+
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid interval',
+        message: `interval must be one of: ${INTERVALS.join(', ')}`
+      });
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date',
+          message: `"${name}" must be an ISO date (e.g. 2025-01-31)`
+        });
+      }
+    }
+
+    const scopeUserId = isAdmin ? (userId || null) : req.user.id;
+
+    const report = await getScoreTrends({
+      userId: scopeUserId,
+      includeClinicians: isAdmin,
+      from: from ? new Date(from).toISOString() : undefined,
+      to: to ? new Date(to).toISOString() : undefined,
+      rubricId,
+      interval
+    });
+
+    res.json({
+      success: true,
+      scope: { userId: scopeUserId, isAdmin },
+      ...report
+    });
+
+  } catch (error) {
+    console.error('❌ Error building coaching trends:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load trends',
+      message: error.message
+    });
+  }
 });
 
 module.exports = router;
@@ -7,30 +7,125 @@
  * Endpoints:
  * - POST /ask - Main FAQ endpoint
  * - POST /ask/stream - Streaming FAQ endpoint
+ * - POST /ask/voice - Voice question (audio upload → transcript → answer)
+ * - POST /ask/translate - FAQ endpoint with explicit answer language
  * - POST /lead - Lead capture
+ * - POST /savings - Savings calculator (eyewear spend vs procedure cost)
+ * - GET /savings/assumptions - The clinic's procedures and calculator defaults
+ * - GET /candidacy/questions - Candidacy pre-screening questionnaire
+ * - POST /candidacy - Procedures worth discussing for the questionnaire answers
  * - POST /log-event - Analytics event logging
+ * - GET /tenant - Public branding for the widget (name, phone, branding)
  * - GET /health - System health check
  * - GET /status - Simple status check
+ *
+ * Patient endpoints run for the tenant resolved by attachTenant (API key or hostname),
+ * which also enforces the tenant's widget origin list.
  */
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 
 const { generateAnswer, generateAnswerStream, healthCheck } = require('../rag');
 const { logQuery, logEvent } = require('../firebase');
+const { transcribeQuestion, checkConfiguration: checkVoiceConfig } = require('../services/patientVoiceService');
+const { SUPPORTED_LANGUAGES, isSupportedLanguage } = require('../services/languageService');
+const { attachTenant, toPublicTenant } = require('../services/tenantService');
+const { getSavingsAssumptions, validateSavingsInput, calculateSavings, toPublicAssumptions } = require('../services/savingsService');
+const { getQuestionnaire, validateAnswers, screenCandidacy, toLeadCandidacy } = require('../services/candidacyService');
 
 /**
- * POST /ask - Main FAQ endpoint
+ * Multer configuration for patient voice questions
+ * - Memory storage (recordings are never written to disk here)
+ * - 25MB limit, matching the Whisper API upload limit
+ */
+const voiceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 25 * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    // Browsers record in different formats - accept any audio type or octet-stream
+    if ((file.mimetype && file.mimetype.startsWith('audio/')) || file.mimetype === 'application/octet-stream') {
+      cb(null, true);
+    } else {
+      cb(new Error(`Unsupported file format: ${file.mimetype}. Please record audio.`), false);
+    }
+  }
+});
+
+/**
+ * Multer error handler for voice uploads
+ */
+function handleVoiceUploadError(err, req, res, next) {
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({
+      error: 'File too large',
+      message: 'Recording exceeds 25MB. Please ask a shorter question.'
+    });
+  }
+  if (err) {
+    return res.status(400).json({
+      error: 'Invalid file',
+      message: err.message
+    });
+  }
+  next();
+}
+
+/**
+ * Parse conversation history sent as a JSON string in a multipart form
+ * @param {string|Array} raw - messages form field
+ * @returns {Array} Valid { role, content } messages (last 20)
+ */
+function parseFormHistory(raw) {
+  if (!raw) return [];
+
+  let messages = raw;
+  if (typeof raw === 'string') {
+    try {
+      messages = JSON.parse(raw);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  if (!Array.isArray(messages)) return [];
+
+  return messages
+    .filter(m => m && typeof m.content === 'string' && (m.role === 'user' || m.role === 'assistant'))
+    .slice(-20);
+}
+
+/**
+ * Parse the dialog state sent as a JSON string in a multipart form
+ * @param {string|Object} raw - dialogState form field
+ * @returns {Object|null} Dialog state (validated later by the RAG pipeline)
+ */
+function parseFormDialogState(raw) {
+  if (!raw || typeof raw !== 'string') return raw || null;
+
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Shared handler for POST /ask and POST /ask/translate
  * 
- * Body: { query: "user question" } or { messages: [...] }
- * Response: { answer: "...", metadata: {...} }
+ * @param {Object} options - Handler options
+ * @param {string} options.language - Language code to answer in (auto-detected if omitted)
  */
-router.post('/ask', async (req, res) => {
+async function handleAsk(req, res, options = {}) {
   const startTime = Date.now();
   
   try {
     // Validate request - support both old (query) and new (messages) format
-    const { query, messages } = req.body;
+    const { query, messages, dialogState } = req.body;
     
     let sanitizedQuery;
     let conversationHistory = [];
@@ -66,7 +161,7 @@ router.post('/ask', async (req, res) => {
     console.log(`💬 Question: "${sanitizedQuery}"${conversationHistory.length > 0 ? ` (with ${conversationHistory.length} messages of context)` : ''}`);
 
     // Generate answer using RAG pipeline with conversation context
-    const result = await generateAnswer(sanitizedQuery, conversationHistory);
+    const result = await generateAnswer(sanitizedQuery, conversationHistory, { language: options.language, tenant: req.tenant, dialogState });
 
     // Log to Firebase (async, don't wait) - enhanced with buying intent
     logQuery({
@@ -75,12 +170,21 @@ router.post('/ask', async (req, res) => {
       retrievedChunks: result.chunks || [],
       timestamp: Date.now(),
       metadata: {
+        tenantId: req.tenant.id,
         responseTime: result.responseTime,
         usedFallback: result.usedFallback,
         tokensUsed: result.tokensUsed,
         model: result.model,
         buyingIntent: result.buyingIntent || null,
-        questionCount: conversationHistory.filter(m => m.role === 'user').length + 1
+        questionCount: conversationHistory.filter(m => m.role === 'user').length + 1,
+        language: result.language ? result.language.code : null,
+        languageSource: result.language ? result.language.source : null,
+        translatedQuestion: result.language ? result.language.translatedQuestion : null,
+        grounding: result.grounding ? result.grounding.verdict : null,
+        unsupportedClaims: result.grounding ? result.grounding.unsupportedClaims.length : 0,
+        cacheHit: Boolean(result.cache && result.cache.hit),
+        cacheMatch: result.cache && result.cache.hit ? result.cache.match : null,
+        suggestions: result.suggestions || null // Joined with suggestion_click events
       }
     }).catch(err => {
       console.error('Failed to log query:', err.message);
@@ -91,7 +195,11 @@ router.post('/ask', async (req, res) => {
     
     res.json({
       answer: result.answer,
-      suggestions: result.suggestions || null, // Include smart suggestions for fallback responses
+      suggestions: result.suggestions || null, // Follow-up questions (clarifying questions for fallbacks)
+      citations: result.citations || [], // Sources behind the [n] markers in the answer
+      grounding: result.grounding || null, // Which factual claims the sources support
+      comparison: result.comparison || null, // Procedure comparison table for "X vs Y" questions
+      dialogState: result.dialogState || null, // Send back with the next message
       metadata: {
         responseTime: responseTime,
         retrievedChunks: result.chunks ? result.chunks.length : 0,
@@ -99,7 +207,10 @@ router.post('/ask', async (req, res) => {
         timestamp: Date.now(),
         debugInfo: result.debugInfo || null, // Include similarity scores and chunk details
         buyingIntent: result.buyingIntent || null, // Include buying intent for frontend CTAs
-        showSavingsCalculator: result.showSavingsCalculator || false // Include flag for savings calculator UI
+        showSavingsCalculator: result.showSavingsCalculator || false, // Include flag for savings calculator UI
+        showCandidacyCheck: result.showCandidacyCheck || false, // "Am I a candidate?" - offer the questionnaire
+        language: result.language ? result.language.code : null,
+        cached: Boolean(result.cache && result.cache.hit) // Answered from the answer cache
       }
     });
 
@@ -120,15 +231,59 @@ router.post('/ask', async (req, res) => {
       message: 'Failed to process your question. Please try again or call our office.'
     });
   }
+}
+
+/**
+ * POST /ask - Main FAQ endpoint
+ * 
+ * Body: { query: "user question" } or { messages: [...], dialogState?: {...} }
+ * Response: { answer: "...", suggestions: [...], citations: [...], grounding: {...}, comparison: {...}, dialogState: {...}, metadata: {...} }
+ * The answer is written in the language the patient asked in. `suggestions` holds three to
+ * five follow-up questions taken from the FAQ headings around the answer (not yet asked in
+ * the conversation); for fallback answers they are clarifying questions instead. `citations` maps each
+ * [n] marker in the answer to its FAQ file and heading; `grounding` reports which
+ * factual claims (prices, durations, limits) the retrieved content supports.
+ * `comparison` is set for questions comparing two or more procedures:
+ * { procedures, rows: [{ key, label, cells: [{ procedure, value, source }] }], sources, method },
+ * where each cell's `source` is a number in `sources` (same shape as citations).
+ * `dialogState` records what the answer asked and what the patient has told us -
+ * send it back with the next message so "yes" or "45" is read against it.
+ * `metadata.showCandidacyCheck` is set for "am I a candidate?" questions - offer the
+ * questionnaire from GET /candidacy/questions.
+ */
+router.post('/ask', attachTenant, (req, res) => handleAsk(req, res));
+
+/**
+ * POST /ask/translate - FAQ endpoint with an explicit answer language
+ * 
+ * Body: { query | messages, language?: "es" }
+ * Response: same as /ask; metadata.language is the language the answer was written in.
+ * Without `language`, the patient's language is detected from the question.
+ */
+router.post('/ask/translate', attachTenant, (req, res) => {
+  const { language } = req.body;
+
+  if (language !== undefined && !isSupportedLanguage(language)) {
+    return res.status(400).json({
+      error: 'Unsupported language',
+      message: `Language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`
+    });
+  }
+
+  return handleAsk(req, res, { language });
 });
 
 /**
  * POST /ask/stream - Streaming FAQ endpoint (typing effect)
  * 
- * Body: { messages: [...] } or { query: "user question" }
- * Response: Server-Sent Events stream
+ * Body: { messages: [...], dialogState?: {...} } or { query: "user question" }
+ * Response: Server-Sent Events stream (the `done` frame carries the next dialogState)
+ * The final `done` frame carries `suggestions`, `citations`, the grounding verdict and
+ * `comparison` (see POST /ask); when unsupported sentences were removed, `grounding.correctedAnswer` replaces
+ * the streamed text.
+ * Answers from the answer cache arrive as a single content frame, with `cache` on `done`.
  */
-router.post('/ask/stream', async (req, res) => {
+router.post('/ask/stream', attachTenant, async (req, res) => {
   try {
     // Set up Server-Sent Events
     res.setHeader('Content-Type', 'text/event-stream');
@@ -137,7 +292,7 @@ router.post('/ask/stream', async (req, res) => {
     res.setHeader('Access-Control-Allow-Origin', '*');
 
     // Parse request
-    const { query, messages } = req.body;
+    const { query, messages, dialogState } = req.body;
     
     let sanitizedQuery;
     let conversationHistory = [];
@@ -167,7 +322,7 @@ router.post('/ask/stream', async (req, res) => {
     console.log(`💬 [Stream] Question: "${sanitizedQuery}"`);
 
     // Stream the response
-    const generator = generateAnswerStream(sanitizedQuery, conversationHistory);
+    const generator = generateAnswerStream(sanitizedQuery, conversationHistory, { tenant: req.tenant, dialogState });
     
     for await (const chunk of generator) {
       res.write(`data: ${JSON.stringify(chunk)}\n\n`);
@@ -183,15 +338,151 @@ router.post('/ask/stream', async (req, res) => {
   }
 });
 
+/**
+ * POST /ask/voice - Voice question endpoint
+ * 
+ * Request:
+ *   Content-Type: multipart/form-data
+ *   Fields:
+ *     - audio (required): Recorded question (webm, mp3, wav, m4a, ogg)
+ *     - messages (optional): JSON string of prior [{ role, content }] messages
+ *     - dialogState (optional): JSON string of the dialogState from the previous answer
+ * 
+ * Response:
+ *   { transcript: "...", answer: "...", chunks: [{ id, filename, chunkId, similarity }], citations: [...], grounding: {...}, comparison: {...}, dialogState: {...}, metadata: {...} }
+ */
+router.post('/ask/voice', attachTenant, voiceUpload.single('audio'), handleVoiceUploadError, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const config = checkVoiceConfig();
+    if (!config.configured) {
+      console.error('❌ Voice transcription not configured:', config.error);
+      return res.status(503).json({
+        error: 'Voice mode unavailable',
+        message: 'Voice questions are not available right now. Please type your question.'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Please upload a recording with field name "audio"'
+      });
+    }
+
+    const conversationHistory = parseFormHistory(req.body.messages);
+    const dialogState = parseFormDialogState(req.body.dialogState);
+
+    // Step 1: Transcribe
+    const transcriptionStart = Date.now();
+    const transcription = await transcribeQuestion({
+      buffer: req.file.buffer,
+      filename: req.file.originalname,
+      mimetype: req.file.mimetype
+    });
+
+    if (!transcription.success) {
+      return res.status(422).json({
+        error: 'Transcription failed',
+        message: transcription.error
+      });
+    }
+
+    const transcriptionTime = Date.now() - transcriptionStart;
+    const transcript = transcription.transcript;
+    console.log(`🎤 [Voice] Question: "${transcript}" (${transcription.provider}, ${transcriptionTime}ms)`);
+
+    // Step 2: Answer with the same RAG pipeline as typed questions
+    const result = await generateAnswer(transcript, conversationHistory, { tenant: req.tenant, dialogState });
+
+    logQuery({
+      question: transcript,
+      answer: result.answer,
+      retrievedChunks: result.chunks || [],
+      timestamp: Date.now(),
+      metadata: {
+        tenantId: req.tenant.id,
+        responseTime: result.responseTime,
+        usedFallback: result.usedFallback,
+        tokensUsed: result.tokensUsed,
+        model: result.model,
+        buyingIntent: result.buyingIntent || null,
+        questionCount: conversationHistory.filter(m => m.role === 'user').length + 1,
+        inputMode: 'voice',
+        transcriptionProvider: transcription.provider,
+        transcriptionTime,
+        language: result.language ? result.language.code : null,
+        grounding: result.grounding ? result.grounding.verdict : null,
+        unsupportedClaims: result.grounding ? result.grounding.unsupportedClaims.length : 0,
+        cacheHit: Boolean(result.cache && result.cache.hit),
+        cacheMatch: result.cache && result.cache.hit ? result.cache.match : null,
+        suggestions: result.suggestions || null // Joined with suggestion_click events
+      }
+    }).catch(err => {
+      console.error('Failed to log query:', err.message);
+    });
+
+    const responseTime = Date.now() - startTime;
+
+    res.json({
+      transcript,
+      answer: result.answer,
+      chunks: (result.chunks || []).map(chunk => ({
+        id: chunk.id,
+        filename: chunk.filename,
+        chunkId: chunk.chunkId,
+        similarity: chunk.similarity
+      })),
+      suggestions: result.suggestions || null,
+      citations: result.citations || [],
+      grounding: result.grounding || null,
+      comparison: result.comparison || null,
+      dialogState: result.dialogState || null,
+      metadata: {
+        responseTime,
+        transcriptionTime,
+        retrievedChunks: result.chunks ? result.chunks.length : 0,
+        usedFallback: result.usedFallback || false,
+        timestamp: Date.now(),
+        debugInfo: result.debugInfo || null,
+        buyingIntent: result.buyingIntent || null,
+        showSavingsCalculator: result.showSavingsCalculator || false,
+        showCandidacyCheck: result.showCandidacyCheck || false,
+        language: result.language ? result.language.code : null,
+        cached: Boolean(result.cache && result.cache.hit)
+      }
+    });
+
+    console.log(`✅ [Voice] Response sent (${responseTime}ms)`);
+
+  } catch (error) {
+    console.error('❌ Error processing voice question:', error);
+
+    logEvent('error', 'Voice request processing failed', {
+      error: error.message,
+      path: req.path,
+      method: req.method
+    }).catch(err => console.error('Failed to log error:', err.message));
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to process your question. Please try again or call our office.'
+    });
+  }
+});
+
 /**
  * POST /lead - Lead capture endpoint
  * 
- * Body: { name?, email?, phone?, procedure?, notes?, conversationSummary? }
+ * Body: { name?, email?, phone?, procedure?, notes?, conversationSummary?, candidacy? }
  * Response: { success: true, leadId: "..." }
+ * `candidacy` is the pre-screening questionnaire's answers (see POST /candidacy); they are
+ * screened again here and stored with the lead as { answers, ready, procedures, notes }.
  */
-router.post('/lead', async (req, res) => {
+router.post('/lead', attachTenant, async (req, res) => {
   try {
-    const { name, email, phone, procedure, notes, conversationSummary, source } = req.body;
+    const { name, email, phone, procedure, notes, conversationSummary, source, candidacy } = req.body;
     
     // Validate - at least one contact method required
     if (!email && !phone) {
@@ -200,15 +491,24 @@ router.post('/lead', async (req, res) => {
         message: 'Please provide at least an email or phone number'
       });
     }
+
+    const candidacyError = candidacy !== undefined && candidacy !== null ? validateAnswers(candidacy) : null;
+    if (candidacyError) {
+      return res.status(400).json({ error: 'Invalid request', message: `candidacy: ${candidacyError}` });
+    }
+    const screening = candidacy ? toLeadCandidacy(candidacy) : null;
+    const screenedProcedure = screening && screening.procedures.length > 0 ? screening.procedures[0].key : null;
     
     // Create lead object
     const lead = {
+      tenantId: req.tenant.id,
       name: name || 'Not provided',
       email: email || null,
       phone: phone || null,
-      procedure: procedure || 'Not specified',
+      procedure: procedure || screenedProcedure || 'Not specified',
       notes: notes || null,
       conversationSummary: conversationSummary || null,
+      candidacy: screening,
       source: source || 'chatbot',
       createdAt: new Date().toISOString(),
       status: 'new'
@@ -217,7 +517,7 @@ router.post('/lead', async (req, res) => {
     // Log to Firebase
     const leadId = await logEvent('lead_capture', 'New lead from chatbot', lead);
     
-    console.log(`🎯 New lead captured: ${email || phone} (${procedure || 'general'})`);
+    console.log(`🎯 New lead captured for ${req.tenant.id}: ${email || phone} (${procedure || screenedProcedure || 'general'})${screening ? ' with candidacy check' : ''}`);
     
     res.json({
       success: true,
@@ -229,17 +529,104 @@ router.post('/lead', async (req, res) => {
     console.error('❌ Error capturing lead:', error);
     res.status(500).json({
       error: 'Failed to submit',
-      message: 'Please try again or call us directly at (210) 585-2020'
+      message: `Please try again or call us directly at ${req.tenant.phone}`
     });
   }
 });
 
+/**
+ * POST /savings - Savings calculator
+ * 
+ * Body: { age, annualEyewearCost?, procedure?: "lasik", eyes?: 1 | 2, financed?: false }
+ * Response: { procedure, financing, eyewear, years: [...], totals, breakEven: { months, age } | null }
+ * Uses the clinic's assumptions (see GET /savings/assumptions); annualEyewearCost defaults to
+ * the clinic's typical spend. `years` runs until the age the patient would stop buying eyewear.
+ */
+router.post('/savings', attachTenant, async (req, res) => {
+  try {
+    const assumptions = await getSavingsAssumptions(req.tenant.id);
+    const { age, annualEyewearCost, procedure, eyes, financed } = req.body;
+    const input = { age, annualEyewearCost, procedure, eyes, financed };
+
+    const inputError = validateSavingsInput(input, assumptions);
+    if (inputError) {
+      return res.status(400).json({ error: 'Invalid request', message: inputError });
+    }
+
+    res.json(calculateSavings(input, assumptions));
+  } catch (error) {
+    console.error('❌ Error calculating savings:', error);
+    res.status(500).json({ error: 'Failed to calculate savings' });
+  }
+});
+
+/**
+ * GET /savings/assumptions - The clinic's savings calculator defaults
+ * 
+ * Response: { annualEyewearCost, eyewearUntilAge, eyewearInflation, financing, procedures: [{ key, label, pricePerEye }] }
+ */
+router.get('/savings/assumptions', attachTenant, async (req, res) => {
+  try {
+    res.json(toPublicAssumptions(await getSavingsAssumptions(req.tenant.id)));
+  } catch (error) {
+    console.error('❌ Error loading savings assumptions:', error);
+    res.status(500).json({ error: 'Failed to load savings assumptions' });
+  }
+});
+
+/**
+ * GET /candidacy/questions - Candidacy pre-screening questionnaire
+ * 
+ * Query: ?language=es (default en)
+ * Response: { questions: [{ id, type: "number" | "choice" | "boolean", text, min?, max?, when?, options?: [{ value, label }] }], disclaimer }
+ * Ask the questions in order, skipping any whose `when` ({ questionId: [answers] }) doesn't match the answers so far.
+ */
+router.get('/candidacy/questions', attachTenant, (req, res) => {
+  const { language } = req.query;
+  if (language !== undefined && !isSupportedLanguage(language)) {
+    return res.status(400).json({
+      error: 'Unsupported language',
+      message: `Language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`
+    });
+  }
+  res.json(getQuestionnaire(language));
+});
+
+/**
+ * POST /candidacy - Candidacy pre-screening result
+ * 
+ * Body: { answers: { age, vision, prescription?, stable, cornea, dryEye, pregnant, priorSurgery }, language?: "es" }
+ * Response: { ready, procedures: [{ key, label, reasons: [...] }], notes: [...], disclaimer, answers }
+ * Not a diagnosis: `procedures` are the ones worth discussing at a consultation, best fit first;
+ * `ready` is false when age, an unsettled prescription or pregnancy means surgery would wait.
+ * Send `answers` back as `candidacy` with POST /lead to attach the result to the lead.
+ */
+router.post('/candidacy', attachTenant, (req, res) => {
+  const { answers, language } = req.body;
+  if (language !== undefined && !isSupportedLanguage(language)) {
+    return res.status(400).json({
+      error: 'Unsupported language',
+      message: `Language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`
+    });
+  }
+
+  const answersError = validateAnswers(answers);
+  if (answersError) {
+    return res.status(400).json({ error: 'Invalid request', message: answersError });
+  }
+
+  const result = screenCandidacy(answers, language);
+  console.log(`🩺 Candidacy check for ${req.tenant.id}: ${result.procedures.map(p => p.key).join(', ') || 'no match'}${result.ready ? '' : ' (not yet)'}`);
+  res.json(result);
+});
+
 /**
  * POST /log-event - Track frontend events
  * 
  * Body: { event, data }
+ * e.g. `suggestion_click` with { suggestion, position, kind } when a follow-up chip is clicked
  */
-router.post('/log-event', async (req, res) => {
+router.post('/log-event', attachTenant, async (req, res) => {
   try {
     const { event, data } = req.body;
     
@@ -250,6 +637,7 @@ router.post('/log-event', async (req, res) => {
     // Log to Firebase
     await logEvent('frontend_event', event, {
       ...data,
+      tenantId: req.tenant.id,
       timestamp: new Date().toISOString(),
       userAgent: req.get('User-Agent')
     });
@@ -262,6 +650,15 @@ router.post('/log-event', async (req, res) => {
   }
 });
 
+/**
+ * GET /tenant - Public configuration of the resolved tenant
+ * 
+ * Response: { id, name, phone, branding } - the widget uses it for its header, call links and PDF export
+ */
+router.get('/tenant', attachTenant, (req, res) => {
+  res.json(toPublicTenant(req.tenant));
+});
+
 /**
  * GET /health - System health check
  */
@@ -269,12 +666,14 @@ router.get('/health', async (req, res) => {
   try {
     const status = await healthCheck();
     
-    const isHealthy = status.openai && status.vectorStore && status.collection;
+    const isHealthy = status.llm && status.vectorStore && status.collection;
     
     res.status(isHealthy ? 200 : 503).json({
       status: isHealthy ? 'healthy' : 'unhealthy',
       components: {
-        openai: status.openai,
+        llm: status.llm,
+        llmProvider: status.llmProvider,
+        openai: status.llm, // Same as llm - kept for uptime checks that read the old name
         vectorStore: status.vectorStore,
         vectorProvider: status.vectorProvider || 'local',
         collection: status.collection,
@@ -0,0 +1,399 @@
+/**
+ * Answer Cache Service
+ *
+ * Most patient traffic is the same few dozen questions ("how much is LASIK",
+ * "how long is recovery"). This cache sits in front of the RAG pipeline so a
+ * repeat skips retrieval and the completion:
+ * 1. Exact match on the normalized question (no model call at all)
+ * 2. Otherwise an embedding match at ANSWER_CACHE_SIMILARITY or above, as
+ *    long as both questions name the same procedures and numbers
+ *    ("makeup after LASIK" must not answer "makeup after ICL")
+ *
+ * Entries are scoped to the content index version, the tenant and the answer language.
+ * `npm run index` and admin content edits call invalidateAnswerCache(), which
+ * bumps the version - so a running server stops serving old answers as soon as
+ * it sees the new version (checked every INDEX_VERSION_CHECK_MS).
+ *
+ * Backends (ANSWER_CACHE):
+ *   - 'supabase': answer_cache table (migrations 008 and 010), shared by all instances
+ *   - 'memory': per-process LRU
+ *   - 'off': disabled
+ * Default is 'supabase' when Supabase is configured, otherwise 'memory'.
+ * The index version lives in content_index_state (Supabase) or
+ * vector-store/index-version.json (local), following the vector store.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { getSupabase, isSupabaseConfigured } = require('../supabase');
+const { embedText } = require('../providers');
+const { cosineSimilarity } = require('../vectorstores/localVectorStore');
+const { DEFAULT_TENANT_ID } = require('./tenantService');
+require('dotenv').config();
+
+const CACHE_TABLE = 'answer_cache';
+const INDEX_STATE_TABLE = 'content_index_state';
+const LOCAL_VERSION_FILE = path.join(__dirname, '../../vector-store/index-version.json');
+const UNVERSIONED = 'unversioned'; // Index built before versioning existed
+
+const CACHE_BACKENDS = ['supabase', 'memory', 'off'];
+const SIMILARITY_THRESHOLD = parseFloat(process.env.ANSWER_CACHE_SIMILARITY) || 0.95;
+const TTL_MS = (parseFloat(process.env.ANSWER_CACHE_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+const MEMORY_MAX_ENTRIES = 500;
+const INDEX_VERSION_CHECK_MS = 30 * 1000;
+
+// Terms that change the answer even when the rest of the question is the same
+const DISTINGUISHING_TERMS = /\b(?:lasik|prk|smile|evo|icls?|cataracts?|rle|lens replacement|ctak|cross-?linking|keratoconus|monovision|blended vision)\b|[-+$]?\d+(?:\.\d+)?%?/g;
+
+const memoryEntries = new Map(); // key -> entry, oldest first
+let indexVersionCache = { version: null, checkedAt: 0 };
+
+/**
+ * Get the configured cache backend
+ * @returns {string} 'supabase' | 'memory' | 'off'
+ */
+function getCacheBackend() {
+  const configured = (process.env.ANSWER_CACHE || '').toLowerCase();
+  if (CACHE_BACKENDS.includes(configured)) {
+    return configured === 'supabase' && !isSupabaseConfigured() ? 'memory' : configured;
+  }
+  return isSupabaseConfigured() ? 'supabase' : 'memory';
+}
+
+/**
+ * Normalize a question for exact matching
+ * ("How much is LASIK?" and "how much is lasik" share a key; "-7.5" keeps its sign and decimal)
+ * @param {string} question - Question text
+ * @returns {string} Normalized question
+ */
+function normalizeQuestion(question) {
+  return String(question || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s.+$%-]/gu, ' ')
+    .replace(/\.(?!\d)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Procedures and numbers a question mentions, for the semantic-match guard
+ * @param {string} key - Normalized question
+ * @returns {string} Sorted, de-duplicated terms
+ */
+function distinguishingTerms(key) {
+  return Array.from(new Set(key.match(DISTINGUISHING_TERMS) || []))
+    .map(term => term.replace(/s$/, '').replace('crosslinking', 'cross-linking'))
+    .sort()
+    .join('|');
+}
+
+/**
+ * Get the current content index version (memoized for INDEX_VERSION_CHECK_MS)
+ * @returns {Promise<string|null>} Version, or null if it can't be read (cache is bypassed)
+ */
+async function getIndexVersion() {
+  if (indexVersionCache.version && Date.now() - indexVersionCache.checkedAt < INDEX_VERSION_CHECK_MS) {
+    return indexVersionCache.version;
+  }
+
+  let version = null;
+  const supabase = isSupabaseConfigured() ? getSupabase() : null;
+
+  if (supabase) {
+    const { data, error } = await supabase
+      .from(INDEX_STATE_TABLE)
+      .select('version')
+      .eq('id', 1)
+      .maybeSingle();
+
+    if (error) {
+      console.warn(`⚠️  Answer cache: could not read index version (${error.message}) - run migration 008`);
+      return null;
+    }
+    version = data ? data.version : UNVERSIONED;
+  } else {
+    try {
+      version = JSON.parse(await fs.readFile(LOCAL_VERSION_FILE, 'utf-8')).version || UNVERSIONED;
+    } catch (error) {
+      version = UNVERSIONED;
+    }
+  }
+
+  if (version !== indexVersionCache.version) {
+    // Everything cached in this process belongs to the old index
+    memoryEntries.clear();
+  }
+  indexVersionCache = { version, checkedAt: Date.now() };
+  return version;
+}
+
+/**
+ * Mark the content index as changed: bump the version and drop old entries
+ * Called by scripts/index.js after a rebuild and by the content service after edits.
+ * @returns {Promise<string>} New index version
+ */
+async function invalidateAnswerCache() {
+  const version = `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+  const supabase = isSupabaseConfigured() ? getSupabase() : null;
+
+  if (supabase) {
+    const { error } = await supabase
+      .from(INDEX_STATE_TABLE)
+      .upsert({ id: 1, version, updated_at: new Date().toISOString() }, { onConflict: 'id' });
+    if (error) {
+      throw new Error(`Could not update index version: ${error.message}`);
+    }
+
+    const { error: deleteError } = await supabase
+      .from(CACHE_TABLE)
+      .delete()
+      .neq('index_version', version);
+    if (deleteError) {
+      console.warn(`⚠️  Answer cache: could not delete old entries (${deleteError.message})`);
+    }
+  } else {
+    await fs.mkdir(path.dirname(LOCAL_VERSION_FILE), { recursive: true });
+    await fs.writeFile(LOCAL_VERSION_FILE, JSON.stringify({ version, updatedAt: new Date().toISOString() }, null, 2), 'utf-8');
+  }
+
+  memoryEntries.clear();
+  indexVersionCache = { version, checkedAt: Date.now() };
+  console.log(`🗑️  Answer cache invalidated (index version ${version})`);
+  return version;
+}
+
+/**
+ * Memory key for an entry or probe
+ * @param {Object} item - Entry or probe { indexVersion, tenantId, language, key }
+ * @returns {string} Key
+ */
+function memoryKey(item) {
+  return `${item.indexVersion}|${item.tenantId}|${item.language}|${item.key}`;
+}
+
+/**
+ * Look up an exact match in memory
+ * @param {Object} probe - From lookupAnswer()
+ * @returns {Object|null} Entry
+ */
+function memoryExactMatch(probe) {
+  const entry = memoryEntries.get(memoryKey(probe));
+  return entry && Date.now() - entry.createdAt < TTL_MS ? entry : null;
+}
+
+/**
+ * Find the closest cached question in memory
+ * @param {Object} probe - From lookupAnswer()
+ * @returns {Object|null} { entry, similarity }
+ */
+function memorySemanticMatch(probe) {
+  let best = null;
+  for (const entry of memoryEntries.values()) {
+    if (entry.indexVersion !== probe.indexVersion || entry.tenantId !== probe.tenantId || entry.language !== probe.language) continue;
+    if (Date.now() - entry.createdAt >= TTL_MS || !entry.embedding) continue;
+
+    const similarity = cosineSimilarity(probe.embedding, entry.embedding);
+    if (similarity >= SIMILARITY_THRESHOLD && (!best || similarity > best.similarity)) {
+      best = { entry, similarity };
+    }
+  }
+  return best;
+}
+
+/**
+ * Record a memory hit (moves the entry to the back of the LRU order)
+ * @param {Object} entry - Cache entry
+ */
+function touchMemoryEntry(entry) {
+  const mapKey = memoryKey(entry);
+  memoryEntries.delete(mapKey);
+  entry.hits++;
+  memoryEntries.set(mapKey, entry);
+}
+
+/**
+ * Look up an exact match in Supabase
+ * @param {Object} supabase - Supabase client
+ * @param {Object} probe - From lookupAnswer()
+ * @returns {Promise<Object|null>} Row { id, question, response, hit_count }
+ */
+async function supabaseExactMatch(supabase, probe) {
+  const { data, error } = await supabase
+    .from(CACHE_TABLE)
+    .select('id, question, response, hit_count')
+    .eq('index_version', probe.indexVersion)
+    .eq('tenant_id', probe.tenantId)
+    .eq('language', probe.language)
+    .eq('question_key', probe.key)
+    .gt('created_at', new Date(Date.now() - TTL_MS).toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Find the closest cached question in Supabase
+ * @param {Object} supabase - Supabase client
+ * @param {Object} probe - From lookupAnswer()
+ * @returns {Promise<Object|null>} Row { id, question, response, similarity }
+ */
+async function supabaseSemanticMatch(supabase, probe) {
+  const { data, error } = await supabase.rpc('match_answer_cache', {
+    query_embedding: probe.embedding,
+    cache_index_version: probe.indexVersion,
+    cache_tenant: probe.tenantId,
+    cache_language: probe.language,
+    match_threshold: SIMILARITY_THRESHOLD,
+    created_after: new Date(Date.now() - TTL_MS).toISOString()
+  });
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Record a Supabase hit (fire and forget)
+ * @param {Object} supabase - Supabase client
+ * @param {Object} row - Matched row
+ */
+function touchSupabaseRow(supabase, row) {
+  supabase
+    .from(CACHE_TABLE)
+    .update({ hit_count: (row.hit_count || 0) + 1, last_hit_at: new Date().toISOString() })
+    .eq('id', row.id)
+    .then(({ error }) => {
+      if (error) console.warn(`⚠️  Answer cache: could not record hit (${error.message})`);
+    });
+}
+
+/**
+ * Look up a cached answer
+ *
+ * @param {string} question - Question (English - the pipeline's working language)
+ * @param {string} language - Language code the answer is written in
+ * @param {string} tenantId - Tenant the answer belongs to (answers quote its prices and phone)
+ * @returns {Promise<Object>} Probe { key, tenantId, language, indexVersion, embedding, hit } - pass it to
+ *   storeAnswer() on a miss. hit is { response, match: 'exact' | 'semantic', similarity, cachedQuestion }
+ *   or null; indexVersion is null when the cache is off or unavailable.
+ */
+async function lookupAnswer(question, language = 'en', tenantId = DEFAULT_TENANT_ID) {
+  const probe = { key: normalizeQuestion(question), tenantId, language, indexVersion: null, embedding: null, hit: null };
+  const backend = getCacheBackend();
+  if (backend === 'off' || !probe.key) {
+    return probe;
+  }
+
+  try {
+    probe.indexVersion = await getIndexVersion();
+    if (!probe.indexVersion) {
+      return probe;
+    }
+
+    const supabase = backend === 'supabase' ? getSupabase() : null;
+
+    const exact = supabase ? await supabaseExactMatch(supabase, probe) : memoryExactMatch(probe);
+    if (exact) {
+      if (supabase) {
+        touchSupabaseRow(supabase, exact);
+      } else {
+        touchMemoryEntry(exact);
+      }
+      probe.hit = { response: exact.response, match: 'exact', similarity: 1, cachedQuestion: exact.question };
+      return probe;
+    }
+
+    probe.embedding = await embedText(question);
+    const semantic = supabase
+      ? await supabaseSemanticMatch(supabase, probe)
+      : memorySemanticMatch(probe);
+    if (!semantic) {
+      return probe;
+    }
+
+    const row = supabase ? semantic : semantic.entry;
+    if (distinguishingTerms(normalizeQuestion(row.question)) !== distinguishingTerms(probe.key)) {
+      return probe;
+    }
+
+    if (!supabase) touchMemoryEntry(row);
+    probe.hit = {
+      response: row.response,
+      match: 'semantic',
+      similarity: parseFloat(semantic.similarity.toFixed(4)),
+      cachedQuestion: row.question
+    };
+    return probe;
+  } catch (error) {
+    console.warn(`⚠️  Answer cache lookup failed: ${error.message}`);
+    probe.indexVersion = null;
+    return probe;
+  }
+}
+
+/**
+ * Store an answer after a cache miss
+ * Stored under the index version seen at lookup time, so an answer generated
+ * while a rebuild was running is never filed under the new version.
+ *
+ * @param {string} question - Question (as passed to lookupAnswer)
+ * @param {Object} probe - From lookupAnswer()
+ * @param {Object} response - Cacheable part of the answer ({ answer, chunks, citations, grounding, ... })
+ * @returns {Promise<boolean>} True if stored
+ */
+async function storeAnswer(question, probe, response) {
+  const backend = getCacheBackend();
+  if (backend === 'off' || !probe || !probe.indexVersion || probe.hit) {
+    return false;
+  }
+
+  try {
+    const embedding = probe.embedding || await embedText(question);
+
+    if (backend === 'supabase') {
+      const { error } = await getSupabase()
+        .from(CACHE_TABLE)
+        .upsert({
+          index_version: probe.indexVersion,
+          tenant_id: probe.tenantId,
+          language: probe.language,
+          question_key: probe.key,
+          question,
+          embedding,
+          response
+        }, { onConflict: 'index_version,tenant_id,language,question_key' });
+      if (error) throw error;
+      return true;
+    }
+
+    memoryEntries.set(memoryKey(probe), {
+      key: probe.key,
+      question,
+      tenantId: probe.tenantId,
+      language: probe.language,
+      indexVersion: probe.indexVersion,
+      embedding,
+      response,
+      createdAt: Date.now(),
+      hits: 0
+    });
+    while (memoryEntries.size > MEMORY_MAX_ENTRIES) {
+      memoryEntries.delete(memoryEntries.keys().next().value);
+    }
+    return true;
+  } catch (error) {
+    console.warn(`⚠️  Answer cache store failed: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  CACHE_BACKENDS,
+  getCacheBackend,
+  normalizeQuestion,
+  getIndexVersion,
+  invalidateAnswerCache,
+  lookupAnswer,
+  storeAnswer
+};
@@ -0,0 +1,416 @@
+/**
+ * Candidacy Service
+ *
+ * The "am I a candidate?" pre-screening questionnaire in the chat UI and the
+ * widget (GET /api/patient/candidacy/questions, POST /api/patient/candidacy).
+ *
+ * The questions are declared in CANDIDACY_QUESTIONS; clients render them one
+ * step at a time and skip a question whose `when` doesn't match the answers so
+ * far. screenCandidacy() turns the answers into the procedures worth
+ * discussing at the consultation, each with the reasons it was picked, plus
+ * notes on timing and things to raise. It follows the criteria in
+ * content/17-qualification-candidacy.md and content/09-lasik-basics.md and is
+ * NOT a diagnosis - only the consultation's scans can say who qualifies.
+ *
+ * The same answers can be sent with a lead (POST /lead), which screens them
+ * again (toLeadCandidacy) so the team sees what the patient saw.
+ */
+
+const { localize } = require('./languageService');
+
+const ADULT_AGE = 18; // Prescriptions usually settle around 18 (content/17-qualification-candidacy.md)
+const READERS_AGE = 40; // "In our 40s, the lens ... becomes rigid" (content/09-lasik-basics.md)
+const LENS_REPLACEMENT_AGE = 45; // From here lens replacement is usually discussed alongside laser options
+const CATARACT_AGE = 60; // Cataracts most commonly come with age
+
+// Asked in this order. `when` maps an earlier question id to the answers that make this one apply.
+const CANDIDACY_QUESTIONS = [
+  {
+    id: 'age',
+    type: 'number',
+    min: 10,
+    max: 100,
+    text: { en: 'How old are you?', es: '¿Cuántos años tiene?' }
+  },
+  {
+    id: 'vision',
+    type: 'choice',
+    text: { en: 'Which best describes your vision?', es: '¿Qué describe mejor su visión?' },
+    options: [
+      { value: 'nearsighted', label: { en: 'Blurry far away (nearsighted)', es: 'Borrosa de lejos (miopía)' } },
+      { value: 'farsighted', label: { en: 'Blurry up close and far (farsighted)', es: 'Borrosa de cerca y de lejos (hipermetropía)' } },
+      { value: 'readers', label: { en: 'I need readers for close-up', es: 'Necesito lentes para leer' } },
+      { value: 'cloudy', label: { en: 'Cloudy, dim or lots of glare', es: 'Nublada, opaca o con mucho deslumbramiento' } },
+      { value: 'unsure', label: { en: 'Not sure', es: 'No estoy seguro/a' } }
+    ]
+  },
+  {
+    id: 'prescription',
+    type: 'choice',
+    when: { vision: ['nearsighted', 'farsighted'] },
+    text: { en: 'How strong is your prescription?', es: '¿Qué tan fuerte es su graduación?' },
+    options: [
+      { value: 'mild', label: { en: 'Mild - I get by without glasses for some things', es: 'Leve - puedo hacer algunas cosas sin lentes' } },
+      { value: 'moderate', label: { en: 'Moderate - I wear them most of the day', es: 'Moderada - los uso casi todo el día' } },
+      { value: 'high', label: { en: 'High - I can\'t see much without them', es: 'Alta - casi no veo sin ellos' } },
+      { value: 'unsure', label: { en: 'Not sure', es: 'No estoy seguro/a' } }
+    ]
+  },
+  {
+    id: 'stable',
+    type: 'boolean',
+    text: {
+      en: 'Has your prescription stayed about the same for at least a year?',
+      es: '¿Su graduación se ha mantenido igual durante al menos un año?'
+    }
+  },
+  {
+    id: 'cornea',
+    type: 'choice',
+    text: {
+      en: 'Has an eye doctor told you about a cornea condition?',
+      es: '¿Algún oftalmólogo le ha mencionado una condición de la córnea?'
+    },
+    options: [
+      { value: 'none', label: { en: 'No', es: 'No' } },
+      { value: 'thin', label: { en: 'Thin corneas', es: 'Córneas delgadas' } },
+      { value: 'keratoconus', label: { en: 'Keratoconus', es: 'Queratocono' } },
+      { value: 'unsure', label: { en: 'Not sure', es: 'No estoy seguro/a' } }
+    ]
+  },
+  {
+    id: 'dryEye',
+    type: 'choice',
+    text: { en: 'Do you have dry eyes?', es: '¿Tiene ojo seco?' },
+    options: [
+      { value: 'none', label: { en: 'No', es: 'No' } },
+      { value: 'mild', label: { en: 'Sometimes - drops help', es: 'A veces - las gotas me ayudan' } },
+      { value: 'severe', label: { en: 'Often, or I\'m being treated for it', es: 'Con frecuencia, o estoy en tratamiento' } }
+    ]
+  },
+  {
+    id: 'pregnant',
+    type: 'boolean',
+    text: { en: 'Are you pregnant or nursing?', es: '¿Está embarazada o amamantando?' }
+  },
+  {
+    id: 'priorSurgery',
+    type: 'choice',
+    text: { en: 'Have you had eye surgery before?', es: '¿Ha tenido cirugía de los ojos antes?' },
+    options: [
+      { value: 'none', label: { en: 'No', es: 'No' } },
+      { value: 'laser', label: { en: 'LASIK, PRK or SMILE', es: 'LASIK, PRK o SMILE' } },
+      { value: 'cataract', label: { en: 'Cataract or lens surgery', es: 'Cirugía de cataratas o de cristalino' } },
+      { value: 'other', label: { en: 'Something else', es: 'Otra' } }
+    ]
+  }
+];
+
+const PROCEDURE_LABELS = {
+  lasik: { en: 'LASIK', es: 'LASIK' },
+  smile: { en: 'SMILE', es: 'SMILE' },
+  prk: { en: 'PRK', es: 'PRK' },
+  icl: { en: 'EVO ICL', es: 'EVO ICL' },
+  rle: { en: 'Lens Replacement (RLE)', es: 'Reemplazo de cristalino (RLE)' },
+  cataract: { en: 'Cataract surgery', es: 'Cirugía de cataratas' }
+};
+
+// Reasons and notes, keyed so the rules below read as rules
+const MESSAGES = {
+  laser: {
+    en: 'Laser vision correction treats nearsighted and farsighted prescriptions',
+    es: 'La corrección láser trata la miopía y la hipermetropía'
+  },
+  smileNearsighted: {
+    en: 'SMILE treats nearsighted prescriptions through a small incision',
+    es: 'SMILE trata la miopía a través de una pequeña incisión'
+  },
+  iclHigh: {
+    en: 'EVO ICL suits higher prescriptions',
+    es: 'EVO ICL es adecuado para graduaciones altas'
+  },
+  iclCornea: {
+    en: 'EVO ICL doesn\'t remove any corneal tissue',
+    es: 'EVO ICL no retira tejido de la córnea'
+  },
+  iclAlternative: {
+    en: 'EVO ICL is an excellent option for people who don\'t qualify for LASIK',
+    es: 'EVO ICL es una excelente opción para quienes no califican para LASIK'
+  },
+  iclDryEye: {
+    en: 'EVO ICL does not aggravate pre-existing dry eye',
+    es: 'EVO ICL no empeora el ojo seco existente'
+  },
+  prkThinCornea: {
+    en: 'PRK reshapes the surface without creating a corneal window, leaving more of a thin cornea',
+    es: 'PRK trabaja en la superficie sin crear una ventana en la córnea, conservando más córnea'
+  },
+  keratoconus: {
+    en: 'We have helped hundreds of people with keratoconus using specific procedures',
+    es: 'Hemos ayudado a cientos de personas con queratocono con procedimientos específicos'
+  },
+  rleReaders: {
+    en: 'Needing readers in your 40s or later means the natural lens has stiffened; lens replacement corrects that',
+    es: 'Necesitar lentes para leer después de los 40 significa que el cristalino se ha endurecido; el reemplazo de cristalino lo corrige'
+  },
+  rleNoCataract: {
+    en: 'Lens replacement also means you will never develop a cataract',
+    es: 'El reemplazo de cristalino también significa que nunca desarrollará cataratas'
+  },
+  cataractSigns: {
+    en: 'Cloudy or dim vision and glare are common signs of a cataract',
+    es: 'La visión nublada u opaca y el deslumbramiento son signos comunes de cataratas'
+  },
+  cataractAge: {
+    en: 'Cataracts most commonly come with age, and the new lens can correct your prescription too',
+    es: 'Las cataratas aparecen con la edad, y el nuevo lente también puede corregir su graduación'
+  },
+  enhancement: {
+    en: 'After earlier laser surgery, a touch-up (enhancement) can often fine-tune your vision',
+    es: 'Después de una cirugía láser previa, un retoque a menudo puede afinar su visión'
+  },
+  afterLensSurgery: {
+    en: 'With a lens implant already in place, a laser touch-up is the usual way to fine-tune vision',
+    es: 'Con un lente intraocular ya colocado, un retoque láser es la forma habitual de afinar la visión'
+  },
+  waitAge: {
+    en: 'Prescriptions usually settle around age 18 - we can look at options once yours has been stable for a year',
+    es: 'La graduación suele estabilizarse alrededor de los 18 años - podemos ver opciones cuando la suya lleve un año estable'
+  },
+  waitStable: {
+    en: 'Your prescription should be stable for at least a year before surgery; the consultation can confirm when it is',
+    es: 'Su graduación debe estar estable al menos un año antes de la cirugía; la consulta puede confirmarlo'
+  },
+  waitPregnant: {
+    en: 'Pregnancy and nursing can change your prescription, so surgery is usually planned for after nursing ends',
+    es: 'El embarazo y la lactancia pueden cambiar su graduación, así que la cirugía suele planearse después de la lactancia'
+  },
+  dryEyeFirst: {
+    en: 'Dry eye is usually treated before surgery - mention it at your consultation',
+    es: 'El ojo seco suele tratarse antes de la cirugía - menciónelo en su consulta'
+  },
+  corneaUnsure: {
+    en: 'Corneal thickness and shape are measured at the consultation and decide between laser and lens options',
+    es: 'El grosor y la forma de la córnea se miden en la consulta y deciden entre opciones láser y de lente'
+  },
+  otherSurgery: {
+    en: 'Bring details of your previous eye surgery to the consultation',
+    es: 'Traiga los detalles de su cirugía ocular previa a la consulta'
+  },
+  noMatch: {
+    en: 'Your answers don\'t point to a particular procedure - the consultation will show which options fit your eyes',
+    es: 'Sus respuestas no apuntan a un procedimiento en particular - la consulta mostrará qué opciones se ajustan a sus ojos'
+  },
+  disclaimer: {
+    en: 'This is not a diagnosis. Only a consultation with comprehensive scans can tell which procedures you qualify for.',
+    es: 'Esto no es un diagnóstico. Solo una consulta con estudios completos puede decir para qué procedimientos califica.'
+  }
+};
+
+/**
+ * Check whether a question applies given the answers so far
+ * @param {Object} question - Entry of CANDIDACY_QUESTIONS
+ * @param {Object} answers - Answers by question id
+ * @returns {boolean} True if the question should be asked
+ */
+function isAsked(question, answers) {
+  if (!question.when) return true;
+  return Object.entries(question.when).every(([id, values]) => values.includes(answers[id]));
+}
+
+/**
+ * The questionnaire in one language, for clients to render
+ * @param {string} [language] - Language code (default 'en')
+ * @returns {Object} { questions: [{ id, type, text, min?, max?, when?, options?: [{ value, label }] }], disclaimer }
+ */
+function getQuestionnaire(language = 'en') {
+  return {
+    questions: CANDIDACY_QUESTIONS.map(question => ({
+      id: question.id,
+      type: question.type,
+      text: localize(language, question.text),
+      ...(question.min !== undefined ? { min: question.min, max: question.max } : {}),
+      ...(question.when ? { when: question.when } : {}),
+      ...(question.options
+        ? { options: question.options.map(option => ({ value: option.value, label: localize(language, option.label) })) }
+        : {})
+    })),
+    disclaimer: localize(language, MESSAGES.disclaimer)
+  };
+}
+
+/**
+ * Validate questionnaire answers
+ * Every question that applies must be answered; answers to questions that don't apply are ignored.
+ * @param {*} answers - Answers by question id
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAnswers(answers) {
+  if (typeof answers !== 'object' || answers === null || Array.isArray(answers)) {
+    return 'answers must be an object';
+  }
+  for (const question of CANDIDACY_QUESTIONS) {
+    if (!isAsked(question, answers)) continue;
+    const answer = answers[question.id];
+    if (answer === undefined || answer === null) {
+      return `${question.id} is required`;
+    }
+    if (question.type === 'number' && !(Number.isInteger(answer) && answer >= question.min && answer <= question.max)) {
+      return `${question.id} must be a whole number from ${question.min} to ${question.max}`;
+    }
+    if (question.type === 'boolean' && typeof answer !== 'boolean') {
+      return `${question.id} must be true or false`;
+    }
+    if (question.type === 'choice' && !question.options.some(option => option.value === answer)) {
+      return `${question.id} must be one of ${question.options.map(option => option.value).join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Keep only the answers to questions that apply
+ * @param {Object} answers - Validated answers
+ * @returns {Object} Answers by question id
+ */
+function pickAnswers(answers) {
+  const picked = {};
+  for (const question of CANDIDACY_QUESTIONS) {
+    if (isAsked(question, answers)) {
+      picked[question.id] = answers[question.id];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Screen questionnaire answers for the procedures worth discussing at a consultation
+ *
+ * Not a diagnosis: procedures are the ones a patient with these answers would
+ * usually talk through with the surgeon, best fit first. `ready` is false when
+ * age, an unsettled prescription or pregnancy means surgery would wait - the
+ * procedures are still listed so the patient knows what to ask about later.
+ *
+ * @param {Object} answers - Answers by question id (validate with validateAnswers first)
+ * @param {string} [language] - Language code for labels and reasons (default 'en')
+ * @returns {Object} { ready, procedures: [{ key, label, reasons: [string] }], notes: [string], disclaimer, answers }
+ */
+function screenCandidacy(answers, language = 'en') {
+  const asked = pickAnswers(answers);
+  const { age, vision, prescription, stable, cornea, dryEye, pregnant, priorSurgery } = asked;
+  const reasons = new Map(); // key -> [message], in order of fit
+  const excluded = new Set();
+  const notes = [];
+
+  const suggest = (key, message) => {
+    if (!reasons.has(key)) reasons.set(key, []);
+    if (!reasons.get(key).includes(message)) reasons.get(key).push(message);
+  };
+
+  // Which procedures the answers point to
+  if (priorSurgery === 'cataract') {
+    suggest('prk', MESSAGES.afterLensSurgery);
+    suggest('lasik', MESSAGES.afterLensSurgery);
+    ['icl', 'rle', 'cataract', 'smile'].forEach(key => excluded.add(key));
+  } else {
+    if (vision === 'cloudy' || (age >= CATARACT_AGE && vision !== 'nearsighted' && vision !== 'farsighted')) {
+      suggest('cataract', vision === 'cloudy' ? MESSAGES.cataractSigns : MESSAGES.cataractAge);
+    }
+    if (priorSurgery === 'laser') {
+      suggest('prk', MESSAGES.enhancement);
+      suggest('lasik', MESSAGES.enhancement);
+    }
+    if (prescription === 'high' && vision === 'nearsighted') {
+      suggest('icl', MESSAGES.iclHigh);
+    }
+    if (['nearsighted', 'farsighted', 'unsure'].includes(vision) && priorSurgery !== 'laser') {
+      suggest('lasik', MESSAGES.laser);
+      if (vision !== 'farsighted') suggest('smile', MESSAGES.smileNearsighted);
+      suggest('prk', MESSAGES.laser);
+      if (vision !== 'farsighted') suggest('icl', MESSAGES.iclAlternative);
+    }
+    if (age >= READERS_AGE && vision === 'readers') {
+      suggest('rle', MESSAGES.rleReaders);
+    }
+    if (age >= LENS_REPLACEMENT_AGE && vision !== 'cloudy') {
+      suggest('rle', MESSAGES.rleNoCataract);
+    }
+  }
+
+  // What rules some of them out, or makes another a better fit
+  if (cornea === 'keratoconus') {
+    ['lasik', 'smile', 'prk'].forEach(key => excluded.add(key));
+    if (!excluded.has('icl')) suggest('icl', MESSAGES.keratoconus);
+    if (reasons.has('rle')) suggest('rle', MESSAGES.keratoconus);
+  } else if (cornea === 'thin') {
+    ['lasik', 'smile'].forEach(key => excluded.add(key));
+    if (reasons.has('prk')) suggest('prk', MESSAGES.prkThinCornea);
+    if (reasons.has('icl')) suggest('icl', MESSAGES.iclCornea);
+  } else if (cornea === 'unsure') {
+    notes.push(localize(language, MESSAGES.corneaUnsure));
+  }
+
+  if (dryEye === 'severe') {
+    excluded.add('lasik');
+    if (reasons.has('icl')) suggest('icl', MESSAGES.iclDryEye);
+  }
+  if (dryEye === 'mild' || dryEye === 'severe') {
+    notes.push(localize(language, MESSAGES.dryEyeFirst));
+  }
+
+  // When surgery would wait
+  let ready = true;
+  if (age < ADULT_AGE) {
+    ready = false;
+    notes.unshift(localize(language, MESSAGES.waitAge));
+  } else if (stable === false) {
+    ready = false;
+    notes.unshift(localize(language, MESSAGES.waitStable));
+  }
+  if (pregnant) {
+    ready = false;
+    notes.unshift(localize(language, MESSAGES.waitPregnant));
+  }
+  if (priorSurgery === 'other') {
+    notes.push(localize(language, MESSAGES.otherSurgery));
+  }
+
+  const procedures = [...reasons.entries()]
+    .filter(([key]) => !excluded.has(key))
+    .map(([key, messages]) => ({
+      key,
+      label: localize(language, PROCEDURE_LABELS[key]),
+      reasons: messages.map(message => localize(language, message))
+    }));
+  if (procedures.length === 0) {
+    notes.push(localize(language, MESSAGES.noMatch));
+  }
+
+  return {
+    ready,
+    procedures,
+    notes,
+    disclaimer: localize(language, MESSAGES.disclaimer),
+    answers: asked
+  };
+}
+
+/**
+ * Screen answers sent with a lead into what the team sees on the lead record
+ * Screened in English for the team, whatever language the patient used.
+ * @param {Object} answers - Answers by question id (validate with validateAnswers first)
+ * @returns {Object} { answers, ready, procedures, notes }
+ */
+function toLeadCandidacy(answers) {
+  const { ready, procedures, notes, answers: asked } = screenCandidacy(answers);
+  return { answers: asked, ready, procedures, notes };
+}
+
+module.exports = {
+  CANDIDACY_QUESTIONS,
+  isAsked,
+  getQuestionnaire,
+  validateAnswers,
+  screenCandidacy,
+  toLeadCandidacy
+};
@@ -0,0 +1,149 @@
+/**
+ * Citation Service
+ *
+ * Turns the [n] markers the model puts after statements into a structured
+ * citations array that points each number at the content/*.md file and the
+ * FAQ heading it came from, so front ends can render source cards without
+ * parsing the answer text.
+ *
+ * Marker numbers are the "[Source n: ...]" numbers from the prompt, so they
+ * match the streamed text as-is. Chunks carry metadata.sections (heading,
+ * heading path and offset) from the indexer; the cited section is the one
+ * whose text best overlaps the sentences citing it.
+ *
+ * Set CONTENT_BASE_URL to give each citation a link (e.g. a docs site or the
+ * repo's content folder); otherwise citations carry no url.
+ */
+
+const { tokenize } = require('../lexical-index');
+require('dotenv').config();
+
+const MARKER_PATTERN = /\[(?:Source\s*)?(\d+(?:\s*,\s*\d+)*)\]/gi;
+const EXCERPT_LENGTH = 280;
+
+/**
+ * GitHub-style heading anchor
+ * @param {string} heading - Heading text
+ * @returns {string} Anchor slug
+ */
+function toAnchor(heading) {
+  return heading
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+/**
+ * Shorten text at a word boundary
+ * @param {string} text - Text
+ * @param {number} maxLength - Max characters
+ * @returns {string} Excerpt
+ */
+function toExcerpt(text, maxLength = EXCERPT_LENGTH) {
+  const trimmed = text.trim();
+  if (trimmed.length <= maxLength) return trimmed;
+  return trimmed.substring(0, trimmed.lastIndexOf(' ', maxLength)) + '…';
+}
+
+/**
+ * Split a chunk into its sections
+ * @param {Object} chunk - Retrieved chunk ({ text, sections })
+ * @returns {Array} [{ heading, path, text }] - a single untitled section when the chunk has no section metadata
+ */
+function splitSections(chunk) {
+  const sections = chunk.sections || [];
+  if (sections.length === 0) {
+    return [{ heading: null, path: chunk.headingPath || [], text: chunk.text }];
+  }
+
+  return sections.map((section, idx) => {
+    const end = idx + 1 < sections.length ? sections[idx + 1].offset : chunk.text.length;
+    let text = chunk.text.substring(section.offset, end);
+    // Drop the heading itself from the excerpt
+    if (text.startsWith(section.heading)) {
+      text = text.substring(section.heading.length);
+    }
+    return { heading: section.heading, path: section.path || [section.heading], text };
+  });
+}
+
+/**
+ * Pick the section of a chunk that a set of sentences most likely came from
+ * @param {Object} chunk - Retrieved chunk
+ * @param {Array<string>} sentences - Answer sentences citing the chunk
+ * @returns {Object} { heading, path, text }
+ */
+function matchSection(chunk, sentences) {
+  const sections = splitSections(chunk);
+  if (sections.length === 1) return sections[0];
+
+  const cited = new Set(tokenize(sentences.join(' ')));
+  let best = sections[0];
+  let bestScore = -1;
+
+  for (const section of sections) {
+    const terms = new Set(tokenize(`${section.heading} ${section.text}`));
+    let score = 0;
+    for (const term of cited) {
+      if (terms.has(term)) score++;
+    }
+    if (score > bestScore && section.text.trim()) {
+      best = section;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Build the citations for an answer
+ *
+ * @param {string} answer - Answer text with [n] markers
+ * @param {Array} chunks - Chunks in the order they were numbered in the prompt
+ * @returns {Array} [{ number, id, filename, chunkId, heading, headingPath, anchor, excerpt, url }] in number order;
+ *   markers pointing at a source that doesn't exist are ignored
+ */
+function buildCitations(answer, chunks) {
+  if (!answer || !chunks || chunks.length === 0) return [];
+
+  // Collect the sentences that cite each source
+  const citingSentences = new Map();
+  for (const sentence of answer.split(/(?<=[.!?])\s+|\n+/)) {
+    for (const match of sentence.matchAll(MARKER_PATTERN)) {
+      for (const number of match[1].split(',').map(n => parseInt(n, 10))) {
+        if (number < 1 || number > chunks.length) continue;
+        if (!citingSentences.has(number)) citingSentences.set(number, []);
+        citingSentences.get(number).push(sentence.replace(MARKER_PATTERN, '').trim());
+      }
+    }
+  }
+
+  const baseUrl = (process.env.CONTENT_BASE_URL || '').replace(/\/+$/, '');
+
+  return Array.from(citingSentences.keys())
+    .sort((a, b) => a - b)
+    .map(number => {
+      const chunk = chunks[number - 1];
+      const section = matchSection(chunk, citingSentences.get(number));
+      const anchor = section.heading ? toAnchor(section.heading) : null;
+
+      return {
+        number,
+        id: chunk.id,
+        filename: chunk.filename,
+        chunkId: chunk.chunkId,
+        heading: section.heading,
+        headingPath: section.path,
+        anchor,
+        excerpt: toExcerpt(section.text),
+        url: baseUrl ? `${baseUrl}/${chunk.filename}${anchor ? `#${anchor}` : ''}` : null
+      };
+    });
+}
+
+module.exports = {
+  buildCitations,
+  toAnchor
+};
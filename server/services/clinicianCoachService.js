@@ -14,15 +14,21 @@
  *   - Patient RAG system (server/rag.js)
  */
 
-const { FormData, fetch } = require('undici');
 require('dotenv').config();
 
+const { chatCompletion, getModel, checkConfiguration: checkProviderConfig } = require('../providers');
+
 const { loadRubric, loadChecklist } = require('../coach/rubricLoader');
 const { runHardChecks } = require('../coach/hardChecks');
 const { buildCoachMessages } = require('../prompts/clinician/buildCoachMessages');
 
-// Model configuration - matches patient-side for consistency
-const GPT_MODEL = process.env.CLINICIAN_COACH_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+/**
+ * Model used for coaching - CLINICIAN_COACH_MODEL, else the provider's chat model
+ * @returns {string} Model name
+ */
+function getCoachModel() {
+  return process.env.CLINICIAN_COACH_MODEL || getModel('chat');
+}
 
 /**
  * Detect the most appropriate rubric based on transcript content
@@ -36,49 +42,22 @@ function detectRubric(transcript) {
 }
 
 /**
- * Call OpenAI API for coaching analysis
+ * Call the chat model for coaching analysis
  * 
  * @param {Array} messages - Messages array for chat completion
- * @returns {Promise<Object>} - Parsed LLM response
+ * @returns {Promise<Object>} - { content, usage: { promptTokens, completionTokens, totalTokens }, model }
  */
-async function callOpenAI(messages) {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY environment variable not set');
-  }
-
-  console.log(`🤖 Calling OpenAI (${GPT_MODEL}) for coaching analysis...`);
-
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model: GPT_MODEL,
-      messages,
-      temperature: 0.3, // Lower temperature for more consistent output
-      max_tokens: 2000,
-      response_format: { type: 'json_object' } // Force JSON output
-    })
+async function callLLM(messages) {
+  const model = getCoachModel();
+  console.log(`🤖 Calling ${checkProviderConfig('chat').provider} (${model}) for coaching analysis...`);
+
+  return chatCompletion({
+    model,
+    messages,
+    temperature: 0.3, // Lower temperature for more consistent output
+    maxTokens: 2000,
+    responseFormat: 'json' // Force JSON output
   });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error(`❌ OpenAI API error: ${response.status}`, errorText);
-    throw new Error(`OpenAI API error: ${response.status} - ${errorText}`);
-  }
-
-  const data = await response.json();
-  
-  if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-    throw new Error('Invalid response structure from OpenAI');
-  }
-
-  return {
-    content: data.choices[0].message.content,
-    usage: data.usage
-  };
 }
 
 /**
@@ -154,11 +133,12 @@ async function analyzeTranscript({ transcript, rubricId }) {
     };
   }
 
-  // Check for API key
-  if (!process.env.OPENAI_API_KEY) {
+  // Check the model provider is usable
+  const providerConfig = checkProviderConfig('chat');
+  if (!providerConfig.configured) {
     return {
       success: false,
-      error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.'
+      error: `Model provider not configured: ${providerConfig.error}`
     };
   }
 
@@ -204,8 +184,8 @@ async function analyzeTranscript({ transcript, rubricId }) {
     });
 
     // Call LLM
-    const llmResponse = await callOpenAI(messages);
-    console.log(`✅ LLM response received (${llmResponse.usage?.total_tokens || 'unknown'} tokens)`);
+    const llmResponse = await callLLM(messages);
+    console.log(`✅ LLM response received (${llmResponse.usage?.totalTokens || 'unknown'} tokens)`);
 
     // Parse LLM response
     const llmFeedback = parseLLMResponse(llmResponse.content);
@@ -227,8 +207,11 @@ async function analyzeTranscript({ transcript, rubricId }) {
         overall: overallScore
       },
       meta: {
-        model: GPT_MODEL,
-        tokensUsed: llmResponse.usage?.total_tokens || null
+        model: llmResponse.model,
+        provider: providerConfig.provider,
+        tokensUsed: llmResponse.usage?.totalTokens || null,
+        promptTokens: llmResponse.usage?.promptTokens || null,
+        completionTokens: llmResponse.usage?.completionTokens || null
       }
     };
 
@@ -246,15 +229,9 @@ async function analyzeTranscript({ transcript, rubricId }) {
  * @returns {Object} - { configured: boolean, error?: string }
  */
 function checkConfiguration() {
-  if (!process.env.OPENAI_API_KEY) {
-    return {
-      configured: false,
-      error: 'OPENAI_API_KEY environment variable not set'
-    };
-  }
-  return { 
-    configured: true,
-    model: GPT_MODEL
+  return {
+    ...checkProviderConfig('chat'),
+    model: getCoachModel()
   };
 }
 
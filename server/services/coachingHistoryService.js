@@ -0,0 +1,233 @@
+/**
+ * Coaching History Service
+ *
+ * Persists clinician coaching runs in the coaching_sessions table and
+ * reads them back for the history panel:
+ * - saveSession: store a /coach or /analyze result
+ * - listSessions: paginated summaries with date and rubric filters
+ * - getSession: one full session (transcript + analysis)
+ * - deleteSession: remove one session
+ *
+ * The server uses the service-role key, which bypasses RLS, so every query
+ * here is explicitly scoped to the requesting user's id.
+ */
+
+const { getSupabase } = require('../supabase');
+
+const SESSIONS_TABLE = 'coaching_sessions';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Columns for list views - everything except the (large) transcript and analysis
+const SUMMARY_COLUMNS = 'id, rubric_id, score_overall, score_coverage, score_safety, metadata, created_at';
+
+/**
+ * Map a coaching_sessions row to the API shape
+ * @param {Object} row - Database row
+ * @returns {Object} Session summary (plus transcript/analysis when selected)
+ */
+function formatSession(row) {
+  const session = {
+    id: row.id,
+    rubricId: row.rubric_id,
+    rubricTitle: row.metadata?.rubricTitle || row.analysis_result?.rubricTitle || null,
+    score: {
+      overall: row.score_overall,
+      coverageScore: row.score_coverage,
+      safetyScore: row.score_safety
+    },
+    source: row.metadata?.source || null,
+    tokensUsed: row.metadata?.tokensUsed ?? null,
+    createdAt: row.created_at
+  };
+
+  if (row.transcript !== undefined) {
+    session.transcript = row.transcript;
+  }
+  if (row.analysis_result !== undefined) {
+    session.analysis = row.analysis_result;
+  }
+  if (row.metadata !== undefined) {
+    session.metadata = row.metadata;
+  }
+
+  return session;
+}
+
+/**
+ * Save a coaching run
+ *
+ * @param {Object} params - Session details
+ * @param {string} params.userId - Clinician's user id
+ * @param {string} params.transcript - Consultation transcript
+ * @param {Object} params.analysis - Result from analyzeTranscript()
+ * @param {string} params.source - 'coach_endpoint' or 'analyze_endpoint'
+ * @param {Object} [params.metadata] - Extra metadata (filename, timings, ...)
+ * @returns {Promise<string|null>} New session id, or null if not saved
+ */
+async function saveSession({ userId, transcript, analysis, source, metadata = {} }) {
+  const supabase = getSupabase();
+  if (!supabase || !userId) {
+    return null;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(SESSIONS_TABLE)
+      .insert({
+        user_id: userId,
+        transcript,
+        analysis_result: {
+          rubricId: analysis.rubricId,
+          rubricTitle: analysis.rubricTitle,
+          hardChecks: analysis.hardChecks,
+          llmFeedback: analysis.llmFeedback,
+          score: analysis.score,
+          meta: analysis.meta || null
+        },
+        rubric_id: analysis.rubricId,
+        score_overall: analysis.score.overall,
+        score_coverage: analysis.score.coverageScore,
+        score_safety: analysis.score.safetyScore,
+        metadata: {
+          source,
+          rubricTitle: analysis.rubricTitle,
+          model: analysis.meta?.model || null,
+          tokensUsed: analysis.meta?.tokensUsed ?? null,
+          promptTokens: analysis.meta?.promptTokens ?? null,
+          completionTokens: analysis.meta?.completionTokens ?? null,
+          ...metadata
+        }
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('⚠️ Failed to save coaching session:', error);
+      return null;
+    }
+
+    console.log('💾 Coaching session saved to database');
+    return data.id;
+  } catch (dbError) {
+    console.error('⚠️ Database error saving coaching session:', dbError);
+    return null;
+  }
+}
+
+/**
+ * List a clinician's coaching sessions, newest first
+ *
+ * @param {Object} params - Query parameters
+ * @param {string} params.userId - Clinician's user id
+ * @param {number} [params.page=1] - 1-based page number
+ * @param {number} [params.pageSize=20] - Sessions per page (max 100)
+ * @param {string} [params.from] - ISO date; only sessions on/after this time
+ * @param {string} [params.to] - ISO date; only sessions on/before this time
+ * @param {string} [params.rubricId] - Only sessions scored with this rubric
+ * @returns {Promise<Object>} { sessions, pagination: { page, pageSize, total, totalPages } }
+ */
+async function listSessions({ userId, page = 1, pageSize = DEFAULT_PAGE_SIZE, from, to, rubricId }) {
+  const supabase = getSupabase();
+  if (!supabase) {
+    throw new Error('Supabase is not configured');
+  }
+
+  const safePage = Math.max(1, parseInt(page, 10) || 1);
+  const safePageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE));
+  const offset = (safePage - 1) * safePageSize;
+
+  let query = supabase
+    .from(SESSIONS_TABLE)
+    .select(SUMMARY_COLUMNS, { count: 'exact' })
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + safePageSize - 1);
+
+  if (from) {
+    query = query.gte('created_at', from);
+  }
+  if (to) {
+    query = query.lte('created_at', to);
+  }
+  if (rubricId) {
+    query = query.eq('rubric_id', rubricId);
+  }
+
+  const { data, error, count } = await query;
+  if (error) {
+    throw error;
+  }
+
+  const total = count || 0;
+  return {
+    sessions: (data || []).map(formatSession),
+    pagination: {
+      page: safePage,
+      pageSize: safePageSize,
+      total,
+      totalPages: Math.ceil(total / safePageSize)
+    }
+  };
+}
+
+/**
+ * Get a single coaching session with transcript and full analysis
+ *
+ * @param {string} userId - Clinician's user id
+ * @param {string} sessionId - Session id
+ * @returns {Promise<Object|null>} Session, or null if not found for this user
+ */
+async function getSession(userId, sessionId) {
+  const supabase = getSupabase();
+  if (!supabase) {
+    throw new Error('Supabase is not configured');
+  }
+
+  const { data, error } = await supabase
+    .from(SESSIONS_TABLE)
+    .select(`${SUMMARY_COLUMNS}, transcript, analysis_result`)
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data ? formatSession(data) : null;
+}
+
+/**
+ * Delete a coaching session
+ *
+ * @param {string} userId - Clinician's user id
+ * @param {string} sessionId - Session id
+ * @returns {Promise<boolean>} True if a session was deleted
+ */
+async function deleteSession(userId, sessionId) {
+  const supabase = getSupabase();
+  if (!supabase) {
+    throw new Error('Supabase is not configured');
+  }
+
+  const { data, error } = await supabase
+    .from(SESSIONS_TABLE)
+    .delete()
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).length > 0;
+}
+
+module.exports = {
+  saveSession,
+  listSessions,
+  getSession,
+  deleteSession
+};
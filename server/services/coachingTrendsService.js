@@ -0,0 +1,272 @@
+/**
+ * Coaching Trends Service
+ *
+ * Aggregates saved coaching sessions into progress data for managers:
+ * - Score trend per period (overall, must-say coverage, must-not-say violations)
+ * - Recurring missed items (hard-check must-say misses + LLM missedItems)
+ * - Recurring must-not-say violations
+ * - Per-clinician summaries (admins only)
+ *
+ * Like coachingHistoryService, queries run with the service-role key, so the
+ * caller decides which user ids are visible.
+ */
+
+const { getSupabase } = require('../supabase');
+
+const SESSIONS_TABLE = 'coaching_sessions';
+const MAX_TREND_SESSIONS = 2000; // Safety cap on rows pulled for one report
+const RECURRING_MIN_COUNT = 2;   // An item must be missed at least this often to be "recurring"
+const RECURRING_LIMIT = 15;
+
+const INTERVALS = ['day', 'week', 'month'];
+
+// Only the JSON fields the report needs, not the full analysis
+const TREND_COLUMNS = [
+  'id',
+  'user_id',
+  'rubric_id',
+  'score_overall',
+  'score_coverage',
+  'score_safety',
+  'created_at',
+  'mustSay:analysis_result->hardChecks->mustSay',
+  'mustNotSay:analysis_result->hardChecks->mustNotSay',
+  'missedItems:analysis_result->llmFeedback->missedItems'
+].join(', ');
+
+/**
+ * Get the start of the period a date falls in (UTC)
+ * @param {string} isoDate - Session timestamp
+ * @param {string} interval - 'day' | 'week' | 'month'
+ * @returns {string} Period start as YYYY-MM-DD
+ */
+function periodStart(isoDate, interval) {
+  const date = new Date(isoDate);
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  if (interval === 'week') {
+    // Weeks start on Monday
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+
+  return start.toISOString().slice(0, 10);
+}
+
+/**
+ * Average of numbers, ignoring null/undefined
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Rounded average, or null if no values
+ */
+function average(values) {
+  const valid = values.filter(v => typeof v === 'number' && !isNaN(v));
+  if (valid.length === 0) return null;
+  return Math.round(valid.reduce((sum, v) => sum + v, 0) / valid.length);
+}
+
+/**
+ * Count how often each item appears across sessions
+ * @param {Array} sessions - Trend rows
+ * @param {Function} getItems - Returns the item strings for one session
+ * @returns {Array} [{ item, count, share, lastSeen }] sorted by count
+ */
+function countRecurring(sessions, getItems) {
+  const counts = new Map();
+
+  for (const session of sessions) {
+    // Count each item once per session
+    const seen = new Set();
+    for (const raw of getItems(session) || []) {
+      if (typeof raw !== 'string' || raw.trim().length === 0) continue;
+      const key = raw.trim().toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const entry = counts.get(key) || { item: raw.trim(), count: 0, lastSeen: null };
+      entry.count++;
+      if (!entry.lastSeen || session.created_at > entry.lastSeen) {
+        entry.lastSeen = session.created_at;
+      }
+      counts.set(key, entry);
+    }
+  }
+
+  return Array.from(counts.values())
+    .filter(entry => entry.count >= RECURRING_MIN_COUNT)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, RECURRING_LIMIT)
+    .map(entry => ({
+      ...entry,
+      share: Math.round((entry.count / sessions.length) * 100)
+    }));
+}
+
+/**
+ * Build the trend report for a set of sessions
+ * @param {Array} sessions - Trend rows, oldest first
+ * @param {string} interval - 'day' | 'week' | 'month'
+ * @returns {Object} { summary, series, recurringMissedItems, recurringViolations }
+ */
+function aggregateSessions(sessions, interval) {
+  const buckets = new Map();
+
+  for (const session of sessions) {
+    const period = periodStart(session.created_at, interval);
+    if (!buckets.has(period)) {
+      buckets.set(period, []);
+    }
+    buckets.get(period).push(session);
+  }
+
+  const series = Array.from(buckets.entries()).map(([period, rows]) => ({
+    period,
+    sessions: rows.length,
+    overall: average(rows.map(r => r.score_overall)),
+    coverage: average(rows.map(r => r.score_coverage)),
+    safety: average(rows.map(r => r.score_safety)),
+    mustSayHit: rows.reduce((sum, r) => sum + (r.mustSay?.hit || 0), 0),
+    mustSayTotal: rows.reduce((sum, r) => sum + (r.mustSay?.total || 0), 0),
+    violations: rows.reduce((sum, r) => sum + (r.mustNotSay?.violated || 0), 0)
+  }));
+
+  const first = series[0];
+  const last = series[series.length - 1];
+
+  const summary = {
+    sessions: sessions.length,
+    firstSessionAt: sessions.length > 0 ? sessions[0].created_at : null,
+    lastSessionAt: sessions.length > 0 ? sessions[sessions.length - 1].created_at : null,
+    averages: {
+      overall: average(sessions.map(s => s.score_overall)),
+      coverage: average(sessions.map(s => s.score_coverage)),
+      safety: average(sessions.map(s => s.score_safety))
+    },
+    totalViolations: sessions.reduce((sum, s) => sum + (s.mustNotSay?.violated || 0), 0),
+    // Change from the first period to the latest one (null with fewer than two periods)
+    change: series.length > 1 ? {
+      overall: last.overall - first.overall,
+      coverage: last.coverage - first.coverage,
+      safety: last.safety - first.safety
+    } : null
+  };
+
+  return {
+    summary,
+    series,
+    recurringMissedItems: [
+      ...countRecurring(sessions, s => s.mustSay?.missed).map(entry => ({ ...entry, source: 'checklist' })),
+      ...countRecurring(sessions, s => s.missedItems).map(entry => ({ ...entry, source: 'coach' }))
+    ].sort((a, b) => b.count - a.count),
+    recurringViolations: countRecurring(sessions, s => s.mustNotSay?.violations)
+  };
+}
+
+/**
+ * Load name/email for clinicians
+ * @param {Object} supabase - Supabase client
+ * @param {Array<string>} userIds - User ids
+ * @returns {Promise<Map>} id → { email, fullName }
+ */
+async function loadProfiles(supabase, userIds) {
+  if (userIds.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from('user_profiles')
+    .select('id, email, full_name')
+    .in('id', userIds);
+
+  if (error) {
+    console.warn('⚠️ Could not load clinician profiles:', error.message);
+    return new Map();
+  }
+
+  return new Map((data || []).map(p => [p.id, { email: p.email, fullName: p.full_name }]));
+}
+
+/**
+ * Build a score trend report
+ *
+ * @param {Object} params - Report parameters
+ * @param {string|null} params.userId - Clinician to report on, or null for every clinician
+ * @param {boolean} [params.includeClinicians=false] - Add a per-clinician summary list (admin view)
+ * @param {string} [params.from] - ISO date lower bound
+ * @param {string} [params.to] - ISO date upper bound
+ * @param {string} [params.rubricId] - Only sessions scored with this rubric
+ * @param {string} [params.interval='week'] - 'day' | 'week' | 'month'
+ * @returns {Promise<Object>} { interval, summary, series, recurringMissedItems, recurringViolations, clinicians? }
+ */
+async function getScoreTrends({ userId = null, includeClinicians = false, from, to, rubricId, interval = 'week' }) {
+  const supabase = getSupabase();
+  if (!supabase) {
+    throw new Error('Supabase is not configured');
+  }
+
+  const safeInterval = INTERVALS.includes(interval) ? interval : 'week';
+
+  let query = supabase
+    .from(SESSIONS_TABLE)
+    .select(TREND_COLUMNS)
+    .order('created_at', { ascending: false })
+    .limit(MAX_TREND_SESSIONS);
+
+  // The per-clinician list needs everyone's sessions, so filter by user in memory then
+  if (userId && !includeClinicians) {
+    query = query.eq('user_id', userId);
+  }
+  if (from) {
+    query = query.gte('created_at', from);
+  }
+  if (to) {
+    query = query.lte('created_at', to);
+  }
+  if (rubricId) {
+    query = query.eq('rubric_id', rubricId);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw error;
+  }
+
+  // Newest rows were fetched (so the cap drops the oldest); aggregate oldest first
+  const sessions = (data || []).reverse();
+  const scopedSessions = userId ? sessions.filter(s => s.user_id === userId) : sessions;
+  const report = {
+    interval: safeInterval,
+    ...aggregateSessions(scopedSessions, safeInterval)
+  };
+
+  if (includeClinicians) {
+    const byUser = new Map();
+    for (const session of sessions) {
+      if (!byUser.has(session.user_id)) {
+        byUser.set(session.user_id, []);
+      }
+      byUser.get(session.user_id).push(session);
+    }
+
+    const profiles = await loadProfiles(supabase, Array.from(byUser.keys()));
+
+    report.clinicians = Array.from(byUser.entries())
+      .map(([id, rows]) => {
+        const { summary } = aggregateSessions(rows, safeInterval);
+        return {
+          id,
+          email: profiles.get(id)?.email || null,
+          fullName: profiles.get(id)?.fullName || null,
+          ...summary
+        };
+      })
+      .sort((a, b) => (b.lastSessionAt || '').localeCompare(a.lastSessionAt || ''));
+  }
+
+  return report;
+}
+
+module.exports = {
+  INTERVALS,
+  getScoreTrends,
+  aggregateSessions
+};
@@ -0,0 +1,287 @@
+/**
+ * Comparison Service
+ *
+ * Builds a structured comparison for "LASIK vs SMILE" questions: one row per
+ * attribute (recovery time, price range, candidacy, pain, enhancement rate),
+ * one column per procedure, every cell taken from one retrieved chunk.
+ *
+ * The chat model fills the table from the same numbered sources as the answer
+ * prompt in one JSON call, so a cell's `source` is the [n] the answer would
+ * cite. A cell only comes from a chunk about its procedure (front matter tags,
+ * or the heading for general content); cells from other chunks, and cells whose
+ * prices, durations or percentages are not in their source, are dropped (same
+ * check as groundingService). If the model's response is unusable, each cell
+ * falls back to the best-matching sentence about that procedure from the chunks.
+ */
+
+const { chatCompletion } = require('../providers');
+const { extractClaims, verifyAnswer } = require('./groundingService');
+const { buildCitations } = require('./citationService');
+const { SUPPORTED_LANGUAGES, localize } = require('./languageService');
+const { GENERAL_PROCEDURE } = require('../front-matter');
+require('dotenv').config();
+
+// Procedures a question can compare; key is the front matter procedure (content tag)
+const COMPARABLE_PROCEDURES = [
+  { names: ['lasik'], canonical: 'LASIK', key: 'lasik' },
+  { names: ['prk'], canonical: 'PRK', key: 'prk' },
+  { names: ['smile', 'lalex'], canonical: 'SMILE', key: 'smile' },
+  { names: ['icl', 'evo'], canonical: 'ICL', key: 'icl' },
+  { names: ['cataract'], canonical: 'cataract surgery', key: 'cataract' },
+  { names: ['rle', 'refractive lens exchange', 'lens replacement'], canonical: 'RLE', key: 'rle' }
+];
+
+// Rows of the table, in order; keywords pick sentences for the extractive fallback,
+// which must also state a claim of `claimType` if set (a price row needs a price)
+const COMPARISON_ATTRIBUTES = [
+  { key: 'recovery', keywords: ['recovery', 'recover', 'heal', 'downtime', 'back to work', 'return to', 'resume', 'vision improves'] },
+  { key: 'price', keywords: ['cost', 'price', '$', 'per eye', 'financed', 'financing', 'per month'], claimType: 'price' },
+  { key: 'candidacy', keywords: ['candidate', 'qualify', 'eligible', 'ideal for', 'good option', 'prescription', 'cornea'] },
+  { key: 'pain', keywords: ['pain', 'discomfort', 'hurt', 'numbing', 'comfortable', 'sting', 'pressure'] },
+  { key: 'enhancement', keywords: ['enhancement', 'touch-up', 'touch up', 'retreatment', 'regression', 'second procedure'] }
+];
+
+const ATTRIBUTE_LABELS = {
+  en: { recovery: 'Recovery time', price: 'Price range', candidacy: 'Who it suits', pain: 'Pain and comfort', enhancement: 'Enhancement rate' },
+  es: { recovery: 'Recuperación', price: 'Rango de precio', candidacy: 'Para quién es', pain: 'Dolor y comodidad', enhancement: 'Tasa de retoques' }
+};
+
+const MAX_CELL_CHARS = 160;
+
+// Words before a procedure name that make it the contrast, not the subject
+// ("unlike LASIK", "aren't good candidates for LASIK", "faster than PRK")
+const CONTRAST_PATTERN = /\b(?:unlike|instead of|rather than|compared (?:to|with)|than|versus|vs|alternative to|other than|not|no longer|\w+n't)\b[^,;:]*$/i;
+
+const SYSTEM_PROMPT = `You fill in a comparison table for a refractive surgery practice's patient FAQ assistant.
+Use ONLY the numbered sources. For every procedure and attribute, write a short cell (at most 20 words)
+and give the number of the one source it comes from. If no source covers it for that procedure, use
+null for both. Never combine sources in one cell and never guess a number.
+Attributes: recovery (recovery time), price (price range), candidacy (who it suits), pain (pain and
+comfort), enhancement (enhancement / touch-up rate).
+Respond with JSON only: {"rows": {"<attribute>": {"<procedure>": {"value": "<cell>" | null, "source": <number> | null}}}}`;
+
+/**
+ * Find the procedures a text names
+ * @param {string} text - Text
+ * @returns {Array<Object>} Entries of COMPARABLE_PROCEDURES, in table order
+ */
+function findProcedures(text) {
+  const lower = String(text || '').toLowerCase();
+  return COMPARABLE_PROCEDURES.filter(proc => proc.names.some(name => new RegExp(`\\b${name}s?\\b`).test(lower)));
+}
+
+/**
+ * Find the procedures a sentence is about: those it names other than as a contrast
+ * @param {string} sentence - Sentence
+ * @returns {Object} { subjects, contrasted } - entries of COMPARABLE_PROCEDURES
+ */
+function sentenceProcedures(sentence) {
+  const lower = sentence.toLowerCase();
+  const subjects = [];
+  const contrasted = [];
+  for (const proc of findProcedures(sentence)) {
+    const mentions = proc.names.flatMap(name => [...lower.matchAll(new RegExp(`\\b${name}s?\\b`, 'g'))]);
+    const asSubject = mentions.some(match => !CONTRAST_PATTERN.test(lower.slice(0, match.index)));
+    (asSubject ? subjects : contrasted).push(proc);
+  }
+  return { subjects, contrasted };
+}
+
+/**
+ * Find the procedures a chunk is about
+ * Tagged chunks are about their front matter procedures (narrowed to the ones
+ * the heading names, if any); general chunks are about the procedures their
+ * heading names, if any.
+ * @param {Object} chunk - Retrieved chunk ({ procedures, headingPath })
+ * @returns {Array<string>} Procedure keys
+ */
+function chunkProcedureKeys(chunk) {
+  const tagged = (chunk.procedures || []).filter(key => key !== GENERAL_PROCEDURE);
+  const inHeading = findProcedures((chunk.headingPath || []).join(' ')).map(proc => proc.key);
+  if (tagged.length === 0) {
+    return inHeading;
+  }
+  const narrowed = tagged.filter(key => inHeading.includes(key));
+  return narrowed.length > 0 ? narrowed : tagged;
+}
+
+/**
+ * Shorten a cell at a word boundary
+ * @param {string} text - Cell text
+ * @returns {string} Cell
+ */
+function clipCell(text) {
+  const trimmed = String(text).replace(/\s+/g, ' ').replace(/\s*\[(?:Source\s*)?\d+\]/gi, '').trim();
+  if (trimmed.length <= MAX_CELL_CHARS) return trimmed;
+  return trimmed.substring(0, trimmed.lastIndexOf(' ', MAX_CELL_CHARS)) + '…';
+}
+
+/**
+ * Check that a cell's prices, durations and percentages appear in its source
+ * @param {string} value - Cell text
+ * @param {Object} chunk - Source chunk
+ * @returns {boolean} True if every claim is supported
+ */
+function isGroundedCell(value, chunk) {
+  if (extractClaims(value).length === 0) return true;
+  const { grounding } = verifyAnswer(value, [chunk], { mode: 'flag' });
+  return grounding.unsupportedClaims.length === 0;
+}
+
+/**
+ * Ask the chat model to fill in the table
+ * @param {string} question - Patient's question (English)
+ * @param {Array<Object>} procedures - Entries of COMPARABLE_PROCEDURES
+ * @param {Array} chunks - Retrieved chunks, numbered from 1 as in the answer prompt
+ * @param {string} language - Language code to write the cells in
+ * @returns {Promise<Object>} { attributeKey: { canonical: { value, source } } }
+ * @throws {Error} If the response is not the expected JSON
+ */
+async function fillWithModel(question, procedures, chunks, language) {
+  const sources = chunks
+    .map((chunk, i) => `[Source ${i + 1}: ${chunk.filename}]\n${chunk.text}`)
+    .join('\n\n');
+  const languageNote = language !== 'en'
+    ? `\nWrite the cells in ${SUPPORTED_LANGUAGES[language] || language}; keep procedure names and prices as written.`
+    : '';
+
+  const completion = await chatCompletion({
+    messages: [
+      { role: 'system', content: SYSTEM_PROMPT + languageNote },
+      {
+        role: 'user',
+        content: `Question: ${question}\nProcedures: ${procedures.map(proc => proc.canonical).join(', ')}\n\nSources:\n${sources}`
+      }
+    ],
+    temperature: 0,
+    maxTokens: 120 + procedures.length * COMPARISON_ATTRIBUTES.length * 40,
+    responseFormat: 'json'
+  });
+
+  let parsed;
+  try {
+    parsed = JSON.parse(completion.content);
+  } catch (error) {
+    throw new Error(`Comparison model returned invalid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed.rows !== 'object' || parsed.rows === null) {
+    throw new Error('Comparison response has no "rows" object');
+  }
+  return parsed.rows;
+}
+
+/**
+ * Pick the best sentence about a procedure for each attribute
+ * Only chunks about a procedure (chunkProcedureKeys) fill its cells. A sentence
+ * is about the procedures it names as its subject; one naming none (or only
+ * contrasts, "unlike LASIK") is about its chunk's procedures. Sentences about
+ * that procedure alone win ties.
+ * @param {Array<Object>} procedures - Entries of COMPARABLE_PROCEDURES
+ * @param {Array} chunks - Retrieved chunks
+ * @returns {Object} { attributeKey: { canonical: { value, source } } }
+ */
+function fillExtractively(procedures, chunks) {
+  const candidates = [];
+  chunks.forEach((chunk, i) => {
+    const chunkKeys = chunkProcedureKeys(chunk);
+    for (const sentence of chunk.text.split(/(?<=[.!?])\s+(?=\S)/)) {
+      if (sentence.trim().endsWith('?')) continue; // FAQ headings, not answers
+      const { subjects } = sentenceProcedures(sentence);
+      const about = (subjects.length > 0 ? subjects : procedures)
+        .filter(proc => procedures.includes(proc) && chunkKeys.includes(proc.key));
+      if (about.length > 0) {
+        const claimTypes = extractClaims(sentence).map(claim => claim.type);
+        candidates.push({ sentence, lower: sentence.toLowerCase(), source: i + 1, about, claimTypes });
+      }
+    }
+  });
+
+  const rows = {};
+  for (const attribute of COMPARISON_ATTRIBUTES) {
+    rows[attribute.key] = {};
+    for (const proc of procedures) {
+      let best = null;
+      let bestScore = 0;
+      for (const candidate of candidates) {
+        if (!candidate.about.includes(proc)) continue;
+        if (attribute.claimType && !candidate.claimTypes.includes(attribute.claimType)) continue;
+        const hits = attribute.keywords.filter(keyword => candidate.lower.includes(keyword)).length;
+        const score = hits > 0 ? hits + (candidate.about.length === 1 ? 0.5 : 0) : 0;
+        if (score > bestScore) {
+          best = candidate;
+          bestScore = score;
+        }
+      }
+      rows[attribute.key][proc.canonical] = best ? { value: best.sentence, source: best.source } : null;
+    }
+  }
+  return rows;
+}
+
+/**
+ * Build the structured comparison for a comparison question
+ *
+ * @param {string} question - Patient's question (English)
+ * @param {Array<string>} procedureNames - Canonical names from detectComparisonQuery()
+ * @param {Array} chunks - Retrieved chunks, in prompt order
+ * @param {string} [language] - Language code for labels and cells (default 'en')
+ * @returns {Promise<Object|null>} { procedures, rows: [{ key, label, cells: [{ procedure, value, source }] }],
+ *   sources, method: 'llm'|'extractive' } - cells no source covers have value and source null;
+ *   null when no cell could be filled. Never throws.
+ */
+async function buildComparison(question, procedureNames, chunks, language = 'en') {
+  const procedures = COMPARABLE_PROCEDURES.filter(proc => procedureNames.includes(proc.canonical));
+  if (procedures.length < 2 || !chunks || chunks.length === 0) {
+    return null;
+  }
+
+  let method = 'llm';
+  let filled;
+  try {
+    filled = await fillWithModel(question, procedures, chunks, language);
+  } catch (error) {
+    console.warn(`⚠️  Comparison table from the model failed, using source sentences: ${error.message}`);
+    method = 'extractive';
+    filled = fillExtractively(procedures, chunks);
+  }
+
+  const labels = localize(language, ATTRIBUTE_LABELS);
+  const rows = COMPARISON_ATTRIBUTES.map(attribute => ({
+    key: attribute.key,
+    label: labels[attribute.key],
+    cells: procedures.map(proc => {
+      const byProcedure = filled[attribute.key] || {};
+      const name = Object.keys(byProcedure).find(key => key.toLowerCase() === proc.canonical.toLowerCase());
+      const cell = name ? byProcedure[name] : null;
+      const source = cell ? parseInt(cell.source, 10) : NaN;
+      const chunk = chunks[source - 1];
+      if (!cell || typeof cell.value !== 'string' || !cell.value.trim() || !chunk ||
+          !chunkProcedureKeys(chunk).includes(proc.key) || !isGroundedCell(cell.value, chunk)) {
+        return { procedure: proc.canonical, value: null, source: null };
+      }
+      return { procedure: proc.canonical, value: clipCell(cell.value), source };
+    })
+  })).filter(row => row.cells.some(cell => cell.value));
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  // Same shape and numbers as the answer's citations
+  const cited = rows.flatMap(row => row.cells.filter(cell => cell.value).map(cell => `${cell.value} [${cell.source}]`));
+  console.log(`📊 Comparison table (${method}): ${procedures.map(proc => proc.canonical).join(' vs ')}, ${cited.length} cells`);
+
+  return {
+    procedures: procedures.map(proc => proc.canonical),
+    rows,
+    sources: buildCitations(cited.join('\n'), chunks),
+    method
+  };
+}
+
+module.exports = {
+  COMPARABLE_PROCEDURES,
+  COMPARISON_ATTRIBUTES,
+  findProcedures,
+  buildComparison
+};
@@ -0,0 +1,330 @@
+/**
+ * Content Management Service
+ *
+ * Admin-side CRUD over patient FAQ sources with incremental re-indexing:
+ * 1. Store markdown in the content_sources table (or /content/ when Supabase is not configured);
+ *    with Supabase, files in /content/ without a row are listed and editable too
+ * 2. Chunk it with the same heading-aware chunker as scripts/index.js
+ * 3. Re-embed only chunks whose text changed and delete chunks that no longer exist,
+ *    applied in one atomic swap (same planner as scripts/index.js)
+ * 4. Invalidate the answer cache when anything changed
+ *
+ * Sources managed here belong to the default tenant; other tenants' content
+ * lives in /content/<contentNamespace>/ and is indexed by `npm run index`.
+ *
+ * A full rebuild is still available through `npm run index`.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const { getSupabase, isSupabaseConfigured } = require('../supabase');
+const { getVectorStore } = require('../vectorstores');
+const { CONTENT_DIR, processFile, planChunkChanges, summarizePlan, applyPlan } = require('../../scripts/index');
+const { invalidateAnswerCache } = require('./answerCacheService');
+const { DEFAULT_TENANT_ID } = require('./tenantService');
+const { readContentMetadata } = require('../front-matter');
+
+const SOURCES_TABLE = 'content_sources';
+const FILENAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*\.md$/;
+const MAX_CONTENT_LENGTH = 200000; // ~200KB of markdown per source
+
+/**
+ * Validate a content filename (no paths, must be markdown)
+ * @param {string} filename - Candidate filename
+ * @returns {boolean} True if the filename is safe to use
+ */
+function isValidFilename(filename) {
+  return typeof filename === 'string' &&
+    FILENAME_PATTERN.test(filename) &&
+    !filename.includes('..');
+}
+
+/**
+ * Validate markdown content body (including its front matter)
+ * @param {string} content - Markdown content
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateContent(content) {
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    return 'Content must be a non-empty markdown string';
+  }
+  if (content.length > MAX_CONTENT_LENGTH) {
+    return `Content exceeds ${MAX_CONTENT_LENGTH} characters`;
+  }
+  try {
+    readContentMetadata(content);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+/**
+ * Get the Supabase client when the content_sources table should be used
+ * @returns {Object|null} Supabase client or null for local file storage
+ */
+function getSourcesClient() {
+  return isSupabaseConfigured() ? getSupabase() : null;
+}
+
+/**
+ * List the markdown files in /content/
+ * @returns {Promise<Array>} Array of { filename, isActive, size, lastIndexed, updatedAt, storage }
+ */
+async function listFileSources() {
+  const files = (await fs.readdir(CONTENT_DIR)).filter(f => f.endsWith('.md')).sort();
+  const sources = [];
+  for (const filename of files) {
+    const stat = await fs.stat(path.join(CONTENT_DIR, filename));
+    sources.push({
+      filename,
+      isActive: true,
+      size: stat.size,
+      lastIndexed: null,
+      updatedAt: stat.mtime.toISOString(),
+      storage: 'local'
+    });
+  }
+  return sources;
+}
+
+/**
+ * Load a markdown file from /content/
+ * @param {string} filename - Source filename
+ * @returns {Promise<Object|null>} { filename, content, isActive, lastIndexed, updatedAt, storage } or null
+ */
+async function getFileSource(filename) {
+  try {
+    const filePath = path.join(CONTENT_DIR, filename);
+    const [content, stat] = await Promise.all([
+      fs.readFile(filePath, 'utf-8'),
+      fs.stat(filePath)
+    ]);
+    return {
+      filename,
+      content,
+      isActive: true,
+      lastIndexed: null,
+      updatedAt: stat.mtime.toISOString(),
+      storage: 'local'
+    };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * List all content sources
+ * With Supabase, content_sources rows are merged over the files in /content/
+ * the same way `npm run index` merges them: a row replaces the file of the
+ * same name, and an inactive row hides it.
+ * @returns {Promise<Array>} Array of { filename, isActive, size, lastIndexed, updatedAt, storage }
+ */
+async function listSources() {
+  const supabase = getSourcesClient();
+  const files = await listFileSources();
+
+  if (!supabase) {
+    return files;
+  }
+
+  const { data, error } = await supabase
+    .from(SOURCES_TABLE)
+    .select('filename, content, is_active, last_indexed, updated_at')
+    .order('filename');
+
+  if (error) {
+    throw error;
+  }
+
+  const byName = new Map(files.map(source => [source.filename, source]));
+  for (const row of data || []) {
+    byName.set(row.filename, {
+      filename: row.filename,
+      isActive: row.is_active,
+      size: row.content ? row.content.length : 0,
+      lastIndexed: row.last_indexed,
+      updatedAt: row.updated_at,
+      storage: 'supabase'
+    });
+  }
+  return Array.from(byName.values()).sort((a, b) => a.filename.localeCompare(b.filename));
+}
+
+/**
+ * Load a single content source
+ * With Supabase, a file in /content/ without a content_sources row is served
+ * from disk (saving it creates the row).
+ * @param {string} filename - Source filename
+ * @returns {Promise<Object|null>} { filename, content, isActive, lastIndexed, updatedAt, storage } or null
+ */
+async function getSource(filename) {
+  const supabase = getSourcesClient();
+
+  if (supabase) {
+    const { data, error } = await supabase
+      .from(SOURCES_TABLE)
+      .select('filename, content, is_active, last_indexed, updated_at')
+      .eq('filename', filename)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (data) {
+      return data.is_active ? {
+        filename: data.filename,
+        content: data.content,
+        isActive: data.is_active,
+        lastIndexed: data.last_indexed,
+        updatedAt: data.updated_at,
+        storage: 'supabase'
+      } : null;
+    }
+  }
+
+  return getFileSource(filename);
+}
+
+/**
+ * Create or replace a content source
+ * With Supabase the content goes into a content_sources row, which replaces
+ * any file of the same name in /content/.
+ * @param {string} filename - Source filename
+ * @param {string} content - Markdown content
+ */
+async function saveSource(filename, content) {
+  const supabase = getSourcesClient();
+
+  if (supabase) {
+    const { error } = await supabase
+      .from(SOURCES_TABLE)
+      .upsert({ filename, content, is_active: true }, { onConflict: 'filename' });
+
+    if (error) {
+      throw error;
+    }
+    return;
+  }
+
+  await fs.writeFile(path.join(CONTENT_DIR, filename), content, 'utf-8');
+}
+
+/**
+ * Remove a content source
+ * Supabase rows are deactivated (not deleted) so `npm run index` also skips
+ * any file of the same name still sitting in /content/.
+ * @param {string} filename - Source filename
+ */
+async function removeSource(filename) {
+  const supabase = getSourcesClient();
+
+  if (supabase) {
+    const { error } = await supabase
+      .from(SOURCES_TABLE)
+      .upsert({ filename, content: '', is_active: false }, { onConflict: 'filename' });
+
+    if (error) {
+      throw error;
+    }
+    return;
+  }
+
+  await fs.unlink(path.join(CONTENT_DIR, filename));
+}
+
+/**
+ * Record when a source was last embedded
+ * @param {string} filename - Source filename
+ */
+async function markIndexed(filename) {
+  const supabase = getSourcesClient();
+  if (!supabase) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from(SOURCES_TABLE)
+    .update({ last_indexed: new Date().toISOString() })
+    .eq('filename', filename);
+
+  if (error) {
+    console.warn(`⚠️  Could not update last_indexed for ${filename}: ${error.message}`);
+  }
+}
+
+/**
+ * Chunk a document without embedding it
+ * @param {string} filename - Source filename
+ * @param {string} content - Markdown content
+ * @returns {Promise<Object>} { chunks, plan } where plan summarizes what a save would change
+ */
+async function previewChunks(filename, content) {
+  const chunks = processFile({ filename, content });
+  const existingDocs = await getVectorStore().get({ where: { filename, tenantId: DEFAULT_TENANT_ID } });
+  const plan = planChunkChanges(existingDocs, chunks);
+  const summary = summarizePlan(existingDocs, plan);
+  const changed = summary.updated.filter(change => change.embed).map(change => change.id);
+
+  return {
+    chunks: chunks.map(chunk => ({
+      id: chunk.id,
+      text: chunk.text,
+      wordCount: chunk.text.split(/\s+/).length,
+      metadata: chunk.metadata
+    })),
+    plan: {
+      added: summary.added.map(change => change.id),
+      changed,
+      unchanged: chunks.length - summary.added.length - changed.length,
+      removed: plan.toDelete
+    }
+  };
+}
+
+/**
+ * Bring the vector store in line with a source's current content
+ * Only new or changed chunks are embedded.
+ * @param {string} filename - Source filename
+ * @param {string|null} content - Markdown content, or null to remove all chunks
+ * @returns {Promise<Object>} { embedded, refreshed, unchanged, removed }
+ */
+async function syncSourceChunks(filename, content) {
+  const existingDocs = await getVectorStore().get({ where: { filename, tenantId: DEFAULT_TENANT_ID } });
+  const newChunks = content ? processFile({ filename, content }) : [];
+  const plan = planChunkChanges(existingDocs, newChunks);
+  const { upserted, deleted } = await applyPlan(plan);
+
+  if (content) {
+    await markIndexed(filename);
+  }
+
+  if (upserted > 0 || deleted > 0) {
+    await invalidateAnswerCache();
+  }
+
+  const summary = {
+    embedded: plan.toEmbed.length,
+    refreshed: plan.toRefresh.length,
+    unchanged: plan.unchanged.length,
+    removed: plan.toDelete.length
+  };
+  console.log(`📚 Re-indexed ${filename}: ${JSON.stringify(summary)}`);
+  return summary;
+}
+
+module.exports = {
+  isValidFilename,
+  validateContent,
+  listSources,
+  getSource,
+  saveSource,
+  removeSource,
+  planChunkChanges,
+  previewChunks,
+  syncSourceChunks
+};
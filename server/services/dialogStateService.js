@@ -0,0 +1,311 @@
+/**
+ * Dialog State Service
+ *
+ * A short reply ("yes", "no", "45") only means something against what the
+ * assistant asked last. The dialog state records that question, plus the facts
+ * the patient has already given, for one conversation:
+ *   {
+ *     version: 1,
+ *     turn: 3,                      // Patient messages so far
+ *     pending: {                    // What the assistant's last message asked (null = nothing)
+ *       type: 'age' | 'scheduling' | 'calculator',
+ *       question,                   // 'age': the reader question waiting for the age
+ *       askedTurn,
+ *       asksAge                     // 'calculator': the last message asked "how old are you?"
+ *     },
+ *     facts: { age, annualEyewearCost, procedures: ['lasik'] }
+ *   }
+ *
+ * The state travels with the chat: /ask and /ask/stream return it as
+ * `dialogState` and the client sends it back with the next message (the React
+ * app keeps it in user_chats.dialog_state, migration 011). It comes from the
+ * client, so it is re-validated on every request. Clients that send none get a
+ * state rebuilt from the conversation history.
+ */
+
+const { isAffirmative, isObjection } = require('../prompt');
+
+const STATE_VERSION = 1;
+const PENDING_TYPES = ['age', 'scheduling', 'calculator'];
+const PROCEDURES = ['lasik', 'prk', 'smile', 'icl', 'cataract', 'rle'];
+const MIN_AGE = 10;
+const MAX_AGE = 110;
+const MAX_EYEWEAR_COST = 20000;
+const MAX_QUESTION_LENGTH = 500;
+
+// Explicit age phrasing ("I'm 45", "age 50", "45 years old") - a bare "45" only counts when the age was asked for
+const AGE_PATTERNS = [
+  /\b(?:i'?m|i am|im)\s+(\d{2,3})\b/i,
+  /\bage\s*(?:is\s*)?(\d{2,3})\b/i,
+  /\b(\d{2,3})\s*(?:years?|yrs?)[\s-]*old\b/i
+];
+const MAX_SHORT_REPLY_LENGTH = 40;
+const YEARLY_COST_PATTERN = /\$\s?(\d[\d,]*(?:\.\d+)?)\s*(?:a|an|per|\/|each|every)\s*(?:year|yr)\b/i;
+const DOLLAR_PATTERN = /\$\s?(\d[\d,]*(?:\.\d+)?)|(\d[\d,]*(?:\.\d+)?)\s*(?:dollars|bucks)\b/i;
+const NUMBER_PATTERN = /\d[\d,]*(?:\.\d+)?/g;
+
+// "Book it" or "I want to schedule" asks for an appointment whatever was asked; a bare "yes" only answers a scheduling question
+const SCHEDULING_REQUEST_PATTERN = /schedul|\bbook|sign me up/i;
+// Named concerns ("too expensive", "scared") are objections whatever was asked; a bare "no" is not
+const CONCERN_PATTERN = /afford|expensive|cost|too much|money|price|scared|nervous|afraid|worried|anxious|fear/i;
+
+// An assistant message ending on one of these questions is waiting for a yes/no about booking
+const SCHEDULING_QUESTION_PATTERN = /schedul|consultation|appointment|\bbook|come in|options are|ease your mind|programar|consulta|cita|opciones|tranquilidad/i;
+const AGE_QUESTION_PATTERN = /how old you are|how old are you|cuántos años tiene/i;
+// "Can I drive after 24 hours?" is a new question, not a reply to one
+const PATIENT_QUESTION_PATTERN = /\?|^\s*(?:what|when|where|who|why|how|which|can|could|do|does|did|is|are|will|would|should)\b/i;
+
+/**
+ * Create an empty dialog state
+ * @returns {Object} Dialog state
+ */
+function createDialogState() {
+  return { version: STATE_VERSION, turn: 0, pending: null, facts: {} };
+}
+
+/**
+ * Parse a number, keeping it only inside [min, max]
+ * @param {*} value - Candidate number (number or numeric string)
+ * @param {number} min - Smallest accepted value
+ * @param {number} max - Largest accepted value
+ * @returns {number|null} Number, or null
+ */
+function boundedNumber(value, min, max) {
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+  return Number.isFinite(number) && number >= min && number <= max ? number : null;
+}
+
+/**
+ * Validate facts sent by a client
+ * @param {Object} raw - Untrusted facts
+ * @returns {Object} Facts with only known, in-range fields
+ */
+function normalizeFacts(raw) {
+  const facts = {};
+  if (!raw || typeof raw !== 'object') {
+    return facts;
+  }
+
+  const age = boundedNumber(raw.age, MIN_AGE, MAX_AGE);
+  if (age !== null) {
+    facts.age = Math.round(age);
+  }
+  const cost = boundedNumber(raw.annualEyewearCost, 0, MAX_EYEWEAR_COST);
+  if (cost !== null) {
+    facts.annualEyewearCost = Math.round(cost);
+  }
+  if (Array.isArray(raw.procedures)) {
+    const procedures = raw.procedures.filter(procedure => PROCEDURES.includes(procedure));
+    if (procedures.length > 0) {
+      facts.procedures = [...new Set(procedures)];
+    }
+  }
+  return facts;
+}
+
+/**
+ * Validate a dialog state sent by a client
+ * @param {Object} raw - Untrusted dialog state
+ * @returns {Object|null} Dialog state, or null if unusable
+ */
+function normalizeDialogState(raw) {
+  if (!raw || typeof raw !== 'object' || raw.version !== STATE_VERSION) {
+    return null;
+  }
+
+  const state = createDialogState();
+  state.turn = Math.floor(boundedNumber(raw.turn, 0, 10000) || 0);
+  state.facts = normalizeFacts(raw.facts);
+
+  const pending = raw.pending;
+  if (pending && typeof pending === 'object' && PENDING_TYPES.includes(pending.type)) {
+    state.pending = {
+      type: pending.type,
+      question: typeof pending.question === 'string' ? pending.question.slice(0, MAX_QUESTION_LENGTH) : null,
+      askedTurn: state.turn
+    };
+    if (state.pending.type === 'age' && !state.pending.question) {
+      state.pending = null;
+    } else if (state.pending.type === 'calculator') {
+      state.pending.asksAge = pending.asksAge === true;
+    }
+  }
+  return state;
+}
+
+/**
+ * Find an age stated in a message
+ * @param {string} text - Patient message (English)
+ * @param {boolean} ageAsked - True if the assistant just asked for the age (a bare number that isn't a question then counts)
+ * @returns {number|null} Age
+ */
+function extractAge(text, ageAsked = false) {
+  for (const pattern of AGE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      return boundedNumber(match[1], MIN_AGE, MAX_AGE);
+    }
+  }
+  // "45", "just turned 52" - one number in a short reply that isn't money or a question
+  const numbers = text.match(NUMBER_PATTERN) || [];
+  if (ageAsked && numbers.length === 1 && text.trim().length <= MAX_SHORT_REPLY_LENGTH &&
+      !DOLLAR_PATTERN.test(text) && !PATIENT_QUESTION_PATTERN.test(text)) {
+    return boundedNumber(numbers[0], MIN_AGE, MAX_AGE);
+  }
+  return null;
+}
+
+/**
+ * Find a yearly glasses/contacts spend stated in a message
+ * @param {string} text - Patient message (English)
+ * @param {boolean} calculatorAsked - True if the savings calculator is waiting for inputs (any dollar amount then counts)
+ * @returns {number|null} Dollars per year
+ */
+function extractEyewearCost(text, calculatorAsked = false) {
+  const match = text.match(YEARLY_COST_PATTERN) || (calculatorAsked ? text.match(DOLLAR_PATTERN) : null);
+  let amount = match ? boundedNumber(match[1] || match[2], 0, MAX_EYEWEAR_COST) : null;
+
+  // "about 600" while the calculator waits - a number too large to be an age is the spend
+  if (amount === null && !match && calculatorAsked && !PATIENT_QUESTION_PATTERN.test(text)) {
+    const numbers = (text.match(NUMBER_PATTERN) || []).map(number => boundedNumber(number, MAX_AGE + 1, MAX_EYEWEAR_COST));
+    amount = numbers.find(number => number !== null) ?? null;
+  }
+  return amount === null ? null : Math.round(amount);
+}
+
+/**
+ * Rebuild a dialog state from the conversation history (clients that don't send one)
+ * @param {Array} conversationHistory - Previous { role, content } messages
+ * @returns {Object} Dialog state
+ */
+function inferDialogState(conversationHistory = []) {
+  const state = createDialogState();
+  let previousUserMessage = null;
+
+  for (const message of conversationHistory) {
+    if (!message || typeof message.content !== 'string') {
+      continue;
+    }
+    if (message.role === 'user') {
+      state.turn += 1;
+      const age = extractAge(message.content, state.pending && state.pending.type === 'age');
+      if (age !== null) {
+        state.facts.age = age;
+      }
+      const cost = extractEyewearCost(message.content);
+      if (cost !== null) {
+        state.facts.annualEyewearCost = cost;
+      }
+      previousUserMessage = message.content;
+      state.pending = null;
+    } else {
+      state.pending = detectPendingQuestion(message.content, state.turn, previousUserMessage);
+    }
+  }
+  return state;
+}
+
+/**
+ * Work out what an assistant message is waiting for
+ * @param {string} answer - Assistant message
+ * @param {number} turn - Patient turn it answers
+ * @param {string} question - Patient message it answers (kept for age requests)
+ * @returns {Object|null} Pending question
+ */
+function detectPendingQuestion(answer, turn, question = null) {
+  if (!answer) {
+    return null;
+  }
+  if (AGE_QUESTION_PATTERN.test(answer) && question) {
+    return { type: 'age', question: question.slice(0, MAX_QUESTION_LENGTH), askedTurn: turn };
+  }
+
+  // Only the closing question counts - a consultation mentioned mid-answer asks nothing
+  const sentences = answer.trim().split(/(?<=[.!?])\s+/);
+  const lastSentence = sentences[sentences.length - 1] || '';
+  if (lastSentence.endsWith('?') && SCHEDULING_QUESTION_PATTERN.test(lastSentence)) {
+    return { type: 'scheduling', question: null, askedTurn: turn };
+  }
+  return null;
+}
+
+/**
+ * Start a patient turn: validate (or rebuild) the state, record new facts and read short replies
+ * @param {Object} rawState - Dialog state from the client (untrusted; null to rebuild from history)
+ * @param {Array} conversationHistory - Previous messages
+ * @param {string} englishQuestion - Patient message in English
+ * @param {Array} procedures - Procedures the message mentions
+ * @returns {Object} { state, pending, reply } - `pending` is what the assistant had asked;
+ *   `reply` is how the message answers it, or null for anything that isn't a reply:
+ *     { type: 'age', age }   - the age a reader question was waiting for
+ *     { type: 'calculator' } - savings calculator inputs (now in state.facts)
+ *     { type: 'schedule' }   - asks to book, or says yes to a scheduling question
+ *     { type: 'decline' }    - says no to a scheduling question
+ *     { type: 'ambiguous' }  - yes/no that doesn't answer a scheduling question
+ */
+function beginDialogTurn(rawState, conversationHistory, englishQuestion, procedures = []) {
+  const state = normalizeDialogState(rawState) || inferDialogState(conversationHistory);
+  const pending = state.pending;
+  const pendingType = pending ? pending.type : null;
+
+  state.turn += 1;
+  state.pending = null;
+
+  const age = extractAge(englishQuestion, pendingType === 'age' || (pendingType === 'calculator' && pending.asksAge));
+  const cost = extractEyewearCost(englishQuestion, pendingType === 'calculator');
+  if (age !== null) {
+    state.facts.age = age;
+  }
+  if (cost !== null) {
+    state.facts.annualEyewearCost = cost;
+  }
+  if (procedures.length > 0) {
+    state.facts.procedures = [...new Set([...(state.facts.procedures || []), ...procedures])];
+  }
+
+  // With nothing said before, "yes"/"no" keeps its old meaning (scheduling / objection)
+  const answersScheduling = pendingType === 'scheduling' || (!pending && state.turn === 1);
+
+  let reply = null;
+  if (pendingType === 'age' && age !== null) {
+    reply = { type: 'age', age };
+  } else if (pendingType === 'calculator' && (age !== null || cost !== null)) {
+    reply = { type: 'calculator' };
+  } else if (isAffirmative(englishQuestion)) {
+    reply = { type: answersScheduling || SCHEDULING_REQUEST_PATTERN.test(englishQuestion) ? 'schedule' : 'ambiguous' };
+  } else if (isObjection(englishQuestion) && !CONCERN_PATTERN.test(englishQuestion)) {
+    reply = { type: answersScheduling ? 'decline' : 'ambiguous' };
+  }
+
+  return { state, pending, reply };
+}
+
+/**
+ * Finish a patient turn: record what the assistant's answer is waiting for
+ * @param {Object} state - Dialog state from beginDialogTurn
+ * @param {Object} outcome - What the assistant did
+ * @param {string} outcome.answer - Answer text (its closing question sets `pending`)
+ * @param {Object} outcome.pending - Explicit { type, question } (overrides the answer text)
+ * @param {boolean} outcome.showSavingsCalculator - True if the calculator is shown with this answer
+ * @returns {Object} Dialog state to return to the client
+ */
+function endDialogTurn(state, { answer = '', pending = null, showSavingsCalculator = false } = {}) {
+  let next = pending
+    ? { type: pending.type, question: pending.question || null, askedTurn: state.turn }
+    : detectPendingQuestion(answer, state.turn);
+
+  // A calculator still missing inputs is waiting for them ("I'm 40", "about $600") - a bare "40" only if the answer asked for the age
+  if (!next && showSavingsCalculator && (state.facts.age === undefined || state.facts.annualEyewearCost === undefined)) {
+    next = { type: 'calculator', question: null, askedTurn: state.turn, asksAge: AGE_QUESTION_PATTERN.test(answer) };
+  }
+  return { ...state, pending: next };
+}
+
+module.exports = {
+  createDialogState,
+  normalizeDialogState,
+  inferDialogState,
+  detectPendingQuestion,
+  beginDialogTurn,
+  endDialogTurn
+};
@@ -0,0 +1,238 @@
+/**
+ * Follow-up Suggestion Service
+ *
+ * Picks three to five follow-up questions for an answer from the FAQ itself:
+ * the question headings inside the retrieved chunks come first (taking turns
+ * between chunks, best match first), then the headings of the chunks right
+ * before and after them in the same file. Headings the patient has already
+ * asked - in this question or earlier in the conversation - are skipped.
+ *
+ * If the headings run short, the chat model writes the rest from the
+ * retrieved chunks. Headings are English; for other languages they are
+ * translated in one call (and kept in English if that fails).
+ */
+
+const { chatCompletion } = require('../providers');
+const { getVectorStore } = require('../vectorstores');
+const { tokenize } = require('../lexical-index');
+const { isExpired } = require('../front-matter');
+const { getLanguageInstruction } = require('../prompt');
+const { SUPPORTED_LANGUAGES } = require('./languageService');
+require('dotenv').config();
+
+const MIN_FOLLOW_UPS = 3;
+const MAX_FOLLOW_UPS = 5;
+const MAX_QUESTION_CHARS = 120; // Longer headings make unreadable chips
+const ASKED_OVERLAP = 0.5; // Term overlap (Jaccard) at which a heading counts as already asked
+
+/**
+ * Get the question headings of a chunk, in document order
+ * @param {Object} chunk - Chunk from retrieval (headingPath, sections)
+ * @returns {Array<string>} Headings that are questions
+ */
+function headingQuestions(chunk) {
+  const headings = (chunk.sections || []).map(section => section.heading);
+  if (headings.length === 0 && chunk.headingPath && chunk.headingPath.length > 0) {
+    headings.push(chunk.headingPath[chunk.headingPath.length - 1]);
+  }
+  return headings
+    .map(heading => String(heading || '').replace(/[*_`]/g, '').trim())
+    .filter(heading => heading.endsWith('?') && heading.length <= MAX_QUESTION_CHARS);
+}
+
+/**
+ * Take one item from each list in turn (best list first)
+ * @param {Array<Array<string>>} lists - Candidate lists
+ * @returns {Array<string>} Interleaved items
+ */
+function interleave(lists) {
+  const result = [];
+  const longest = Math.max(0, ...lists.map(list => list.length));
+  for (let i = 0; i < longest; i++) {
+    lists.forEach(list => i < list.length && result.push(list[i]));
+  }
+  return result;
+}
+
+/**
+ * Check whether a question overlaps one the patient has asked
+ * @param {string} question - Candidate question
+ * @param {Array<Set<string>>} askedTerms - Terms of each question asked
+ * @returns {boolean} True if it is close enough to count as asked
+ */
+function isAlreadyAsked(question, askedTerms) {
+  const terms = new Set(tokenize(question));
+  if (terms.size === 0) return true;
+  return askedTerms.some(asked => {
+    const shared = [...terms].filter(term => asked.has(term)).length;
+    return shared / (terms.size + asked.size - shared) >= ASKED_OVERLAP;
+  });
+}
+
+/**
+ * Get the question headings of the chunks next to the retrieved ones
+ * @param {Array} chunks - Retrieved chunks
+ * @param {string} tenantId - Tenant whose content to read
+ * @returns {Promise<Array<Array<string>>>} Headings per neighbouring chunk, nearest to the best chunk first
+ */
+async function neighbouringHeadings(chunks, tenantId) {
+  const position = chunk => Number(chunk.chunkId) || 0;
+  const retrieved = new Set(chunks.map(chunk => `${chunk.filename}#${position(chunk)}`));
+  const documents = await getVectorStore().get({
+    where: { tenantId, filename: [...new Set(chunks.map(chunk => chunk.filename))] }
+  });
+  const byPosition = new Map(documents
+    .filter(doc => !isExpired(doc.metadata))
+    .map(doc => [`${doc.metadata.filename}#${Number(doc.metadata.chunkId) || 0}`, doc.metadata]));
+
+  const neighbours = [];
+  for (const chunk of chunks) {
+    for (const offset of [1, -1]) {
+      const key = `${chunk.filename}#${position(chunk) + offset}`;
+      if (byPosition.has(key) && !retrieved.has(key)) {
+        retrieved.add(key);
+        neighbours.push(headingQuestions(byPosition.get(key)));
+      }
+    }
+  }
+  return neighbours;
+}
+
+/**
+ * Ask the chat model for follow-up questions the chunks answer
+ * @param {string} question - Patient's question (English)
+ * @param {Array} chunks - Retrieved chunks
+ * @param {Array<string>} exclude - Questions already asked or suggested
+ * @param {number} count - Questions wanted
+ * @param {string} language - Language code to write them in
+ * @returns {Promise<Array<string>>} Questions (may be fewer than count)
+ */
+async function writeFollowUps(question, chunks, exclude, count, language) {
+  const contextText = chunks
+    .slice(0, 3)
+    .map(chunk => chunk.text)
+    .join('\n\n---\n\n');
+
+  const completion = await chatCompletion({
+    messages: [
+      {
+        role: 'system',
+        content: `You suggest follow-up questions for a patient FAQ assistant. Output exactly ${count} questions, one per line, no numbering or extra text.`
+      },
+      {
+        role: 'user',
+        content: `A patient asked: "${question}"
+
+Write ${count} short follow-up questions they might ask next that the content below answers. Do not repeat any of these:
+${exclude.map(q => `- ${q}`).join('\n')}
+
+Content:
+${contextText}
+
+${getLanguageInstruction(language)}`
+      }
+    ],
+    temperature: 0.5,
+    maxTokens: 40 * count
+  });
+
+  return completion.content
+    .split('\n')
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+    .filter(line => line.endsWith('?') && line.length <= MAX_QUESTION_CHARS)
+    .slice(0, count);
+}
+
+/**
+ * Translate FAQ headings into the patient's language
+ * @param {Array<string>} questions - English questions
+ * @param {string} language - Language code
+ * @returns {Promise<Array<string>>} Translated questions, or the originals if translation fails
+ */
+async function translateQuestions(questions, language) {
+  if (language === 'en' || questions.length === 0) {
+    return questions;
+  }
+
+  try {
+    const completion = await chatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: `Translate each line into ${SUPPORTED_LANGUAGES[language] || language}. Keep procedure names as written. Output one line per input line, nothing else.`
+        },
+        { role: 'user', content: questions.join('\n') }
+      ],
+      temperature: 0,
+      maxTokens: 40 * questions.length
+    });
+    const lines = completion.content.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length !== questions.length) {
+      throw new Error(`expected ${questions.length} lines, got ${lines.length}`);
+    }
+    return lines;
+  } catch (error) {
+    console.warn(`⚠️  Could not translate follow-up questions, keeping English: ${error.message}`);
+    return questions;
+  }
+}
+
+/**
+ * Suggest follow-up questions for an answer
+ *
+ * @param {string} question - Patient's question (English)
+ * @param {Array} chunks - Chunks the answer was built from, best first
+ * @param {Object} [options] - { conversationHistory, language, tenantId }
+ * @returns {Promise<Array<string>>} Three to five questions, fewer only if neither the
+ *   FAQ headings nor the model produce enough; [] without chunks. Never throws.
+ */
+async function suggestFollowUps(question, chunks, options = {}) {
+  const { conversationHistory = [], language = 'en', tenantId } = options;
+  if (!chunks || chunks.length === 0) {
+    return [];
+  }
+
+  try {
+    const asked = [question, ...conversationHistory.filter(msg => msg.role === 'user').map(msg => msg.content)];
+    const askedTerms = asked.map(text => new Set(tokenize(text))).filter(terms => terms.size > 0);
+
+    const picked = [];
+    const pick = candidates => {
+      for (const candidate of candidates) {
+        if (picked.length >= MAX_FOLLOW_UPS) return;
+        if (!picked.includes(candidate) && !isAlreadyAsked(candidate, askedTerms)) {
+          picked.push(candidate);
+        }
+      }
+    };
+
+    pick(interleave(chunks.map(headingQuestions)));
+    if (picked.length < MAX_FOLLOW_UPS) {
+      try {
+        pick(interleave(await neighbouringHeadings(chunks, tenantId)));
+      } catch (error) {
+        console.warn(`⚠️  Could not read neighbouring FAQ headings: ${error.message}`);
+      }
+    }
+
+    const suggestions = [...await translateQuestions(picked, language)];
+    if (suggestions.length < MIN_FOLLOW_UPS) {
+      try {
+        const written = await writeFollowUps(question, chunks, [...asked, ...picked], MIN_FOLLOW_UPS - suggestions.length, language);
+        suggestions.push(...written.filter(q => !suggestions.includes(q)));
+      } catch (error) {
+        console.warn(`⚠️  Could not write follow-up questions: ${error.message}`);
+      }
+    }
+
+    console.log(`💡 Follow-up suggestions: ${picked.length} from FAQ headings, ${suggestions.length - picked.length} written`);
+    return suggestions;
+  } catch (error) {
+    console.error('❌ Error suggesting follow-up questions:', error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  suggestFollowUps
+};
@@ -0,0 +1,299 @@
+/**
+ * Grounding Service
+ *
+ * Checks the factual claims in a generated answer against the chunks it was
+ * generated from, so a hallucinated price, recovery time or eligibility limit
+ * never reaches a patient unflagged.
+ *
+ * A claim is any number-bearing phrase: prices ($2,000), durations (1-2 weeks),
+ * percentages (96%), visual acuity (20/20), prescriptions (-10 diopters) and
+ * plain numbers (ages and other limits). A claim is supported when all of its
+ * values appear in the retrieved chunks or the prompt's clinic rules (same
+ * kind, same unit). The patient's own numbers only ground plain numbers and
+ * prescriptions (their age, their -5.00) - a price or recovery time they quote
+ * ("my friend paid $900") is not a fact the clinic stands behind. Deterministic -
+ * no extra model call.
+ *
+ * GROUNDING_MODE:
+ *   - 'remove' (default): drop sentences with unsupported claims
+ *   - 'flag': keep the answer, report the unsupported claims
+ *   - 'off': skip verification
+ */
+
+require('dotenv').config();
+
+const GROUNDING_MODES = ['remove', 'flag', 'off'];
+const MIN_ANSWER_LENGTH = 20; // Shorter than this after removals → use the fallback instead
+// Claim types the patient's own numbers can support (never prices, durations, percentages)
+const PATIENT_GROUNDED_TYPES = ['number', 'prescription'];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+  un: 1, una: 1, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6
+};
+
+// Duration units (English and Spanish) → canonical unit
+const DURATION_UNITS = {
+  second: 'second', seconds: 'second', sec: 'second', secs: 'second', segundo: 'second', segundos: 'second',
+  minute: 'minute', minutes: 'minute', min: 'minute', mins: 'minute', minuto: 'minute', minutos: 'minute',
+  hour: 'hour', hours: 'hour', hr: 'hour', hrs: 'hour', hora: 'hour', horas: 'hour',
+  day: 'day', days: 'day', dia: 'day', dias: 'day', día: 'day', días: 'day',
+  week: 'week', weeks: 'week', semana: 'week', semanas: 'week',
+  month: 'month', months: 'month', mes: 'month', meses: 'month',
+  year: 'year', years: 'year', año: 'year', años: 'year'
+};
+
+const NUM = `(?:\\d[\\d,]*(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join('|')})`;
+const RANGE = `${NUM}(?:\\s*(?:-|–|to)\\s*${NUM})?`;
+
+// Checked in order; matched text is blanked out so later patterns don't re-match it
+const CLAIM_PATTERNS = [
+  { type: 'price', regex: /\$\s?\d[\d,]*(?:\.\d+)?(?:\s*(?:-|–|to)\s*\$?\s?\d[\d,]*(?:\.\d+)?)?|\b\d[\d,]*(?:\.\d+)?\s*(?:dollars|dólares)\b/gi },
+  { type: 'percentage', regex: /\b\d+(?:\.\d+)?(?:\s*(?:-|–|to)\s*\d+(?:\.\d+)?)?\s*(?:%|percent\b|por ciento\b)/gi },
+  { type: 'acuity', regex: /\b20\/\d{2,3}\b/g },
+  { type: 'duration', regex: new RegExp(`\\b${RANGE}\\s*(?:${Object.keys(DURATION_UNITS).join('|')})\\b`, 'gi') },
+  { type: 'prescription', regex: /(?:^|[\s(])[-+]\d+(?:\.\d+)?(?:\s*(?:diopters?|dioptrías?|d)\b)?|\b\d+(?:\.\d+)?\s*(?:diopters?|dioptrías?)\b/gi },
+  { type: 'number', regex: /\b(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?\b/g }
+];
+
+// Text that looks numeric but is never a claim about the procedure
+const IGNORED_PATTERNS = [
+  /\(?\d{3}\)?[\s.-]?\d{3}[\s.-]\d{4}/g, // Phone numbers
+  /\[(?:Source\s*)?\d+(?:\s*,\s*\d+)*\]/gi, // Source / citation markers
+  /^\s*\d+[.)]\s/gm // Numbered list markers
+];
+
+/**
+ * Get the configured grounding mode
+ * @returns {string} 'remove' | 'flag' | 'off'
+ */
+function getGroundingMode() {
+  const mode = (process.env.GROUNDING_MODE || 'remove').toLowerCase();
+  return GROUNDING_MODES.includes(mode) ? mode : 'remove';
+}
+
+/**
+ * Parse a number or number word
+ * @param {string} token - "2,000", "1.5", "two"
+ * @returns {number|null} Value
+ */
+function parseNumber(token) {
+  const word = token.toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(NUMBER_WORDS, word)) {
+    return NUMBER_WORDS[word];
+  }
+  const value = parseFloat(token.replace(/,/g, ''));
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Extract the numeric values from a claim's text
+ * @param {string} text - Claim text
+ * @param {string} type - Claim type
+ * @returns {Array<number>} Values (absolute for prescriptions)
+ */
+function claimValues(text, type) {
+  const tokens = text.match(new RegExp(`\\b${NUM}\\b`, 'gi')) || [];
+  return tokens
+    .map(parseNumber)
+    .filter(value => value !== null)
+    .map(value => (type === 'prescription' ? Math.abs(value) : value));
+}
+
+/**
+ * Find the duration unit in a claim
+ * @param {string} text - Claim text
+ * @returns {string|null} Canonical unit
+ */
+function durationUnit(text) {
+  const words = text.toLowerCase().match(/[a-záéíóúñ]+/g) || [];
+  const unit = words.reverse().find(word => DURATION_UNITS[word]);
+  return unit ? DURATION_UNITS[unit] : null;
+}
+
+/**
+ * Extract factual claims from text
+ * @param {string} text - Answer or source text
+ * @returns {Array} [{ text, type, values, unit }]
+ */
+function extractClaims(text) {
+  let remaining = String(text || '');
+  for (const pattern of IGNORED_PATTERNS) {
+    remaining = remaining.replace(pattern, match => ' '.repeat(match.length));
+  }
+
+  const claims = [];
+  for (const { type, regex } of CLAIM_PATTERNS) {
+    remaining = remaining.replace(regex, match => {
+      const claimText = match.trim();
+      const values = claimValues(claimText, type);
+      if (values.length > 0) {
+        claims.push({
+          text: claimText,
+          type,
+          values,
+          unit: type === 'duration' ? durationUnit(claimText) : null
+        });
+      }
+      return ' '.repeat(match.length);
+    });
+  }
+
+  return claims;
+}
+
+/**
+ * Index the facts available in the sources
+ * @param {Array<string>} texts - Source texts
+ * @returns {Object} { byKind: Map<kind, Set<value>>, all: Set<value> }
+ */
+function indexFacts(texts) {
+  const byKind = new Map();
+  const all = new Set();
+
+  for (const claim of texts.flatMap(extractClaims)) {
+    const kind = claim.unit ? `${claim.type}:${claim.unit}` : claim.type;
+    if (!byKind.has(kind)) byKind.set(kind, new Set());
+    for (const value of claim.values) {
+      byKind.get(kind).add(value);
+      all.add(value);
+    }
+  }
+
+  return { byKind, all };
+}
+
+/**
+ * Check one claim against the indexed facts
+ * @param {Object} claim - Claim from extractClaims()
+ * @param {Object} sourceFacts - Facts from the retrieved chunks
+ * @param {Set<number>} patientValues - Numbers the patient said
+ * @returns {boolean} True if supported
+ */
+function isSupported(claim, sourceFacts, patientValues) {
+  if (PATIENT_GROUNDED_TYPES.includes(claim.type) && claim.values.every(value => patientValues.has(value))) {
+    return true;
+  }
+
+  // Plain numbers may be stated any way in the source ("age 18" / "18 years old")
+  if (claim.type === 'number') {
+    return claim.values.every(value => sourceFacts.all.has(value));
+  }
+
+  const kind = claim.unit ? `${claim.type}:${claim.unit}` : claim.type;
+  const known = sourceFacts.byKind.get(kind);
+  return Boolean(known) && claim.values.every(value => known.has(value));
+}
+
+/**
+ * Split an answer into lines of sentences, keeping its layout
+ * @param {string} answer - Answer text
+ * @returns {Array<Array<string>>} Sentences per line
+ */
+function splitSentences(answer) {
+  return answer.split('\n').map(line => line.split(/(?<=[.!?])\s+(?=\S)/));
+}
+
+/**
+ * Verify an answer against the chunks it was generated from
+ *
+ * @param {string} answer - Generated answer
+ * @param {Array} chunks - Retrieved chunks ({ text })
+ * @param {Object} [options] - Options
+ * @param {string} [options.question] - The patient's question
+ * @param {Array} [options.conversationHistory] - Previous messages (patient ages and prescriptions count as grounded)
+ * @param {Array<string>} [options.additionalSources] - Other approved text the answer may draw on (the clinic rules
+ *   from getClinicRules() - never the whole prompt, which contains the patient's own words)
+ * @param {string} [options.mode] - Override GROUNDING_MODE
+ * @param {string} [options.fallback] - Answer to use if removals leave (almost) nothing
+ * @returns {Object} { answer, grounding } - answer has unsupported sentences removed in 'remove' mode;
+ *   grounding is { verdict, mode, claimsChecked, supportedClaims, unsupportedClaims, removedSentences,
+ *   correctedAnswer, usedFallback } or null when mode is 'off'
+ */
+function verifyAnswer(answer, chunks, options = {}) {
+  const mode = options.mode || getGroundingMode();
+  if (mode === 'off') {
+    return { answer, grounding: null };
+  }
+
+  const sourceFacts = indexFacts([
+    ...(chunks || []).map(chunk => chunk.text),
+    ...(options.additionalSources || [])
+  ]);
+  const patientText = [
+    options.question || '',
+    ...(options.conversationHistory || []).filter(m => m.role === 'user').map(m => m.content)
+  ];
+  const patientValues = indexFacts(patientText).all;
+
+  const unsupportedClaims = [];
+  const removedSentences = [];
+  let claimsChecked = 0;
+
+  const lines = splitSentences(answer).map(sentences => sentences.filter(sentence => {
+    const claims = extractClaims(sentence);
+    claimsChecked += claims.length;
+
+    const unsupported = claims.filter(claim => !isSupported(claim, sourceFacts, patientValues));
+    unsupported.forEach(claim => unsupportedClaims.push({ text: claim.text, type: claim.type, sentence: sentence.trim() }));
+
+    if (unsupported.length > 0 && mode === 'remove') {
+      removedSentences.push(sentence.trim());
+      return false;
+    }
+    return true;
+  }));
+
+  let verdict = 'supported';
+  if (claimsChecked === 0) {
+    verdict = 'no_claims';
+  } else if (unsupportedClaims.length === claimsChecked) {
+    verdict = 'unsupported';
+  } else if (unsupportedClaims.length > 0) {
+    verdict = 'partially_supported';
+  }
+
+  let verifiedAnswer = answer;
+  let usedFallback = false;
+  if (removedSentences.length > 0) {
+    verifiedAnswer = lines
+      .map(sentences => sentences.join(' '))
+      // Drop lines left with only a bullet or heading marker
+      .filter(line => !/^\s*(?:[-*•]|#+|\d+[.)])\s*$/.test(line))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    if (verifiedAnswer.length < MIN_ANSWER_LENGTH && options.fallback) {
+      verifiedAnswer = options.fallback;
+      usedFallback = true;
+    }
+  }
+
+  if (unsupportedClaims.length > 0) {
+    console.warn(`⚠️  Grounding: ${unsupportedClaims.length}/${claimsChecked} claims unsupported (${mode}): ${unsupportedClaims.map(c => c.text).join(', ')}`);
+  }
+
+  return {
+    answer: verifiedAnswer,
+    grounding: {
+      verdict,
+      mode,
+      claimsChecked,
+      supportedClaims: claimsChecked - unsupportedClaims.length,
+      unsupportedClaims,
+      removedSentences,
+      // Set when the answer changed, so streaming clients can replace what they showed
+      correctedAnswer: removedSentences.length > 0 ? verifiedAnswer : null,
+      usedFallback
+    }
+  };
+}
+
+module.exports = {
+  GROUNDING_MODES,
+  getGroundingMode,
+  extractClaims,
+  verifyAnswer
+};
@@ -0,0 +1,199 @@
+/**
+ * Language Service
+ *
+ * Multilingual support for patient questions:
+ * 1. Detect the language a patient is writing in (fast heuristic, no API call)
+ * 2. Translate non-English questions to English so they can be matched
+ *    against the English content_chunks and the English intent detectors
+ *
+ * Answers are generated directly in the patient's language by the RAG prompt,
+ * so only the question is ever translated.
+ */
+
+const { chatCompletion } = require('../providers');
+require('dotenv').config();
+
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Languages we can answer in. Canned responses in prompt.js are localized
+ * for each code listed here.
+ */
+const SUPPORTED_LANGUAGES = {
+  en: 'English',
+  es: 'Spanish'
+};
+
+/**
+ * Pick the localized variant of a canned text
+ * @param {string} language - Language code (e.g. 'en', 'es')
+ * @param {Object} variants - Map of language code → text (must include 'en')
+ * @returns {string} Text in the requested language, or English if no translation exists
+ */
+function localize(language, variants) {
+  return variants[language] || variants[DEFAULT_LANGUAGE];
+}
+
+// Common words that are strong evidence of each language
+const LANGUAGE_MARKERS = {
+  en: [
+    'the', 'is', 'are', 'what', 'how', 'does', 'do', 'can', 'will', 'my', 'i', "i'm",
+    'you', 'it', 'and', 'of', 'to', 'for', 'with', 'after', 'long', 'much', 'hi', 'hello',
+    'thanks', 'thank', 'yes', 'eye', 'eyes', 'glasses', 'contacts', 'surgery', 'cost'
+  ],
+  es: [
+    'el', 'la', 'los', 'las', 'es', 'son', 'qué', 'que', 'cómo', 'como', 'cuánto', 'cuanto',
+    'cuánta', 'cuesta', 'puedo', 'puede', 'mi', 'mis', 'yo', 'tengo', 'usted', 'ustedes',
+    'y', 'de', 'del', 'para', 'con', 'por', 'después', 'despues', 'hola', 'gracias', 'sí',
+    'si', 'ojo', 'ojos', 'lentes', 'anteojos', 'cirugía', 'cirugia', 'cuando', 'cuándo',
+    'dolor', 'duele', 'años', 'buenos', 'buenas', 'días', 'tardes', 'necesito', 'quiero',
+    'miedo', 'caro', 'una', 'un', 'soy', 'estoy', 'vista', 'operación', 'operacion'
+  ]
+};
+
+/**
+ * Check if a language code is supported
+ * @param {string} code - ISO 639-1 language code
+ * @returns {boolean} True if supported
+ */
+function isSupportedLanguage(code) {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(SUPPORTED_LANGUAGES, code);
+}
+
+/**
+ * Score text against each language's marker words
+ * @param {string} text - Text to score
+ * @returns {Object} Map of language code → score
+ */
+function scoreLanguages(text) {
+  const lowerText = text.toLowerCase();
+  const words = lowerText.match(/[a-záéíóúüñ']+/g) || [];
+
+  const scores = {};
+  for (const [code, markers] of Object.entries(LANGUAGE_MARKERS)) {
+    scores[code] = words.filter(word => markers.includes(word)).length;
+  }
+
+  // Spanish-only punctuation and letters are strong signals
+  if (/[¿¡ñ]/.test(lowerText)) {
+    scores.es += 2;
+  }
+  if (/[áéíóú]/.test(lowerText)) {
+    scores.es += 1;
+  }
+
+  return scores;
+}
+
+/**
+ * Detect the language of a single piece of text
+ * @param {string} text - Text to analyze
+ * @returns {Object} { code, confident } - confident is false when the text had no clear signal
+ */
+function detectTextLanguage(text) {
+  if (!text || typeof text !== 'string') {
+    return { code: DEFAULT_LANGUAGE, confident: false };
+  }
+
+  const scores = scoreLanguages(text);
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [topCode, topScore] = ranked[0];
+  const runnerUpScore = ranked[1] ? ranked[1][1] : 0;
+
+  if (topScore === 0 || topScore === runnerUpScore) {
+    return { code: DEFAULT_LANGUAGE, confident: false };
+  }
+
+  return { code: topCode, confident: true };
+}
+
+/**
+ * Detect the patient's language, using recent messages when the question
+ * alone is ambiguous (e.g. "ok" or "LASIK?")
+ *
+ * @param {string} question - Current question
+ * @param {Array} conversationHistory - Previous { role, content } messages
+ * @returns {Object} { code, name, source } where source is 'question', 'history', or 'default'
+ */
+function detectLanguage(question, conversationHistory = []) {
+  const fromQuestion = detectTextLanguage(question);
+  if (fromQuestion.confident) {
+    return { code: fromQuestion.code, name: SUPPORTED_LANGUAGES[fromQuestion.code], source: 'question' };
+  }
+
+  const recentUserText = (conversationHistory || [])
+    .filter(msg => msg.role === 'user')
+    .slice(-3)
+    .map(msg => msg.content)
+    .join(' ');
+
+  const fromHistory = detectTextLanguage(recentUserText);
+  if (fromHistory.confident) {
+    return { code: fromHistory.code, name: SUPPORTED_LANGUAGES[fromHistory.code], source: 'history' };
+  }
+
+  return { code: DEFAULT_LANGUAGE, name: SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE], source: 'default' };
+}
+
+/**
+ * Resolve the language to answer in
+ * An explicit, supported language wins over detection.
+ *
+ * @param {string} question - Current question
+ * @param {Array} conversationHistory - Previous messages
+ * @param {string} [requestedLanguage] - Language code requested by the client
+ * @returns {Object} { code, name, source }
+ */
+function resolveLanguage(question, conversationHistory = [], requestedLanguage = null) {
+  if (requestedLanguage && isSupportedLanguage(requestedLanguage)) {
+    return { code: requestedLanguage, name: SUPPORTED_LANGUAGES[requestedLanguage], source: 'requested' };
+  }
+  return detectLanguage(question, conversationHistory);
+}
+
+/**
+ * Translate a patient question to English for retrieval and intent detection
+ *
+ * @param {string} text - Question in the patient's language
+ * @param {string} languageCode - Source language code
+ * @returns {Promise<string>} English question (original text if translation fails)
+ */
+async function translateToEnglish(text, languageCode) {
+  if (!text || languageCode === DEFAULT_LANGUAGE) {
+    return text;
+  }
+
+  try {
+    const completion = await chatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: `You translate patient messages from ${SUPPORTED_LANGUAGES[languageCode] || 'another language'} to English for an eye surgery practice. Keep procedure names (LASIK, PRK, SMILE, ICL, EVO) and numbers exactly as written. Output ONLY the English translation.`
+        },
+        {
+          role: 'user',
+          content: text
+        }
+      ],
+      temperature: 0,
+      maxTokens: 200
+    });
+
+    const translated = completion.content.trim();
+    console.log(`🌐 Translated (${languageCode}→en): "${text}" → "${translated}"`);
+    return translated || text;
+  } catch (error) {
+    console.error('❌ Error translating question:', error.message);
+    return text;
+  }
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage,
+  localize,
+  detectLanguage,
+  resolveLanguage,
+  translateToEnglish
+};
@@ -0,0 +1,128 @@
+/**
+ * Patient Voice Service
+ *
+ * Transcribes recorded patient questions for POST /ask/voice.
+ *
+ * The transcription provider is pluggable, selected by PATIENT_VOICE_PROVIDER:
+ *   - 'openai' (default): OpenAI Whisper via services/whisperService.js
+ *   - 'fake': returns PATIENT_VOICE_FAKE_TRANSCRIPT without any network call,
+ *             for local development and tests
+ *
+ * Tests can also inject their own provider with setTranscriptionProvider().
+ * A provider is { name, checkConfiguration(), transcribe({ buffer, filename, mimetype }) }
+ * where transcribe resolves to { success: true, transcript } or { success: false, error }.
+ */
+
+const { transcribeAudioBuffer, checkConfiguration: checkWhisperConfig } = require('./whisperService');
+require('dotenv').config();
+
+const MAX_TRANSCRIPT_LENGTH = 500; // Same cap as typed questions on /ask
+
+/**
+ * OpenAI Whisper provider (uses the shared Whisper service)
+ */
+const openaiProvider = {
+  name: 'openai',
+  checkConfiguration: checkWhisperConfig,
+  transcribe: ({ buffer, filename, mimetype }) => transcribeAudioBuffer({
+    buffer,
+    filename,
+    mimetype,
+    // Unset by default so Whisper detects the language (patients may ask in Spanish)
+    language: process.env.PATIENT_VOICE_LANGUAGE || null
+  })
+};
+
+/**
+ * Create a local fake provider that always returns the same transcript
+ * @param {string} transcript - Transcript to return for every upload
+ * @returns {Object} Transcription provider
+ */
+function createFakeProvider(transcript = process.env.PATIENT_VOICE_FAKE_TRANSCRIPT || 'What is LASIK?') {
+  return {
+    name: 'fake',
+    checkConfiguration: () => ({ configured: true }),
+    transcribe: async ({ buffer }) => {
+      if (!buffer || buffer.length === 0) {
+        return { success: false, error: 'Empty audio upload' };
+      }
+      return { success: true, transcript };
+    }
+  };
+}
+
+const PROVIDERS = {
+  openai: () => openaiProvider,
+  fake: () => createFakeProvider()
+};
+
+let activeProvider = null;
+
+/**
+ * Get the configured transcription provider
+ * @returns {Object} Transcription provider
+ */
+function getTranscriptionProvider() {
+  if (!activeProvider) {
+    const name = (process.env.PATIENT_VOICE_PROVIDER || 'openai').toLowerCase();
+    const factory = PROVIDERS[name];
+    if (!factory) {
+      console.warn(`⚠️  Unknown PATIENT_VOICE_PROVIDER "${name}", using openai`);
+    }
+    activeProvider = (factory || PROVIDERS.openai)();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the transcription provider (for tests or alternate backends)
+ * @param {Object|null} provider - Provider object, or null to go back to the env-configured one
+ */
+function setTranscriptionProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Transcribe a patient's recorded question
+ *
+ * @param {Object} options - Upload details
+ * @param {Buffer} options.buffer - Audio file buffer
+ * @param {string} options.filename - Original filename
+ * @param {string} options.mimetype - Audio MIME type
+ * @returns {Promise<Object>} { success: true, transcript, provider } or { success: false, error }
+ */
+async function transcribeQuestion({ buffer, filename, mimetype }) {
+  const provider = getTranscriptionProvider();
+  const result = await provider.transcribe({ buffer, filename, mimetype });
+
+  if (!result.success) {
+    return result;
+  }
+
+  const transcript = (result.transcript || '').trim().substring(0, MAX_TRANSCRIPT_LENGTH);
+  if (transcript.length === 0) {
+    return {
+      success: false,
+      error: "We couldn't make out a question in that recording. Please try again or type your question."
+    };
+  }
+
+  return { success: true, transcript, provider: provider.name };
+}
+
+/**
+ * Check if the active transcription provider is configured
+ * @returns {Object} - { configured: boolean, provider: string, error?: string }
+ */
+function checkConfiguration() {
+  const provider = getTranscriptionProvider();
+  return { ...provider.checkConfiguration(), provider: provider.name };
+}
+
+module.exports = {
+  transcribeQuestion,
+  checkConfiguration,
+  getTranscriptionProvider,
+  setTranscriptionProvider,
+  createFakeProvider
+};
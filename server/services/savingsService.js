@@ -0,0 +1,409 @@
+/**
+ * Savings Service
+ *
+ * Models what a patient would spend on glasses and contacts over the years
+ * against the cost of a procedure - paid up front or financed - for the
+ * savings calculator in the chat UI and the widget (POST /api/patient/savings).
+ *
+ * Assumptions are built in (DEFAULT_SAVINGS_ASSUMPTIONS) and each clinic can
+ * override any of them from the admin API:
+ *   {
+ *     annualEyewearCost,     // Used when the patient doesn't give their own spend
+ *     eyewearUntilAge,       // Age until which they would keep buying eyewear
+ *     eyewearInflation,      // Yearly increase in eyewear prices (0.03 = 3%)
+ *     financing: { apr, termMonths },
+ *     procedures: { lasik: { label, pricePerEye, financing? }, ... }  // null removes one
+ *   }
+ * Overrides live in the savings_assumptions table (migration 014) or, without
+ * Supabase, in SAVINGS_ASSUMPTIONS_FILE. Only the overrides are stored, so
+ * changes to the defaults reach every clinic that hasn't set its own value.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getSupabase, isSupabaseConfigured } = require('../supabase');
+require('dotenv').config();
+
+const SAVINGS_TABLE = 'savings_assumptions';
+const SAVINGS_ASSUMPTIONS_FILE = process.env.SAVINGS_ASSUMPTIONS_FILE
+  ? path.resolve(process.env.SAVINGS_ASSUMPTIONS_FILE)
+  : path.join(__dirname, '../../savings-assumptions.json');
+const ASSUMPTIONS_CACHE_MS = 60 * 1000;
+const PROCEDURE_KEY_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Prices are the midpoints quoted in the FAQ content: laser treatments $2,500-3,000 and
+// lens replacement $3,500-4,500 per eye (content/01-cost-and-insurance.md). ICL is only
+// quoted as "a few thousand dollars per eye", so it uses the "median price of $6,000 for
+// both eyes" (content/16-counseling-strategies.md) - set your clinic's price
+const DEFAULT_SAVINGS_ASSUMPTIONS = {
+  annualEyewearCost: 860, // "$860 per year, conservatively speaking" (content/16-counseling-strategies.md)
+  eyewearUntilAge: 65,
+  eyewearInflation: 0.03,
+  financing: { apr: 0, termMonths: 24 },
+  procedures: {
+    lasik: { label: 'LASIK', pricePerEye: 2750 },
+    prk: { label: 'PRK', pricePerEye: 2750 },
+    smile: { label: 'SMILE', pricePerEye: 2750 },
+    icl: { label: 'ICL', pricePerEye: 3000 },
+    rle: { label: 'Lens Replacement (RLE)', pricePerEye: 4000 }
+  }
+};
+
+const assumptionsCache = new Map(); // tenantId -> { assumptions, loadedAt }
+
+/**
+ * Check a financing block
+ * @param {*} financing - { apr?, termMonths? }
+ * @param {string} where - Field name for the error
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateFinancing(financing, where) {
+  if (typeof financing !== 'object' || financing === null || Array.isArray(financing)) {
+    return `${where} must be an object`;
+  }
+  if (financing.apr !== undefined && !(Number.isFinite(financing.apr) && financing.apr >= 0 && financing.apr <= 0.5)) {
+    return `${where}.apr must be a rate between 0 and 0.5 (0.1 = 10%)`;
+  }
+  if (financing.termMonths !== undefined && !(Number.isInteger(financing.termMonths) && financing.termMonths >= 1 && financing.termMonths <= 120)) {
+    return `${where}.termMonths must be a whole number of months from 1 to 120`;
+  }
+  return null;
+}
+
+/**
+ * Check a clinic's assumption overrides
+ * @param {*} overrides - Overrides from the admin API
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAssumptions(overrides) {
+  if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+    return 'Assumptions must be an object';
+  }
+
+  const known = ['annualEyewearCost', 'eyewearUntilAge', 'eyewearInflation', 'financing', 'procedures'];
+  const unknown = Object.keys(overrides).filter(key => !known.includes(key));
+  if (unknown.length > 0) {
+    return `Unknown assumption${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`;
+  }
+
+  const { annualEyewearCost, eyewearUntilAge, eyewearInflation, financing, procedures } = overrides;
+  if (annualEyewearCost !== undefined && !(Number.isFinite(annualEyewearCost) && annualEyewearCost >= 0 && annualEyewearCost <= 20000)) {
+    return 'annualEyewearCost must be a dollar amount from 0 to 20000';
+  }
+  if (eyewearUntilAge !== undefined && !(Number.isInteger(eyewearUntilAge) && eyewearUntilAge >= 30 && eyewearUntilAge <= 100)) {
+    return 'eyewearUntilAge must be a whole age from 30 to 100';
+  }
+  if (eyewearInflation !== undefined && !(Number.isFinite(eyewearInflation) && eyewearInflation >= 0 && eyewearInflation <= 0.2)) {
+    return 'eyewearInflation must be a rate between 0 and 0.2 (0.03 = 3%)';
+  }
+  if (financing !== undefined) {
+    const error = validateFinancing(financing, 'financing');
+    if (error) return error;
+  }
+
+  if (procedures !== undefined) {
+    if (typeof procedures !== 'object' || procedures === null || Array.isArray(procedures)) {
+      return 'procedures must be an object keyed by procedure';
+    }
+    for (const [key, procedure] of Object.entries(procedures)) {
+      if (!PROCEDURE_KEY_PATTERN.test(key)) {
+        return `Procedure key "${key}" must be lowercase letters, numbers and dashes`;
+      }
+      if (procedure === null) continue; // Removes a built-in procedure
+      if (typeof procedure !== 'object' || Array.isArray(procedure)) {
+        return `procedures.${key} must be an object or null`;
+      }
+      const isNew = !Object.hasOwn(DEFAULT_SAVINGS_ASSUMPTIONS.procedures, key);
+      if (procedure.label !== undefined ? typeof procedure.label !== 'string' || !procedure.label.trim() : isNew) {
+        return `procedures.${key}.label must be a non-empty string`;
+      }
+      if (procedure.pricePerEye !== undefined
+        ? !(Number.isFinite(procedure.pricePerEye) && procedure.pricePerEye > 0 && procedure.pricePerEye <= 50000)
+        : isNew) {
+        return `procedures.${key}.pricePerEye must be a dollar amount from 1 to 50000`;
+      }
+      if (procedure.financing !== undefined) {
+        const error = validateFinancing(procedure.financing, `procedures.${key}.financing`);
+        if (error) return error;
+      }
+    }
+    if (Object.keys(mergeAssumptions({ procedures }).procedures).length === 0) {
+      return 'procedures must leave at least one procedure';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Apply a clinic's overrides to the built-in assumptions
+ * @param {Object} overrides - Valid overrides
+ * @returns {Object} Assumptions
+ */
+function mergeAssumptions(overrides = {}) {
+  const defaults = DEFAULT_SAVINGS_ASSUMPTIONS;
+  const procedures = {};
+  const keys = new Set([...Object.keys(defaults.procedures), ...Object.keys(overrides.procedures || {})]);
+  for (const key of keys) {
+    const override = (overrides.procedures || {})[key];
+    if (override === null) continue;
+    procedures[key] = { ...defaults.procedures[key], ...override };
+  }
+
+  return {
+    annualEyewearCost: overrides.annualEyewearCost ?? defaults.annualEyewearCost,
+    eyewearUntilAge: overrides.eyewearUntilAge ?? defaults.eyewearUntilAge,
+    eyewearInflation: overrides.eyewearInflation ?? defaults.eyewearInflation,
+    financing: { ...defaults.financing, ...overrides.financing },
+    procedures
+  };
+}
+
+/**
+ * Read every clinic's overrides from SAVINGS_ASSUMPTIONS_FILE
+ * @returns {Promise<Object>} { tenantId: overrides }
+ */
+async function readOverridesFile() {
+  try {
+    return JSON.parse(await fs.readFile(SAVINGS_ASSUMPTIONS_FILE, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load a clinic's assumption overrides
+ * @param {string} tenantId - Tenant id
+ * @returns {Promise<Object>} Overrides ({} if the clinic has none)
+ */
+async function getAssumptionOverrides(tenantId) {
+  if (isSupabaseConfigured()) {
+    const { data, error } = await getSupabase()
+      .from(SAVINGS_TABLE)
+      .select('assumptions')
+      .eq('tenant_id', tenantId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return (data && data.assumptions) || {};
+  }
+
+  return (await readOverridesFile())[tenantId] || {};
+}
+
+/**
+ * Replace a clinic's assumption overrides
+ * @param {string} tenantId - Tenant id
+ * @param {Object} overrides - Overrides (checked with validateAssumptions first)
+ * @returns {Promise<Object>} The clinic's assumptions with the new overrides
+ */
+async function saveAssumptionOverrides(tenantId, overrides) {
+  if (isSupabaseConfigured()) {
+    const { error } = await getSupabase()
+      .from(SAVINGS_TABLE)
+      .upsert({ tenant_id: tenantId, assumptions: overrides }, { onConflict: 'tenant_id' });
+
+    if (error) {
+      throw error;
+    }
+  } else {
+    const all = await readOverridesFile();
+    all[tenantId] = overrides;
+    await fs.writeFile(SAVINGS_ASSUMPTIONS_FILE, JSON.stringify(all, null, 2), 'utf-8');
+  }
+
+  assumptionsCache.delete(tenantId);
+  console.log(`💰 Savings assumptions updated for ${tenantId}`);
+  return mergeAssumptions(overrides);
+}
+
+/**
+ * Get a clinic's savings assumptions (memoized for ASSUMPTIONS_CACHE_MS)
+ * Falls back to the built-in assumptions if the overrides can't be read.
+ * @param {string} tenantId - Tenant id
+ * @returns {Promise<Object>} Assumptions
+ */
+async function getSavingsAssumptions(tenantId) {
+  const cached = assumptionsCache.get(tenantId);
+  if (cached && Date.now() - cached.loadedAt < ASSUMPTIONS_CACHE_MS) {
+    return cached.assumptions;
+  }
+
+  let overrides = {};
+  try {
+    overrides = await getAssumptionOverrides(tenantId);
+    const error = validateAssumptions(overrides);
+    if (error) {
+      console.warn(`⚠️  Ignoring invalid savings assumptions for ${tenantId}: ${error}`);
+      overrides = {};
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not load savings assumptions for ${tenantId} (${error.message}) - run migration 014`);
+  }
+
+  const assumptions = mergeAssumptions(overrides);
+  assumptionsCache.set(tenantId, { assumptions, loadedAt: Date.now() });
+  return assumptions;
+}
+
+/**
+ * Check a savings calculation request
+ * @param {Object} input - { age, annualEyewearCost?, procedure?, eyes?, financed? }
+ * @param {Object} assumptions - Clinic assumptions
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSavingsInput(input, assumptions) {
+  const { age, annualEyewearCost, procedure, eyes, financed } = input || {};
+  if (!(Number.isFinite(age) && age >= 18 && age <= 100)) {
+    return 'age must be a number from 18 to 100';
+  }
+  if (annualEyewearCost !== undefined && annualEyewearCost !== null &&
+      !(Number.isFinite(annualEyewearCost) && annualEyewearCost >= 0 && annualEyewearCost <= 20000)) {
+    return 'annualEyewearCost must be a dollar amount from 0 to 20000';
+  }
+  if (procedure !== undefined && !(typeof procedure === 'string' && Object.hasOwn(assumptions.procedures, procedure))) {
+    return `procedure must be one of ${Object.keys(assumptions.procedures).join(', ')}`;
+  }
+  if (eyes !== undefined && eyes !== 1 && eyes !== 2) {
+    return 'eyes must be 1 or 2';
+  }
+  if (financed !== undefined && typeof financed !== 'boolean') {
+    return 'financed must be true or false';
+  }
+  return null;
+}
+
+/**
+ * Monthly payment on an amortized loan
+ * @param {number} principal - Amount financed
+ * @param {number} apr - Yearly rate (0.1 = 10%)
+ * @param {number} termMonths - Number of payments
+ * @returns {number} Payment per month
+ */
+function monthlyPayment(principal, apr, termMonths) {
+  const rate = apr / 12;
+  return rate === 0 ? principal / termMonths : principal * rate / (1 - Math.pow(1 + rate, -termMonths));
+}
+
+/**
+ * Compare eyewear spend with the cost of a procedure, year by year
+ *
+ * Eyewear is bought every year until assumptions.eyewearUntilAge, rising with
+ * eyewearInflation. The procedure is paid up front, or in equal monthly
+ * payments when financed. Break-even is the first month in which the eyewear
+ * the patient no longer buys has covered what they have paid for the procedure.
+ *
+ * @param {Object} input - { age, annualEyewearCost?, procedure = 'lasik', eyes = 2, financed = false }
+ *   (validate with validateSavingsInput first)
+ * @param {Object} assumptions - Clinic assumptions from getSavingsAssumptions()
+ * @returns {Object} { procedure, financing, eyewear, years: [{ year, age, eyewearCost, procedureCost,
+ *   cumulativeEyewearCost, cumulativeProcedureCost, netSavings }], totals, breakEven: { months, age } | null }
+ */
+function calculateSavings(input, assumptions) {
+  const age = Math.floor(input.age);
+  const annualEyewearCost = input.annualEyewearCost ?? assumptions.annualEyewearCost;
+  const procedureKey = input.procedure || (assumptions.procedures.lasik ? 'lasik' : Object.keys(assumptions.procedures)[0]);
+  const procedure = assumptions.procedures[procedureKey];
+  const eyes = input.eyes || 2;
+  const totalCost = procedure.pricePerEye * eyes;
+
+  const financingTerms = { ...assumptions.financing, ...procedure.financing };
+  const payment = input.financed ? monthlyPayment(totalCost, financingTerms.apr, financingTerms.termMonths) : null;
+  const procedureCostInMonth = month => {
+    if (!input.financed) return month === 0 ? totalCost : 0;
+    return month < financingTerms.termMonths ? payment : 0;
+  };
+  const eyewearCostInYear = year => (age + year < assumptions.eyewearUntilAge
+    ? annualEyewearCost * Math.pow(1 + assumptions.eyewearInflation, year)
+    : 0);
+
+  // Long enough to cover the eyewear years and every loan payment
+  const horizonYears = Math.max(1, assumptions.eyewearUntilAge - age, input.financed ? Math.ceil(financingTerms.termMonths / 12) : 0);
+
+  const years = [];
+  let cumulativeEyewear = 0;
+  let cumulativeProcedure = 0;
+  let breakEven = null;
+  for (let year = 0; year < horizonYears; year++) {
+    let eyewearCost = 0;
+    let procedureCost = 0;
+    for (let month = year * 12; month < (year + 1) * 12; month++) {
+      eyewearCost += eyewearCostInYear(year) / 12;
+      procedureCost += procedureCostInMonth(month);
+      if (!breakEven && cumulativeEyewear + eyewearCost >= cumulativeProcedure + procedureCost) {
+        breakEven = { months: month + 1, age: age + Math.floor((month + 1) / 12) };
+      }
+    }
+    cumulativeEyewear += eyewearCost;
+    cumulativeProcedure += procedureCost;
+    years.push({
+      year: year + 1,
+      age: age + year,
+      eyewearCost: Math.round(eyewearCost),
+      procedureCost: Math.round(procedureCost),
+      cumulativeEyewearCost: Math.round(cumulativeEyewear),
+      cumulativeProcedureCost: Math.round(cumulativeProcedure),
+      netSavings: Math.round(cumulativeEyewear - cumulativeProcedure)
+    });
+  }
+
+  return {
+    procedure: { key: procedureKey, label: procedure.label, pricePerEye: procedure.pricePerEye, eyes, totalCost },
+    financing: input.financed
+      ? {
+        apr: financingTerms.apr,
+        termMonths: financingTerms.termMonths,
+        monthlyPayment: Math.round(payment * 100) / 100,
+        totalPaid: Math.round(payment * financingTerms.termMonths)
+      }
+      : null,
+    eyewear: {
+      annualCost: annualEyewearCost,
+      untilAge: assumptions.eyewearUntilAge,
+      inflation: assumptions.eyewearInflation
+    },
+    years,
+    totals: {
+      eyewearCost: Math.round(cumulativeEyewear),
+      procedureCost: Math.round(cumulativeProcedure),
+      netSavings: Math.round(cumulativeEyewear - cumulativeProcedure)
+    },
+    breakEven
+  };
+}
+
+/**
+ * Public view of a clinic's assumptions (for the calculator's procedure picker)
+ * @param {Object} assumptions - Clinic assumptions
+ * @returns {Object} { annualEyewearCost, eyewearUntilAge, eyewearInflation, financing, procedures: [{ key, label, pricePerEye }] }
+ */
+function toPublicAssumptions(assumptions) {
+  return {
+    annualEyewearCost: assumptions.annualEyewearCost,
+    eyewearUntilAge: assumptions.eyewearUntilAge,
+    eyewearInflation: assumptions.eyewearInflation,
+    financing: assumptions.financing,
+    procedures: Object.entries(assumptions.procedures).map(([key, procedure]) => ({
+      key,
+      label: procedure.label,
+      pricePerEye: procedure.pricePerEye
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_SAVINGS_ASSUMPTIONS,
+  validateAssumptions,
+  mergeAssumptions,
+  getAssumptionOverrides,
+  saveAssumptionOverrides,
+  getSavingsAssumptions,
+  validateSavingsInput,
+  calculateSavings,
+  toPublicAssumptions
+};
@@ -0,0 +1,285 @@
+/**
+ * Tenant Service
+ *
+ * Lets one deployment serve several practices. Each tenant has its own
+ * branding, phone, scheduling copy, content namespace and widget origin list:
+ *   {
+ *     id, name, phone,
+ *     branding: { title, subtitle, website },
+ *     scheduling: { en, es },      // Optional scheduling copy ({name} and {phone} are filled in)
+ *     contentNamespace,            // Folder under /content/ ('' = /content/ itself)
+ *     allowedOrigins: [],          // Sites allowed to embed the widget (empty = any)
+ *     hostnames: [],               // Hostnames that resolve to this tenant
+ *     apiKeys: []                  // Publishable keys sent as X-Tenant-Key
+ *   }
+ *
+ * Tenants come from the Supabase tenants table (migration 010) or, without
+ * Supabase, from TENANTS_FILE (a JSON array). The "default" tenant is built
+ * from CLINIC_NAME / CLINIC_PHONE unless the registry defines it, so a
+ * single-practice deployment needs no tenant setup at all.
+ *
+ * A request resolves to a tenant by API key (X-Tenant-Key header or ?tenant=),
+ * then by hostname (the API host, then the page's Origin), then the default.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getSupabase, isSupabaseConfigured } = require('../supabase');
+require('dotenv').config();
+
+const TENANTS_TABLE = 'tenants';
+const TENANTS_FILE = process.env.TENANTS_FILE
+  ? path.resolve(process.env.TENANTS_FILE)
+  : null;
+const DEFAULT_TENANT_ID = 'default';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const REGISTRY_CACHE_MS = 60 * 1000;
+
+let registryCache = { tenants: null, loadedAt: 0 };
+
+/**
+ * Build the default tenant from the CLINIC_* environment variables
+ * @returns {Object} Tenant
+ */
+function getDefaultTenant() {
+  return normalizeTenant({
+    id: DEFAULT_TENANT_ID,
+    name: process.env.CLINIC_NAME || 'our clinic',
+    phone: process.env.CLINIC_PHONE || '(210) 585-2020',
+    contentNamespace: ''
+  });
+}
+
+/**
+ * Normalize a tenant from TENANTS_FILE (camelCase) or a tenants row (snake_case)
+ * @param {Object} raw - Tenant definition
+ * @returns {Object} Tenant
+ */
+function normalizeTenant(raw) {
+  const id = String(raw.id || '').toLowerCase();
+  const namespace = raw.contentNamespace ?? raw.content_namespace;
+  const list = value => (Array.isArray(value) ? value : []).map(item => String(item).trim()).filter(Boolean);
+
+  return {
+    id,
+    name: raw.name || 'our clinic',
+    phone: raw.phone || '',
+    branding: raw.branding || {},
+    scheduling: raw.scheduling || {},
+    // Other tenants default to a folder named after them, never to the default tenant's content
+    contentNamespace: namespace ?? (id === DEFAULT_TENANT_ID ? '' : id),
+    allowedOrigins: list(raw.allowedOrigins || raw.allowed_origins).map(origin => origin.replace(/\/$/, '')),
+    hostnames: list(raw.hostnames).map(host => host.toLowerCase()),
+    apiKeys: list(raw.apiKeys || raw.api_keys)
+  };
+}
+
+/**
+ * Check a tenant definition
+ * @param {Object} tenant - Normalized tenant
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTenant(tenant) {
+  if (!TENANT_ID_PATTERN.test(tenant.id)) {
+    return `invalid id "${tenant.id}" (lowercase letters, digits, - and _)`;
+  }
+  if (tenant.contentNamespace && !TENANT_ID_PATTERN.test(tenant.contentNamespace)) {
+    return `invalid contentNamespace "${tenant.contentNamespace}"`;
+  }
+  if (!tenant.phone) {
+    return 'phone is required';
+  }
+  return null;
+}
+
+/**
+ * Load tenant definitions from Supabase or TENANTS_FILE
+ * @returns {Promise<Array>} Raw tenant definitions
+ */
+async function loadTenantDefinitions() {
+  const supabase = isSupabaseConfigured() ? getSupabase() : null;
+
+  if (supabase) {
+    const { data, error } = await supabase
+      .from(TENANTS_TABLE)
+      .select('id, name, phone, branding, scheduling, content_namespace, allowed_origins, hostnames, api_keys')
+      .eq('is_active', true)
+      .order('id');
+
+    if (!error) {
+      return data || [];
+    }
+    console.warn(`⚠️  Could not load tenants (${error.message}) - run migration 010`);
+  }
+
+  if (!TENANTS_FILE) {
+    return [];
+  }
+
+  try {
+    const definitions = JSON.parse(await fs.readFile(TENANTS_FILE, 'utf-8'));
+    return Array.isArray(definitions) ? definitions : [];
+  } catch (error) {
+    console.warn(`⚠️  Could not load ${TENANTS_FILE}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * List every tenant, the default tenant first (memoized for REGISTRY_CACHE_MS)
+ * @returns {Promise<Array>} Tenants
+ */
+async function listTenants() {
+  if (registryCache.tenants && Date.now() - registryCache.loadedAt < REGISTRY_CACHE_MS) {
+    return registryCache.tenants;
+  }
+
+  const tenants = [];
+  for (const definition of await loadTenantDefinitions()) {
+    const tenant = normalizeTenant(definition);
+    const error = validateTenant(tenant);
+    if (error) {
+      console.warn(`⚠️  Skipping tenant ${tenant.id || '(no id)'}: ${error}`);
+    } else if (tenants.some(existing => existing.id === tenant.id)) {
+      console.warn(`⚠️  Skipping duplicate tenant ${tenant.id}`);
+    } else {
+      tenants.push(tenant);
+    }
+  }
+
+  const defaultIndex = tenants.findIndex(tenant => tenant.id === DEFAULT_TENANT_ID);
+  const defaultTenant = defaultIndex >= 0 ? tenants.splice(defaultIndex, 1)[0] : getDefaultTenant();
+  // The default tenant owns /content/ itself
+  defaultTenant.contentNamespace = '';
+
+  registryCache = { tenants: [defaultTenant, ...tenants], loadedAt: Date.now() };
+  return registryCache.tenants;
+}
+
+/**
+ * Get a tenant by id
+ * @param {string} id - Tenant id
+ * @returns {Promise<Object|null>} Tenant
+ */
+async function getTenant(id) {
+  return (await listTenants()).find(tenant => tenant.id === id) || null;
+}
+
+/**
+ * Get the hostname of an Origin header value
+ * @param {string} origin - e.g. "https://chat.example.com"
+ * @returns {string|null} Hostname
+ */
+function originHostname(origin) {
+  try {
+    return new URL(origin).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve the tenant a request belongs to
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Tenant, or null for an unknown API key
+ */
+async function resolveTenant(req) {
+  const tenants = await listTenants();
+  const apiKey = req.get('X-Tenant-Key') || (typeof req.query.tenant === 'string' ? req.query.tenant : null);
+
+  if (apiKey) {
+    return tenants.find(tenant => tenant.apiKeys.includes(apiKey)) || null;
+  }
+
+  const origin = req.get('Origin');
+  for (const host of [req.hostname, origin && originHostname(origin)]) {
+    const tenant = host && tenants.find(t => t.hostnames.includes(host.toLowerCase()));
+    if (tenant) {
+      return tenant;
+    }
+  }
+
+  return tenants[0];
+}
+
+/**
+ * Check whether a page may use a tenant's widget
+ * @param {Object} tenant - Tenant
+ * @param {string} origin - Origin header (absent for same-origin and server-side calls)
+ * @returns {boolean} True if allowed
+ */
+function isOriginAllowed(tenant, origin) {
+  if (!origin || tenant.allowedOrigins.length === 0) {
+    return true;
+  }
+  return tenant.allowedOrigins.includes(origin.replace(/\/$/, ''));
+}
+
+/**
+ * Express middleware: resolve the tenant into req.tenant and enforce its origin list
+ */
+async function attachTenant(req, res, next) {
+  let tenant;
+  try {
+    tenant = await resolveTenant(req);
+  } catch (error) {
+    console.error('❌ Tenant resolution failed, using the default tenant:', error.message);
+    tenant = getDefaultTenant();
+  }
+
+  if (!tenant) {
+    return res.status(401).json({
+      error: 'Unknown tenant',
+      message: 'The tenant key is not recognized'
+    });
+  }
+
+  const origin = req.get('Origin');
+  if (!isOriginAllowed(tenant, origin)) {
+    console.warn(`⚠️  Tenant ${tenant.id}: blocked widget origin ${origin}`);
+    return res.status(403).json({
+      error: 'Origin not allowed',
+      message: `${origin} is not an allowed origin for this clinic`
+    });
+  }
+
+  req.tenant = tenant;
+  next();
+}
+
+/**
+ * Fill {name} and {phone} in tenant copy
+ * @param {string} text - Copy with placeholders
+ * @param {Object} tenant - Tenant
+ * @returns {string} Filled copy
+ */
+function fillTenantCopy(text, tenant) {
+  return text.replace(/\{name\}/g, tenant.name).replace(/\{phone\}/g, tenant.phone);
+}
+
+/**
+ * The part of a tenant the widget may see (no keys, hostnames or origins)
+ * @param {Object} tenant - Tenant
+ * @returns {Object} { id, name, phone, branding }
+ */
+function toPublicTenant(tenant) {
+  return {
+    id: tenant.id,
+    name: tenant.name,
+    phone: tenant.phone,
+    branding: tenant.branding
+  };
+}
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  getDefaultTenant,
+  normalizeTenant,
+  listTenants,
+  getTenant,
+  resolveTenant,
+  isOriginAllowed,
+  attachTenant,
+  fillTenantCopy,
+  toPublicTenant
+};
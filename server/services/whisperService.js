@@ -1,46 +1,37 @@
 /**
  * Whisper Transcription Service
  * 
- * Handles audio transcription using OpenAI's Whisper API.
+ * Handles audio transcription through the model provider layer
+ * (OpenAI Whisper by default, see server/providers).
  * Used by clinician coaching endpoints for consult transcription.
  * 
- * IMPORTANT: This service is for CLINICIAN use only.
- * Patient-facing voice features should use a separate service.
+ * Clinician endpoints call this directly. Patient voice questions go through
+ * services/patientVoiceService.js, which wraps it as its default provider.
  */
 
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
-const OpenAI = require('openai');
+const { transcribeAudio, checkConfiguration: checkProviderConfig } = require('../providers');
 require('dotenv').config();
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 /**
- * Transcribe audio buffer using OpenAI Whisper API
+ * Transcribe audio buffer with the configured transcription provider
  * 
  * @param {Object} options - Transcription options
  * @param {Buffer} options.buffer - Audio file buffer
  * @param {string} options.filename - Original filename
  * @param {string} options.mimetype - Audio MIME type
+ * @param {string} [options.language='en'] - ISO-639-1 language hint for Whisper (null to auto-detect)
  * @returns {Promise<Object>} - { success: true, transcript: string } or { success: false, error: string }
  */
-async function transcribeAudioBuffer({ buffer, filename, mimetype }) {
-  // Check for API key
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('❌ OPENAI_API_KEY not configured');
+async function transcribeAudioBuffer({ buffer, filename, mimetype, language = 'en' }) {
+  const config = checkConfiguration();
+  if (!config.configured) {
+    console.error('❌ Transcription provider not configured:', config.error);
     return {
       success: false,
-      error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.'
+      error: `Transcription provider not configured: ${config.error}`
     };
   }
 
-  // Create a temporary file to store the audio buffer
-  let tempFilePath = null;
-  
   try {
     console.log(`🎤 Transcribing audio: ${filename} (${buffer.length} bytes, ${mimetype})`);
 
@@ -65,20 +56,13 @@ async function transcribeAudioBuffer({ buffer, filename, mimetype }) {
     }
     
     console.log(`📁 Using filename: ${safeFilename}`);
+    console.log(`🔄 Sending to ${config.provider} (${config.model})...`);
     
-    // Write buffer to temp file (OpenAI SDK requires file path or stream)
-    tempFilePath = path.join(os.tmpdir(), `whisper_${Date.now()}_${safeFilename}`);
-    fs.writeFileSync(tempFilePath, buffer);
-    
-    console.log('🔄 Sending to OpenAI Whisper API...');
-    
-    // Use OpenAI SDK for transcription
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(tempFilePath),
-      model: 'whisper-1',
-      response_format: 'text',
-      temperature: 0.3,
-      language: 'en'
+    const transcription = await transcribeAudio({
+      buffer,
+      filename: safeFilename,
+      mimetype,
+      language
     });
     
     console.log(`✅ Transcription completed: ${transcription.length} characters`);
@@ -101,19 +85,19 @@ async function transcribeAudioBuffer({ buffer, filename, mimetype }) {
     if (error.message && error.message.includes('ECONNREFUSED')) {
       return {
         success: false,
-        error: 'Could not connect to OpenAI API. Please check your network.'
+        error: 'Could not connect to the transcription service. Please check your network.'
       };
     }
     if (error.status === 401) {
       return {
         success: false,
-        error: 'Invalid OpenAI API key'
+        error: 'Invalid API key for the transcription service'
       };
     }
     if (error.status === 413) {
       return {
         success: false,
-        error: 'Audio file too large for OpenAI (max 25MB)'
+        error: 'Audio file too large for the transcription service (max 25MB)'
       };
     }
     
@@ -121,30 +105,15 @@ async function transcribeAudioBuffer({ buffer, filename, mimetype }) {
       success: false,
       error: `Transcription failed: ${error.message}`
     };
-  } finally {
-    // Clean up temp file
-    if (tempFilePath) {
-      try {
-        fs.unlinkSync(tempFilePath);
-      } catch (e) {
-        // Ignore cleanup errors
-      }
-    }
   }
 }
 
 /**
- * Check if Whisper service is properly configured
- * @returns {Object} - { configured: boolean, error?: string }
+ * Check if the transcription provider is properly configured
+ * @returns {Object} - { configured: boolean, provider: string, model: string, error?: string }
  */
 function checkConfiguration() {
-  if (!process.env.OPENAI_API_KEY) {
-    return {
-      configured: false,
-      error: 'OPENAI_API_KEY environment variable not set'
-    };
-  }
-  return { configured: true };
+  return checkProviderConfig('transcription');
 }
 
 module.exports = {
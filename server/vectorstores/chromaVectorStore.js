@@ -0,0 +1,281 @@
+/**
+ * Chroma Vector Store
+ *
+ * Stores chunks in a Chroma server (https://docs.trychroma.com):
+ *
+ *   docker run -p 8000:8000 chromadb/chroma
+ *
+ * CHROMA_URL points at the server (default http://localhost:8000) and
+ * CHROMA_COLLECTION_NAME names the collection (default faq_collection),
+ * created with cosine distance on first use. Embeddings always come from the
+ * app's embedding provider - Chroma never embeds anything itself.
+ *
+ * Chroma metadata values must be strings, numbers or booleans, so the full
+ * metadata (heading paths, section lists) is kept as JSON in _metadata and
+ * only the scalar fields are stored as filterable metadata, plus one
+ * "field:value" flag per element of a list of scalars (procedures: ['icl']
+ * → 'procedures:icl': true) so list fields can be filtered too. Chroma only
+ * compares numbers, so each date field also gets a "field:day" number
+ * (2027-10-19 → 20271019, NO_DATE_DAY when unset) for { after } clauses.
+ * Chroma has no keyword ranking and no transactions: there is no search(),
+ * and applyChanges() upserts before it deletes.
+ */
+
+const { ChromaClient } = require('chromadb');
+const { DEFAULT_TENANT_ID } = require('../services/tenantService');
+const { DATE_FIELDS, normalizeWhere, isAfterClause, assertDeleteSelection } = require('./filters');
+require('dotenv').config();
+
+const PAGE_SIZE = 500;
+const METADATA_JSON_FIELD = '_metadata';
+const NO_DATE_DAY = 99991231; // Undated chunks pass every { after } clause
+
+// Embeddings are always passed in; this keeps Chroma from loading its default model
+const NO_EMBEDDING_FUNCTION = {
+  generate: async () => {
+    throw new Error('Chroma collections in this app are given embeddings, never text to embed');
+  }
+};
+
+/**
+ * Flatten metadata into Chroma's scalar-only format
+ * @param {Object} metadata - Chunk metadata
+ * @returns {Object} Chroma metadata
+ */
+function toChromaMetadata(metadata = {}) {
+  const flat = { [METADATA_JSON_FIELD]: JSON.stringify(metadata), tenantId: DEFAULT_TENANT_ID };
+  for (const [field, value] of Object.entries(metadata)) {
+    if (isScalar(value)) {
+      flat[field] = value;
+    } else if (Array.isArray(value) && value.every(isScalar)) {
+      value.forEach(element => { flat[listFlag(field, element)] = true; });
+    }
+  }
+  for (const field of DATE_FIELDS) {
+    flat[dayField(field)] = typeof metadata[field] === 'string' ? toDay(metadata[field]) : NO_DATE_DAY;
+  }
+  return flat;
+}
+
+/**
+ * Name of the number recording a date field
+ * @param {string} field - Date field
+ * @returns {string} "field:day"
+ */
+function dayField(field) {
+  return `${field}:day`;
+}
+
+/**
+ * Convert a date to a comparable number
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} YYYYMMDD
+ */
+function toDay(date) {
+  return Number(date.replace(/-/g, ''));
+}
+
+/**
+ * Check for a value Chroma can store as metadata
+ * @param {*} value - Candidate value
+ * @returns {boolean} True for strings, numbers and booleans
+ */
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Name of the flag recording one element of a list field
+ * @param {string} field - List field
+ * @param {*} element - List element
+ * @returns {string} "field:element"
+ */
+function listFlag(field, element) {
+  return `${field}:${element}`;
+}
+
+/**
+ * Restore the original metadata
+ * @param {Object} flat - Chroma metadata
+ * @returns {Object} Chunk metadata
+ */
+function fromChromaMetadata(flat) {
+  if (flat && flat[METADATA_JSON_FIELD]) {
+    return JSON.parse(flat[METADATA_JSON_FIELD]);
+  }
+  return flat || {};
+}
+
+/**
+ * Combine Chroma conditions
+ * @param {string} operator - '$and' or '$or'
+ * @param {Array} conditions - Chroma where conditions
+ * @returns {Object|undefined} Condition (Chroma rejects $and/$or with fewer than two)
+ */
+function combine(operator, conditions) {
+  if (conditions.length === 0) return undefined;
+  return conditions.length === 1 ? conditions[0] : { [operator]: conditions };
+}
+
+/**
+ * Convert a filter to a Chroma where clause
+ * A field matches its scalar value or, for list fields, any element's flag;
+ * { after } clauses compare the field's day number.
+ * @param {Object} [where] - { field: value }
+ * @returns {Object|undefined} Chroma where
+ */
+function toChromaWhere(where) {
+  return combine('$and', Object.entries(normalizeWhere(where)).map(([field, value]) => {
+    if (isAfterClause(value)) {
+      return { [dayField(field)]: { $gt: toDay(value.after) } };
+    }
+    const values = Array.isArray(value) ? value : [value];
+    return combine('$or', [
+      values.length === 1 ? { [field]: { $eq: values[0] } } : { [field]: { $in: values } },
+      ...values.map(element => ({ [listFlag(field, element)]: { $eq: true } }))
+    ]);
+  }));
+}
+
+/**
+ * Create the Chroma vector store
+ * @param {Object} [options] - Store options
+ * @param {string} [options.url] - Chroma server URL
+ * @param {string} [options.collectionName] - Collection name
+ * @returns {Object} Vector store
+ */
+function createChromaVectorStore({
+  url = process.env.CHROMA_URL || 'http://localhost:8000',
+  collectionName = process.env.CHROMA_COLLECTION_NAME || 'faq_collection'
+} = {}) {
+  const client = new ChromaClient({ path: url });
+  let collectionPromise = null;
+
+  /**
+   * Get (creating on first use) the collection
+   * @returns {Promise<Object>} Chroma collection
+   */
+  function getCollection() {
+    if (!collectionPromise) {
+      collectionPromise = client.getOrCreateCollection({
+        name: collectionName,
+        metadata: { 'hnsw:space': 'cosine' },
+        embeddingFunction: NO_EMBEDDING_FUNCTION
+      }).catch(error => {
+        // Retry on the next call instead of caching the failure
+        collectionPromise = null;
+        throw error;
+      });
+    }
+    return collectionPromise;
+  }
+
+  /**
+   * Get matching records, paged
+   * @param {Object} selection - { ids, where }
+   * @param {Array<string>} include - Fields to include
+   * @returns {Promise<Object>} { ids, documents, metadatas, embeddings }
+   */
+  async function getRecords({ ids, where } = {}, include) {
+    const collection = await getCollection();
+    const records = { ids: [], documents: [], metadatas: [], embeddings: [] };
+    if (ids && ids.length === 0) {
+      return records;
+    }
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const page = await collection.get({ ids, where: toChromaWhere(where), include, limit: PAGE_SIZE, offset });
+      records.ids.push(...page.ids);
+      records.documents.push(...(page.documents || []));
+      records.metadatas.push(...(page.metadatas || []));
+      records.embeddings.push(...(page.embeddings || []));
+      if (page.ids.length < PAGE_SIZE) break;
+    }
+    return records;
+  }
+
+  const store = {
+    name: 'chroma',
+
+    async add(documents) {
+      if (documents.length === 0) return;
+      const collection = await getCollection();
+      await collection.upsert({
+        ids: documents.map(doc => doc.id),
+        embeddings: documents.map(doc => Array.from(doc.embedding)),
+        metadatas: documents.map(doc => toChromaMetadata(doc.metadata)),
+        documents: documents.map(doc => doc.document)
+      });
+      console.log(`✅ Added ${documents.length} documents to Chroma`);
+    },
+
+    async applyChanges({ upserts = [], deleteIds = [] }) {
+      await store.add(upserts);
+      if (deleteIds.length > 0) {
+        await store.delete({ ids: deleteIds });
+      }
+    },
+
+    async query(embedding, { nResults = 5, where } = {}) {
+      const collection = await getCollection();
+      const results = await collection.query({
+        queryEmbeddings: [Array.from(embedding)],
+        nResults,
+        where: toChromaWhere(where),
+        include: ['documents', 'metadatas', 'distances']
+      });
+
+      return (results.ids[0] || []).map((id, i) => ({
+        id,
+        document: results.documents[0][i],
+        metadata: fromChromaMetadata(results.metadatas[0][i]),
+        distance: results.distances[0][i]
+      }));
+    },
+
+    async get(selection = {}) {
+      const records = await getRecords(selection, ['documents', 'metadatas', 'embeddings']);
+      return records.ids.map((id, i) => ({
+        id,
+        document: records.documents[i],
+        embedding: records.embeddings[i],
+        metadata: fromChromaMetadata(records.metadatas[i])
+      }));
+    },
+
+    async count({ where } = {}) {
+      if (Object.keys(normalizeWhere(where)).length === 0) {
+        return (await getCollection()).count();
+      }
+      return (await getRecords({ where }, [])).ids.length;
+    },
+
+    async delete({ ids, where } = {}) {
+      assertDeleteSelection({ ids, where });
+      const { ids: matched } = await getRecords({ ids, where }, []);
+      if (matched.length > 0) {
+        await (await getCollection()).delete({ ids: matched });
+        console.log(`🗑️  Deleted ${matched.length} documents from Chroma`);
+      }
+      return matched.length;
+    },
+
+    async health() {
+      const status = { provider: 'chroma', connected: false, documentCount: 0 };
+      try {
+        await client.heartbeat();
+        status.documentCount = await store.count();
+        status.connected = true;
+      } catch (error) {
+        status.error = error.message;
+      }
+      return status;
+    }
+  };
+
+  return store;
+}
+
+module.exports = {
+  createChromaVectorStore
+};
@@ -0,0 +1,121 @@
+/**
+ * Metadata Filters
+ *
+ * Every vector store takes the same `where` filter: an object of metadata
+ * fields that must all match, e.g.
+ *   { tenantId: 'northside', filename: '11-icl-faqs.md', procedures: ['icl', 'general'] }
+ * A value is a string, number or boolean, or an array of them meaning "any
+ * of". List-valued metadata (procedures) matches when it contains the value -
+ * or any of the values. undefined/null entries are ignored, so callers can
+ * pass optional scopes straight through.
+ *
+ * Date fields (DATE_FIELDS) also take { after: 'YYYY-MM-DD' }: the chunk
+ * matches when its date is later, or when it has no date - so
+ * { expires: { after: today } } keeps content that has not expired.
+ *
+ * Chunks indexed before tenancy have no tenantId and belong to the default tenant.
+ */
+
+const { DEFAULT_TENANT_ID } = require('../services/tenantService');
+
+// Metadata fields holding YYYY-MM-DD dates, which { after } clauses compare
+const DATE_FIELDS = ['expires'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate a filter and drop empty entries
+ * @param {Object} [where] - { field: value }
+ * @returns {Object} Clauses to apply (may be empty)
+ */
+function normalizeWhere(where) {
+  const clauses = {};
+  for (const [field, value] of Object.entries(where || {})) {
+    if (value === undefined || value === null) continue;
+    if (isAfterClause(value)) {
+      if (!DATE_FIELDS.includes(field) || !DATE_PATTERN.test(value.after)) {
+        throw new Error(`Unsupported filter on "${field}": { after } takes a YYYY-MM-DD date on ${DATE_FIELDS.join(', ')}`);
+      }
+      clauses[field] = value;
+      continue;
+    }
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || !values.every(isScalar)) {
+      throw new Error(`Unsupported filter on "${field}": use a string, number or boolean, or a non-empty array of them`);
+    }
+    clauses[field] = value;
+  }
+  return clauses;
+}
+
+/**
+ * Check for an { after } clause
+ * @param {*} value - Filter value
+ * @returns {boolean} True for { after: date }
+ */
+function isAfterClause(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) && 'after' in value;
+}
+
+/**
+ * Check for a filterable value
+ * @param {*} value - Candidate value
+ * @returns {boolean} True for strings, numbers and booleans
+ */
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Read a metadata field the way filters see it
+ * @param {Object} metadata - Chunk metadata
+ * @param {string} field - Field name
+ * @returns {*} Value (tenantId defaults to the default tenant)
+ */
+function metadataValue(metadata, field) {
+  const value = (metadata || {})[field];
+  return field === 'tenantId' && value === undefined ? DEFAULT_TENANT_ID : value;
+}
+
+/**
+ * Check one clause against a metadata value
+ * @param {*} actual - Metadata value (a list matches on any element)
+ * @param {*} expected - Filter value (a list means any of, { after } a later date)
+ * @returns {boolean} True if they match
+ */
+function matchesClause(actual, expected) {
+  if (isAfterClause(expected)) {
+    return actual === undefined || actual === null || String(actual) > expected.after;
+  }
+  const allowed = Array.isArray(expected) ? expected : [expected];
+  const present = Array.isArray(actual) ? actual : [actual];
+  return present.some(value => allowed.includes(value));
+}
+
+/**
+ * Build a predicate for a filter
+ * @param {Object} [where] - { field: value }
+ * @returns {Function} metadata → boolean
+ */
+function createMetadataFilter(where) {
+  const clauses = Object.entries(normalizeWhere(where));
+  return metadata => clauses.every(([field, value]) => matchesClause(metadataValue(metadata, field), value));
+}
+
+/**
+ * Refuse a delete that names neither ids nor a filter (it would empty the store)
+ * @param {Object} selection - { ids, where }
+ */
+function assertDeleteSelection({ ids, where } = {}) {
+  if (!ids && Object.keys(normalizeWhere(where)).length === 0) {
+    throw new Error('Refusing to delete without ids or a filter');
+  }
+}
+
+module.exports = {
+  DATE_FIELDS,
+  normalizeWhere,
+  isAfterClause,
+  metadataValue,
+  createMetadataFilter,
+  assertDeleteSelection
+};
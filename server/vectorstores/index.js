@@ -0,0 +1,99 @@
+/**
+ * Vector Store Layer
+ *
+ * Single entry point for chunk storage and retrieval - used by the RAG
+ * pipeline, the indexer, the admin content editor and healthCheck.
+ *
+ * Stores, selected by VECTOR_STORE:
+ *   - 'local': files in vector-store/ with an in-process HNSW index (no server)
+ *   - 'supabase': pgvector + Postgres full-text search (migrations 001-012)
+ *   - 'chroma': a Chroma server at CHROMA_URL
+ * Without VECTOR_STORE, Supabase is used when it is configured and the local
+ * store otherwise.
+ *
+ * A vector store is {
+ *   name,
+ *   add(documents)                        - insert or replace [{ id, document, embedding, metadata }]
+ *   applyChanges({ upserts, deleteIds })  - one update (atomic for local and Supabase)
+ *   query(embedding, { nResults, where }) - nearest first: [{ id, document, metadata, distance }]
+ *   search(text, { nResults, where })     - optional keyword search: [{ id, document, metadata, score }]
+ *   get({ ids, where })                   - [{ id, document, embedding, metadata }]
+ *   count({ where })                      - number of documents
+ *   delete({ ids, where })                - number deleted (ids or a filter is required)
+ *   health()                              - { provider, connected, documentCount, error? }
+ * }
+ * `where` is a metadata filter - equality, "any of" arrays and list-valued
+ * fields (see filters.js); distance is cosine distance. tests/vector-store-conformance.js checks every store
+ * against this contract. Tests can swap one in with setVectorStore().
+ */
+
+const { createLocalVectorStore } = require('./localVectorStore');
+const { createSupabaseVectorStore } = require('./supabaseVectorStore');
+const { createChromaVectorStore } = require('./chromaVectorStore');
+const { isSupabaseConfigured } = require('../supabase');
+require('dotenv').config();
+
+const VECTOR_STORES = {
+  local: createLocalVectorStore,
+  supabase: createSupabaseVectorStore,
+  chroma: createChromaVectorStore
+};
+
+// One store instance per name, plus an override from setVectorStore()
+const instances = new Map();
+let override = null;
+
+/**
+ * Get the configured vector store name
+ * @returns {string} 'local' | 'supabase' | 'chroma'
+ */
+function getVectorStoreName() {
+  if (override) {
+    return override.name;
+  }
+
+  const name = (process.env.VECTOR_STORE || '').toLowerCase();
+  if (!name) {
+    return isSupabaseConfigured() ? 'supabase' : 'local';
+  }
+  if (!VECTOR_STORES[name]) {
+    console.warn(`⚠️  Unknown vector store "${name}", using local`);
+    return 'local';
+  }
+  if (name === 'supabase' && !isSupabaseConfigured()) {
+    console.warn('⚠️  VECTOR_STORE=supabase but Supabase is not configured, using local');
+    return 'local';
+  }
+  return name;
+}
+
+/**
+ * Get the configured vector store
+ * @returns {Object} Vector store
+ */
+function getVectorStore() {
+  if (override) {
+    return override;
+  }
+
+  const name = getVectorStoreName();
+  if (!instances.has(name)) {
+    instances.set(name, VECTOR_STORES[name]());
+  }
+  return instances.get(name);
+}
+
+/**
+ * Replace the configured vector store (for tests or alternate backends)
+ * @param {Object|null} store - Vector store, or null to go back to the env-configured one
+ */
+function setVectorStore(store) {
+  override = store;
+}
+
+module.exports = {
+  VECTOR_STORES,
+  getVectorStoreName,
+  getVectorStore,
+  setVectorStore
+};
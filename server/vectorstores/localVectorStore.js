@@ -0,0 +1,513 @@
+/**
+ * Local Vector Store
+ *
+ * File-based vector storage with an in-process HNSW index for similarity
+ * search, plus a BM25 keyword index (kept in sync on every save).
+ * No external server needed - everything runs locally.
+ *
+ * On disk (vector-store/ by default):
+ *   manifest.json          - { version, generation, dimensions, files } - written last, by rename
+ *   documents-<gen>.json   - one entry per vector slot: { id, document, metadata }, null once deleted
+ *   vectors-<gen>.f32      - float32 vectors (little-endian), one row per slot, normalized to unit length
+ *   hnsw-<gen>.json        - the HNSW graph over the slots (see hnsw-index.js)
+ *   lexical-index.json     - the BM25 index (see lexical-index.js)
+ *
+ * Every save writes a new generation and then swaps the manifest, so readers
+ * (the server, while the indexer runs) always see a complete store. The store
+ * stays in memory and is reloaded only when the manifest's generation changes.
+ * Inserts are added to the graph incrementally; deletes leave tombstoned slots
+ * that are skipped at query time until the store is compacted.
+ *
+ * Stores from before this format (a single collection.json) are migrated on first load.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { buildLexicalIndex, searchLexicalIndex, saveLexicalIndex, loadLexicalIndex } = require('../lexical-index');
+const { createHnswIndex, insertNode, searchHnsw, normalizeVector, dot } = require('../hnsw-index');
+const { normalizeWhere, createMetadataFilter, assertDeleteSelection } = require('./filters');
+
+const DEFAULT_DIR = path.join(__dirname, '../../vector-store');
+const GENERATION_FILE_PATTERN = /^(documents-\d+\.json|vectors-\d+\.f32|hnsw-\d+\.json)$/;
+const STORE_VERSION = 2;
+
+// Below this many documents an exact scan is both exact and about as fast as the graph
+const EXACT_SEARCH_MAX_DOCUMENTS = parseInt(process.env.VECTOR_EXACT_SEARCH_MAX || '1000', 10);
+// HNSW candidate list size at query time (higher = better recall, slower)
+const EF_SEARCH = parseInt(process.env.VECTOR_EF_SEARCH || '64', 10);
+// Rebuild the graph once this share of slots is deleted
+const COMPACT_DELETED_RATIO = 0.2;
+
+/**
+ * Calculate cosine similarity between two vectors
+ */
+function cosineSimilarity(vecA, vecB) {
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < vecA.length; i++) {
+    dotProduct += vecA[i] * vecB[i];
+    normA += vecA[i] * vecA[i];
+    normB += vecB[i] * vecB[i];
+  }
+
+  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Create an in-memory store
+ * @param {Object} [saved] - { generation, dimensions, documents, vectors, index } read from disk
+ * @returns {Object} Store
+ */
+function createStore(saved = {}) {
+  const store = {
+    generation: saved.generation || 0,
+    dimensions: saved.dimensions || null,
+    documents: saved.documents || [], // slot → { id, document, metadata } | null
+    slotsById: new Map(),
+    vectors: saved.vectors || new Float32Array(0), // capacity may exceed documents.length rows
+    index: saved.index || null,
+    deletedCount: 0
+  };
+
+  store.getVector = slot => store.vectors.subarray(slot * store.dimensions, (slot + 1) * store.dimensions);
+  store.documents.forEach((doc, slot) => {
+    if (doc) {
+      store.slotsById.set(doc.id, slot);
+    } else {
+      store.deletedCount++;
+    }
+  });
+  return store;
+}
+
+/**
+ * Append a document to the store and the graph
+ * @param {Object} store - Store
+ * @param {Object} doc - { id, document, embedding, metadata }
+ */
+function addSlot(store, doc) {
+  if (!store.dimensions) {
+    store.dimensions = doc.embedding.length;
+  }
+  if (doc.embedding.length !== store.dimensions) {
+    throw new Error(`Embedding for ${doc.id} has ${doc.embedding.length} dimensions, the store has ${store.dimensions}`);
+  }
+  if (!store.index) {
+    store.index = createHnswIndex({ dimensions: store.dimensions });
+  }
+
+  const slot = store.documents.length;
+  const needed = (slot + 1) * store.dimensions;
+  if (store.vectors.length < needed) {
+    const grown = new Float32Array(Math.max(needed, store.vectors.length * 2));
+    grown.set(store.vectors);
+    store.vectors = grown;
+  }
+  store.vectors.set(normalizeVector(doc.embedding), slot * store.dimensions);
+
+  store.documents.push({ id: doc.id, document: doc.document, metadata: doc.metadata || {} });
+  store.slotsById.set(doc.id, slot);
+  insertNode(store.index, store.getVector, slot);
+}
+
+/**
+ * Tombstone a document's slot
+ * @param {Object} store - Store
+ * @param {string} id - Document ID
+ */
+function removeSlot(store, id) {
+  const slot = store.slotsById.get(id);
+  if (slot === undefined) {
+    return;
+  }
+  store.documents[slot] = null;
+  store.slotsById.delete(id);
+  store.deletedCount++;
+}
+
+/**
+ * Insert a document, or replace the one with the same ID
+ * (a replacement with the same embedding - a metadata refresh - keeps its slot)
+ * @param {Object} store - Store
+ * @param {Object} doc - { id, document, embedding, metadata }
+ */
+function upsertSlot(store, doc) {
+  const slot = store.slotsById.get(doc.id);
+  if (slot !== undefined && doc.embedding.length === store.dimensions) {
+    const stored = store.getVector(slot);
+    const incoming = normalizeVector(doc.embedding);
+    if (incoming.every((value, i) => Math.abs(value - stored[i]) < 1e-6)) {
+      store.documents[slot] = { id: doc.id, document: doc.document, metadata: doc.metadata || {} };
+      return;
+    }
+  }
+  removeSlot(store, doc.id);
+  addSlot(store, doc);
+}
+
+/**
+ * Build a store from scratch
+ * @param {Array} documents - [{ id, document, embedding, metadata }]
+ * @param {number} [generation] - Generation to continue from
+ * @returns {Object} Store
+ */
+function buildStore(documents, generation = 0) {
+  const store = createStore({ generation });
+  for (const doc of documents) {
+    upsertSlot(store, doc);
+  }
+  return store;
+}
+
+/**
+ * List the documents still in the store, in slot order
+ * @param {Object} store - Store
+ * @returns {Array} [{ id, document, metadata }]
+ */
+function liveDocuments(store) {
+  return store.documents.filter(Boolean);
+}
+
+/**
+ * Rebuild the graph without tombstoned slots once enough have piled up
+ * @param {Object} store - Store
+ * @returns {Object} The same store, or a compacted copy
+ */
+function compactIfNeeded(store) {
+  if (store.deletedCount === 0 || store.deletedCount < store.documents.length * COMPACT_DELETED_RATIO) {
+    return store;
+  }
+  const documents = [];
+  store.documents.forEach((doc, slot) => {
+    if (doc) {
+      documents.push({ ...doc, embedding: store.getVector(slot) });
+    }
+  });
+  console.log(`🗑️  Compacting vector store (${store.deletedCount} deleted slots)`);
+  return buildStore(documents, store.generation);
+}
+
+/**
+ * Find the nearest slots by scanning every vector
+ * @param {Object} store - Store
+ * @param {Float32Array} query - Unit query vector
+ * @param {number} k - Results wanted
+ * @param {Function} accept - slot → boolean
+ * @returns {Array} Up to k { slot, distance }, closest first
+ */
+function exactSearch(store, query, k, accept) {
+  const results = [];
+  for (let slot = 0; slot < store.documents.length; slot++) {
+    if (accept(slot)) {
+      results.push({ slot, distance: 1 - dot(query, store.getVector(slot)) });
+    }
+  }
+  return results.sort((a, b) => a.distance - b.distance).slice(0, k);
+}
+
+/**
+ * Find the nearest documents, through the graph when the store is large enough
+ * @param {Object} store - Store
+ * @param {Float32Array} query - Unit query vector
+ * @param {number} k - Results wanted
+ * @param {Function} accept - slot → boolean
+ * @returns {Array} Up to k { slot, distance }, closest first
+ */
+function nearestSlots(store, query, k, accept) {
+  if (store.slotsById.size <= EXACT_SEARCH_MAX_DOCUMENTS) {
+    return exactSearch(store, query, k, accept);
+  }
+
+  const matches = searchHnsw(store.index, store.getVector, query, k, { ef: Math.max(EF_SEARCH, k * 2), accept });
+  // A narrow filter (or a heavily tombstoned store) can leave the graph walk short
+  return matches.length < k ? exactSearch(store, query, k, accept) : matches;
+}
+
+/**
+ * Create the local vector store
+ * @param {Object} [options] - Store options
+ * @param {string} [options.dir] - Directory for the store files (default vector-store/)
+ * @returns {Object} Vector store
+ */
+function createLocalVectorStore({ dir = DEFAULT_DIR } = {}) {
+  const manifestFile = path.join(dir, 'manifest.json');
+  const legacyCollectionFile = path.join(dir, 'collection.json');
+  const lexicalIndexFile = path.join(dir, 'lexical-index.json');
+  let cachedStore = null;
+
+  /**
+   * Read the manifest
+   * @returns {Promise<Object|null>} Manifest, or null if there is no store yet
+   */
+  async function readManifest() {
+    try {
+      return JSON.parse(await fs.readFile(manifestFile, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read the generation a manifest points to
+   * @param {Object} manifest - Manifest
+   * @returns {Promise<Object>} Store
+   */
+  async function readGeneration(manifest) {
+    const [documentsJson, vectorBytes, indexJson] = await Promise.all([
+      fs.readFile(path.join(dir, manifest.files.documents), 'utf-8'),
+      fs.readFile(path.join(dir, manifest.files.vectors)),
+      fs.readFile(path.join(dir, manifest.files.index), 'utf-8')
+    ]);
+
+    // Copy into a fresh buffer - Float32Array needs 4-byte alignment
+    const vectors = new Float32Array(vectorBytes.byteLength / 4);
+    new Uint8Array(vectors.buffer).set(vectorBytes);
+
+    return createStore({
+      generation: manifest.generation,
+      dimensions: manifest.dimensions,
+      documents: JSON.parse(documentsJson),
+      vectors,
+      index: JSON.parse(indexJson)
+    });
+  }
+
+  /**
+   * Convert a collection.json store to the current format
+   * @returns {Promise<Object|null>} Store, or null if there is no legacy store either
+   */
+  async function migrateLegacyCollection() {
+    let documents;
+    try {
+      documents = JSON.parse(await fs.readFile(legacyCollectionFile, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const store = buildStore(documents);
+    await saveStore(store);
+    await fs.unlink(legacyCollectionFile).catch(() => {});
+    console.log(`📚 Migrated ${documents.length} documents from collection.json to the binary vector store`);
+    return store;
+  }
+
+  /**
+   * Load the store, from memory unless another process saved a newer generation
+   * @returns {Promise<Object>} Store (empty if nothing has been indexed)
+   */
+  async function loadStore() {
+    try {
+      for (let attempt = 0; ; attempt++) {
+        const manifest = await readManifest();
+
+        if (!manifest) {
+          const migrated = await migrateLegacyCollection();
+          if (!migrated && !cachedStore) {
+            console.warn('⚠️  No vector store found. Run: npm run index');
+          }
+          cachedStore = migrated || cachedStore || createStore();
+          return cachedStore;
+        }
+
+        if (manifest.version !== STORE_VERSION) {
+          throw new Error(`Unsupported vector store version ${manifest.version} - delete ${dir} and re-run npm run index`);
+        }
+        if (cachedStore && cachedStore.generation === manifest.generation) {
+          return cachedStore;
+        }
+
+        try {
+          cachedStore = await readGeneration(manifest);
+          console.log(`✅ Loaded ${cachedStore.slotsById.size} documents from vector store`);
+          return cachedStore;
+        } catch (error) {
+          // A newer save removed this generation between reading the manifest and its files
+          if (error.code !== 'ENOENT' || attempt > 0) {
+            throw error;
+          }
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error loading collection:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete generation files other than the current ones
+   * @param {Object} keep - Manifest files to keep
+   */
+  async function removeOldGenerations(keep) {
+    const current = new Set(Object.values(keep));
+    const entries = await fs.readdir(dir).catch(() => []);
+    await Promise.all(entries
+      .filter(name => GENERATION_FILE_PATTERN.test(name) && !current.has(name))
+      .map(name => fs.unlink(path.join(dir, name)).catch(() => {})));
+  }
+
+  /**
+   * Save the store as a new generation (and rebuild the keyword index to match)
+   * @param {Object} store - Store to save (becomes the cached store)
+   */
+  async function saveStore(store) {
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      const previous = await readManifest();
+      const generation = Math.max(store.generation, previous ? previous.generation : 0) + 1;
+      const files = {
+        documents: `documents-${generation}.json`,
+        vectors: `vectors-${generation}.f32`,
+        index: `hnsw-${generation}.json`
+      };
+      const rows = store.documents.length * (store.dimensions || 0);
+
+      await Promise.all([
+        fs.writeFile(path.join(dir, files.documents), JSON.stringify(store.documents), 'utf-8'),
+        fs.writeFile(path.join(dir, files.vectors), Buffer.from(store.vectors.buffer, 0, rows * 4)),
+        fs.writeFile(path.join(dir, files.index), JSON.stringify(store.index), 'utf-8')
+      ]);
+
+      // Write then rename, so a reader never sees a half-written store
+      const tempFile = `${manifestFile}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify({
+        version: STORE_VERSION,
+        generation,
+        dimensions: store.dimensions,
+        count: store.slotsById.size,
+        files,
+        savedAt: new Date().toISOString()
+      }, null, 2), 'utf-8');
+      await fs.rename(tempFile, manifestFile);
+
+      store.generation = generation;
+      cachedStore = store;
+
+      const documents = liveDocuments(store);
+      await saveLexicalIndex(buildLexicalIndex(documents), lexicalIndexFile);
+      await removeOldGenerations(files);
+      console.log(`✅ Saved ${documents.length} documents to vector store`);
+    } catch (error) {
+      // The in-memory store may be ahead of disk now
+      cachedStore = null;
+      console.error('❌ Error saving collection:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply upserts and deletes in one save
+   * @param {Object} changes - { upserts: [{id, document, embedding, metadata}], deleteIds: [id] }
+   */
+  async function applyChanges({ upserts = [], deleteIds = [] }) {
+    const store = await loadStore();
+    for (const id of deleteIds) {
+      removeSlot(store, id);
+    }
+    for (const doc of upserts) {
+      upsertSlot(store, doc);
+    }
+    await saveStore(compactIfNeeded(store));
+  }
+
+  /**
+   * Find the live slots matching ids and a filter
+   * @param {Object} store - Store
+   * @param {Object} selection - { ids, where }
+   * @returns {Array<number>} Slots
+   */
+  function selectSlots(store, { ids, where } = {}) {
+    const matches = createMetadataFilter(where);
+    const slots = ids
+      ? ids.map(id => store.slotsById.get(id)).filter(slot => slot !== undefined)
+      : Array.from(store.slotsById.values()).sort((a, b) => a - b);
+    return slots.filter(slot => matches(store.documents[slot].metadata));
+  }
+
+  return {
+    name: 'local',
+
+    async add(documents) {
+      if (documents.length > 0) {
+        await applyChanges({ upserts: documents });
+      }
+    },
+
+    applyChanges,
+
+    async query(embedding, { nResults = 5, where } = {}) {
+      const store = await loadStore();
+      if (store.slotsById.size === 0) {
+        return [];
+      }
+      if (embedding.length !== store.dimensions) {
+        throw new Error(`Query embedding has ${embedding.length} dimensions, the vector store has ${store.dimensions} - re-run npm run index`);
+      }
+
+      const matches = createMetadataFilter(where);
+      const accept = slot => store.documents[slot] !== null && matches(store.documents[slot].metadata);
+      return nearestSlots(store, normalizeVector(embedding), nResults, accept)
+        .map(({ slot, distance }) => ({ ...store.documents[slot], distance }));
+    },
+
+    async search(text, { nResults = 5, where } = {}) {
+      const store = await loadStore();
+
+      // Stores saved before the keyword index existed get one built on the fly
+      let index = await loadLexicalIndex(lexicalIndexFile);
+      if (!index || index.docCount !== store.slotsById.size) {
+        index = buildLexicalIndex(liveDocuments(store));
+        await saveLexicalIndex(index, lexicalIndexFile);
+      }
+
+      // One index covers every tenant; filtering inside the search keeps nResults per tenant
+      const matches = createMetadataFilter(where);
+      const byId = id => store.documents[store.slotsById.get(id)];
+      return searchLexicalIndex(index, text, nResults, id => store.slotsById.has(id) && matches(byId(id).metadata))
+        .map(match => ({ ...byId(match.id), score: match.score }));
+    },
+
+    async get(selection = {}) {
+      const store = await loadStore();
+      return selectSlots(store, selection)
+        .map(slot => ({ ...store.documents[slot], embedding: Array.from(store.getVector(slot)) }));
+    },
+
+    async count({ where } = {}) {
+      const store = await loadStore();
+      return Object.keys(normalizeWhere(where)).length === 0
+        ? store.slotsById.size
+        : selectSlots(store, { where }).length;
+    },
+
+    async delete({ ids, where } = {}) {
+      assertDeleteSelection({ ids, where });
+      const store = await loadStore();
+      const slots = selectSlots(store, { ids, where });
+      if (slots.length > 0) {
+        await applyChanges({ deleteIds: slots.map(slot => store.documents[slot].id) });
+      }
+      return slots.length;
+    },
+
+    async health() {
+      try {
+        return { provider: 'local', connected: true, documentCount: (await loadStore()).slotsById.size };
+      } catch (error) {
+        return { provider: 'local', connected: false, documentCount: 0, error: error.message };
+      }
+    }
+  };
+}
+
+module.exports = {
+  createLocalVectorStore,
+  cosineSimilarity
+};
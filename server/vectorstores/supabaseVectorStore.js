@@ -0,0 +1,300 @@
+/**
+ * Supabase Vector Store
+ *
+ * Uses PostgreSQL with the pgvector extension for:
+ * - Fast vector similarity search (indexed)
+ * - Full-text keyword search (GIN index on content, see migration 007)
+ * - Scalable storage
+ * - SQL-based filtering: tenantId and filename map to the tenant_id and
+ *   source_file columns, other fields to metadata matches - including "any
+ *   of" and list-valued fields such as procedures (migrations 012-013) and
+ *   { after } date clauses such as expires (migration 015)
+ *
+ * Selected automatically when SUPABASE_URL / SUPABASE_SERVICE_KEY are set.
+ */
+
+const { getSupabase } = require('../supabase');
+const { DEFAULT_TENANT_ID } = require('../services/tenantService');
+const { normalizeWhere, isAfterClause, assertDeleteSelection } = require('./filters');
+
+const TABLE_NAME = 'content_chunks';
+const BATCH_SIZE = 100;
+const PAGE_SIZE = 500;
+
+// Filter fields stored in their own columns
+const COLUMN_FIELDS = {
+  tenantId: 'tenant_id',
+  filename: 'source_file'
+};
+
+/**
+ * Get the Supabase client, or fail loudly
+ * @returns {Object} Supabase client
+ */
+function requireSupabase() {
+  const supabase = getSupabase();
+  if (!supabase) {
+    throw new Error('Supabase is not configured (SUPABASE_URL / SUPABASE_SERVICE_KEY)');
+  }
+  return supabase;
+}
+
+/**
+ * Map a document to a content_chunks row
+ * @param {Object} doc - {id, document, embedding, metadata}
+ * @returns {Object} Row
+ */
+function toRow(doc) {
+  const metadata = doc.metadata || {};
+  return {
+    id: doc.id,
+    source_file: metadata.filename || 'unknown',
+    chunk_index: metadata.chunkId || 0,
+    tenant_id: metadata.tenantId || DEFAULT_TENANT_ID,
+    content: doc.document,
+    embedding: doc.embedding, // pgvector accepts array directly
+    metadata
+  };
+}
+
+/**
+ * Map a content_chunks row to the document shape
+ * @param {Object} row - Row with id, content, embedding, metadata
+ * @returns {Object} {id, document, embedding, metadata}
+ */
+function toDocument(row) {
+  return {
+    id: row.id,
+    document: row.content,
+    // pgvector columns come back from PostgREST as a "[...]" string
+    embedding: typeof row.embedding === 'string' ? JSON.parse(row.embedding) : row.embedding,
+    metadata: row.metadata || {}
+  };
+}
+
+/**
+ * Map a match/search RPC row to a result
+ * @param {Object} row - { id, source_file, chunk_index, content, metadata }
+ * @returns {Object} { id, document, metadata }
+ */
+function toResult(row) {
+  return {
+    id: row.id,
+    document: row.content,
+    metadata: {
+      filename: row.source_file,
+      chunkId: row.chunk_index,
+      ...row.metadata
+    }
+  };
+}
+
+/**
+ * Quote a value for a PostgREST or() filter
+ * @param {*} value - Filter value
+ * @returns {string} Double-quoted value
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Apply ids and a filter to a table query
+ * Metadata fields match a scalar or any element of a list, like the match/search RPCs.
+ * @param {Object} query - PostgREST query builder
+ * @param {Object} selection - { ids, where }
+ * @returns {Object} Query builder
+ */
+function applySelection(query, { ids, where } = {}) {
+  for (const [field, value] of Object.entries(normalizeWhere(where))) {
+    if (isAfterClause(value)) {
+      query = query.or(`metadata->>${field}.is.null,metadata->>${field}.gt.${quoteFilterValue(value.after)}`);
+      continue;
+    }
+    const values = Array.isArray(value) ? value : [value];
+    if (COLUMN_FIELDS[field]) {
+      query = values.length === 1 ? query.eq(COLUMN_FIELDS[field], values[0]) : query.in(COLUMN_FIELDS[field], values);
+    } else {
+      query = query.or(values.flatMap(option => [
+        `metadata->>${field}.eq.${quoteFilterValue(option)}`,
+        `metadata->${field}.cs.${quoteFilterValue(JSON.stringify([option]))}`
+      ]).join(','));
+    }
+  }
+  if (ids) {
+    query = query.in('id', ids);
+  }
+  return query;
+}
+
+/**
+ * Split a filter into the RPC parameters (filter_metadata only exists from migration 012,
+ * lists and "any of" need migration 013, { after } clauses migration 015)
+ * @param {Object} [where] - { field: value }
+ * @returns {Object} { filter_tenant, filter_metadata? }
+ */
+function rpcFilters(where) {
+  const { tenantId, ...rest } = normalizeWhere(where);
+  if (Array.isArray(tenantId)) {
+    throw new Error('Supabase searches one tenant at a time');
+  }
+  const params = { filter_tenant: tenantId || null };
+  if (Object.keys(rest).length > 0) {
+    params.filter_metadata = rest;
+  }
+  return params;
+}
+
+/**
+ * Create the Supabase vector store
+ * @returns {Object} Vector store
+ */
+function createSupabaseVectorStore() {
+  const store = {
+    name: 'supabase',
+
+    async add(documents) {
+      if (documents.length === 0) return;
+      const rows = documents.map(toRow);
+      try {
+        // Insert in batches to avoid payload limits
+        for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+          const { error } = await requireSupabase()
+            .from(TABLE_NAME)
+            .upsert(rows.slice(i, i + BATCH_SIZE), { onConflict: 'id', ignoreDuplicates: false });
+          if (error) {
+            throw error;
+          }
+        }
+        console.log(`✅ Added ${rows.length} documents to Supabase`);
+      } catch (error) {
+        console.error('❌ Error adding documents to Supabase:', error.message);
+        throw error;
+      }
+    },
+
+    /**
+     * Apply upserts and deletes in a single transaction (migration 009), so
+     * retrieval sees either the old index or the new one - never a mix or an empty table
+     */
+    async applyChanges({ upserts = [], deleteIds = [] }) {
+      try {
+        const { error } = await requireSupabase().rpc('apply_content_chunk_changes', {
+          upserts: upserts.map(toRow),
+          delete_ids: deleteIds
+        });
+        if (error) {
+          throw error;
+        }
+        console.log(`✅ Applied ${upserts.length} upserts and ${deleteIds.length} deletes to Supabase`);
+      } catch (error) {
+        console.error('❌ Error applying changes to Supabase:', error.message);
+        throw error;
+      }
+    },
+
+    async query(embedding, { nResults = 5, where } = {}) {
+      const { data, error } = await requireSupabase().rpc('match_content_chunks', {
+        query_embedding: embedding,
+        match_threshold: 0.0, // Return all, rag.js applies its own thresholds
+        match_count: nResults,
+        ...rpcFilters(where)
+      });
+
+      if (error) {
+        console.error('❌ Supabase vector search error:', error.message);
+        throw error;
+      }
+
+      return (data || []).map(row => ({ ...toResult(row), distance: 1 - row.similarity }));
+    },
+
+    async search(text, { nResults = 5, where } = {}) {
+      const { data, error } = await requireSupabase().rpc('search_content_chunks', {
+        query_text: text,
+        match_count: nResults,
+        ...rpcFilters(where)
+      });
+
+      if (error) {
+        console.error('❌ Supabase keyword search error:', error.message);
+        throw error;
+      }
+
+      return (data || []).map(row => ({ ...toResult(row), score: row.rank }));
+    },
+
+    /**
+     * Get stored documents (paged - PostgREST caps rows per request)
+     */
+    async get(selection = {}) {
+      const documents = [];
+      try {
+        for (let from = 0; ; from += PAGE_SIZE) {
+          const query = requireSupabase()
+            .from(TABLE_NAME)
+            .select('id, content, embedding, metadata');
+          const { data, error } = await applySelection(query, selection)
+            .order('id')
+            .range(from, from + PAGE_SIZE - 1);
+
+          if (error) {
+            throw error;
+          }
+
+          documents.push(...(data || []).map(toDocument));
+          if (!data || data.length < PAGE_SIZE) break;
+        }
+        return documents;
+      } catch (error) {
+        console.error('❌ Error loading documents from Supabase:', error.message);
+        throw error;
+      }
+    },
+
+    async count({ where } = {}) {
+      const query = requireSupabase()
+        .from(TABLE_NAME)
+        .select('*', { count: 'exact', head: true });
+      const { count, error } = await applySelection(query, { where });
+
+      if (error) {
+        console.error('❌ Error getting count from Supabase:', error.message);
+        throw error;
+      }
+      return count || 0;
+    },
+
+    async delete({ ids, where } = {}) {
+      assertDeleteSelection({ ids, where });
+      const query = requireSupabase()
+        .from(TABLE_NAME)
+        .delete({ count: 'exact' });
+      const { count, error } = await applySelection(query, { ids, where });
+
+      if (error) {
+        console.error('❌ Error deleting documents from Supabase:', error.message);
+        throw error;
+      }
+      console.log(`🗑️  Deleted ${count || 0} documents from Supabase`);
+      return count || 0;
+    },
+
+    async health() {
+      const status = { provider: 'supabase', connected: false, documentCount: 0 };
+      try {
+        status.documentCount = await store.count();
+        status.connected = true;
+      } catch (error) {
+        status.error = error.message;
+      }
+      return status;
+    }
+  };
+
+  return store;
+}
+
+module.exports = {
+  createSupabaseVectorStore
+};
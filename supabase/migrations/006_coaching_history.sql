@@ -0,0 +1,22 @@
+-- ============================================
+-- PNVGPT: Clinician Coaching History
+-- Lets clinicians delete their own sessions and speeds up
+-- the filtered, paginated history list
+-- ============================================
+
+-- Users can delete their own coaching sessions
+CREATE POLICY "Users can delete own coaching sessions"
+  ON public.coaching_sessions
+  FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- History is always listed per user, newest first, optionally by rubric
+CREATE INDEX IF NOT EXISTS coaching_sessions_user_created_idx
+  ON public.coaching_sessions(user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS coaching_sessions_user_rubric_idx
+  ON public.coaching_sessions(user_id, rubric_id, created_at DESC);
+
+-- ============================================
+-- DONE! Coaching history is ready.
+-- ============================================
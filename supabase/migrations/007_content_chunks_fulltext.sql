@@ -0,0 +1,59 @@
+-- ============================================
+-- Full-text search on content_chunks
+-- Keyword half of hybrid retrieval: vector search alone misses short
+-- queries like prescriptions ("-7.5 with astigmatism") and brand names
+-- ("EVO", "CTAK"). rag.js fuses these results with match_content_chunks.
+-- ============================================
+
+-- Step 1: Generated tsvector column (kept up to date by Postgres on insert/update)
+ALTER TABLE content_chunks
+  ADD COLUMN IF NOT EXISTS content_tsv TSVECTOR
+  GENERATED ALWAYS AS (to_tsvector('english', coalesce(content, ''))) STORED;
+
+-- Step 2: GIN index for fast keyword lookups
+CREATE INDEX IF NOT EXISTS content_chunks_content_tsv_idx
+ON content_chunks
+USING gin (content_tsv);
+
+-- Step 3: Keyword search function
+-- Any query term may match (OR), so a single brand name or number is enough;
+-- chunks matching more terms rank higher.
+CREATE OR REPLACE FUNCTION search_content_chunks(
+  query_text TEXT,
+  match_count INT DEFAULT 5
+)
+RETURNS TABLE (
+  id TEXT,
+  source_file TEXT,
+  chunk_index INTEGER,
+  content TEXT,
+  metadata JSONB,
+  rank FLOAT
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  and_query TEXT := plainto_tsquery('english', query_text)::TEXT;
+  or_query TSQUERY;
+BEGIN
+  -- Query was only stopwords/punctuation
+  IF and_query = '' THEN
+    RETURN;
+  END IF;
+
+  or_query := replace(and_query, ' & ', ' | ')::TSQUERY;
+
+  RETURN QUERY
+  SELECT
+    cc.id,
+    cc.source_file,
+    cc.chunk_index,
+    cc.content,
+    cc.metadata,
+    ts_rank_cd(cc.content_tsv, or_query, 1)::FLOAT AS rank
+  FROM content_chunks cc
+  WHERE cc.content_tsv @@ or_query
+  ORDER BY rank DESC
+  LIMIT match_count;
+END;
+$$;
@@ -0,0 +1,73 @@
+-- ============================================
+-- PNVGPT: Semantic Answer Cache
+-- Repeated patient questions ("how much is LASIK") are answered from
+-- answer_cache instead of paying for retrieval and a completion again.
+-- Entries are scoped to the content index version in content_index_state,
+-- which `npm run index` and admin content edits bump.
+-- ============================================
+
+-- Step 1: Current content index version (single row)
+CREATE TABLE IF NOT EXISTS content_index_state (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  version TEXT NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Step 2: Cached answers
+CREATE TABLE IF NOT EXISTS answer_cache (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  index_version TEXT NOT NULL,
+  language TEXT NOT NULL DEFAULT 'en',
+  question_key TEXT NOT NULL,          -- Normalized question text
+  question TEXT NOT NULL,
+  embedding VECTOR(1536),
+  response JSONB NOT NULL,             -- { answer, chunks, citations, grounding, ... }
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_hit_at TIMESTAMPTZ,
+  UNIQUE (index_version, language, question_key)
+);
+
+CREATE INDEX IF NOT EXISTS answer_cache_scope_idx
+  ON answer_cache(index_version, language, created_at DESC);
+
+-- Step 3: Closest cached question in the same index version and language
+CREATE OR REPLACE FUNCTION match_answer_cache(
+  query_embedding VECTOR(1536),
+  cache_index_version TEXT,
+  cache_language TEXT,
+  match_threshold FLOAT DEFAULT 0.95,
+  created_after TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  question TEXT,
+  response JSONB,
+  similarity FLOAT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    ac.id,
+    ac.question,
+    ac.response,
+    1 - (ac.embedding <=> query_embedding) AS similarity
+  FROM answer_cache ac
+  WHERE ac.index_version = cache_index_version
+    AND ac.language = cache_language
+    AND (created_after IS NULL OR ac.created_at > created_after)
+    AND 1 - (ac.embedding <=> query_embedding) >= match_threshold
+  ORDER BY ac.embedding <=> query_embedding
+  LIMIT 1;
+END;
+$$;
+
+-- Step 4: Server-only tables (the service-role key bypasses RLS)
+ALTER TABLE content_index_state ENABLE ROW LEVEL SECURITY;
+ALTER TABLE answer_cache ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- DONE! The answer cache is ready.
+-- ============================================
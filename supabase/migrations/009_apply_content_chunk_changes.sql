@@ -0,0 +1,40 @@
+-- ============================================
+-- PNVGPT: Atomic content_chunks updates
+-- `npm run index` used to wipe content_chunks and insert everything again,
+-- leaving the assistant with an empty index mid-run. It now sends only
+-- the changed chunks and applies them in one transaction.
+-- ============================================
+
+-- Upsert the given rows and delete the given ids in a single transaction
+-- upserts: [{ id, source_file, chunk_index, content, embedding, metadata }]
+CREATE OR REPLACE FUNCTION apply_content_chunk_changes(
+  upserts JSONB DEFAULT '[]',
+  delete_ids TEXT[] DEFAULT '{}'
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO content_chunks (id, source_file, chunk_index, content, embedding, metadata)
+  SELECT
+    row->>'id',
+    COALESCE(row->>'source_file', 'unknown'),
+    COALESCE((row->>'chunk_index')::INTEGER, 0),
+    row->>'content',
+    (row->>'embedding')::VECTOR,
+    COALESCE(row->'metadata', '{}'::JSONB)
+  FROM jsonb_array_elements(upserts) AS row
+  ON CONFLICT (id) DO UPDATE SET
+    source_file = EXCLUDED.source_file,
+    chunk_index = EXCLUDED.chunk_index,
+    content = EXCLUDED.content,
+    embedding = EXCLUDED.embedding,
+    metadata = EXCLUDED.metadata;
+
+  DELETE FROM content_chunks WHERE id = ANY(delete_ids);
+END;
+$$;
+
+-- ============================================
+-- DONE! Re-indexing no longer empties the table.
+-- ============================================
@@ -0,0 +1,205 @@
+-- ============================================
+-- PNVGPT: Multi-clinic tenancy
+-- One deployment can serve several practices. Each tenant has its own
+-- branding, phone, scheduling copy, content namespace and widget origins;
+-- content_chunks and answer_cache rows belong to exactly one tenant, and
+-- retrieval only searches the tenant the request resolved to.
+-- Existing rows belong to the 'default' tenant (CLINIC_NAME / CLINIC_PHONE).
+-- ============================================
+
+-- Step 1: Tenant registry
+CREATE TABLE IF NOT EXISTS tenants (
+  id TEXT PRIMARY KEY,                           -- e.g. 'default', 'northside'
+  name TEXT NOT NULL,
+  phone TEXT NOT NULL,
+  branding JSONB NOT NULL DEFAULT '{}',          -- { title, subtitle, website }
+  scheduling JSONB NOT NULL DEFAULT '{}',        -- { en, es } scheduling copy, {name}/{phone} placeholders
+  content_namespace TEXT,                        -- Folder under /content/ (NULL = the tenant id)
+  allowed_origins TEXT[] NOT NULL DEFAULT '{}',  -- Sites allowed to embed the widget (empty = any)
+  hostnames TEXT[] NOT NULL DEFAULT '{}',        -- API/widget hostnames that resolve to this tenant
+  api_keys TEXT[] NOT NULL DEFAULT '{}',         -- Publishable keys sent as X-Tenant-Key
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TRIGGER update_tenants_updated_at
+  BEFORE UPDATE ON tenants
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Step 2: Owner column on content_chunks
+ALTER TABLE content_chunks
+  ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';
+
+CREATE INDEX IF NOT EXISTS content_chunks_tenant_idx ON content_chunks(tenant_id);
+
+-- Step 3: Vector search filtered by tenant
+-- (dropped first - adding a parameter would otherwise create an ambiguous overload)
+DROP FUNCTION IF EXISTS match_content_chunks(VECTOR(1536), FLOAT, INT);
+
+CREATE OR REPLACE FUNCTION match_content_chunks(
+  query_embedding VECTOR(1536),
+  match_threshold FLOAT DEFAULT 0.0,
+  match_count INT DEFAULT 5,
+  filter_tenant TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  id TEXT,
+  source_file TEXT,
+  chunk_index INTEGER,
+  content TEXT,
+  metadata JSONB,
+  similarity FLOAT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    cc.id,
+    cc.source_file,
+    cc.chunk_index,
+    cc.content,
+    cc.metadata,
+    1 - (cc.embedding <=> query_embedding) AS similarity
+  FROM content_chunks cc
+  WHERE (filter_tenant IS NULL OR cc.tenant_id = filter_tenant)
+    AND 1 - (cc.embedding <=> query_embedding) > match_threshold
+  ORDER BY cc.embedding <=> query_embedding
+  LIMIT match_count;
+END;
+$$;
+
+-- Step 4: Keyword search filtered by tenant (see migration 007)
+DROP FUNCTION IF EXISTS search_content_chunks(TEXT, INT);
+
+CREATE OR REPLACE FUNCTION search_content_chunks(
+  query_text TEXT,
+  match_count INT DEFAULT 5,
+  filter_tenant TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  id TEXT,
+  source_file TEXT,
+  chunk_index INTEGER,
+  content TEXT,
+  metadata JSONB,
+  rank FLOAT
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  and_query TEXT := plainto_tsquery('english', query_text)::TEXT;
+  or_query TSQUERY;
+BEGIN
+  -- Query was only stopwords/punctuation
+  IF and_query = '' THEN
+    RETURN;
+  END IF;
+
+  or_query := replace(and_query, ' & ', ' | ')::TSQUERY;
+
+  RETURN QUERY
+  SELECT
+    cc.id,
+    cc.source_file,
+    cc.chunk_index,
+    cc.content,
+    cc.metadata,
+    ts_rank_cd(cc.content_tsv, or_query, 1)::FLOAT AS rank
+  FROM content_chunks cc
+  WHERE cc.content_tsv @@ or_query
+    AND (filter_tenant IS NULL OR cc.tenant_id = filter_tenant)
+  ORDER BY rank DESC
+  LIMIT match_count;
+END;
+$$;
+
+-- Step 5: Atomic index updates carry the owner (see migration 009)
+CREATE OR REPLACE FUNCTION apply_content_chunk_changes(
+  upserts JSONB DEFAULT '[]',
+  delete_ids TEXT[] DEFAULT '{}'
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO content_chunks (id, source_file, chunk_index, tenant_id, content, embedding, metadata)
+  SELECT
+    row->>'id',
+    COALESCE(row->>'source_file', 'unknown'),
+    COALESCE((row->>'chunk_index')::INTEGER, 0),
+    COALESCE(row->>'tenant_id', 'default'),
+    row->>'content',
+    (row->>'embedding')::VECTOR,
+    COALESCE(row->'metadata', '{}'::JSONB)
+  FROM jsonb_array_elements(upserts) AS row
+  ON CONFLICT (id) DO UPDATE SET
+    source_file = EXCLUDED.source_file,
+    chunk_index = EXCLUDED.chunk_index,
+    tenant_id = EXCLUDED.tenant_id,
+    content = EXCLUDED.content,
+    embedding = EXCLUDED.embedding,
+    metadata = EXCLUDED.metadata;
+
+  DELETE FROM content_chunks WHERE id = ANY(delete_ids);
+END;
+$$;
+
+-- Step 6: Cached answers belong to a tenant (they quote its prices and phone)
+ALTER TABLE answer_cache
+  ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';
+
+ALTER TABLE answer_cache
+  DROP CONSTRAINT IF EXISTS answer_cache_index_version_language_question_key_key;
+
+ALTER TABLE answer_cache
+  ADD CONSTRAINT answer_cache_scope_key UNIQUE (index_version, tenant_id, language, question_key);
+
+DROP INDEX IF EXISTS answer_cache_scope_idx;
+CREATE INDEX IF NOT EXISTS answer_cache_scope_idx
+  ON answer_cache(index_version, tenant_id, language, created_at DESC);
+
+DROP FUNCTION IF EXISTS match_answer_cache(VECTOR(1536), TEXT, TEXT, FLOAT, TIMESTAMPTZ);
+
+CREATE OR REPLACE FUNCTION match_answer_cache(
+  query_embedding VECTOR(1536),
+  cache_index_version TEXT,
+  cache_tenant TEXT,
+  cache_language TEXT,
+  match_threshold FLOAT DEFAULT 0.95,
+  created_after TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  question TEXT,
+  response JSONB,
+  similarity FLOAT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    ac.id,
+    ac.question,
+    ac.response,
+    1 - (ac.embedding <=> query_embedding) AS similarity
+  FROM answer_cache ac
+  WHERE ac.index_version = cache_index_version
+    AND ac.tenant_id = cache_tenant
+    AND ac.language = cache_language
+    AND (created_after IS NULL OR ac.created_at > created_after)
+    AND 1 - (ac.embedding <=> query_embedding) >= match_threshold
+  ORDER BY ac.embedding <=> query_embedding
+  LIMIT 1;
+END;
+$$;
+
+-- Step 7: Server-only table (the service-role key bypasses RLS; api_keys stay private)
+ALTER TABLE tenants ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- DONE! Add rows to tenants for each additional clinic.
+-- ============================================
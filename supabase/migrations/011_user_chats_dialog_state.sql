@@ -0,0 +1,15 @@
+-- ============================================
+-- PNVGPT: Dialog state on saved chats
+-- Short replies ("yes", "no", "45") are read against what the assistant
+-- asked last. /ask returns that dialog state with every answer and the
+-- React app stores it next to the chat's messages so a reopened chat
+-- picks up where it left off.
+-- ============================================
+
+-- Step 1: { version, turn, pending: { type, question }, facts: { age, annualEyewearCost, procedures } }
+ALTER TABLE public.user_chats
+  ADD COLUMN IF NOT EXISTS dialog_state JSONB;
+
+-- ============================================
+-- DONE! Existing RLS policies already cover the new column.
+-- ============================================
@@ -0,0 +1,100 @@
+-- ============================================
+-- PNVGPT: Metadata filters on content search
+-- The vector store interface (server/vectorstores) takes a `where` filter
+-- of metadata fields that must all match. tenant_id and source_file have
+-- their own columns; every other field is matched with JSONB containment
+-- (metadata @> filter_metadata), in both vector and keyword search.
+-- ============================================
+
+-- Step 1: Containment index for metadata filters
+CREATE INDEX IF NOT EXISTS content_chunks_metadata_idx
+  ON content_chunks USING GIN (metadata jsonb_path_ops);
+
+-- Step 2: Vector search with a metadata filter (replaces the migration 010 version)
+DROP FUNCTION IF EXISTS match_content_chunks(VECTOR(1536), FLOAT, INT, TEXT);
+
+CREATE OR REPLACE FUNCTION match_content_chunks(
+  query_embedding VECTOR(1536),
+  match_threshold FLOAT DEFAULT 0.0,
+  match_count INT DEFAULT 5,
+  filter_tenant TEXT DEFAULT NULL,
+  filter_metadata JSONB DEFAULT NULL
+)
+RETURNS TABLE (
+  id TEXT,
+  source_file TEXT,
+  chunk_index INTEGER,
+  content TEXT,
+  metadata JSONB,
+  similarity FLOAT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    cc.id,
+    cc.source_file,
+    cc.chunk_index,
+    cc.content,
+    cc.metadata,
+    1 - (cc.embedding <=> query_embedding) AS similarity
+  FROM content_chunks cc
+  WHERE (filter_tenant IS NULL OR cc.tenant_id = filter_tenant)
+    AND (filter_metadata IS NULL OR cc.metadata @> filter_metadata)
+    AND 1 - (cc.embedding <=> query_embedding) > match_threshold
+  ORDER BY cc.embedding <=> query_embedding
+  LIMIT match_count;
+END;
+$$;
+
+-- Step 3: Keyword search with a metadata filter (replaces the migration 010 version)
+DROP FUNCTION IF EXISTS search_content_chunks(TEXT, INT, TEXT);
+
+CREATE OR REPLACE FUNCTION search_content_chunks(
+  query_text TEXT,
+  match_count INT DEFAULT 5,
+  filter_tenant TEXT DEFAULT NULL,
+  filter_metadata JSONB DEFAULT NULL
+)
+RETURNS TABLE (
+  id TEXT,
+  source_file TEXT,
+  chunk_index INTEGER,
+  content TEXT,
+  metadata JSONB,
+  rank FLOAT
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  and_query TEXT := plainto_tsquery('english', query_text)::TEXT;
+  or_query TSQUERY;
+BEGIN
+  -- Query was only stopwords/punctuation
+  IF and_query = '' THEN
+    RETURN;
+  END IF;
+
+  or_query := replace(and_query, ' & ', ' | ')::TSQUERY;
+
+  RETURN QUERY
+  SELECT
+    cc.id,
+    cc.source_file,
+    cc.chunk_index,
+    cc.content,
+    cc.metadata,
+    ts_rank_cd(cc.content_tsv, or_query, 1)::FLOAT AS rank
+  FROM content_chunks cc
+  WHERE cc.content_tsv @@ or_query
+    AND (filter_tenant IS NULL OR cc.tenant_id = filter_tenant)
+    AND (filter_metadata IS NULL OR cc.metadata @> filter_metadata)
+  ORDER BY rank DESC
+  LIMIT match_count;
+END;
+$$;
+
+-- ============================================
+-- DONE! Filters on tenantId alone keep working without this migration.
+-- ============================================
@@ -0,0 +1,121 @@
+-- ============================================
+-- PNVGPT: "Any of" and list-valued metadata filters
+-- Content front matter tags chunks with lists such as
+-- metadata.procedures = ["icl"], and retrieval filters on
+-- { procedures: ["icl", "general"] } - any of these values. Containment
+-- (migration 012) cannot express "any of", so filter_metadata now matches
+-- a field when its value, or any element of a list value, equals the
+-- filter value or any element of a filter list.
+-- ============================================
+
+-- Step 1: Filter matcher shared by vector and keyword search
+CREATE OR REPLACE FUNCTION content_chunk_metadata_matches(
+  chunk_metadata JSONB,
+  filter_metadata JSONB
+)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT NOT EXISTS (
+    SELECT 1
+    FROM jsonb_each(filter_metadata) AS clause(field, allowed)
+    WHERE NOT EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(
+        CASE jsonb_typeof(clause.allowed)
+          WHEN 'array' THEN clause.allowed
+          ELSE jsonb_build_array(clause.allowed)
+        END
+      ) AS option(value)
+      WHERE chunk_metadata -> clause.field = option.value
+         OR (jsonb_typeof(chunk_metadata -> clause.field) = 'array'
+             AND chunk_metadata -> clause.field @> jsonb_build_array(option.value))
+    )
+  );
+$$;
+
+-- Step 2: Vector search (same signature as migration 012)
+CREATE OR REPLACE FUNCTION match_content_chunks(
+  query_embedding VECTOR(1536),
+  match_threshold FLOAT DEFAULT 0.0,
+  match_count INT DEFAULT 5,
+  filter_tenant TEXT DEFAULT NULL,
+  filter_metadata JSONB DEFAULT NULL
+)
+RETURNS TABLE (
+  id TEXT,
+  source_file TEXT,
+  chunk_index INTEGER,
+  content TEXT,
+  metadata JSONB,
+  similarity FLOAT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    cc.id,
+    cc.source_file,
+    cc.chunk_index,
+    cc.content,
+    cc.metadata,
+    1 - (cc.embedding <=> query_embedding) AS similarity
+  FROM content_chunks cc
+  WHERE (filter_tenant IS NULL OR cc.tenant_id = filter_tenant)
+    AND (filter_metadata IS NULL OR content_chunk_metadata_matches(cc.metadata, filter_metadata))
+    AND 1 - (cc.embedding <=> query_embedding) > match_threshold
+  ORDER BY cc.embedding <=> query_embedding
+  LIMIT match_count;
+END;
+$$;
+
+-- Step 3: Keyword search (same signature as migration 012)
+CREATE OR REPLACE FUNCTION search_content_chunks(
+  query_text TEXT,
+  match_count INT DEFAULT 5,
+  filter_tenant TEXT DEFAULT NULL,
+  filter_metadata JSONB DEFAULT NULL
+)
+RETURNS TABLE (
+  id TEXT,
+  source_file TEXT,
+  chunk_index INTEGER,
+  content TEXT,
+  metadata JSONB,
+  rank FLOAT
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  and_query TEXT := plainto_tsquery('english', query_text)::TEXT;
+  or_query TSQUERY;
+BEGIN
+  -- Query was only stopwords/punctuation
+  IF and_query = '' THEN
+    RETURN;
+  END IF;
+
+  or_query := replace(and_query, ' & ', ' | ')::TSQUERY;
+
+  RETURN QUERY
+  SELECT
+    cc.id,
+    cc.source_file,
+    cc.chunk_index,
+    cc.content,
+    cc.metadata,
+    ts_rank_cd(cc.content_tsv, or_query, 1)::FLOAT AS rank
+  FROM content_chunks cc
+  WHERE cc.content_tsv @@ or_query
+    AND (filter_tenant IS NULL OR cc.tenant_id = filter_tenant)
+    AND (filter_metadata IS NULL OR content_chunk_metadata_matches(cc.metadata, filter_metadata))
+  ORDER BY rank DESC
+  LIMIT match_count;
+END;
+$$;
+
+-- ============================================
+-- DONE! Re-run `npm run index` so chunks carry their front matter.
+-- ============================================
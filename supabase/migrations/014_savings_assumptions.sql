@@ -0,0 +1,26 @@
+-- ============================================
+-- PNVGPT: Savings calculator assumptions
+-- /api/patient/savings compares lifetime glasses and contacts spend with
+-- the cost of a procedure. Each clinic can override the built-in
+-- assumptions (procedure prices, financing, how long patients would keep
+-- buying eyewear) from the admin API; the row stores only the overrides.
+-- ============================================
+
+-- Step 1: One row per tenant
+CREATE TABLE IF NOT EXISTS savings_assumptions (
+  tenant_id TEXT PRIMARY KEY,                    -- tenants.id ('default' without a tenants row)
+  assumptions JSONB NOT NULL DEFAULT '{}',       -- { annualEyewearSpend, eyewearUntilAge, eyewearInflation, financing, procedures }
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TRIGGER update_savings_assumptions_updated_at
+  BEFORE UPDATE ON savings_assumptions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Step 2: Server-only table (the service-role key bypasses RLS)
+ALTER TABLE savings_assumptions ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- DONE! Clinics without a row use the built-in assumptions.
+-- ============================================
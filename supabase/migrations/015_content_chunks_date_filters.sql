@@ -0,0 +1,48 @@
+-- ============================================
+-- PNVGPT: Date filters on chunk metadata
+-- Retrieval leaves out expired content inside the search itself, with
+-- { expires: { after: '2026-10-19' } } in filter_metadata: a chunk matches
+-- when its metadata.expires is later than the date, or when it has none.
+-- Before this migration such a clause matches nothing, and rag.js falls
+-- back to searching expired content too (with a warning).
+-- ============================================
+
+-- Step 1: Filter matcher (replaces the migration 013 version; vector and
+-- keyword search pick it up without changes)
+CREATE OR REPLACE FUNCTION content_chunk_metadata_matches(
+  chunk_metadata JSONB,
+  filter_metadata JSONB
+)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT NOT EXISTS (
+    SELECT 1
+    FROM jsonb_each(filter_metadata) AS clause(field, allowed)
+    WHERE NOT (
+      CASE WHEN jsonb_typeof(clause.allowed) = 'object' THEN
+        -- { "after": "YYYY-MM-DD" }: undated, or dated later
+        chunk_metadata ->> clause.field IS NULL
+          OR (chunk_metadata ->> clause.field) COLLATE "C" > (clause.allowed ->> 'after') COLLATE "C"
+      ELSE EXISTS (
+        SELECT 1
+        FROM jsonb_array_elements(
+          CASE jsonb_typeof(clause.allowed)
+            WHEN 'array' THEN clause.allowed
+            ELSE jsonb_build_array(clause.allowed)
+          END
+        ) AS option(value)
+        WHERE chunk_metadata -> clause.field = option.value
+           OR (jsonb_typeof(chunk_metadata -> clause.field) = 'array'
+               AND chunk_metadata -> clause.field @> jsonb_build_array(option.value))
+      )
+      END
+    )
+  );
+$$;
+
+-- ============================================
+-- DONE! Expired chunks are now filtered inside match_content_chunks and
+-- search_content_chunks.
+-- ============================================
@@ -0,0 +1,135 @@
+/**
+ * Candidacy Questionnaire Tests
+ *
+ * Walks server/services/candidacyService.js the way the chat UI does: which
+ * questions are asked for which answers, which answer sets are rejected,
+ * what the screening suggests, and what gets stored with a lead.
+ *
+ * Run with: npm test  (or: node tests/candidacy.js)
+ */
+
+const assert = require('assert').strict;
+const { runCases } = require('./run-cases');
+const {
+  CANDIDACY_QUESTIONS,
+  isAsked,
+  getQuestionnaire,
+  validateAnswers,
+  screenCandidacy,
+  toLeadCandidacy
+} = require('../server/services/candidacyService');
+
+const NEARSIGHTED = {
+  age: 30,
+  vision: 'nearsighted',
+  prescription: 'moderate',
+  stable: true,
+  cornea: 'none',
+  dryEye: 'none',
+  pregnant: false,
+  priorSurgery: 'none'
+};
+
+/**
+ * Ids of the questions a patient giving these answers is asked, in order
+ * (next question = the first later one whose `when` matches, as the client does)
+ * @param {Object} answers - Answers by question id
+ * @returns {Array<string>} Question ids
+ */
+function askedIds(answers) {
+  const { questions } = getQuestionnaire();
+  const ids = [];
+  let step = 0;
+  while (step !== -1) {
+    ids.push(questions[step].id);
+    step = questions.findIndex((q, i) => i > step && isAsked(q, answers));
+  }
+  return ids;
+}
+
+/**
+ * Procedure keys a screening suggests, best fit first
+ * @param {Object} answers - Answers by question id
+ * @returns {Array<string>} Procedure keys
+ */
+function suggested(answers) {
+  return screenCandidacy(answers).procedures.map(procedure => procedure.key);
+}
+
+const CASES = [
+  ['the prescription question is only asked for nearsighted or farsighted vision', () => {
+    const all = CANDIDACY_QUESTIONS.map(question => question.id);
+    assert.deepEqual(askedIds(NEARSIGHTED), all);
+    assert.deepEqual(askedIds({ ...NEARSIGHTED, vision: 'farsighted' }), all);
+    assert.deepEqual(askedIds({ ...NEARSIGHTED, vision: 'readers' }), all.filter(id => id !== 'prescription'));
+    assert.deepEqual(askedIds({ age: 30 }), all.filter(id => id !== 'prescription'));
+  }],
+
+  ['the questionnaire is localized and keeps each question\'s condition', () => {
+    const { questions, disclaimer } = getQuestionnaire('es');
+    const prescription = questions.find(question => question.id === 'prescription');
+    assert.equal(prescription.text, '¿Qué tan fuerte es su graduación?');
+    assert.deepEqual(prescription.when, { vision: ['nearsighted', 'farsighted'] });
+    assert.equal(questions.find(question => question.id === 'age').max, 100);
+    assert.match(disclaimer, /no es un diagnóstico/);
+  }],
+
+  ['every question that applies must be answered', () => {
+    assert.equal(validateAnswers(NEARSIGHTED), null);
+    const { prescription, ...withoutPrescription } = NEARSIGHTED;
+    assert.equal(validateAnswers(withoutPrescription), 'prescription is required');
+    assert.equal(validateAnswers({ ...withoutPrescription, vision: 'readers' }), null);
+    assert.equal(validateAnswers({ ...NEARSIGHTED, stable: null }), 'stable is required');
+  }],
+
+  ['answers must have the question\'s type', () => {
+    assert.equal(validateAnswers([]), 'answers must be an object');
+    assert.match(validateAnswers({ ...NEARSIGHTED, age: 30.5 }), /age must be a whole number from 10 to 100/);
+    assert.match(validateAnswers({ ...NEARSIGHTED, age: 120 }), /age must be a whole number/);
+    assert.equal(validateAnswers({ ...NEARSIGHTED, pregnant: 'no' }), 'pregnant must be true or false');
+    assert.match(validateAnswers({ ...NEARSIGHTED, cornea: 'cloudy' }), /^cornea must be one of none, thin, keratoconus, unsure$/);
+  }],
+
+  ['answers to questions that were not asked are ignored', () => {
+    const readers = { ...NEARSIGHTED, age: 50, vision: 'readers', prescription: 'not-an-option' };
+    assert.equal(validateAnswers(readers), null);
+    assert.equal(screenCandidacy(readers).answers.prescription, undefined);
+  }],
+
+  ['a high nearsighted prescription puts EVO ICL first', () => {
+    assert.deepEqual(suggested({ ...NEARSIGHTED, prescription: 'high' }), ['icl', 'lasik', 'smile', 'prk']);
+    assert.deepEqual(suggested(NEARSIGHTED), ['lasik', 'smile', 'prk', 'icl']);
+  }],
+
+  ['cornea conditions rule out the laser procedures they affect', () => {
+    assert.deepEqual(suggested({ ...NEARSIGHTED, cornea: 'thin' }), ['prk', 'icl']);
+    assert.deepEqual(suggested({ ...NEARSIGHTED, cornea: 'keratoconus' }), ['icl']);
+  }],
+
+  ['age, an unsettled prescription and pregnancy make surgery wait', () => {
+    assert.equal(screenCandidacy(NEARSIGHTED).ready, true);
+    const teen = screenCandidacy({ ...NEARSIGHTED, age: 16 });
+    assert.equal(teen.ready, false);
+    assert.match(teen.notes[0], /settle around age 18/);
+    assert.equal(screenCandidacy({ ...NEARSIGHTED, stable: false }).ready, false);
+    const pregnant = screenCandidacy({ ...NEARSIGHTED, pregnant: true });
+    assert.equal(pregnant.ready, false);
+    assert.deepEqual(pregnant.procedures.map(procedure => procedure.key), ['lasik', 'smile', 'prk', 'icl']);
+  }],
+
+  ['after lens surgery only a laser touch-up is suggested', () => {
+    assert.deepEqual(suggested({ ...NEARSIGHTED, age: 70, vision: 'cloudy', priorSurgery: 'cataract' }), ['prk', 'lasik']);
+  }],
+
+  ['the lead stores the screened answers in English, without the disclaimer', () => {
+    const answers = { ...NEARSIGHTED, age: 50, vision: 'readers', prescription: 'high' };
+    const candidacy = toLeadCandidacy(answers);
+    assert.deepEqual(Object.keys(candidacy), ['answers', 'ready', 'procedures', 'notes']);
+    assert.deepEqual(candidacy.answers, screenCandidacy(answers).answers);
+    assert.equal(candidacy.answers.prescription, undefined);
+    assert.deepEqual(candidacy.procedures.map(procedure => procedure.label), ['Lens Replacement (RLE)']);
+    assert.deepEqual(candidacy.procedures, screenCandidacy(answers, 'en').procedures);
+  }]
+];
+
+runCases('Candidacy questionnaire', CASES);
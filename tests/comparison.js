@@ -0,0 +1,131 @@
+/**
+ * Comparison Table Tests
+ *
+ * Builds "LASIK vs ICL" tables with server/services/comparisonService.js from
+ * chunks shaped like content/09 and content/11 and checks the cells themselves:
+ * a cell only comes from a chunk about its procedure, a procedure named only as
+ * the contrast ("aren't good candidates for LASIK") doesn't get the sentence,
+ * and a price cell needs an actual price.
+ *
+ * Run with: npm test  (or: node tests/comparison.js)
+ */
+
+const assert = require('assert').strict;
+const { runCases } = require('./run-cases');
+const { setProvider } = require('../server/providers');
+const { createMockProvider } = require('../server/providers/mockProvider');
+const { buildComparison } = require('../server/services/comparisonService');
+
+const LASIK_PRICE = 'Total cost varies by prescription and procedure needed, but generally costs about $2,500-3,000 per eye for laser treatments or $150 per month when financed.';
+const LASIK_RECOVERY = 'LASIK patients often notice improved vision within hours and can resume normal activities within a day or two.';
+const ICL_SAVINGS = 'It eliminates the risks associated with daily contact lens wear, and eliminates the annual costs associated with glasses and contacts.';
+const ICL_RECOVERY = 'Recovery is extremely fast—after EVO ICL, you can return to work and normal activities the next day!';
+const ICL_CANDIDACY = "They may be the perfect option for those who aren't good candidates for LASIK (for example, thin corneas or high prescriptions), and for those with active lifestyles.";
+
+const CHUNKS = [
+  {
+    filename: '11-icl.md',
+    headingPath: ['What is the EVO ICL?'],
+    procedures: ['icl'],
+    text: `${ICL_SAVINGS} ${ICL_RECOVERY} ${ICL_CANDIDACY}`
+  },
+  {
+    filename: '09-lasik-basics.md',
+    headingPath: ['How much does LASIK cost?'],
+    procedures: ['lasik', 'smile', 'icl', 'rle'],
+    text: LASIK_PRICE
+  },
+  {
+    filename: '12-lasik-prk-faqs.md',
+    headingPath: ['How long does LASIK or PRK surgery take and what is recovery like?'],
+    procedures: ['lasik', 'prk'],
+    text: `Both procedures take about 10–15 minutes for both eyes. ${LASIK_RECOVERY}`
+  },
+  {
+    filename: '03-general.md',
+    headingPath: ['Who is a good candidate for LASIK?'],
+    procedures: ['general'],
+    text: 'Good candidates for LASIK have a stable prescription for at least a year.'
+  }
+];
+
+/**
+ * Find a cell of a comparison table
+ * @param {Object} table - buildComparison result
+ * @param {string} row - Attribute key
+ * @param {string} procedure - Canonical procedure name
+ * @returns {Object|null} { value, source } or null when the row was dropped
+ */
+function cellOf(table, row, procedure) {
+  const found = table.rows.find(r => r.key === row);
+  return found ? found.cells.find(cell => cell.procedure === procedure) : null;
+}
+
+/**
+ * Use a mock chat model that returns this comparison JSON
+ * @param {Object} rows - { attributeKey: { procedure: { value, source } } }
+ */
+function modelReplies(rows) {
+  setProvider(createMockProvider({ reply: () => JSON.stringify({ rows }) }), 'chat');
+}
+
+const CASES = [
+  ['a contrast sentence fills the other procedure\'s cell, not the contrasted one', async () => {
+    setProvider(createMockProvider(), 'chat'); // no "rows" - the extractive fallback fills the table
+    const table = await buildComparison('LASIK vs ICL', ['LASIK', 'ICL'], CHUNKS);
+    assert.equal(table.method, 'extractive');
+    assert.equal(cellOf(table, 'candidacy', 'ICL').source, 1);
+    assert.equal(cellOf(table, 'candidacy', 'ICL').value.startsWith("They may be the perfect option for those who aren't"), true);
+    assert.deepEqual(cellOf(table, 'candidacy', 'LASIK'), { procedure: 'LASIK', value: 'Good candidates for LASIK have a stable prescription for at least a year.', source: 4 });
+  }],
+
+  ['general content only fills cells for the procedures its heading names', async () => {
+    setProvider(createMockProvider(), 'chat');
+    const chunks = CHUNKS.map(chunk => chunk.filename === '03-general.md' ? { ...chunk, headingPath: ['Am I a candidate?'] } : chunk);
+    const table = await buildComparison('LASIK vs ICL', ['LASIK', 'ICL'], chunks);
+    assert.notEqual(cellOf(table, 'candidacy', 'LASIK').source, 4);
+  }],
+
+  ['a price cell needs a price, not just the word "cost"', async () => {
+    setProvider(createMockProvider(), 'chat');
+    const table = await buildComparison('LASIK vs ICL', ['LASIK', 'ICL'], CHUNKS);
+    assert.equal(cellOf(table, 'price', 'LASIK').value.startsWith('Total cost varies'), true);
+    assert.equal(cellOf(table, 'price', 'LASIK').source, 2);
+    assert.deepEqual(cellOf(table, 'price', 'ICL'), { procedure: 'ICL', value: null, source: null });
+  }],
+
+  ['each procedure\'s recovery comes from its own chunk', async () => {
+    setProvider(createMockProvider(), 'chat');
+    const table = await buildComparison('LASIK vs ICL', ['LASIK', 'ICL'], CHUNKS);
+    assert.deepEqual(cellOf(table, 'recovery', 'ICL'), { procedure: 'ICL', value: ICL_RECOVERY, source: 1 });
+    assert.deepEqual(cellOf(table, 'recovery', 'LASIK'), { procedure: 'LASIK', value: LASIK_RECOVERY, source: 3 });
+  }],
+
+  ['a model cell citing a chunk about another procedure is dropped', async () => {
+    modelReplies({
+      recovery: {
+        LASIK: { value: 'Most people return to work the next day.', source: 1 },
+        ICL: { value: 'Recovery is extremely fast, you can return to work the next day.', source: 1 }
+      }
+    });
+    const table = await buildComparison('LASIK vs ICL', ['LASIK', 'ICL'], CHUNKS);
+    assert.equal(table.method, 'llm');
+    assert.equal(cellOf(table, 'recovery', 'LASIK').value, null);
+    assert.equal(cellOf(table, 'recovery', 'ICL').source, 1);
+  }],
+
+  ['a model cell with a price its source does not state is dropped', async () => {
+    modelReplies({
+      price: {
+        LASIK: { value: 'About $1,200 per eye.', source: 2 },
+        ICL: { value: 'About $3,000 per eye.', source: 1 }
+      },
+      recovery: { LASIK: { value: 'Back to normal within a day or two.', source: 3 } }
+    });
+    const table = await buildComparison('LASIK vs ICL', ['LASIK', 'ICL'], CHUNKS);
+    assert.equal(table.rows.some(row => row.key === 'price'), false);
+    assert.equal(cellOf(table, 'recovery', 'LASIK').source, 3);
+  }]
+];
+
+runCases('Comparison tables', CASES, { quiet: true });
@@ -0,0 +1,123 @@
+/**
+ * Content Check Tests
+ *
+ * Runs the checks in scripts/check-duplicates.js (npm run check) over the
+ * files in tests/fixtures/content-check/ and small inline chunks: numeric
+ * conflicts, the contradiction judge (a scripted mock chat model) and
+ * staleness, each shown firing and not firing.
+ *
+ * Run with: npm test  (or: node tests/content-check.js)
+ */
+
+const assert = require('assert').strict;
+const path = require('path');
+const { runCases } = require('./run-cases');
+const { setProvider } = require('../server/providers');
+const { createMockProvider } = require('../server/providers/mockProvider');
+const {
+  loadContent,
+  findStaleFiles,
+  extractFacts,
+  findNumericConflicts,
+  runChecks
+} = require('../scripts/check-duplicates');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures/content-check');
+const CONTENT_DIR = path.join(__dirname, '../content');
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+/**
+ * Numeric conflicts between inline chunks
+ * @param {Array<Object>} chunks - { filename, text, procedures, headingPath? }
+ * @returns {Array} From findNumericConflicts()
+ */
+function conflictsIn(chunks) {
+  return findNumericConflicts(chunks.map((chunk, chunkId) => ({ chunkId, headingPath: '', ...chunk })).flatMap(extractFacts));
+}
+
+/**
+ * Run the whole check over the fixture files with a scripted judge
+ * @param {Object|null} verdict - What the judge answers, or null for --no-llm
+ * @returns {Promise<Object>} JSON report
+ */
+async function checkFixtures(verdict) {
+  const provider = createMockProvider({ reply: () => (typeof verdict === 'string' ? verdict : JSON.stringify(verdict)) });
+  setProvider(provider);
+  return runChecks({ llm: verdict !== null, maxPairs: 10, contentDir: FIXTURE_DIR });
+}
+
+const CASES = [
+  ['a recovery time another file contradicts is a numeric conflict', async () => {
+    const conflicts = conflictsIn([
+      { filename: 'a.md', procedures: ['lasik'], text: 'Most LASIK patients return to work within 1-2 days after surgery.' },
+      { filename: 'b.md', procedures: ['lasik'], text: 'Most LASIK patients return to work 2 weeks after surgery.' }
+    ]);
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].kind, 'duration');
+    assert.deepEqual([conflicts[0].a.text, conflicts[0].b.text], ['1-2 days', '2 weeks']);
+  }],
+
+  ['agreeing values, other procedures and unrelated sentences are not conflicts', async () => {
+    assert.deepEqual(conflictsIn([
+      { filename: 'a.md', procedures: ['lasik'], text: 'Most LASIK patients return to work within 1-2 days after surgery.' },
+      { filename: 'b.md', procedures: ['lasik'], text: 'Most LASIK patients return to work one day after surgery.' }
+    ]), []);
+    assert.deepEqual(conflictsIn([
+      { filename: 'a.md', procedures: ['lasik'], text: 'Most patients return to work within 1-2 days after surgery.' },
+      { filename: 'b.md', procedures: ['icl'], text: 'Most patients return to work 2 weeks after surgery.' }
+    ]), []);
+    assert.deepEqual(conflictsIn([
+      { filename: 'a.md', procedures: ['lasik'], text: 'LASIK costs about $2,500 per eye.' },
+      { filename: 'b.md', procedures: ['lasik'], text: 'Financing plans start at $150 per month.' }
+    ]), []);
+  }],
+
+  ['a contradiction the judge confirms blocks publishing', async () => {
+    const report = await checkFixtures({ contradiction: true, claims: ['1-2 days', '2 weeks'], explanation: 'Different return-to-work times' });
+    assert.equal(report.summary.contradictions, 1);
+    assert.deepEqual([report.contradictions[0].a.filename, report.contradictions[0].b.filename], ['01-recovery.md', '02-lasik-faqs.md']);
+    assert.equal(report.numericConflicts[0].verdict, 'contradiction');
+    assert.equal(report.summary.blocking, 1);
+  }],
+
+  ['a numeric conflict the judge rules out does not block', async () => {
+    const report = await checkFixtures({ contradiction: false, claims: [], explanation: '' });
+    assert.equal(report.summary.contradictions, 0);
+    assert.equal(report.numericConflicts.length, 1);
+    assert.equal(report.numericConflicts[0].verdict, 'ruled out');
+    assert.equal(report.summary.blocking, 0);
+  }],
+
+  ['a conflict nobody could rule on blocks (no judge or an unusable answer)', async () => {
+    const noLlm = await checkFixtures(null);
+    assert.equal(noLlm.summary.judgedPairs, 0);
+    assert.equal(noLlm.numericConflicts[0].verdict, 'unresolved');
+    assert.equal(noLlm.summary.blocking, 1);
+
+    const unusable = await checkFixtures('not json');
+    assert.equal(unusable.unjudged.length > 0, true);
+    assert.equal(unusable.numericConflicts[0].verdict, 'unresolved');
+    assert.equal(unusable.summary.blocking, 1);
+  }],
+
+  ['files are stale once they expire or expire within 30 days', async () => {
+    const files = [
+      { filename: 'expired.md', metadata: { lastReviewed: '2025-01-01', expires: '2026-10-19' } },
+      { filename: 'expiring.md', metadata: { lastReviewed: '2025-11-01', expires: '2026-11-10' } },
+      { filename: 'current.md', metadata: { lastReviewed: '2026-06-01', expires: '2027-06-01' } },
+      { filename: 'unreviewed.md', metadata: {} }
+    ];
+    assert.deepEqual(findStaleFiles(files, NOW).map(s => [s.filename, s.status]), [['expired.md', 'expired'], ['expiring.md', 'expiring']]);
+  }],
+
+  ['unreviewed files are counted, not flagged as stale', async () => {
+    const report = await checkFixtures({ contradiction: false });
+    assert.deepEqual(report.stale.map(s => [s.filename, s.status]), [['02-lasik-faqs.md', 'expired']]);
+    assert.equal(report.summary.unreviewed, 2);
+
+    const { files } = await loadContent(CONTENT_DIR);
+    assert.deepEqual(findStaleFiles(files, NOW), []);
+  }]
+];
+
+runCases('Content check', CASES, { quiet: true });
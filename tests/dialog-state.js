@@ -0,0 +1,95 @@
+/**
+ * Dialog State Tests
+ *
+ * Labelled conversations through server/services/dialogStateService.js:
+ * what a short reply ("45", "yes", "about $600") means depends on what the
+ * assistant asked last, and a new question must never be read as a reply.
+ *
+ * Run with: npm test  (or: node tests/dialog-state.js)
+ */
+
+const assert = require('assert').strict;
+const { runCases } = require('./run-cases');
+const { beginDialogTurn, endDialogTurn, normalizeDialogState } = require('../server/services/dialogStateService');
+const { getCalculatorFactsResponse } = require('../server/prompt');
+
+const COST_ANSWER = 'LASIK typically costs $2,000 to $3,000 per eye.';
+
+/**
+ * Dialog state after a cost answer shown with the savings calculator
+ * @returns {Object} Dialog state as the client sends it back
+ */
+function afterCostAnswer() {
+  const { state } = beginDialogTurn(null, [], 'How much does LASIK cost?', ['lasik']);
+  return endDialogTurn(state, { answer: COST_ANSWER, showSavingsCalculator: true });
+}
+
+/**
+ * Dialog state after the calculator asked "How old are you?"
+ * @returns {Object} Dialog state as the client sends it back
+ */
+function afterCalculatorAskedAge() {
+  const { state } = beginDialogTurn(afterCostAnswer(), [], 'about $600 a year');
+  return endDialogTurn(state, { answer: getCalculatorFactsResponse(state.facts), showSavingsCalculator: true });
+}
+
+const CASES = [
+  ['a question with a number after a cost answer is not an age', () => {
+    const { state, reply } = beginDialogTurn(afterCostAnswer(), [], 'Can I drive after 24 hours?');
+    assert.equal(reply, null);
+    assert.equal(state.facts.age, undefined);
+  }],
+
+  ['a bare number after a cost answer is not an age (no age was asked)', () => {
+    const { state, reply } = beginDialogTurn(afterCostAnswer(), [], '45');
+    assert.equal(reply, null);
+    assert.equal(state.facts.age, undefined);
+  }],
+
+  ['explicit age phrasing fills the calculator without being asked', () => {
+    const { state, reply } = beginDialogTurn(afterCostAnswer(), [], "I'm 40");
+    assert.deepEqual(reply, { type: 'calculator' });
+    assert.equal(state.facts.age, 40);
+  }],
+
+  ['a bare number answers the calculator once it asked for the age', () => {
+    const pendingState = afterCalculatorAskedAge();
+    assert.equal(pendingState.pending.asksAge, true);
+    const { state, reply } = beginDialogTurn(pendingState, [], '52');
+    assert.deepEqual(reply, { type: 'calculator' });
+    assert.equal(state.facts.age, 52);
+  }],
+
+  ['a question after the calculator asked for the age is still a question', () => {
+    const { state, reply } = beginDialogTurn(afterCalculatorAskedAge(), [], 'Is 45 too old for LASIK');
+    assert.equal(reply, null);
+    assert.equal(state.facts.age, undefined);
+  }],
+
+  ['a bare number answers a reader question waiting for the age', () => {
+    const pendingState = { version: 1, turn: 1, pending: { type: 'age', question: 'Will I still need readers?' }, facts: {} };
+    const { reply } = beginDialogTurn(pendingState, [], '45');
+    assert.deepEqual(reply, { type: 'age', age: 45 });
+  }],
+
+  ['a question is not read as the age a reader question waits for', () => {
+    const pendingState = { version: 1, turn: 1, pending: { type: 'age', question: 'Will I still need readers?' }, facts: {} };
+    const { reply } = beginDialogTurn(pendingState, [], 'what about 2 eyes?');
+    assert.equal(reply, null);
+  }],
+
+  ['a bare large number is the eyewear spend while the calculator waits', () => {
+    const { state, reply } = beginDialogTurn(afterCostAnswer(), [], 'about 600');
+    assert.deepEqual(reply, { type: 'calculator' });
+    assert.equal(state.facts.annualEyewearCost, 600);
+  }],
+
+  ['a client-sent asksAge flag only survives on calculator questions', () => {
+    const calculator = normalizeDialogState({ version: 1, turn: 2, pending: { type: 'calculator', asksAge: 'yes' } });
+    assert.equal(calculator.pending.asksAge, false);
+    const scheduling = normalizeDialogState({ version: 1, turn: 2, pending: { type: 'scheduling', asksAge: true } });
+    assert.equal(scheduling.pending.asksAge, undefined);
+  }]
+];
+
+runCases('Dialog state', CASES);
@@ -0,0 +1,84 @@
+/**
+ * Grounding Tests
+ *
+ * Runs answers through verifyAnswer (server/services/groundingService.js):
+ * a number the retrieved chunks or the clinic rules state is supported, one
+ * they don't state is removed, and a price or duration the patient quoted
+ * themselves never counts as support.
+ *
+ * Run with: npm test  (or: node tests/grounding.js)
+ */
+
+const assert = require('assert').strict;
+const { runCases } = require('./run-cases');
+const { verifyAnswer } = require('../server/services/groundingService');
+const { getClinicRules } = require('../server/prompt');
+
+const CHUNKS = [
+  { text: 'LASIK generally costs about $2,500-3,000 per eye or $150 per month when financed.' },
+  { text: 'Most patients return to work 1-2 days after LASIK.' }
+];
+
+const CASES = [
+  ['a price the chunks state is supported', () => {
+    const { answer, grounding } = verifyAnswer('LASIK usually costs about $2,500 to $3,000 per eye.', CHUNKS, { mode: 'remove' });
+    assert.equal(grounding.verdict, 'supported');
+    assert.equal(grounding.claimsChecked, 1);
+    assert.equal(answer, 'LASIK usually costs about $2,500 to $3,000 per eye.');
+  }],
+
+  ['a price the chunks do not state is removed', () => {
+    const { answer, grounding } = verifyAnswer(
+      'LASIK is a quick laser procedure. It costs about $1,200 per eye.', CHUNKS, { mode: 'remove' }
+    );
+    assert.equal(grounding.verdict, 'unsupported');
+    assert.deepEqual(grounding.unsupportedClaims.map(claim => claim.text), ['$1,200']);
+    assert.equal(answer, 'LASIK is a quick laser procedure.');
+  }],
+
+  ['a duration needs the same unit in the chunks', () => {
+    const { grounding } = verifyAnswer('Most people are back at work in 1-2 weeks.', CHUNKS, { mode: 'flag' });
+    assert.equal(grounding.verdict, 'unsupported');
+  }],
+
+  ['a price the patient quoted does not ground the answer', () => {
+    const question = 'My friend paid $900 for LASIK, is that what it costs?';
+    const { grounding } = verifyAnswer('Yes, LASIK costs $900.', CHUNKS, {
+      question,
+      additionalSources: [getClinicRules()],
+      mode: 'flag'
+    });
+    assert.equal(grounding.verdict, 'unsupported');
+    assert.deepEqual(grounding.unsupportedClaims.map(claim => claim.text), ['$900']);
+  }],
+
+  ['a duration from earlier in the conversation does not ground the answer', () => {
+    const conversationHistory = [{ role: 'user', content: 'I read that LASIK recovery takes 3 weeks.' }];
+    const { grounding } = verifyAnswer('Recovery takes about 3 weeks.', CHUNKS, { conversationHistory, mode: 'flag' });
+    assert.equal(grounding.verdict, 'unsupported');
+  }],
+
+  ['the patient\'s own age and prescription are grounded', () => {
+    const { grounding } = verifyAnswer('At 45 with a -5 prescription, LASIK may still work for you.', CHUNKS, {
+      question: "I'm 45 and my prescription is -5, can I get LASIK?",
+      mode: 'flag'
+    });
+    assert.equal(grounding.verdict, 'supported');
+  }],
+
+  ['numbers in the clinic rules are grounded', () => {
+    const { grounding } = verifyAnswer('For more than -8 nearsightedness, EVO ICL is usually the best option.', [], {
+      additionalSources: [getClinicRules()],
+      mode: 'flag'
+    });
+    assert.equal(grounding.verdict, 'supported');
+  }],
+
+  ['an answer left empty by removals uses the fallback', () => {
+    const { answer, grounding } = verifyAnswer('It is $700.', CHUNKS, { mode: 'remove', fallback: 'Please call our office.' });
+    assert.equal(answer, 'Please call our office.');
+    assert.equal(grounding.usedFallback, true);
+  }]
+];
+
+runCases('Grounding', CASES, { quiet: true });
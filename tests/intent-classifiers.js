@@ -0,0 +1,150 @@
+/**
+ * Intent Classifier Tests
+ *
+ * Runs every message in tests/fixtures/intent-corpus.json through the
+ * routing heuristics in server/prompt.js and server/rag.js, prints
+ * precision and recall per classifier, and exits non-zero if any labelled
+ * case regresses.
+ *
+ * A case regresses when a classifier disagrees with its label and that
+ * classifier is not listed in the case's `knownFailures`. Known failures
+ * still count towards precision/recall; if one starts passing, the run
+ * points it out so the entry can be removed from the fixture.
+ *
+ * Run with: npm test  (or: node tests/intent-classifiers.js [--verbose])
+ */
+
+const path = require('path');
+const {
+  isGreeting,
+  isAffirmative,
+  isObjection,
+  isStatement,
+  isReaderQuestion,
+  hasAgeMentioned
+} = require('../server/prompt');
+const { detectBuyingIntent, detectComparisonQuery, detectSavingsContext, detectCandidacyQuestion } = require('../server/rag');
+
+const CORPUS_PATH = path.join(__dirname, 'fixtures/intent-corpus.json');
+
+// Each classifier reduced to a boolean for one case
+const CLASSIFIERS = {
+  isGreeting: ({ text }) => isGreeting(text),
+  isAffirmative: ({ text }) => isAffirmative(text),
+  isObjection: ({ text }) => isObjection(text),
+  isStatement: ({ text }) => isStatement(text),
+  isReaderQuestion: ({ text }) => isReaderQuestion(text),
+  hasAgeMentioned: ({ text }) => hasAgeMentioned(text),
+  detectBuyingIntent: ({ text }) => detectBuyingIntent(text).hasBuyingIntent,
+  detectComparisonQuery: ({ text }) => detectComparisonQuery(text) !== null,
+  detectSavingsContext: ({ text, answer }) => detectSavingsContext(text, answer || ''),
+  detectCandidacyQuestion: ({ text }) => detectCandidacyQuestion(text)
+};
+
+/**
+ * Format a ratio as a percentage
+ * @param {number} numerator - Numerator
+ * @param {number} denominator - Denominator
+ * @returns {string} "87.5%" or "n/a"
+ */
+function percent(numerator, denominator) {
+  return denominator === 0 ? 'n/a' : `${((numerator / denominator) * 100).toFixed(1)}%`;
+}
+
+/**
+ * Evaluate the corpus
+ * @param {Object} corpus - Parsed fixture file
+ * @returns {Object} { stats, regressions, fixed }
+ */
+function evaluate(corpus) {
+  const stats = {};
+  const regressions = [];
+  const fixed = [];
+
+  for (const name of Object.keys(CLASSIFIERS)) {
+    stats[name] = { tp: 0, fp: 0, fn: 0, tn: 0 };
+  }
+
+  for (const testCase of corpus.cases) {
+    const expected = new Set(testCase.expect || []);
+    const known = new Set(testCase.knownFailures || []);
+
+    for (const [name, classify] of Object.entries(CLASSIFIERS)) {
+      const shouldFire = expected.has(name);
+      const fired = Boolean(classify(testCase));
+
+      if (fired && shouldFire) stats[name].tp++;
+      else if (fired && !shouldFire) stats[name].fp++;
+      else if (!fired && shouldFire) stats[name].fn++;
+      else stats[name].tn++;
+
+      const mismatch = fired !== shouldFire;
+      if (mismatch && !known.has(name)) {
+        regressions.push({ text: testCase.text, classifier: name, expected: shouldFire, actual: fired });
+      } else if (!mismatch && known.has(name)) {
+        fixed.push({ text: testCase.text, classifier: name });
+      }
+    }
+  }
+
+  return { stats, regressions, fixed };
+}
+
+/**
+ * Print the per-classifier table
+ * @param {Object} stats - Confusion counts per classifier
+ */
+function printTable(stats) {
+  const header = ['Classifier', 'TP', 'FP', 'FN', 'TN', 'Precision', 'Recall'];
+  const rows = Object.entries(stats).map(([name, s]) => [
+    name,
+    String(s.tp),
+    String(s.fp),
+    String(s.fn),
+    String(s.tn),
+    percent(s.tp, s.tp + s.fp),
+    percent(s.tp, s.tp + s.fn)
+  ]);
+
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const format = (cells) => cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ');
+
+  console.log(format(header));
+  console.log(widths.map(w => '-'.repeat(w)).join('  '));
+  rows.forEach(row => console.log(format(row)));
+}
+
+function main() {
+  const verbose = process.argv.includes('--verbose');
+  const corpus = require(CORPUS_PATH);
+
+  console.log(`\n🧪 Intent classifiers - ${corpus.cases.length} labelled messages\n`);
+  const { stats, regressions, fixed } = evaluate(corpus);
+  printTable(stats);
+
+  if (verbose) {
+    const knownCount = corpus.cases.reduce((sum, c) => sum + (c.knownFailures || []).length, 0);
+    console.log(`\n📋 Known failures tracked in the fixture: ${knownCount}`);
+  }
+
+  if (fixed.length > 0) {
+    console.log(`\n🎉 ${fixed.length} known failure(s) now pass - remove them from knownFailures:`);
+    fixed.forEach(f => console.log(`   ${f.classifier}: "${f.text}"`));
+  }
+
+  if (regressions.length > 0) {
+    console.log(`\n❌ ${regressions.length} regression(s):`);
+    regressions.forEach(r => {
+      console.log(`   ${r.classifier}: "${r.text}" - expected ${r.expected}, got ${r.actual}`);
+    });
+    process.exit(1);
+  }
+
+  console.log('\n✅ All labelled cases match\n');
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { CLASSIFIERS, evaluate };
@@ -0,0 +1,50 @@
+/**
+ * Case Runner
+ *
+ * Runs a test suite's [label, fn] cases in order (fn may be async), prints
+ * ✅ or ❌ with the assertion message for each, and exits 1 if any failed.
+ * Used by the tests/*.js suites that `npm test` runs.
+ */
+
+/**
+ * Run a suite's cases and report them
+ * @param {string} title - Suite name for the report
+ * @param {Array} cases - [label, fn] pairs
+ * @param {Object} [options] - Runner options
+ * @param {boolean} [options.quiet] - Silence console.log/warn while a case runs (for code that logs its progress)
+ * @returns {Promise<void>}
+ */
+async function runCases(title, cases, { quiet = false } = {}) {
+  console.log(`\n🧪 ${title}`);
+  const { log, warn } = console;
+  let failures = 0;
+
+  for (const [label, run] of cases) {
+    if (quiet) {
+      console.log = console.warn = () => {};
+    }
+    let failure = null;
+    try {
+      await run();
+    } catch (error) {
+      failure = error;
+    } finally {
+      Object.assign(console, { log, warn });
+    }
+
+    if (failure) {
+      failures++;
+      console.log(`   ❌ ${label}\n      ${String(failure.message).split('\n').join('\n      ')}`);
+    } else {
+      console.log(`   ✅ ${label}`);
+    }
+  }
+
+  if (failures > 0) {
+    console.log(`\n❌ ${failures} of ${cases.length} ${title.toLowerCase()} case(s) failed\n`);
+    process.exit(1);
+  }
+  console.log(`\n✅ ${title}: all ${cases.length} cases pass\n`);
+}
+
+module.exports = { runCases };
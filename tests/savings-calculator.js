@@ -0,0 +1,109 @@
+/**
+ * Savings Calculator Tests
+ *
+ * Checks the math in server/services/savingsService.js against figures worked
+ * out by hand - break-even paid up front and financed, loan payments with and
+ * without interest, eyewear inflation and the eyewear cut-off age - plus the
+ * input and clinic-assumption checks in front of it.
+ *
+ * Run with: npm test  (or: node tests/savings-calculator.js)
+ */
+
+const assert = require('assert').strict;
+const { runCases } = require('./run-cases');
+const {
+  DEFAULT_SAVINGS_ASSUMPTIONS,
+  validateAssumptions,
+  mergeAssumptions,
+  validateSavingsInput,
+  calculateSavings
+} = require('../server/services/savingsService');
+
+// $1,000 a year of eyewear with no inflation against $2,000 per eye
+const FLAT = mergeAssumptions({
+  annualEyewearCost: 1000,
+  eyewearInflation: 0,
+  financing: { apr: 0, termMonths: 24 },
+  procedures: { lasik: { pricePerEye: 2000 } }
+});
+
+const CASES = [
+  ['paid up front, break-even is the month eyewear covers the price', () => {
+    const result = calculateSavings({ age: 40, procedure: 'lasik' }, FLAT);
+    assert.equal(result.procedure.totalCost, 4000);
+    assert.deepEqual(result.breakEven, { months: 48, age: 44 });
+    assert.equal(result.years[0].procedureCost, 4000);
+    assert.equal(result.years[0].netSavings, -3000);
+    assert.equal(result.years.length, 25);
+    assert.deepEqual(result.totals, { eyewearCost: 25000, procedureCost: 4000, netSavings: 21000 });
+  }],
+
+  ['one eye halves the price and the break-even', () => {
+    const result = calculateSavings({ age: 40, procedure: 'lasik', eyes: 1 }, FLAT);
+    assert.equal(result.procedure.totalCost, 2000);
+    assert.deepEqual(result.breakEven, { months: 24, age: 42 });
+  }],
+
+  ['financed at 0% spreads the price evenly over the term', () => {
+    const result = calculateSavings({ age: 40, procedure: 'lasik', financed: true }, FLAT);
+    assert.deepEqual(result.financing, { apr: 0, termMonths: 24, monthlyPayment: 166.67, totalPaid: 4000 });
+    assert.equal(result.years[0].procedureCost, 2000);
+    assert.equal(result.years[2].procedureCost, 0);
+    assert.deepEqual(result.breakEven, { months: 48, age: 44 });
+  }],
+
+  ['financed with interest uses the amortized payment', () => {
+    // 1200 * 0.01 / (1 - 1.01^-12) = 106.62 a month
+    const assumptions = mergeAssumptions({ financing: { apr: 0.12, termMonths: 12 }, procedures: { lasik: { pricePerEye: 600 } } });
+    const result = calculateSavings({ age: 40, procedure: 'lasik', financed: true }, assumptions);
+    assert.equal(result.financing.monthlyPayment, 106.62);
+    assert.equal(result.financing.totalPaid, 1279);
+    assert.equal(result.totals.procedureCost, 1279);
+  }],
+
+  ['a procedure can carry its own financing terms', () => {
+    const assumptions = mergeAssumptions({ procedures: { lasik: { pricePerEye: 2000, financing: { termMonths: 48 } } } });
+    const result = calculateSavings({ age: 40, procedure: 'lasik', financed: true }, assumptions);
+    assert.equal(result.financing.termMonths, 48);
+    assert.equal(result.financing.monthlyPayment, 83.33);
+  }],
+
+  ['eyewear prices rise with inflation each year', () => {
+    const assumptions = mergeAssumptions({ annualEyewearCost: 1000, eyewearInflation: 0.03 });
+    const result = calculateSavings({ age: 40 }, assumptions);
+    assert.deepEqual(result.years.slice(0, 3).map(y => y.eyewearCost), [1000, 1030, 1061]);
+  }],
+
+  ['no break-even when eyewear stops before it covers the price', () => {
+    const result = calculateSavings({ age: 63, procedure: 'lasik' }, FLAT);
+    assert.equal(result.breakEven, null);
+    assert.deepEqual(result.totals, { eyewearCost: 2000, procedureCost: 4000, netSavings: -2000 });
+  }],
+
+  ['the patient\'s own eyewear spend replaces the default', () => {
+    const result = calculateSavings({ age: 40, procedure: 'lasik', annualEyewearCost: 2000 }, FLAT);
+    assert.equal(result.eyewear.annualCost, 2000);
+    assert.deepEqual(result.breakEven, { months: 24, age: 42 });
+  }],
+
+  ['default prices are the midpoints quoted in the content', () => {
+    assert.equal(DEFAULT_SAVINGS_ASSUMPTIONS.procedures.lasik.pricePerEye, 2750);
+    assert.equal(DEFAULT_SAVINGS_ASSUMPTIONS.procedures.rle.pricePerEye, 4000);
+  }],
+
+  ['inherited object keys are not procedures', () => {
+    const assumptions = mergeAssumptions();
+    assert.match(validateSavingsInput({ age: 30, procedure: 'constructor' }, assumptions), /procedure must be one of/);
+    assert.match(validateSavingsInput({ age: 30, procedure: 'toString' }, assumptions), /procedure must be one of/);
+    assert.equal(validateSavingsInput({ age: 30, procedure: 'icl' }, assumptions), null);
+    assert.match(validateAssumptions({ procedures: { constructor: { pricePerEye: 100 } } }), /label must be/);
+  }],
+
+  ['assumptions must leave at least one procedure', () => {
+    const removeAll = Object.fromEntries(Object.keys(DEFAULT_SAVINGS_ASSUMPTIONS.procedures).map(key => [key, null]));
+    assert.match(validateAssumptions({ procedures: removeAll }), /at least one procedure/);
+    assert.equal(validateAssumptions({ procedures: { ...removeAll, lasik: {} } }), null);
+  }]
+];
+
+runCases('Savings calculator', CASES);
@@ -0,0 +1,312 @@
+/**
+ * Vector Store Conformance Tests
+ *
+ * Runs the same contract checks (see server/vectorstores/index.js) against
+ * each vector store adapter, so retrieval behaves the same whichever backend
+ * is configured: add/upsert, nearest-first query with metadata filters
+ * (equality, "any of", list-valued fields and { after } dates), keyword search where supported, get, count, delete, atomic changes and health.
+ *
+ * The local store always runs, in a temporary directory. Supabase and Chroma
+ * write to real backends, so they only run when asked for:
+ *
+ *   node tests/vector-store-conformance.js --backends local,supabase,chroma
+ *   (or VECTOR_CONFORMANCE_BACKENDS=local,chroma)
+ *
+ * Every test chunk belongs to a throwaway tenant and is deleted afterwards;
+ * Chroma uses its own conformance_test collection. Vectors have 1536
+ * dimensions to fit the content_chunks column.
+ *
+ * Run with: npm test  (or: npm run test:vectorstores -- --backends ...)
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createLocalVectorStore } = require('../server/vectorstores/localVectorStore');
+const { createSupabaseVectorStore } = require('../server/vectorstores/supabaseVectorStore');
+const { createChromaVectorStore } = require('../server/vectorstores/chromaVectorStore');
+const { isSupabaseConfigured } = require('../server/supabase');
+
+const DIMENSIONS = 1536;
+const TEST_TENANT = `conformance-${process.pid}`;
+const OTHER_TENANT = `${TEST_TENANT}-other`;
+
+/**
+ * Parse command line flags
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} { backends }
+ */
+function parseArgs(argv) {
+  const args = { backends: (process.env.VECTOR_CONFORMANCE_BACKENDS || 'local').split(',') };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--backends') args.backends = argv[++i].split(',');
+  }
+  args.backends = args.backends.map(name => name.trim().toLowerCase()).filter(Boolean);
+  return args;
+}
+
+/**
+ * Deterministic unit-ish vector pointing mostly along one axis
+ * @param {number} axis - Main axis
+ * @param {number} [lean] - Weight on the next axis (lean > 0 moves it towards axis + 1)
+ * @returns {Array<number>} Vector
+ */
+function vector(axis, lean = 0) {
+  const values = new Array(DIMENSIONS).fill(0.001);
+  values[axis] = 1;
+  values[axis + 1] += lean;
+  return values;
+}
+
+/**
+ * Build the test chunks
+ * @returns {Array} [{ id, document, embedding, metadata }]
+ */
+function fixtureDocuments() {
+  const chunk = (id, axis, lean, filename, procedures, text, tenantId = TEST_TENANT, extra = {}) => ({
+    id: `${TEST_TENANT}_${id}`,
+    document: text,
+    embedding: vector(axis, lean),
+    metadata: {
+      filename,
+      chunkId: 0,
+      tenantId,
+      procedures,
+      heading: id,
+      headingPath: ['Conformance', id],
+      sections: [{ heading: id, level: 2 }],
+      ...extra
+    }
+  });
+
+  return [
+    chunk('icl', 0, 0, 'icl.md', ['icl'], 'ICL implants a collamer lens behind the iris.'),
+    chunk('icl-cost', 0, 0.3, 'icl.md', ['icl', 'general'], 'An ICL costs about the same per eye as SMILE.', TEST_TENANT, { expires: '2020-01-01' }),
+    chunk('lasik', 10, 0, 'lasik.md', ['lasik'], 'LASIK reshapes the cornea with an excimer laser.', TEST_TENANT, { expires: '2999-12-31' }),
+    chunk('prk', 20, 0, 'prk.md', ['lasik', 'prk'], 'PRK removes the epithelium before the laser treatment.'),
+    chunk('other-icl', 0, 0.1, 'icl.md', ['icl'], 'Another clinic also offers the zebrafish ICL.', OTHER_TENANT)
+  ];
+}
+
+/**
+ * Contract checks, in order - later cases rely on the state earlier ones leave
+ */
+const CASES = [
+  ['add stores documents and count filters by metadata', async store => {
+    await store.add(fixtureDocuments());
+    assert.equal(await store.count({ where: { tenantId: TEST_TENANT } }), 4);
+    assert.equal(await store.count({ where: { tenantId: TEST_TENANT, filename: 'icl.md' } }), 2);
+    assert.ok(await store.count() >= 5);
+  }],
+
+  ['query returns the nearest documents first', async store => {
+    const results = await store.query(vector(0), { nResults: 2, where: { tenantId: TEST_TENANT } });
+    assert.deepEqual(results.map(r => r.id), [`${TEST_TENANT}_icl`, `${TEST_TENANT}_icl-cost`]);
+    assert.ok(results[0].distance < 0.01, `distance ${results[0].distance} should be ~0 for an identical vector`);
+    assert.ok(results[0].distance <= results[1].distance);
+    assert.equal(results[0].document, 'ICL implants a collamer lens behind the iris.');
+    assert.equal(results[0].metadata.filename, 'icl.md');
+  }],
+
+  ['query respects nResults and metadata filters', async store => {
+    const all = await store.query(vector(10), { nResults: 10, where: { tenantId: TEST_TENANT } });
+    assert.equal(all.length, 4);
+    assert.equal(all[0].id, `${TEST_TENANT}_lasik`);
+
+    const filtered = await store.query(vector(10), { nResults: 10, where: { tenantId: TEST_TENANT, filename: 'prk.md' } });
+    assert.deepEqual(filtered.map(r => r.id), [`${TEST_TENANT}_prk`]);
+
+    const otherTenant = await store.query(vector(0), { nResults: 10, where: { tenantId: OTHER_TENANT } });
+    assert.deepEqual(otherTenant.map(r => r.id), [`${TEST_TENANT}_other-icl`]);
+
+    const none = await store.query(vector(0), { nResults: 3, where: { tenantId: `${TEST_TENANT}-nobody` } });
+    assert.deepEqual(none, []);
+  }],
+
+  ['filters match any of several values and list-valued fields', async store => {
+    const ids = async where => (await store.query(vector(0), { nResults: 10, where: { tenantId: TEST_TENANT, ...where } }))
+      .map(r => r.id.slice(TEST_TENANT.length + 1)).sort();
+
+    assert.deepEqual(await ids({ procedures: 'prk' }), ['prk']);
+    assert.deepEqual(await ids({ procedures: ['icl', 'prk'] }), ['icl', 'icl-cost', 'prk']);
+    assert.deepEqual(await ids({ filename: ['lasik.md', 'prk.md'] }), ['lasik', 'prk']);
+    assert.deepEqual(await ids({ filename: 'icl.md', procedures: ['general', 'lasik'] }), ['icl-cost']);
+
+    assert.equal(await store.count({ where: { tenantId: TEST_TENANT, procedures: 'lasik' } }), 2);
+    const general = await store.get({ where: { tenantId: TEST_TENANT, procedures: ['general'] } });
+    assert.deepEqual(general.map(d => d.metadata.procedures), [['icl', 'general']]);
+  }],
+
+  ['date filters keep later and undated chunks', async store => {
+    const current = { tenantId: TEST_TENANT, expires: { after: '2026-10-19' } };
+    const results = await store.query(vector(0), { nResults: 10, where: current });
+    assert.deepEqual(results.map(r => r.id.slice(TEST_TENANT.length + 1)).sort(), ['icl', 'lasik', 'prk']);
+    assert.equal(await store.count({ where: current }), 3);
+    assert.equal(await store.count({ where: { tenantId: TEST_TENANT, expires: { after: '2999-12-31' } } }), 2);
+    await assert.rejects(() => store.query(vector(0), { where: { filename: { after: '2026-10-19' } } }), /Unsupported filter/);
+  }],
+
+  ['get returns documents with embeddings and full metadata', async store => {
+    const [doc] = await store.get({ ids: [`${TEST_TENANT}_lasik`] });
+    assert.equal(doc.id, `${TEST_TENANT}_lasik`);
+    assert.equal(doc.document, 'LASIK reshapes the cornea with an excimer laser.');
+    assert.equal(doc.embedding.length, DIMENSIONS);
+    assert.deepEqual(doc.metadata.headingPath, ['Conformance', 'lasik']);
+    assert.deepEqual(doc.metadata.sections, [{ heading: 'lasik', level: 2 }]);
+
+    const byFile = await store.get({ where: { tenantId: TEST_TENANT, filename: 'icl.md' } });
+    assert.deepEqual(byFile.map(d => d.id).sort(), [`${TEST_TENANT}_icl`, `${TEST_TENANT}_icl-cost`]);
+    assert.deepEqual(await store.get({ ids: [] }), []);
+  }],
+
+  ['add with an existing id replaces the document', async store => {
+    const [lasik] = fixtureDocuments().filter(doc => doc.id === `${TEST_TENANT}_lasik`);
+    await store.add([{ ...lasik, document: 'LASIK (updated)', metadata: { ...lasik.metadata, heading: 'updated' } }]);
+    const [doc] = await store.get({ ids: [lasik.id] });
+    assert.equal(doc.document, 'LASIK (updated)');
+    assert.equal(doc.metadata.heading, 'updated');
+    assert.equal(await store.count({ where: { tenantId: TEST_TENANT } }), 4);
+
+    // A new embedding moves it
+    await store.add([{ ...lasik, embedding: vector(30) }]);
+    const [nearest] = await store.query(vector(30), { nResults: 1, where: { tenantId: TEST_TENANT } });
+    assert.equal(nearest.id, lasik.id);
+  }],
+
+  ['applyChanges upserts and deletes together', async store => {
+    const [prk] = fixtureDocuments().filter(doc => doc.id === `${TEST_TENANT}_prk`);
+    const added = { ...prk, id: `${TEST_TENANT}_smile`, document: 'SMILE uses a small incision.', embedding: vector(40) };
+    await store.applyChanges({ upserts: [added], deleteIds: [prk.id] });
+
+    assert.deepEqual(await store.get({ ids: [prk.id] }), []);
+    const [nearest] = await store.query(vector(40), { nResults: 1, where: { tenantId: TEST_TENANT } });
+    assert.equal(nearest.id, added.id);
+    assert.equal(await store.count({ where: { tenantId: TEST_TENANT } }), 4);
+  }],
+
+  ['search finds keyword matches within the filter (if supported)', async store => {
+    if (!store.search) return 'skipped - no keyword search';
+    const results = await store.search('zebrafish collamer', { nResults: 5, where: { tenantId: TEST_TENANT } });
+    assert.deepEqual(results.map(r => r.id), [`${TEST_TENANT}_icl`]);
+    assert.ok(results[0].score > 0);
+    assert.equal(results[0].metadata.filename, 'icl.md');
+  }],
+
+  ['delete removes by id and by filter, and refuses to delete everything', async store => {
+    assert.equal(await store.delete({ ids: [`${TEST_TENANT}_icl-cost`] }), 1);
+    assert.equal(await store.count({ where: { tenantId: TEST_TENANT } }), 3);
+
+    assert.equal(await store.delete({ where: { tenantId: TEST_TENANT, filename: 'icl.md' } }), 1);
+    assert.equal(await store.count({ where: { tenantId: TEST_TENANT, filename: 'icl.md' } }), 0);
+
+    await assert.rejects(() => store.delete({}), /without ids or a filter/);
+  }],
+
+  ['health reports a connected store', async store => {
+    const status = await store.health();
+    assert.equal(status.provider, store.name);
+    assert.equal(status.connected, true);
+    assert.ok(Number.isInteger(status.documentCount) && status.documentCount >= 1);
+  }]
+];
+
+/**
+ * Create a store for a backend
+ * @param {string} name - Backend name
+ * @returns {Promise<Object>} { store, cleanup } or { skip: reason }
+ */
+async function openBackend(name) {
+  if (name === 'local') {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vector-conformance-'));
+    return {
+      store: createLocalVectorStore({ dir }),
+      cleanup: () => fs.rm(dir, { recursive: true, force: true })
+    };
+  }
+  if (name === 'supabase') {
+    if (!isSupabaseConfigured()) {
+      return { skip: 'SUPABASE_URL / SUPABASE_SERVICE_KEY not set' };
+    }
+    const store = createSupabaseVectorStore();
+    return { store, cleanup: () => removeTestDocuments(store) };
+  }
+  if (name === 'chroma') {
+    const store = createChromaVectorStore({ collectionName: 'conformance_test' });
+    const status = await store.health();
+    if (!status.connected) {
+      return { skip: `Chroma not reachable (${status.error})` };
+    }
+    return { store, cleanup: () => removeTestDocuments(store) };
+  }
+  return { skip: 'unknown backend' };
+}
+
+/**
+ * Delete every chunk this run created
+ * @param {Object} store - Vector store
+ */
+async function removeTestDocuments(store) {
+  for (const tenantId of [TEST_TENANT, OTHER_TENANT]) {
+    await store.delete({ where: { tenantId } });
+  }
+}
+
+/**
+ * Run every case against one backend
+ * @param {string} name - Backend name
+ * @returns {Promise<number>} Failed cases
+ */
+async function runBackend(name) {
+  console.log(`\n🧪 ${name}`);
+  const backend = await openBackend(name);
+  if (backend.skip) {
+    console.log(`   ⚠️  Skipped: ${backend.skip}`);
+    return 0;
+  }
+
+  let failures = 0;
+  try {
+    for (const [label, run] of CASES) {
+      try {
+        const note = await run(backend.store);
+        console.log(`   ✅ ${label}${note ? ` (${note})` : ''}`);
+      } catch (error) {
+        failures++;
+        console.log(`   ❌ ${label}\n      ${error.message.split('\n').join('\n      ')}`);
+      }
+    }
+  } finally {
+    await backend.cleanup().catch(error => console.warn(`   ⚠️  Cleanup failed: ${error.message}`));
+  }
+  return failures;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { log, warn } = console;
+  let failures = 0;
+
+  for (const name of args.backends) {
+    // Keep the adapters' own progress logs out of the report
+    const reportOnly = print => (...parts) => (/^( {3}|\n🧪)/.test(String(parts[0])) ? print(...parts) : null);
+    console.log = reportOnly(log);
+    console.warn = reportOnly(warn);
+    try {
+      failures += await runBackend(name);
+    } finally {
+      Object.assign(console, { log, warn });
+    }
+  }
+
+  if (failures > 0) {
+    console.log(`\n❌ ${failures} conformance check(s) failed\n`);
+    process.exit(1);
+  }
+  console.log('\n✅ Vector stores conform\n');
+}
+
+main().catch(error => {
+  console.error('❌ Conformance run failed:', error);
+  process.exit(1);
+});